@@ -1,4 +1,10 @@
 import { buildAeChange } from "./utils.mjs";
+import {
+  getCampaignTurnNumber,
+  getExpiryTurnNumber,
+  getRootTracker,
+  getRosterAssetUuids,
+} from "./theatre-service.mjs";
 
 const MODULE_ID = "sta-tactical-campaign";
 const TRACKER_TYPE = `${MODULE_ID}.campaignTracker`;
@@ -21,13 +27,18 @@ export async function getCampaignTracker() {
   const configured = configuredUuid ? await fromUuid(configuredUuid) : null;
   if (configured?.type === TRACKER_TYPE) return configured;
 
-  const trackers = game.actors.filter((actor) => actor.type === TRACKER_TYPE);
-  return trackers.length === 1 ? trackers[0] : null;
+  // Theatres of a single parent roster count as one campaign.
+  const roots = new Set(
+    game.actors
+      .filter((actor) => actor.type === TRACKER_TYPE)
+      .map((actor) => getRootTracker(actor)),
+  );
+  return roots.size === 1 ? [...roots][0] : null;
 }
 
 export async function getCurrentCampaignTurn() {
   const tracker = await getCampaignTracker();
-  return tracker?.system?.campaignTurnNumber ?? 0;
+  return tracker ? getCampaignTurnNumber(tracker) : 0;
 }
 
 export function getCampaignExpiry(effect) {
@@ -40,14 +51,11 @@ export async function getRemainingCampaignTurns(effect) {
   return Math.max(0, expiry - (await getCurrentCampaignTurn()));
 }
 
-export async function expireCampaignTurnEffects(tracker) {
-  const currentTurn = tracker.system.campaignTurnNumber ?? 0;
-  const assetUuids = new Set([
-    ...(tracker.system.characterAssets || []),
-    ...(tracker.system.shipAssets || []),
-    ...(tracker.system.resourceAssets || []),
-  ]);
-  const expired = [];
+export async function getExpiringCampaignTurnEffects(tracker) {
+  // Theatres share one roster, so expiry follows the group's turn counter.
+  const currentTurn = getExpiryTurnNumber(tracker);
+  const assetUuids = getRosterAssetUuids(tracker);
+  const expiring = [];
 
   for (const uuid of assetUuids) {
     const actor = await fromUuid(uuid);
@@ -56,22 +64,30 @@ export async function expireCampaignTurnEffects(tracker) {
       const expiry = getCampaignExpiry(effect);
       return expiry != null && currentTurn >= expiry;
     });
-    if (!effects.length) continue;
+    expiring.push(...effects.map((effect) => ({ actor, effect })));
+  }
 
-    await actor.deleteEmbeddedDocuments(
-      "ActiveEffect",
-      effects.map((effect) => effect.id),
-    );
-    expired.push(...effects.map((effect) => ({ actor, effect })));
+  return expiring;
+}
+
+export async function expireCampaignTurnEffects(tracker) {
+  const expired = await getExpiringCampaignTurnEffects(tracker);
+  const effectIdsByActor = new Map();
+  for (const { actor, effect } of expired) {
+    if (!effectIdsByActor.has(actor)) effectIdsByActor.set(actor, []);
+    effectIdsByActor.get(actor).push(effect.id);
   }
 
+  for (const [actor, effectIds] of effectIdsByActor)
+    await actor.deleteEmbeddedDocuments("ActiveEffect", effectIds);
+
   return expired;
 }
 
 export async function replaceAssetStatusEffect(
   actor,
   status,
-  { name, expireAfterTurn = null } = {},
+  { name, expireAfterTurn = null, recovery = null } = {},
 ) {
   const config = STATUS_CONFIG[status];
   if (!config) throw new Error(`Unsupported asset status: ${status}`);
@@ -83,6 +99,8 @@ export async function replaceAssetStatusEffect(
 
   const moduleFlags = { [status]: true };
   if (expireAfterTurn != null) moduleFlags.expireAfterTurn = expireAfterTurn;
+  // Injured characters and damaged ships sit in the recovery queue
+  if (recovery) moduleFlags.recovery = recovery;
 
   const [effect] = await actor.createEmbeddedDocuments("ActiveEffect", [
     {
@@ -0,0 +1,249 @@
+/**
+ * Campaign Board for STA Tactical Campaign.
+ *
+ * Read-only, player-facing view of a campaign tracker: the current phase and
+ * step, campaign momentum and progression, the visible POI columns with their
+ * asset assignments and the tracker's assets. POIs hidden by the GM are left
+ * out entirely and unrevealed POIs only show their masked name and difficulty,
+ * following the same hiddenByGM / revealed flags as the tracker sheet.
+ *
+ * The board re-renders whenever the tracker or any actor on it changes.
+ */
+
+import { PHASE_META, STEP_META } from "../sheets/campaign-tracker-sheet.mjs";
+import { getCampaignRules } from "../campaign-rules.mjs";
+import { getTheatres } from "../theatre-service.mjs";
+import { getEntryAssetUuids } from "../utils.mjs";
+
+const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
+
+const COLUMNS = [
+  { key: "poiListThreat", label: "STA_TC.CampaignTracker.PoiThreat" },
+  { key: "poiListExploration", label: "STA_TC.CampaignTracker.PoiExploration" },
+  { key: "poiListRoutine", label: "STA_TC.CampaignTracker.PoiRoutine" },
+  { key: "poiListUnknown", label: "STA_TC.CampaignTracker.PoiUnknown" },
+];
+
+const ASSET_GROUPS = [
+  { key: "characterAssets", label: "STA_TC.Asset.Generator.Types.Character" },
+  { key: "shipAssets", label: "STA_TC.Asset.Generator.Types.Ship" },
+  { key: "resourceAssets", label: "STA_TC.Asset.Generator.Types.Resource" },
+];
+
+const RESULT_LABELS = {
+  success: "STA_TC.Wizard.ResultSuccess",
+  flawedSuccess: "STA_TC.Wizard.ResultFlawedSuccess",
+  failure: "STA_TC.Wizard.ResultFailure",
+  seriousSetback: "STA_TC.Wizard.ResultSeriousSetback",
+};
+
+export class CampaignBoard extends HandlebarsApplicationMixin(ApplicationV2) {
+  constructor(actor, options = {}) {
+    super(options);
+    this.actor = actor;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "campaign-board",
+    classes: ["sta-tactical-campaign", "campaign-board"],
+    actions: {
+      switchTheatre: CampaignBoard._onSwitchTheatre,
+    },
+    position: {
+      height: 640,
+      width: 900,
+    },
+    window: {
+      resizable: true,
+    },
+  };
+
+  /** @override */
+  static PARTS = {
+    board: {
+      template: "modules/sta-tactical-campaign/templates/campaign-board.hbs",
+    },
+  };
+
+  /** @override */
+  get title() {
+    return `${this.actor.name} — ${game.i18n.localize("STA_TC.Board.Title")}`;
+  }
+
+  /**
+   * Open (or bring to front) the Campaign Board for the given tracker actor.
+   * @param {Actor} actor
+   * @returns {CampaignBoard}
+   */
+  static open(actor) {
+    const existing = Object.values(foundry.applications.instances ?? {}).find(
+      (app) => app instanceof CampaignBoard,
+    );
+    if (existing) {
+      if (existing.actor.id !== actor.id) {
+        existing.actor = actor;
+        existing.render({ window: { title: existing.title } });
+      }
+      existing.bringToFront();
+      return existing;
+    }
+    const app = new CampaignBoard(actor);
+    app.render(true);
+    return app;
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const system = this.actor.system;
+    const turnPhase = system.turnPhase || "";
+    const turnStep = system.turnStep || 1;
+
+    let phase = null;
+    if (turnPhase) {
+      const stepMeta = STEP_META[turnPhase]?.[turnStep - 1];
+      phase = {
+        label: game.i18n.localize(PHASE_META[turnPhase]?.label ?? ""),
+        stepLabel: stepMeta ? game.i18n.localize(stepMeta.label) : "",
+        step: turnStep,
+        stepCount: getCampaignRules().stepCounts[turnPhase],
+      };
+    }
+
+    // Asset → display name of the POI it is assigned to. Assets working a
+    // hidden POI only show as assigned.
+    const assignments = {};
+    const columns = [];
+    for (const { key, label } of COLUMNS) {
+      const entries = [];
+      for (const entry of system[key] || []) {
+        const poi = await fromUuid(entry.actorUuid);
+        if (!poi) continue;
+        const hidden = !!poi.system?.hiddenByGM;
+        const poiName = hidden ? "" : this._displayName(poi);
+        for (const uuid of getEntryAssetUuids(entry))
+          assignments[uuid] = poiName;
+        if (hidden) continue;
+        const revealed = !!poi.system?.revealed;
+        const assets = [];
+        for (const uuid of getEntryAssetUuids(entry)) {
+          const asset = await fromUuid(uuid);
+          if (asset) assets.push({ name: asset.name, img: asset.img });
+        }
+        entries.push({
+          uuid: entry.actorUuid,
+          name: poiName,
+          img: poi.img,
+          masked: !revealed,
+          difficulty: poi.system?.difficulty,
+          urgency:
+            poi.system?.poiType === "tacticalThreat"
+              ? poi.system?.urgency
+              : null,
+          power: revealed
+            ? game.i18n.localize(
+                `STA_TC.Powers.${(poi.system?.power || "military").capitalize()}`,
+              )
+            : "",
+          isScenario: system.scenarioPoi === entry.actorUuid,
+          assets,
+          result: game.i18n.localize(RESULT_LABELS[entry.conflictResult] ?? ""),
+        });
+      }
+      columns.push({ key, label: game.i18n.localize(label), entries });
+    }
+
+    const assetGroups = [];
+    for (const { key, label } of ASSET_GROUPS) {
+      const assets = [];
+      for (const uuid of system[key] || []) {
+        const asset = await fromUuid(uuid);
+        if (!asset) continue;
+        assets.push({
+          name: asset.name,
+          img: asset.img,
+          assigned: uuid in assignments,
+          assignedTo: assignments[uuid] || "",
+        });
+      }
+      assetGroups.push({ key, label: game.i18n.localize(label), assets });
+    }
+
+    const theatres = getTheatres(this.actor);
+    return {
+      trackerName: this.actor.name,
+      turnNumber: system.campaignTurnNumber || 0,
+      phase,
+      campaignMomentum: system.campaignMomentum || 0,
+      progression: system.progression || 0,
+      columns,
+      assetGroups,
+      theatres:
+        theatres.length > 1
+          ? theatres.map((theatre) => ({
+              id: theatre.id,
+              name: theatre.name,
+              active: theatre === this.actor,
+            }))
+          : [],
+    };
+  }
+
+  /**
+   * The name players may see: the real name of a revealed Unknown POI,
+   * otherwise the actor's (masked) name.
+   * @param {Actor} poi
+   * @returns {string}
+   */
+  _displayName(poi) {
+    const isUnknown = (poi.system?.poiType || "unknown") === "unknown";
+    return poi.system?.revealed && isUnknown && poi.system?.realName
+      ? poi.system.realName
+      : poi.name;
+  }
+
+  /**
+   * Whether an actor change affects what the board shows.
+   * @param {Actor} actor
+   * @returns {boolean}
+   */
+  _isRelevant(actor) {
+    if (actor.id === this.actor.id) return true;
+    const system = this.actor.system;
+    const uuids = new Set(ASSET_GROUPS.flatMap(({ key }) => system[key] || []));
+    for (const { key } of COLUMNS) {
+      for (const entry of system[key] || []) {
+        uuids.add(entry.actorUuid);
+        for (const uuid of getEntryAssetUuids(entry)) uuids.add(uuid);
+      }
+    }
+    return uuids.has(actor.uuid);
+  }
+
+  /** @override */
+  async _onRender(context, options) {
+    await super._onRender(context, options);
+    // Re-render whenever the tracker or any actor shown on it changes
+    if (!this._actorHook) {
+      this._actorHook = Hooks.on("updateActor", (actor) => {
+        if (this._isRelevant(actor)) this.render();
+      });
+    }
+  }
+
+  /** @override */
+  async _onClose(options) {
+    if (this._actorHook) {
+      Hooks.off("updateActor", this._actorHook);
+      this._actorHook = null;
+    }
+    return super._onClose(options);
+  }
+
+  static async _onSwitchTheatre(event, target) {
+    const theatre = game.actors.get(target.dataset.id);
+    if (!theatre || theatre === this.actor) return;
+    this.actor = theatre;
+    await this.render({ window: { title: this.title } });
+  }
+}
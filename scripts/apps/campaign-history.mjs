@@ -0,0 +1,143 @@
+/**
+ * Campaign History popup for STA Tactical Campaign.
+ *
+ * Displays the archive of completed campaign turns (system.turnHistory) stored
+ * on the campaign tracker actor, most recent turn first: every POI with its
+ * assigned assets and conflict results, the end-of-turn consequences and the
+ * progression / pace changes.
+ */
+
+const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
+
+const LIST_LABELS = {
+  poiListThreat: "STA_TC.CampaignTracker.PoiThreat",
+  poiListExploration: "STA_TC.CampaignTracker.PoiExploration",
+  poiListRoutine: "STA_TC.CampaignTracker.PoiRoutine",
+  poiListUnknown: "STA_TC.CampaignTracker.PoiUnknown",
+};
+
+const RESULT_LABELS = {
+  success: "STA_TC.Wizard.ResultSuccess",
+  flawedSuccess: "STA_TC.Wizard.ResultFlawedSuccess",
+  failure: "STA_TC.Wizard.ResultFailure",
+  seriousSetback: "STA_TC.Wizard.ResultSeriousSetback",
+  scenario: "STA_TC.Wizard.ScenarioSelected",
+};
+
+const OUTCOME_LABELS = {
+  resolved: "STA_TC.Wizard.Resolved",
+  confirmed: "STA_TC.Wizard.OutcomeConfirmed",
+  ignored: "STA_TC.Wizard.OutcomeIgnored",
+};
+
+export class CampaignHistory extends HandlebarsApplicationMixin(ApplicationV2) {
+  constructor(actor, options = {}) {
+    super(options);
+    this.actor = actor;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "campaign-history",
+    classes: ["sta-tactical-campaign", "campaign-history"],
+    actions: {
+      openPoi: CampaignHistory._onOpenPoi,
+    },
+    position: {
+      height: 600,
+      width: 620,
+    },
+    window: {
+      resizable: true,
+    },
+  };
+
+  /** @override */
+  static PARTS = {
+    sheet: {
+      template: "modules/sta-tactical-campaign/templates/campaign-history.hbs",
+    },
+  };
+
+  /** @override */
+  get title() {
+    return `${this.actor.name} — ${game.i18n.localize("STA_TC.History.Title")}`;
+  }
+
+  /**
+   * Open (or bring to front) the Campaign History for the given tracker actor.
+   * @param {Actor} actor
+   * @returns {CampaignHistory}
+   */
+  static open(actor) {
+    const existing = Object.values(foundry.applications.instances ?? {}).find(
+      (app) => app instanceof CampaignHistory && app.actor?.id === actor.id,
+    );
+    if (existing) {
+      existing.bringToFront();
+      return existing;
+    }
+    const app = new CampaignHistory(actor);
+    app.render(true);
+    return app;
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const history = Array.from(this.actor.system?.turnHistory ?? []);
+    const localize = (key) => (key ? game.i18n.localize(key) : "");
+
+    const turns = history
+      .slice()
+      .sort((a, b) => b.turn - a.turn)
+      .map((record, index) => ({
+        ...record,
+        isLatest: index === 0,
+        endedStr: record.endedAt
+          ? new Date(record.endedAt).toLocaleString()
+          : "",
+        consequencesHTML: (record.consequences ?? []).join(""),
+        pois: (record.pois ?? []).map((poi) => ({
+          ...poi,
+          listLabel: localize(LIST_LABELS[poi.listKey]),
+          resultLabel: localize(RESULT_LABELS[poi.conflictResult]),
+          outcomeLabel: localize(OUTCOME_LABELS[poi.outcome]),
+          assetNames: poi.assets.map((a) => a.name).join(", "),
+        })),
+      }));
+
+    return {
+      turns,
+      totalTurns: history.length,
+    };
+  }
+
+  /** @override */
+  async _onRender(context, options) {
+    await super._onRender(context, options);
+    // Re-render when the tracker actor's data changes
+    if (!this._trackerHook) {
+      this._trackerHook = Hooks.on("updateActor", (actor) => {
+        if (actor.id === this.actor.id) this.render();
+      });
+    }
+  }
+
+  /** @override */
+  async _onClose(options) {
+    if (this._trackerHook) {
+      Hooks.off("updateActor", this._trackerHook);
+      this._trackerHook = null;
+    }
+    return super._onClose(options);
+  }
+
+  static async _onOpenPoi(event, target) {
+    const poi = await fromUuid(target.dataset.uuid);
+    if (!poi) {
+      ui.notifications.warn(game.i18n.localize("STA_TC.History.PoiGone"));
+      return;
+    }
+    poi.sheet.render(true);
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * GM editor for the campaign rules (thresholds used by the campaign turn).
+ * Choosing a preset loads its values; editing any value marks the rules as
+ * custom. Changes are saved to the "campaignRules" world setting on submit.
+ */
+
+const MODULE_ID = "sta-tactical-campaign";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+import {
+  RULE_FIELDS,
+  RULE_PRESETS,
+  getCampaignRules,
+  getCampaignRulesPreset,
+  sanitizeCampaignRules,
+} from "../campaign-rules.mjs";
+
+export class CampaignRulesForm extends HandlebarsApplicationMixin(
+  ApplicationV2,
+) {
+  static DEFAULT_OPTIONS = {
+    id: "sta-tactical-campaign-rules",
+    classes: ["sta-tactical-campaign", "campaign-rules-form"],
+    tag: "form",
+    window: {
+      icon: "fas fa-scale-balanced",
+      title: "STA_TC.Rules.Title",
+      resizable: true,
+    },
+    position: {
+      width: 520,
+      height: "auto",
+    },
+    actions: {
+      applyPreset: CampaignRulesForm._onApplyPreset,
+    },
+    form: {
+      handler: CampaignRulesForm._onSubmitForm,
+      submitOnChange: false,
+      closeOnSubmit: true,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template:
+        "modules/sta-tactical-campaign/templates/campaign-rules-form.hbs",
+    },
+  };
+
+  /** Preset values loaded into the form but not yet saved. */
+  _pendingPreset = null;
+
+  async _prepareContext(options = {}) {
+    const preset = this._pendingPreset ?? getCampaignRulesPreset();
+    const rules =
+      this._pendingPreset && RULE_PRESETS[this._pendingPreset]
+        ? sanitizeCampaignRules(RULE_PRESETS[this._pendingPreset].rules)
+        : getCampaignRules();
+
+    return {
+      preset,
+      presets: [
+        ...Object.entries(RULE_PRESETS).map(([key, p]) => ({
+          key,
+          label: game.i18n.localize(p.label),
+        })),
+        {
+          key: "custom",
+          label: game.i18n.localize("STA_TC.Rules.Presets.Custom"),
+        },
+      ],
+      fields: RULE_FIELDS.map(({ key, min, max }) => {
+        const i18nKey = key.replace(".", "");
+        return {
+          key,
+          min,
+          max,
+          value: foundry.utils.getProperty(rules, key),
+          label: game.i18n.localize(`STA_TC.Rules.Fields.${i18nKey}`),
+          hint: game.i18n.localize(`STA_TC.Rules.Fields.${i18nKey}Hint`),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Load the selected preset's values into the form without saving them.
+   * @this {CampaignRulesForm}
+   */
+  static async _onApplyPreset(event, target) {
+    const preset = this.element.querySelector("[name=preset]")?.value;
+    if (!RULE_PRESETS[preset]) return;
+    this._pendingPreset = preset;
+    await this.render();
+  }
+
+  /**
+   * Persist the rules. Values that differ from the selected preset save the
+   * rules as "custom".
+   * @this {CampaignRulesForm}
+   * @param {SubmitEvent} event         The originating submit event.
+   * @param {HTMLFormElement} form      The submitted form element.
+   * @param {FormDataExtended} formData The processed form data.
+   */
+  static async _onSubmitForm(event, form, formData) {
+    const { preset, ...values } = foundry.utils.expandObject(formData.object);
+    const rules = sanitizeCampaignRules(values);
+    const presetRules = RULE_PRESETS[preset]
+      ? sanitizeCampaignRules(RULE_PRESETS[preset].rules)
+      : null;
+    const matchesPreset =
+      presetRules && foundry.utils.objectsEqual(presetRules, rules);
+    await game.settings.set(MODULE_ID, "campaignRules", {
+      preset: matchesPreset ? preset : "custom",
+      rules,
+    });
+    this._pendingPreset = null;
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * GM editor for the loss tables. Each asset type either rolls the built-in
+ * loss bands or a linked world RollTable; for a linked table, the outcome of
+ * every result row is edited here and saved to the result's module flags.
+ * Ranges, names and descriptions are edited on the RollTable itself.
+ */
+
+const MODULE_ID = "sta-tactical-campaign";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+import {
+  DEFAULT_LOSS_TABLES,
+  LOSS_OUTCOMES,
+  LOSS_TABLE_SETTINGS,
+  LossResolver,
+} from "../loss-resolver.mjs";
+import { ASSET_TYPE_LABELS } from "../utils.mjs";
+
+const ALL_POWERS = ["medical", "military", "personal", "science", "social"];
+
+export class LossTablesForm extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "sta-tactical-campaign-loss-tables",
+    classes: ["sta-tactical-campaign", "loss-tables-form"],
+    tag: "form",
+    window: {
+      icon: "fas fa-skull",
+      title: "STA_TC.LossTables.Title",
+      resizable: true,
+    },
+    position: {
+      width: 760,
+      height: "auto",
+    },
+    actions: {
+      createTable: LossTablesForm._onCreateTable,
+      openTable: LossTablesForm._onOpenTable,
+      unlinkTable: LossTablesForm._onUnlinkTable,
+    },
+    form: {
+      handler: LossTablesForm._onSubmitForm,
+      submitOnChange: false,
+      closeOnSubmit: true,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template: "modules/sta-tactical-campaign/templates/loss-tables-form.hbs",
+    },
+  };
+
+  async _prepareContext(options = {}) {
+    const powerOptions = {
+      "": "STA_TC.LossTables.PrimaryPower",
+      ...Object.fromEntries(
+        ALL_POWERS.map((power) => [
+          power,
+          `STA_TC.Powers.${power.capitalize()}`,
+        ]),
+      ),
+    };
+    const targetOptions = {
+      value: "STA_TC.Powers.Value",
+      focus: "STA_TC.Powers.Focus",
+    };
+
+    const types = [];
+    for (const type of Object.keys(LOSS_TABLE_SETTINGS)) {
+      const table = await LossResolver.getTable(type);
+      const rows = table
+        ? table.results.contents
+            .sort((a, b) => a.range[0] - b.range[0])
+            .map((result) => ({
+              id: result.id,
+              range: _formatRange(result.range),
+              name: result.name,
+              ...LossResolver.normalizeOutcome(result.flags?.[MODULE_ID]?.loss),
+            }))
+        : DEFAULT_LOSS_TABLES[type].map((row) => ({
+            range: _formatRange(row.range),
+            name: game.i18n.localize(row.name),
+            ...LossResolver.normalizeOutcome(row),
+            outcomeLabel: game.i18n.localize(LOSS_OUTCOMES[row.outcome]),
+          }));
+      types.push({
+        type,
+        label: game.i18n.localize(ASSET_TYPE_LABELS[type]),
+        tableName: table?.name ?? "",
+        editable: !!table,
+        rows,
+      });
+    }
+
+    return {
+      types,
+      outcomeOptions: LOSS_OUTCOMES,
+      powerOptions,
+      targetOptions,
+    };
+  }
+
+  /**
+   * Create a world RollTable from the built-in rows of an asset type and link it.
+   * @this {LossTablesForm}
+   */
+  static async _onCreateTable(event, target) {
+    await LossResolver.createTable(target.dataset.type);
+    await this.render();
+  }
+
+  /**
+   * Open the linked RollTable of an asset type.
+   * @this {LossTablesForm}
+   */
+  static async _onOpenTable(event, target) {
+    const table = await LossResolver.getTable(target.dataset.type);
+    table?.sheet.render(true);
+  }
+
+  /**
+   * Go back to the built-in rows for an asset type. The RollTable is kept.
+   * @this {LossTablesForm}
+   */
+  static async _onUnlinkTable(event, target) {
+    await game.settings.set(
+      MODULE_ID,
+      LOSS_TABLE_SETTINGS[target.dataset.type],
+      "",
+    );
+    await this.render();
+  }
+
+  /**
+   * Save the outcome of every row of the linked tables.
+   * @this {LossTablesForm}
+   * @param {SubmitEvent} event         The originating submit event.
+   * @param {HTMLFormElement} form      The submitted form element.
+   * @param {FormDataExtended} formData The processed form data.
+   */
+  static async _onSubmitForm(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    for (const [type, rows] of Object.entries(data.rows ?? {})) {
+      const table = await LossResolver.getTable(type);
+      if (!table) continue;
+      const updates = Object.entries(rows)
+        .filter(([id]) => table.results.has(id))
+        .map(([id, row]) => ({
+          _id: id,
+          [`flags.${MODULE_ID}.loss`]: LossResolver.normalizeOutcome(row),
+        }));
+      if (updates.length)
+        await table.updateEmbeddedDocuments("TableResult", updates);
+    }
+  }
+}
+
+/**
+ * @param {number[]} range
+ * @returns {string}
+ */
+function _formatRange([low, high]) {
+  return low === high ? `${low}` : `${low}–${high}`;
+}
@@ -62,6 +62,11 @@ export const NOTIFICATION_CONFIG = {
     severity: SEVERITY.INFO,
     placements: [PLACEMENT.TOAST, PLACEMENT.BADGE, PLACEMENT.LOG],
   },
+  conflictRound: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.LOG],
+  },
   consequenceExtraPoi: {
     group: GROUP.INTERACTION,
     severity: SEVERITY.WARN,
@@ -77,6 +82,31 @@ export const NOTIFICATION_CONFIG = {
     severity: SEVERITY.CRITICAL,
     placements: [PLACEMENT.CHAT, PLACEMENT.BADGE, PLACEMENT.LOG],
   },
+  allHandsCasualty: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.CRITICAL,
+    placements: [PLACEMENT.BADGE, PLACEMENT.LOG],
+  },
+  allHandsReverted: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.LOG],
+  },
+  recoveryExpedited: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.LOG],
+  },
+  promotionGranted: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.LOG],
+  },
+  recoveryComplete: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.BADGE, PLACEMENT.LOG],
+  },
   phase3Intensify: {
     group: GROUP.INTERACTION,
     severity: SEVERITY.WARN,
@@ -122,6 +152,21 @@ export const NOTIFICATION_CONFIG = {
     severity: SEVERITY.INFO,
     placements: [PLACEMENT.CHAT, PLACEMENT.LOG],
   },
+  assetTransferred: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.BADGE, PLACEMENT.LOG],
+  },
+  turnLockReleased: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.WARN,
+    placements: [PLACEMENT.TOAST, PLACEMENT.LOG],
+  },
+  turnLockHandedOff: {
+    group: GROUP.INTERACTION,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.LOG],
+  },
 
   // ----- G3: Step / Phase boundary transitions -----
 
@@ -190,6 +235,26 @@ export const NOTIFICATION_CONFIG = {
     severity: SEVERITY.INFO,
     placements: [PLACEMENT.LOG],
   },
+  assetPromoted: {
+    group: GROUP.TURN_END,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.BADGE, PLACEMENT.LOG],
+  },
+  turnEndRecovered: {
+    group: GROUP.TURN_END,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.BADGE, PLACEMENT.LOG],
+  },
+  turnEndFollowUp: {
+    group: GROUP.TURN_END,
+    severity: SEVERITY.INFO,
+    placements: [PLACEMENT.TOAST, PLACEMENT.BADGE, PLACEMENT.LOG],
+  },
+  turnEndFollowUpFailed: {
+    group: GROUP.TURN_END,
+    severity: SEVERITY.WARN,
+    placements: [PLACEMENT.TOAST, PLACEMENT.LOG],
+  },
 
   // ----- G5: Between turns -----
 
@@ -203,6 +268,11 @@ export const NOTIFICATION_CONFIG = {
     severity: SEVERITY.INFO,
     placements: [PLACEMENT.LOG],
   },
+  turnUndone: {
+    group: GROUP.BETWEEN_TURN,
+    severity: SEVERITY.WARN,
+    placements: [PLACEMENT.TOAST, PLACEMENT.LOG],
+  },
 };
 
 /**
@@ -120,6 +120,33 @@ export class ProgressionPowerDialog {
     const asset = await fromUuid(assetUuid);
     if (!asset) return false;
 
+    await ProgressionPowerDialog.applyPowerMod(asset, { mode, power, delta });
+    return true;
+  }
+
+  /**
+   * Apply a permanent Active Effect raising a power or focus of an asset and
+   * report it.
+   *
+   * @param {Actor} asset
+   * @param {Object} options
+   * @param {"power"|"focus"} [options.mode="power"]
+   * @param {string} options.power - Power key, e.g. "medical".
+   * @param {number} [options.delta=1]
+   * @param {string} [options.source="Progression"] - Prefix of the effect name.
+   * @param {Object} [options.flags] - Module flags of the effect.
+   * @returns {Promise<ActiveEffect>}
+   */
+  static async applyPowerMod(
+    asset,
+    {
+      mode = "power",
+      power,
+      delta = 1,
+      source = "Progression",
+      flags = { progressionEffect: true },
+    },
+  ) {
     const statKey =
       mode === "focus"
         ? `system.powers.${power}.focus`
@@ -129,10 +156,10 @@ export class ProgressionPowerDialog {
     );
     const effectName =
       mode === "focus"
-        ? `Progression: ${power.charAt(0).toUpperCase() + power.slice(1)} focus +${delta}`
-        : `Progression: ${power.charAt(0).toUpperCase() + power.slice(1)} +${delta}`;
+        ? `${source}: ${power.charAt(0).toUpperCase() + power.slice(1)} focus +${delta}`
+        : `${source}: ${power.charAt(0).toUpperCase() + power.slice(1)} +${delta}`;
 
-    await asset.createEmbeddedDocuments("ActiveEffect", [
+    const [effect] = await asset.createEmbeddedDocuments("ActiveEffect", [
       {
         name: effectName,
         system: {
@@ -146,7 +173,7 @@ export class ProgressionPowerDialog {
           ],
         },
         disabled: false,
-        flags: { [MODULE_ID]: { progressionEffect: true } },
+        flags: { [MODULE_ID]: flags },
       },
     ]);
 
@@ -163,7 +190,7 @@ export class ProgressionPowerDialog {
             name: asset.name,
           });
     ui.notifications.info(msg);
-    return true;
+    return effect;
   }
 
   /**
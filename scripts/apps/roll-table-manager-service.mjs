@@ -1224,9 +1224,7 @@ export class RollTableManagerService {
         ...(sys.poiListUnknown || []),
       ].some(
         (e) =>
-          e.actorUuid === actor.uuid ||
-          e.asset1Uuid === actor.uuid ||
-          e.asset2Uuid === actor.uuid,
+          e.actorUuid === actor.uuid || (e.assets || []).includes(actor.uuid),
       );
       if (inAssets || inPoiLists) {
         warnings.push(tracker.name);
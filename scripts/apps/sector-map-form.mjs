@@ -0,0 +1,123 @@
+/**
+ * GM editor for the sector map: which Scene is the campaign map and which of
+ * its sectors border each other. Sectors are the named Regions of the Scene;
+ * each pair of sectors has one checkbox. The map is saved to the "sectorMap"
+ * world setting on submit.
+ */
+
+const MODULE_ID = "sta-tactical-campaign";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+import {
+  getSectorMap,
+  getSectorNames,
+  normalizeSectorMap,
+} from "../sector-map.mjs";
+
+export class SectorMapForm extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "sta-tactical-campaign-sector-map",
+    classes: ["sta-tactical-campaign", "sector-map-form"],
+    tag: "form",
+    window: {
+      icon: "fas fa-map",
+      title: "STA_TC.Sectors.Title",
+      resizable: true,
+    },
+    position: {
+      width: 640,
+      height: "auto",
+    },
+    form: {
+      handler: SectorMapForm._onSubmitForm,
+      submitOnChange: false,
+      closeOnSubmit: true,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template: "modules/sta-tactical-campaign/templates/sector-map-form.hbs",
+    },
+  };
+
+  /** Map being edited but not yet saved; null shows the saved map. */
+  _pendingMap = null;
+
+  async _prepareContext(options = {}) {
+    const map = this._pendingMap ?? getSectorMap();
+    const scene = game.scenes.get(map.sceneId) ?? null;
+    const sectors = getSectorNames(scene);
+    const adjacent = new Set(map.adjacency.map(([a, b]) => `${a}\u0000${b}`));
+    return {
+      sceneId: map.sceneId,
+      sceneChoices: {
+        "": game.i18n.localize("STA_TC.Sectors.NoScene"),
+        ...Object.fromEntries(
+          game.scenes.contents
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map((s) => [s.id, s.name]),
+        ),
+      },
+      hasScene: !!scene,
+      sectors,
+      rows: sectors.map((name, i) => ({
+        name,
+        cells: sectors.map((other, j) => ({
+          key: `${i}-${j}`,
+          other,
+          show: j > i,
+          checked: adjacent.has(
+            [name, other].sort((a, b) => a.localeCompare(b)).join("\u0000"),
+          ),
+        })),
+      })),
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    // Switching the map scene lists its sectors straight away
+    this.element
+      .querySelector("[name=sceneId]")
+      ?.addEventListener("change", () => {
+        this._pendingMap = this._readMap();
+        this.render();
+      });
+  }
+
+  /**
+   * The map as currently entered in the form.
+   * @param {object} [data] - Expanded form data; read from the form if
+   *   omitted.
+   * @returns {{sceneId: string, adjacency: string[][]}}
+   */
+  _readMap(data) {
+    data ??= foundry.utils.expandObject(
+      new foundry.applications.ux.FormDataExtended(this.element).object,
+    );
+    // Checkbox keys index the sectors of the scene the form was rendered with
+    const sectors = getSectorNames(
+      game.scenes.get(this._pendingMap?.sceneId ?? getSectorMap().sceneId),
+    );
+    const adjacency = Object.entries(data.pairs ?? {})
+      .filter(([, checked]) => checked)
+      .map(([key]) => key.split("-").map((i) => sectors[Number(i)]));
+    return normalizeSectorMap({ sceneId: data.sceneId, adjacency });
+  }
+
+  /**
+   * Save the map scene and its adjacency.
+   * @this {SectorMapForm}
+   * @param {SubmitEvent} event         The originating submit event.
+   * @param {HTMLFormElement} form      The submitted form element.
+   * @param {FormDataExtended} formData The processed form data.
+   */
+  static async _onSubmitForm(event, form, formData) {
+    const map = this._readMap(foundry.utils.expandObject(formData.object));
+    await game.settings.set(MODULE_ID, "sectorMap", map);
+    this._pendingMap = null;
+  }
+}
@@ -73,18 +73,21 @@ class _TrackerNotifier {
    * Begin a batch window. Log writes are deferred until flushBatch().
    * Toasts are suppressed for INFO/WARN during a batch; CRITICAL still fires immediately.
    * @param {Actor} tracker
+   * @param {object} [options]
+   * @param {number} [options.turn] — turn to log entries under (defaults to the tracker's current turn)
    */
-  beginBatch(tracker) {
+  beginBatch(tracker, { turn } = {}) {
     this._batchActive = true;
     this._batchLogEntries = [];
     this._batchTracker = tracker;
-    this._batchTurn = tracker.system?.campaignTurnNumber ?? 0;
+    this._batchTurn = turn ?? tracker.system?.campaignTurnNumber ?? 0;
   }
 
   /**
    * Flush all accumulated batch log entries in a single tracker update.
+   * @param {object} [extraUpdates] — further tracker changes to write in the same update
    */
-  async flushBatch() {
+  async flushBatch(extraUpdates = {}) {
     if (!this._batchActive) return;
     const entries = this._batchLogEntries;
     const tracker = this._batchTracker;
@@ -93,14 +96,15 @@ class _TrackerNotifier {
     this._batchTracker = null;
     this._batchTurn = 0;
 
+    const updates = { ...extraUpdates };
     if (tracker && entries.length) {
       const current = foundry.utils.deepClone(
         tracker.system?.notificationLog ?? [],
       );
-      await tracker.update({
-        "system.notificationLog": [...current, ...entries],
-      });
+      updates["system.notificationLog"] = [...current, ...entries];
     }
+    if (tracker && !foundry.utils.isEmpty(updates))
+      await tracker.update(updates);
   }
 
   // ---------------------------------------------------------------------------
@@ -0,0 +1,113 @@
+/**
+ * GM editor for the trait rules: which asset trait earns which bonus against
+ * POIs with which tag. Rows can be added and removed freely; the rules are
+ * saved to the "traitRules" world setting on submit, dropping rows without a
+ * trait.
+ */
+
+const MODULE_ID = "sta-tactical-campaign";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+import {
+  MAX_TRAIT_AMOUNT,
+  TRAIT_EFFECTS,
+  getKnownTraitNames,
+  getTraitRules,
+  normalizeTraitRule,
+} from "../trait-rules.mjs";
+
+export class TraitRulesForm extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "sta-tactical-campaign-trait-rules",
+    classes: ["sta-tactical-campaign", "trait-rules-form"],
+    tag: "form",
+    window: {
+      icon: "fas fa-tags",
+      title: "STA_TC.Traits.Title",
+      resizable: true,
+    },
+    position: {
+      width: 640,
+      height: "auto",
+    },
+    actions: {
+      addRule: TraitRulesForm._onAddRule,
+      deleteRule: TraitRulesForm._onDeleteRule,
+    },
+    form: {
+      handler: TraitRulesForm._onSubmitForm,
+      submitOnChange: false,
+      closeOnSubmit: true,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template: "modules/sta-tactical-campaign/templates/trait-rules-form.hbs",
+    },
+  };
+
+  /** Rows being edited but not yet saved; null shows the saved rules. */
+  _pendingRules = null;
+
+  async _prepareContext(options = {}) {
+    const { traits, tags } = getKnownTraitNames();
+    return {
+      rules: this._pendingRules ?? getTraitRules(),
+      effectOptions: TRAIT_EFFECTS,
+      maxAmount: MAX_TRAIT_AMOUNT,
+      knownTraits: traits,
+      knownTags: tags,
+    };
+  }
+
+  /**
+   * The rows as currently entered in the form, blank ones included.
+   * @returns {object[]}
+   */
+  _readRules() {
+    const data = foundry.utils.expandObject(
+      new foundry.applications.ux.FormDataExtended(this.element).object,
+    );
+    return Object.entries(data.rules ?? {})
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([, rule]) => normalizeTraitRule(rule));
+  }
+
+  /**
+   * Add a blank rule row.
+   * @this {TraitRulesForm}
+   */
+  static async _onAddRule(event, target) {
+    this._pendingRules = [...this._readRules(), normalizeTraitRule()];
+    await this.render();
+  }
+
+  /**
+   * Remove a rule row.
+   * @this {TraitRulesForm}
+   */
+  static async _onDeleteRule(event, target) {
+    const index = Number(target.closest("[data-index]").dataset.index);
+    this._pendingRules = this._readRules().filter((_rule, i) => i !== index);
+    await this.render();
+  }
+
+  /**
+   * Save every rule with a trait.
+   * @this {TraitRulesForm}
+   * @param {SubmitEvent} event         The originating submit event.
+   * @param {HTMLFormElement} form      The submitted form element.
+   * @param {FormDataExtended} formData The processed form data.
+   */
+  static async _onSubmitForm(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const rules = Object.entries(data.rules ?? {})
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([, rule]) => normalizeTraitRule(rule))
+      .filter((rule) => rule.trait);
+    await game.settings.set(MODULE_ID, "traitRules", rules);
+    this._pendingRules = null;
+  }
+}
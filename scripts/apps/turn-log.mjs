@@ -3,9 +3,11 @@
  *
  * Displays the persistent notification log (system.notificationLog) stored on
  * the campaign tracker actor. Entries are grouped by campaign turn number,
- * most recent turn first.
+ * most recent turn first. Crew lost with all hands can be reverted one by one.
  */
 
+import { TrackerNotifier } from "./tracker-notifier.mjs";
+
 const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
 
 const MODULE_ID = "sta-tactical-campaign";
@@ -22,6 +24,7 @@ export class TurnLog extends HandlebarsApplicationMixin(ApplicationV2) {
     classes: ["sta-tactical-campaign", "turn-log"],
     actions: {
       clearLog: TurnLog._onClearLog,
+      revertCasualty: TurnLog._onRevertCasualty,
     },
     position: {
       height: 500,
@@ -66,14 +69,15 @@ export class TurnLog extends HandlebarsApplicationMixin(ApplicationV2) {
   async _prepareContext(options) {
     const log = Array.from(this.actor.system?.notificationLog ?? []);
     const currentTurn = this.actor.system?.campaignTurnNumber ?? 0;
+    const isGM = game.user?.isGM ?? false;
 
     // Group entries by turn, most recent first
     const byTurn = new Map();
-    for (const entry of log) {
+    log.forEach((entry, index) => {
       const t = entry.turn ?? 0;
       if (!byTurn.has(t)) byTurn.set(t, []);
-      byTurn.get(t).push(entry);
-    }
+      byTurn.get(t).push({ ...entry, index });
+    });
 
     const turns = [...byTurn.entries()]
       .sort((a, b) => b[0] - a[0])
@@ -82,6 +86,13 @@ export class TurnLog extends HandlebarsApplicationMixin(ApplicationV2) {
         isCurrent: turn === currentTurn,
         entries: entries.map((e) => ({
           message: e.message ?? "",
+          index: e.index,
+          reverted: !!e.reverted,
+          canRevert:
+            isGM &&
+            e.event === "allHandsCasualty" &&
+            !e.reverted &&
+            !!e.entityUuid,
           timeStr: e.ts ? new Date(e.ts).toLocaleTimeString() : "",
           severityClass: `log-${e.severity ?? "info"}`,
           severityIcon:
@@ -96,7 +107,7 @@ export class TurnLog extends HandlebarsApplicationMixin(ApplicationV2) {
     return {
       turns,
       totalEntries: log.length,
-      isGM: game.user?.isGM ?? false,
+      isGM,
     };
   }
 
@@ -128,4 +139,40 @@ export class TurnLog extends HandlebarsApplicationMixin(ApplicationV2) {
     if (!proceed) return;
     await this.actor.update({ "system.notificationLog": [] });
   }
+
+  /**
+   * Undo one casualty of an "all hands" loss: remove the asset's Lost effect
+   * and mark the log entry reverted.
+   */
+  static async _onRevertCasualty(event, target) {
+    const index = Number(target.dataset.index);
+    const log = foundry.utils.deepClone(
+      this.actor.system?.notificationLog ?? [],
+    );
+    const entry = log[index];
+    if (!entry || entry.reverted) return;
+    const asset = await fromUuid(entry.entityUuid);
+    const proceed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STA_TC.AllHands.Title") },
+      content: `<p>${game.i18n.format("STA_TC.AllHands.RevertConfirm", {
+        name: asset?.name || "?",
+      })}</p>`,
+    });
+    if (!proceed) return;
+
+    const lostEffects = (asset?.effects ?? []).filter(
+      (effect) => effect.flags?.[MODULE_ID]?.lost,
+    );
+    for (const effect of lostEffects) await effect.delete();
+    entry.reverted = true;
+    await this.actor.update({ "system.notificationLog": log });
+    await TrackerNotifier.emit({
+      tracker: this.actor,
+      event: "allHandsReverted",
+      message: game.i18n.format("STA_TC.AllHands.Reverted", {
+        name: asset?.name || "?",
+      }),
+      entityUuid: entry.entityUuid,
+    });
+  }
 }
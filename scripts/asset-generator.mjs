@@ -7,6 +7,8 @@
  * The resolved actor is posted to chat for easy reference.
  */
 
+import { rollTable } from "./campaign-rng.mjs";
+
 const MODULE_ID = "sta-tactical-campaign";
 
 /**
@@ -69,9 +71,10 @@ export class AssetGenerator {
    * Roll on a RollTable identified by UUID.
    * @param {string} uuid  - The table UUID
    * @param {string} label - Human-readable name for notifications
+   * @param {Actor|null} [tracker] - Campaign tracker whose seed drives the roll
    * @returns {Promise<{roll: number, name: string, documentUuid: string, description: string}|null>}
    */
-  static async rollOnTable(uuid, label) {
+  static async rollOnTable(uuid, label, tracker = null) {
     if (!uuid) {
       ui.notifications.warn(
         game.i18n.format("STA_TC.Asset.Generator.TableNotConfigured", {
@@ -92,7 +95,7 @@ export class AssetGenerator {
       return null;
     }
 
-    const roll = await table.roll();
+    const roll = await rollTable(tracker, table);
     const result = roll.results[0];
     return {
       roll: roll.roll.total,
@@ -171,15 +174,18 @@ export class AssetGenerator {
    * Generate an Asset by rolling on the configured tables.
    * First rolls the Asset Type table, then rolls the matching sub-table.
    *
+   * @param {object} [options]
+   * @param {Actor|null} [options.tracker] - Campaign tracker whose seed drives the rolls.
    * @returns {Promise<{typeResult: object, subResult: object, subTableKey: string, actor: Actor|null}|null>}
    */
-  static async generate() {
+  static async generate({ tracker = null } = {}) {
     const tables = this.getTableSettings();
 
     // Step 1 – Roll on the Asset Type table
     const typeResult = await this.rollOnTable(
       tables.assetType,
       game.i18n.localize("STA_TC.Asset.Generator.TypeTableName"),
+      tracker,
     );
     if (!typeResult) {
       ui.notifications.error(
@@ -208,15 +214,17 @@ export class AssetGenerator {
       return null;
     }
 
-    return this._generateFromSubTableKey(subTableKey, typeResult);
+    return this._generateFromSubTableKey(subTableKey, typeResult, tracker);
   }
 
   /**
    * Generate an Asset of a specific type, skipping the type-table roll.
    * @param {"character"|"ship"|"resource"} subTableKey
+   * @param {object} [options]
+   * @param {Actor|null} [options.tracker] - Campaign tracker whose seed drives the rolls.
    * @returns {Promise<{typeResult: object, subResult: object, subTableKey: string, actor: Actor|null}|null>}
    */
-  static async generateForType(subTableKey) {
+  static async generateForType(subTableKey, { tracker = null } = {}) {
     // Build a synthetic typeResult so the HTML builders still work
     const config = TYPE_CONFIG[subTableKey];
     const typeResult = {
@@ -225,20 +233,24 @@ export class AssetGenerator {
       documentUuid: "",
       description: "",
     };
-    return this._generateFromSubTableKey(subTableKey, typeResult);
+    return this._generateFromSubTableKey(subTableKey, typeResult, tracker);
   }
 
   /**
    * Shared steps 2-4: roll sub-table, resolve actor, post chat.
    * @private
    */
-  static async _generateFromSubTableKey(subTableKey, typeResult) {
+  static async _generateFromSubTableKey(subTableKey, typeResult, tracker) {
     const tables = this.getTableSettings();
     const config = TYPE_CONFIG[subTableKey];
     const configName = game.i18n.localize(config.nameKey);
 
     // Step 2 – Roll on the sub-table (returns a UUID in the text field)
-    const subResult = await this.rollOnTable(tables[subTableKey], configName);
+    const subResult = await this.rollOnTable(
+      tables[subTableKey],
+      configName,
+      tracker,
+    );
 
     if (!subResult) {
       await ChatMessage.create({
@@ -0,0 +1,190 @@
+/**
+ * Assignment optimizer — proposes which assets to send to which POIs.
+ *
+ * Pure functions over plain data (no documents, no writes), so the engine can
+ * build the inputs and the GM can review the proposal before it is applied.
+ *
+ * Each POI is scored by the expected successes of its conflict roll: the
+ * primary asset rolls PRIMARY_DICE d20s and every assisting asset one, each die
+ * succeeding on a roll at or under the asset's power value and scoring a
+ * second success at or under its focus. Successes up to the POI's difficulty
+ * count fully; successes beyond it only become Momentum and count at
+ * EXCESS_SUCCESS_WEIGHT. POIs with a second power use whichever power scores
+ * best. The score is multiplied by the POI's weight (its urgency).
+ *
+ * The proposal is built greedily — always filling the open slot with the
+ * largest gain — and then improved by swapping and replacing assets until no
+ * single change raises the total.
+ */
+
+import { dieDistribution, expectedSuccesses } from "./conflict-odds.mjs";
+
+/** d20s rolled by the primary asset (the dice pool dialog's default). */
+const PRIMARY_DICE = 2;
+
+/** d20s rolled by each assisting asset. */
+const ASSIST_DICE = 1;
+
+/** Value of an expected success beyond the POI's difficulty. */
+const EXCESS_SUCCESS_WEIGHT = 0.5;
+
+/** Upper bound on improvement passes, to keep the search bounded. */
+const MAX_PASSES = 20;
+
+/**
+ * Score a POI entry for a primary asset and its assisting assets.
+ * @param {object} entry - See optimizeAssignments().
+ * @param {object|null} primary - An asset, see optimizeAssignments().
+ * @param {object[]} [assists]
+ * @returns {{score: number, expected: number, power: string}}
+ */
+export function scoreEntry(entry, primary, assists = []) {
+  let best = { score: 0, expected: 0, power: entry.powers[0]?.power ?? "" };
+  if (!primary) return best;
+  for (const { power, difficulty } of entry.powers) {
+    const die = (asset) =>
+      expectedSuccesses(
+        dieDistribution(
+          asset?.powers?.[power]?.value,
+          asset?.powers?.[power]?.focus,
+        ),
+      );
+    const expected =
+      PRIMARY_DICE * die(primary) +
+      assists.reduce((sum, assist) => sum + ASSIST_DICE * die(assist), 0);
+    const score =
+      entry.weight *
+      (Math.min(expected, difficulty) +
+        EXCESS_SUCCESS_WEIGHT * Math.max(0, expected - difficulty));
+    if (score > best.score) best = { score, expected, power };
+  }
+  return best;
+}
+
+/**
+ * Propose assets for every open POI slot.
+ * @param {object} data
+ * @param {object[]} data.entries - POIs to staff:
+ *   { id, weight, powers: [{power, difficulty}], slots: [{uuid, type}] }
+ *   where slot 0 is the primary slot, uuid is the asset already assigned
+ *   (kept as is) or null, and type the asset type the slot accepts (blank
+ *   for any).
+ * @param {object[]} data.assets - Assets free to assign:
+ *   { uuid, type, isResource, uses, powers } where uses is how many more
+ *   slots the asset may fill and powers maps power keys to {value, focus}.
+ *   Include the already assigned assets with 0 uses so their powers are
+ *   scored.
+ * @returns {{id: string, slots: (string|null)[], expected: number,
+ *   score: number, power: string}[]}
+ */
+export function optimizeAssignments({ entries, assets }) {
+  const byUuid = new Map(assets.map((asset) => [asset.uuid, asset]));
+  const uses = new Map(assets.map((asset) => [asset.uuid, asset.uses]));
+  const lookup = (uuid) => (uuid ? (byUuid.get(uuid) ?? { uuid }) : null);
+
+  // Open slots the optimizer may fill; fixed assignments are left alone
+  const slots = [];
+  const state = entries.map((entry, index) =>
+    entry.slots.map((slot, key) => {
+      if (!slot.uuid) slots.push({ index, key });
+      return slot.uuid || null;
+    }),
+  );
+  const scoreAt = (index, slotState = state[index]) =>
+    scoreEntry(
+      entries[index],
+      lookup(slotState[0]),
+      slotState.slice(1).filter(Boolean).map(lookup),
+    ).score;
+  const fits = (asset, { index, key }) => {
+    const type = entries[index].slots[key].type;
+    return !(key === 0 && asset.isResource) && (!type || type === asset.type);
+  };
+  const canFill = (asset, slot) =>
+    fits(asset, slot) && !state[slot.index].includes(asset.uuid);
+  const gainOf = (slot, assetUuid) => {
+    const next = [...state[slot.index]];
+    next[slot.key] = assetUuid;
+    return scoreAt(slot.index, next) - scoreAt(slot.index);
+  };
+
+  // Greedy fill
+  for (;;) {
+    let best = null;
+    for (const slot of slots) {
+      if (state[slot.index][slot.key]) continue;
+      for (const asset of assets) {
+        if (!uses.get(asset.uuid)) continue;
+        if (!canFill(asset, slot)) continue;
+        const gain = gainOf(slot, asset.uuid);
+        if (gain > (best?.gain ?? 0)) best = { slot, asset, gain };
+      }
+    }
+    if (!best) break;
+    state[best.slot.index][best.slot.key] = best.asset.uuid;
+    uses.set(best.asset.uuid, uses.get(best.asset.uuid) - 1);
+  }
+
+  // Improve: replace an assigned asset with a spare one, or swap two
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+    for (const slot of slots) {
+      const current = state[slot.index][slot.key];
+      for (const asset of assets) {
+        if (asset.uuid === current || !uses.get(asset.uuid)) continue;
+        if (!canFill(asset, slot)) continue;
+        if (gainOf(slot, asset.uuid) <= 1e-9) continue;
+        state[slot.index][slot.key] = asset.uuid;
+        uses.set(asset.uuid, uses.get(asset.uuid) - 1);
+        if (current) uses.set(current, uses.get(current) + 1);
+        improved = true;
+        break;
+      }
+    }
+    for (const a of slots) {
+      for (const b of slots) {
+        if (a === b) continue;
+        const uuidA = state[a.index][a.key];
+        const uuidB = state[b.index][b.key];
+        if (!uuidA || !uuidB || uuidA === uuidB) continue;
+        const assetA = byUuid.get(uuidA);
+        const assetB = byUuid.get(uuidB);
+        const before =
+          a.index === b.index
+            ? scoreAt(a.index)
+            : scoreAt(a.index) + scoreAt(b.index);
+        state[a.index][a.key] = uuidB;
+        state[b.index][b.key] = uuidA;
+        const unique = (index) =>
+          new Set(state[index].filter(Boolean)).size ===
+          state[index].filter(Boolean).length;
+        const valid =
+          fits(assetB, a) &&
+          fits(assetA, b) &&
+          unique(a.index) &&
+          unique(b.index);
+        const after =
+          a.index === b.index
+            ? scoreAt(a.index)
+            : scoreAt(a.index) + scoreAt(b.index);
+        if (valid && after > before + 1e-9) {
+          improved = true;
+        } else {
+          state[a.index][a.key] = uuidA;
+          state[b.index][b.key] = uuidB;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return entries.map((entry, index) => ({
+    id: entry.id,
+    slots: state[index],
+    ...scoreEntry(
+      entry,
+      lookup(state[index][0]),
+      state[index].slice(1).filter(Boolean).map(lookup),
+    ),
+  }));
+}
@@ -0,0 +1,62 @@
+/**
+ * Public hooks fired during a campaign turn, for other modules to react to
+ * campaign events without diffing tracker updates.
+ *
+ * Every hook receives a single payload object. Pre-hooks are fired with
+ * Hooks.call: a handler returning false vetoes the action and nothing is
+ * written. All other hooks are fired with Hooks.callAll after the change has
+ * been stored.
+ *
+ *   staTC.preStartTurn      { tracker, turn, userId }
+ *   staTC.startTurn         { tracker, turn, userId }
+ *   staTC.phaseChanged      { tracker, phase, step, previousPhase, previousStep }
+ *   staTC.conflictFinalized { tracker, entry, poi, assets, result, momentum }
+ *   staTC.poiResolved       { tracker, entry, poi, poiUuid }
+ *   staTC.threatIntensified { tracker, entry, poi, poiUuid, urgency, difficulty }
+ *   staTC.assetLost         { tracker, entry, poi, asset, roll, result }
+ *   staTC.preEndTurn        { tracker, turn, plan }
+ *   staTC.endTurn           { tracker, turn, history }
+ *
+ * `entry` is the tracker's POI entry. When End Turn resolves or intensifies a
+ * POI it is the POI's record in the archived turn history instead, and `poi`
+ * is null if End Turn deleted the actor. `assets` lists the assigned asset
+ * actors; `asset` is the asset that was lost. An asset lost from its own
+ * sheet has no `entry` or `poi`.
+ *
+ * Example:
+ *   Hooks.on("staTC.preEndTurn", ({ tracker }) => {
+ *     if (!tracker.system.turnNotes) return false; // demand turn notes
+ *   });
+ */
+
+/** Hook names, keyed by event. */
+export const CAMPAIGN_HOOKS = {
+  preStartTurn: "staTC.preStartTurn",
+  startTurn: "staTC.startTurn",
+  phaseChanged: "staTC.phaseChanged",
+  conflictFinalized: "staTC.conflictFinalized",
+  poiResolved: "staTC.poiResolved",
+  threatIntensified: "staTC.threatIntensified",
+  assetLost: "staTC.assetLost",
+  preEndTurn: "staTC.preEndTurn",
+  endTurn: "staTC.endTurn",
+};
+
+/**
+ * Fire a pre-hook.
+ * @param {string} event - A key of CAMPAIGN_HOOKS.
+ * @param {object} payload
+ * @returns {boolean} False if a handler vetoed the action.
+ */
+export function callPreHook(event, payload) {
+  return Hooks.call(CAMPAIGN_HOOKS[event], payload) !== false;
+}
+
+/**
+ * Fire a hook announcing a change that has been stored.
+ * @param {string} event - A key of CAMPAIGN_HOOKS.
+ * @param {object} payload
+ */
+export function callHook(event, payload) {
+  Hooks.callAll(CAMPAIGN_HOOKS[event], payload);
+}
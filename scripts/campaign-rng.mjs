@@ -0,0 +1,140 @@
+/**
+ * Campaign RNG — the one source of randomness for every random step of a
+ * campaign: POI and asset generation, event, escalation and progression
+ * draws, conflict and loss dice, and random picks such as commandeering.
+ *
+ * A tracker without a campaign seed rolls Foundry's own dice. With a seed
+ * (system.campaignSeed), every draw is a pure function of the seed, the
+ * campaign turn and a cursor counting the draws made so far this turn, so
+ * the n-th draw of a turn is always the same number. The cursor is stored on
+ * the tracker (system.rngCursor), reset when a turn starts and recorded in
+ * the turn history with the seed: starting a turn from the same state with
+ * the same seed and making the same choices replays it exactly.
+ *
+ * Dice are still rolled with Foundry's Roll class, so they show in chat as
+ * usual: the seeded stream stands in for CONFIG.Dice.randomUniform while the
+ * roll is evaluated synchronously.
+ *
+ * Users who cannot update the tracker (players) always roll unseeded.
+ * Draws are meant to be awaited one after the other; concurrent draws on one
+ * tracker may read the same cursor.
+ */
+
+/**
+ * Whether draws for this tracker come from its seeded stream.
+ * @param {Actor|null} tracker
+ * @returns {boolean}
+ */
+export function isSeeded(tracker) {
+  return !!tracker?.system?.campaignSeed && !!tracker.isOwner;
+}
+
+/**
+ * A uniform random number in [0, 1).
+ * @param {Actor|null} tracker
+ * @returns {Promise<number>}
+ */
+export async function randomUniform(tracker) {
+  if (!isSeeded(tracker)) return CONFIG.Dice.randomUniform();
+  return _withStream(tracker, (next) => next());
+}
+
+/**
+ * A random item of a list.
+ * @param {Actor|null} tracker
+ * @param {Array} items
+ * @returns {Promise<*>} undefined for an empty list.
+ */
+export async function randomPick(tracker, items) {
+  if (!items.length) return undefined;
+  return items[Math.floor((await randomUniform(tracker)) * items.length)];
+}
+
+/**
+ * Evaluate a dice formula.
+ * @param {Actor|null} tracker
+ * @param {string} formula
+ * @returns {Promise<Roll>}
+ */
+export async function rollDice(tracker, formula) {
+  const roll = new Roll(formula);
+  if (!isSeeded(tracker)) return roll.evaluate();
+  return _withStream(tracker, (next) => {
+    const randomUniform = CONFIG.Dice.randomUniform;
+    CONFIG.Dice.randomUniform = next;
+    try {
+      // Strict mode refuses dice terms, which it treats as non-deterministic
+      return roll.evaluateSync({ strict: false });
+    } finally {
+      CONFIG.Dice.randomUniform = randomUniform;
+    }
+  });
+}
+
+/**
+ * Roll on a roll table like RollTable#roll, following results that point to
+ * another table.
+ * @param {Actor|null} tracker
+ * @param {RollTable} table
+ * @returns {Promise<{roll: Roll, results: TableResult[]}>}
+ */
+export async function rollTable(tracker, table) {
+  if (!isSeeded(tracker)) return table.roll();
+  const roll = await rollDice(tracker, table.formula);
+  const results = [];
+  for (const result of table.getResultsForRoll(roll.total)) {
+    const inner =
+      result.type === CONST.TABLE_RESULT_TYPES.DOCUMENT && result.documentUuid
+        ? await fromUuid(result.documentUuid)
+        : null;
+    if (inner instanceof RollTable)
+      results.push(...(await rollTable(tracker, inner)).results);
+    else results.push(result);
+  }
+  return { roll, results };
+}
+
+/**
+ * Draw from the tracker's stream, then store the advanced cursor.
+ * @param {Actor} tracker
+ * @param {function(function(): number): *} draw - Receives the stream's next()
+ *   and must use it synchronously.
+ * @returns {Promise<*>} What draw returns.
+ */
+async function _withStream(tracker, draw) {
+  const { campaignSeed, campaignTurnNumber, rngCursor } = tracker.system;
+  const stream = _hashString(`${campaignSeed}:${campaignTurnNumber || 0}`);
+  let cursor = rngCursor || 0;
+  const result = draw(() => _uniformAt(stream, cursor++));
+  await tracker.update({ "system.rngCursor": cursor }, { render: false });
+  return result;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} text
+ * @returns {number}
+ */
+function _hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * The draw at a position of a stream, uniform in [0, 1) (splitmix32 of the
+ * stream and cursor).
+ * @param {number} stream
+ * @param {number} cursor
+ * @returns {number}
+ */
+function _uniformAt(stream, cursor) {
+  let z = (stream + Math.imul(cursor + 1, 0x9e3779b9)) | 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  z ^= z >>> 16;
+  return (z >>> 0) / 4294967296;
+}
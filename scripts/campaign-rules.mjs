@@ -0,0 +1,145 @@
+/**
+ * Campaign rules — every threshold the campaign turn reads, kept in the
+ * "campaignRules" world setting so a table can run house rules without
+ * forking the module.
+ *
+ * The setting stores the name of the preset it was based on ("custom" once
+ * edited) alongside the rule values. getCampaignRules() always returns a
+ * complete, clamped rules object, falling back to the official values for
+ * anything missing.
+ */
+
+const MODULE_ID = "sta-tactical-campaign";
+
+/**
+ * Editable numeric rules, in editor order. `stepCounts.N` entries may only
+ * drop trailing wizard steps, never add steps the wizard has no screen for.
+ * `veterancy.N` is the number of successful missions an asset needs to reach
+ * veterancy rank N.
+ */
+export const RULE_FIELDS = [
+  { key: "catastropheUrgency", min: 1, max: 10 },
+  { key: "catastrophePaceIncrease", min: 0, max: 5 },
+  { key: "catastropheExtraPois", min: 0, max: 5 },
+  { key: "catastropheAdjacentUrgency", min: 0, max: 3 },
+  { key: "urgencyCap", min: 1, max: 10 },
+  { key: "difficultyCap", min: 1, max: 10 },
+  { key: "explorationMissesToRemove", min: 1, max: 10 },
+  { key: "explorationProgression", min: 0, max: 10 },
+  { key: "progressionRollCost", min: 1, max: 20 },
+  { key: "threatPerDifficulty", min: 0, max: 10 },
+  { key: "stepCounts.1", min: 2, max: 3 },
+  { key: "stepCounts.2", min: 1, max: 3 },
+  { key: "stepCounts.3", min: 2, max: 4 },
+  { key: "veterancy.1", min: 1, max: 50 },
+  { key: "veterancy.2", min: 1, max: 50 },
+  { key: "veterancy.3", min: 1, max: 50 },
+];
+
+/** Named rule sets offered by the rules editor. */
+export const RULE_PRESETS = {
+  official: {
+    label: "STA_TC.Rules.Presets.Official",
+    rules: {
+      catastropheUrgency: 3,
+      catastrophePaceIncrease: 1,
+      catastropheExtraPois: 1,
+      catastropheAdjacentUrgency: 0,
+      urgencyCap: 5,
+      difficultyCap: 5,
+      explorationMissesToRemove: 2,
+      explorationProgression: 3,
+      progressionRollCost: 5,
+      threatPerDifficulty: 2,
+      stepCounts: { 1: 3, 2: 3, 3: 4 },
+      veterancy: { 1: 3, 2: 6, 3: 10 },
+    },
+  },
+  relaxed: {
+    label: "STA_TC.Rules.Presets.Relaxed",
+    rules: {
+      catastropheUrgency: 4,
+      catastrophePaceIncrease: 1,
+      catastropheExtraPois: 1,
+      catastropheAdjacentUrgency: 0,
+      urgencyCap: 5,
+      difficultyCap: 5,
+      explorationMissesToRemove: 3,
+      explorationProgression: 3,
+      progressionRollCost: 4,
+      threatPerDifficulty: 1,
+      stepCounts: { 1: 3, 2: 3, 3: 4 },
+      veterancy: { 1: 2, 2: 5, 3: 8 },
+    },
+  },
+  gritty: {
+    label: "STA_TC.Rules.Presets.Gritty",
+    rules: {
+      catastropheUrgency: 3,
+      catastrophePaceIncrease: 2,
+      catastropheExtraPois: 2,
+      catastropheAdjacentUrgency: 2,
+      urgencyCap: 5,
+      difficultyCap: 5,
+      explorationMissesToRemove: 1,
+      explorationProgression: 2,
+      progressionRollCost: 6,
+      threatPerDifficulty: 3,
+      stepCounts: { 1: 3, 2: 3, 3: 4 },
+      veterancy: { 1: 4, 2: 8, 3: 12 },
+    },
+  },
+};
+
+/** The official rules, used for any value the setting does not provide. */
+export const DEFAULT_RULES = RULE_PRESETS.official.rules;
+
+/**
+ * Fill in missing values from the official rules and clamp every value to
+ * its RULE_FIELDS range.
+ * @param {object} [rules]
+ * @returns {object}
+ */
+export function sanitizeCampaignRules(rules = {}) {
+  const sanitized = foundry.utils.mergeObject(
+    foundry.utils.deepClone(DEFAULT_RULES),
+    foundry.utils.deepClone(rules),
+    { insertKeys: false },
+  );
+  for (const { key, min, max } of RULE_FIELDS) {
+    const value = Math.round(Number(foundry.utils.getProperty(sanitized, key)));
+    const fallback = foundry.utils.getProperty(DEFAULT_RULES, key);
+    foundry.utils.setProperty(
+      sanitized,
+      key,
+      Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback,
+    );
+  }
+  return sanitized;
+}
+
+/**
+ * The rules currently in force for this world.
+ * @returns {object}
+ */
+export function getCampaignRules() {
+  let stored = {};
+  try {
+    stored = game.settings.get(MODULE_ID, "campaignRules") ?? {};
+  } catch {
+    stored = {};
+  }
+  return sanitizeCampaignRules(stored.rules);
+}
+
+/**
+ * Name of the preset the stored rules came from, or "custom".
+ * @returns {string}
+ */
+export function getCampaignRulesPreset() {
+  try {
+    return game.settings.get(MODULE_ID, "campaignRules")?.preset || "official";
+  } catch {
+    return "official";
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Campaign socket — relays turn operations a player may trigger but cannot
+ * write themselves to the active GM's client.
+ *
+ * Players rarely own the campaign tracker, so a player who owns an asset
+ * assigned to a POI cannot store that POI's conflict roll. Instead the
+ * player's client sends a request over the module socket; the active GM's
+ * client checks that the requesting user owns the primary or an assisting asset
+ * and runs the roll through CampaignTurnEngine (dice, chat card and tracker
+ * update). The outcome is sent back to the requesting user.
+ *
+ * Owners of the tracker (including every GM) skip the socket and run the
+ * engine directly. While a GM holds the turn lock (see turn-lock.mjs) the
+ * requests go to that GM instead of the active GM, so their writes never race
+ * the lock holder's.
+ *
+ * Other modules of this package can register handlers for their own
+ * broadcast message types with registerSocketHandler().
+ */
+
+import { CampaignTurnEngine, POI_LIST_KEYS } from "./campaign-turn-engine.mjs";
+import { acquireTurnLock, getTurnLockHolder } from "./turn-lock.mjs";
+import { getEntryAssetUuids } from "./utils.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+/** Seconds to wait for the GM's reply before giving up on a request. */
+const REQUEST_TIMEOUT = 30;
+
+/** Pending requests sent by this client, keyed by request id. */
+const _pending = new Map();
+
+/** Broadcast message handlers, keyed by message type. */
+const _messageHandlers = new Map();
+
+/**
+ * Start listening on the module socket. Called once from the ready hook.
+ */
+export function registerCampaignSocket() {
+  game.socket.on(SOCKET_NAME, (message) => _onSocketMessage(message));
+}
+
+/**
+ * Handle a broadcast message type on every client.
+ * @param {string} type
+ * @param {function(object): void} handler - Receives the message data.
+ */
+export function registerSocketHandler(type, handler) {
+  _messageHandlers.set(type, handler);
+}
+
+/**
+ * Broadcast a message to every other client.
+ * @param {string} type
+ * @param {object} data
+ */
+export function emitSocketMessage(type, data) {
+  game.socket.emit(SOCKET_NAME, { type, data });
+}
+
+/**
+ * Roll a POI's conflict, locally when this user can update the tracker and
+ * through the active GM otherwise.
+ * @param {Actor} tracker
+ * @param {string} poiUuid
+ * @param {object} options - Roll options, see CampaignTurnEngine#rollConflict.
+ * @returns {Promise<{totalSuccesses: number, hadNat20: boolean}|null>}
+ */
+export async function requestConflictRoll(tracker, poiUuid, options = {}) {
+  if (tracker.isOwner) {
+    if (!(await acquireTurnLock(tracker))) return null;
+    return new CampaignTurnEngine(tracker).rollConflict(poiUuid, options);
+  }
+
+  const error = getConflictRollError(tracker, poiUuid, game.user);
+  if (error) {
+    ui.notifications.warn(error);
+    return null;
+  }
+  if (!game.users.activeGM) {
+    ui.notifications.warn(game.i18n.localize("STA_TC.Socket.NoActiveGM"));
+    return null;
+  }
+  return _sendRequest("rollConflict", {
+    trackerUuid: tracker.uuid,
+    poiUuid,
+    options,
+  });
+}
+
+/**
+ * Why a user may not roll a POI's conflict, or null if they may: the turn
+ * must be in Phase 2, the conflict unresolved, and the user must own the
+ * primary or an assisting asset.
+ * @param {Actor} tracker
+ * @param {string} poiUuid
+ * @param {User} user
+ * @returns {string|null} A localized reason.
+ */
+export function getConflictRollError(tracker, poiUuid, user) {
+  const found = new CampaignTurnEngine(tracker).findEntry(poiUuid);
+  if (tracker.system.turnPhase !== "2" || !found)
+    return game.i18n.localize("STA_TC.Socket.NotInConflictPhase");
+  if (found.entry.conflictResult)
+    return game.i18n.localize("STA_TC.Socket.ConflictResolved");
+  const ownsAsset = getEntryAssetUuids(found.entry).some((uuid) =>
+    fromUuidSync(uuid)?.testUserPermission(
+      user,
+      CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER,
+    ),
+  );
+  if (!ownsAsset) return game.i18n.localize("STA_TC.Socket.NotAssetOwner");
+  return null;
+}
+
+/**
+ * Unresolved Phase 2 conflicts an asset is assigned to, across all campaign
+ * trackers. Used to offer the roll on the asset's own sheet.
+ * @param {Actor} asset
+ * @returns {{tracker: Actor, poiUuid: string, poiName: string}[]}
+ */
+export function getPendingConflicts(asset) {
+  const conflicts = [];
+  const trackers = game.actors.filter(
+    (actor) =>
+      actor.type === `${MODULE_ID}.campaignTracker` &&
+      actor.system.turnPhase === "2",
+  );
+  for (const tracker of trackers) {
+    for (const listKey of POI_LIST_KEYS) {
+      for (const entry of tracker.system[listKey] || []) {
+        if (entry.conflictResult) continue;
+        if (!getEntryAssetUuids(entry).includes(asset.uuid)) continue;
+        const poi = fromUuidSync(entry.actorUuid);
+        conflicts.push({
+          tracker,
+          poiUuid: entry.actorUuid,
+          poiName: poi?.name || "?",
+        });
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Send a request to the active GM and wait for the reply.
+ * @param {string} action
+ * @param {object} data
+ * @returns {Promise<*>} The GM's result, or null on error or timeout.
+ */
+function _sendRequest(action, data) {
+  const requestId = foundry.utils.randomID();
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      _pending.delete(requestId);
+      ui.notifications.warn(game.i18n.localize("STA_TC.Socket.NoResponse"));
+      resolve(null);
+    }, REQUEST_TIMEOUT * 1000);
+    _pending.set(requestId, { resolve, timeout });
+    game.socket.emit(SOCKET_NAME, {
+      type: "request",
+      action,
+      requestId,
+      userId: game.user.id,
+      data,
+    });
+  });
+}
+
+async function _onSocketMessage(message) {
+  const messageHandler = _messageHandlers.get(message?.type);
+  if (messageHandler) return messageHandler(message.data ?? {});
+  if (message?.type === "response") {
+    if (message.userId !== game.user.id) return;
+    const pending = _pending.get(message.requestId);
+    if (!pending) return;
+    _pending.delete(message.requestId);
+    clearTimeout(pending.timeout);
+    if (message.error) ui.notifications.warn(message.error);
+    pending.resolve(message.error ? null : message.result);
+    return;
+  }
+  if (message?.type !== "request" || !_isRequestHandler(message)) return;
+
+  const handler = REQUEST_HANDLERS[message.action];
+  let result = null;
+  let error = null;
+  try {
+    const user = game.users.get(message.userId);
+    if (!handler || !user) throw new Error(`Invalid request ${message.action}`);
+    ({ result = null, error = null } = await handler(user, message.data));
+  } catch (err) {
+    console.error(`${MODULE_ID} | Socket request failed`, err);
+    error = game.i18n.localize("STA_TC.Socket.RequestFailed");
+  }
+  game.socket.emit(SOCKET_NAME, {
+    type: "response",
+    requestId: message.requestId,
+    userId: message.userId,
+    result,
+    error,
+  });
+}
+
+/**
+ * Whether this client answers a request: the holder of the tracker's turn
+ * lock, or the active GM when nobody holds it.
+ * @param {object} message
+ * @returns {boolean}
+ */
+function _isRequestHandler(message) {
+  const trackerUuid = message.data?.trackerUuid;
+  const tracker = trackerUuid ? fromUuidSync(trackerUuid) : null;
+  const handler =
+    (tracker && getTurnLockHolder(tracker)) ?? game.users.activeGM;
+  return !!handler?.isSelf;
+}
+
+/** GM-side handlers, each returning { result } or { error }. */
+const REQUEST_HANDLERS = {
+  async rollConflict(user, { trackerUuid, poiUuid, options = {} }) {
+    const tracker = await fromUuid(trackerUuid);
+    if (tracker?.type !== `${MODULE_ID}.campaignTracker`)
+      return { error: game.i18n.localize("STA_TC.Socket.RequestFailed") };
+    const error = getConflictRollError(tracker, poiUuid, user);
+    if (error) return { error };
+    const result = await new CampaignTurnEngine(tracker).rollConflict(poiUuid, {
+      diceCount: Math.clamp(Number(options.diceCount) || 2, 1, 5),
+      usingFocus: !!options.usingFocus,
+      usingDedicatedFocus: !!options.usingDedicatedFocus,
+      usingDetermination: !!options.usingDetermination,
+      complicationRange: Math.clamp(
+        Number(options.complicationRange) || 1,
+        1,
+        5,
+      ),
+      assistFocus: !!options.assistFocus,
+      selectedPower: options.selectedPower ?? null,
+    });
+    return { result };
+  },
+};
@@ -0,0 +1,3702 @@
+/**
+ * CampaignTurnEngine — headless service that runs a campaign turn.
+ *
+ * Wraps a Campaign Tracker actor and exposes every turn operation (phase
+ * navigation, event and conflict rolls, Phase 3 outcomes, progression and
+ * End Turn) as a plain async method. Decisions the tracker sheet collects
+ * through dialogs are explicit parameters here, so macros, other modules and
+ * tests can drive a full turn without rendering the sheet.
+ *
+ * Validation failures surface the same way the sheet always has (a UI
+ * notification) and the method returns null/false without writing anything.
+ *
+ * Usage:
+ *   const engine = new CampaignTurnEngine(tracker);
+ *   await engine.startTurn();
+ *   await engine.setConflictResult(poiUuid, "success", { complication: false });
+ *   await engine.endTurn({ deleteResolvedPois: true });
+ *
+ * The turn flow fires the public staTC.* hooks documented in
+ * campaign-hooks.mjs; startTurn() and endTurn() can be vetoed by their
+ * pre-hooks.
+ */
+
+import { PoiGenerator } from "./poi-generator.mjs";
+import { EventEffectResolver } from "./apps/event-effect-resolver.mjs";
+import { RollTableManagerService } from "./apps/roll-table-manager-service.mjs";
+import {
+  expireCampaignTurnEffects,
+  getExpiringCampaignTurnEffects,
+  replaceAssetStatusEffect,
+} from "./active-effect-service.mjs";
+import { TrackerNotifier } from "./apps/tracker-notifier.mjs";
+import { getCampaignRules } from "./campaign-rules.mjs";
+import { getBusyAssets } from "./theatre-service.mjs";
+import { callHook, callPreHook } from "./campaign-hooks.mjs";
+import { optimizeAssignments } from "./assignment-optimizer.mjs";
+import { randomPick, rollDice, rollTable } from "./campaign-rng.mjs";
+import { LossResolver } from "./loss-resolver.mjs";
+import {
+  FOLLOW_UP_TRIGGERS,
+  describeFollowUp,
+  getFollowUpTrigger,
+  getFollowUps,
+  resolveFollowUp,
+} from "./poi-chains.mjs";
+import { getAdjacentSectors, pickSector } from "./sector-map.mjs";
+import {
+  recordConflict,
+  recordLoss,
+  recordService,
+} from "./service-record.mjs";
+import { getTraitBonuses } from "./trait-rules.mjs";
+import {
+  MISSION_RESULTS,
+  VETERANCY_RANKS,
+  getVeterancyRank,
+} from "./veterancy.mjs";
+import {
+  ASSET_TYPE_LABELS,
+  CONFLICT_RESULT_LABELS,
+  getEntryAssetUuids,
+  getPoiSlots,
+  setEntrySlot,
+} from "./utils.mjs";
+import {
+  addSpawnedPoiToSnapshot,
+  captureTurnSnapshot,
+  clearTurnSnapshot,
+  hasTurnSnapshot,
+  restoreTurnSnapshot,
+} from "./turn-snapshot.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+
+/** Ordered list of top-level wizard phases. */
+export const PHASES = ["1", "2", "3"];
+
+/** End Turn stages, in the order endTurn() applies them. */
+export const END_TURN_STAGES = [
+  "unavailableEffects",
+  "lists",
+  "deleteResolvedPois",
+  "poiUpdates",
+  "followUps",
+  "expireEffects",
+  "veterancy",
+  "serviceRecords",
+  "finalUpdates",
+  "history",
+  "chat",
+  "clearTurnState",
+  "carryOver",
+  "notifications",
+];
+
+/** Tracker flag holding the journal of an End Turn in progress. */
+const END_TURN_JOURNAL_FLAG = "endTurnJournal";
+
+/** Tracker list keys holding POI entries, in display order. */
+export const POI_LIST_KEYS = [
+  "poiListThreat",
+  "poiListExploration",
+  "poiListRoutine",
+  "poiListUnknown",
+];
+
+export class CampaignTurnEngine {
+  /**
+   * @param {Actor} tracker - A campaign tracker actor.
+   */
+  constructor(tracker) {
+    /** @type {Actor} */
+    this.tracker = tracker;
+  }
+
+  /**
+   * Map a POI actor's poiType to the tracker list that holds it.
+   * @param {Actor} actor
+   * @param {string} fallback - List key to use when the type is unrecognised.
+   * @returns {string}
+   */
+  static poiTypeToListKey(actor, fallback) {
+    return (
+      {
+        tacticalThreat: "poiListThreat",
+        exploration: "poiListExploration",
+        routine: "poiListRoutine",
+        unknown: "poiListUnknown",
+      }[actor.system?.poiType] || fallback
+    );
+  }
+
+  /**
+   * The extended task settings of a POI, or null when its conflict is a
+   * single roll.
+   * @param {Actor|null} poi
+   * @returns {{work: number, magnitude: number, resistance: number,
+   *   roundCost: string}|null}
+   */
+  static getExtendedTask(poi) {
+    const system = poi?.system;
+    if (!system?.extendedTask) return null;
+    return {
+      work: system.work || 1,
+      magnitude: system.magnitude || 1,
+      resistance: system.resistance || 0,
+      roundCost: system.roundCost || "threat",
+    };
+  }
+
+  // ==========================================================================
+  // Entry Helpers
+  // ==========================================================================
+
+  /**
+   * Locate a POI entry on the tracker by its actor UUID.
+   * @param {string} poiUuid
+   * @returns {{listKey: string, index: number, entry: object}|null}
+   */
+  findEntry(poiUuid) {
+    for (const listKey of POI_LIST_KEYS) {
+      const entries = this.tracker.system[listKey] || [];
+      const index = entries.findIndex((e) => e.actorUuid === poiUuid);
+      if (index !== -1) return { listKey, index, entry: entries[index] };
+    }
+    return null;
+  }
+
+  /**
+   * Clone the list holding a POI entry, let the caller mutate the entry and
+   * write the list back in one update.
+   * @param {string} poiUuid
+   * @param {(entry: object, entries: object[]) => (object|void)} mutate -
+   *   May return extra tracker update keys to include in the same write.
+   * @returns {Promise<boolean>} false when the entry was not found.
+   */
+  async updateEntry(poiUuid, mutate) {
+    const found = this.findEntry(poiUuid);
+    if (!found) return false;
+    const entries = foundry.utils.deepClone(
+      this.tracker.system[found.listKey] || [],
+    );
+    const extra = (await mutate(entries[found.index], entries)) || {};
+    await this.tracker.update({
+      ...extra,
+      [`system.${found.listKey}`]: entries,
+    });
+    return true;
+  }
+
+  /**
+   * The asset actors assigned to a POI entry, primary first.
+   * @param {object} entry
+   * @returns {Promise<Actor[]>}
+   */
+  async getEntryAssets(entry) {
+    const assets = [];
+    for (const uuid of getEntryAssetUuids(entry)) {
+      const asset = await fromUuid(uuid);
+      if (asset) assets.push(asset);
+    }
+    return assets;
+  }
+
+  /** @returns {object[]} Every POI entry across all four lists. */
+  getAllEntries() {
+    return POI_LIST_KEYS.flatMap((k) => this.tracker.system[k] || []);
+  }
+
+  /**
+   * Whether an entry counts as resolved for End Turn purposes: a (flawed)
+   * success, or the POI the players chose as this turn's scenario.
+   * @param {object} entry
+   * @returns {boolean}
+   */
+  isResolved(entry) {
+    const scenarioPoi = this.tracker.system.scenarioPoi || "";
+    return (
+      entry.conflictResult === "success" ||
+      entry.conflictResult === "flawedSuccess" ||
+      (!!scenarioPoi && entry.actorUuid === scenarioPoi)
+    );
+  }
+
+  /** @param {string} uuid */
+  isAssetAssignedToAnyPoi(uuid) {
+    return this.getAllEntries().some((e) =>
+      getEntryAssetUuids(e).includes(uuid),
+    );
+  }
+
+  /** Count how many POI slots a (resource) asset UUID currently occupies. */
+  countResourceAssignments(uuid) {
+    let count = 0;
+    for (const entry of this.getAllEntries()) {
+      if (getEntryAssetUuids(entry).includes(uuid)) count++;
+    }
+    return count;
+  }
+
+  // ==========================================================================
+  // Folders
+  // ==========================================================================
+
+  /**
+   * Find or create a world Actor folder whose name matches this tracker.
+   * @returns {Promise<Folder>}
+   */
+  async getOrCreateTrackerFolder() {
+    const name = this.tracker.name;
+    const existing = game.folders.find(
+      (f) => f.type === "Actor" && f.name === name,
+    );
+    if (existing) return existing;
+    return Folder.create({ name, type: "Actor", color: "#003399" });
+  }
+
+  /**
+   * If the actor originates from a compendium, import a world copy and place
+   * it in this tracker's folder.  Returns the actor unchanged when it is
+   * already a world document.
+   * @param {Actor} actor
+   * @returns {Promise<Actor|null>}
+   */
+  async importActorIfNeeded(actor) {
+    if (!actor?.pack) return actor;
+    const folder = await this.getOrCreateTrackerFolder();
+    const data = actor.toObject();
+    if (folder) data.folder = folder.id;
+    return Actor.create(data);
+  }
+
+  async _getOrCreateSubfolder(parentFolder, subfolderName) {
+    const existing = game.folders.find(
+      (f) =>
+        f.type === "Actor" &&
+        f.name === subfolderName &&
+        f.folder?.id === parentFolder.id,
+    );
+    if (existing) return existing;
+    return Folder.create({
+      name: subfolderName,
+      type: "Actor",
+      folder: parentFolder.id,
+    });
+  }
+
+  async getOrCreateAssetFolder(assetType) {
+    const tracker = await this.getOrCreateTrackerFolder();
+    const typeNameMap = {
+      character: game.i18n.localize("STA_TC.Folders.Characters"),
+      ship: game.i18n.localize("STA_TC.Folders.Ships"),
+      resource: game.i18n.localize("STA_TC.Folders.Resources"),
+    };
+    const assetsFolder = await this._getOrCreateSubfolder(
+      tracker,
+      game.i18n.localize("STA_TC.Folders.Assets"),
+    );
+    return this._getOrCreateSubfolder(
+      assetsFolder,
+      typeNameMap[assetType] || typeNameMap.resource,
+    );
+  }
+
+  async getOrCreatePoiFolder(poiType) {
+    const tracker = await this.getOrCreateTrackerFolder();
+    const typeNameMap = {
+      tacticalThreat: game.i18n.localize("STA_TC.Folders.TacticalThreats"),
+      exploration: game.i18n.localize("STA_TC.Folders.Exploration"),
+      routine: game.i18n.localize("STA_TC.Folders.Routine"),
+      unknown: game.i18n.localize("STA_TC.Folders.Unknown"),
+    };
+    const poisFolder = await this._getOrCreateSubfolder(
+      tracker,
+      game.i18n.localize("STA_TC.Folders.PointsOfInterest"),
+    );
+    return this._getOrCreateSubfolder(
+      poisFolder,
+      typeNameMap[poiType] || typeNameMap.unknown,
+    );
+  }
+
+  // ==========================================================================
+  // Turn Lifecycle
+  // ==========================================================================
+
+  /**
+   * Start a new campaign turn. Does nothing and returns false if a turn is
+   * already in progress — use claimTurn() to take over someone else's turn.
+   * @param {object} [options]
+   * @param {string} [options.userId] - The user running the turn.
+   * @returns {Promise<boolean>} False if a turn is running or a
+   *   staTC.preStartTurn handler vetoed it.
+   */
+  async startTurn({ userId = game.user.id } = {}) {
+    if (this.tracker.system.turnPhase || this.getEndTurnJournal()) return false;
+    const hookData = {
+      tracker: this.tracker,
+      turn: this.tracker.system.campaignTurnNumber || 0,
+      userId,
+    };
+    if (!callPreHook("preStartTurn", hookData)) return false;
+    // A new turn makes the previous End Turn final
+    await clearTurnSnapshot(this.tracker);
+    // Apply any supply bonus from the previous turn's progression results
+    const supplyBonus = this.tracker.system.nextTurnSupplyBonus || 0;
+    const currentSupply = this.tracker.system.prioritySupply || 0;
+
+    await this.tracker.update({
+      "system.turnPhase": "1",
+      "system.turnUserId": userId,
+      "system.scenarioPoi": "",
+      // Follow-up POIs spawned by the last End Turn open the new turn's list
+      "system.turnGeneratedPois": [
+        ...(this.tracker.system.nextTurnGeneratedPois || []),
+      ],
+      "system.nextTurnGeneratedPois": [],
+      "system.turnCatastrophePois": [],
+      "system.turnResolvedEntries": [],
+      "system.turnThreatIncrease": 0,
+      "system.turnRoleplayBonus": 0,
+      "system.turnMomentumSpent": 0,
+      "system.turnReinforcementsReceived": 0,
+      "system.turnStep": 1,
+      "system.turnFlexibleDeployments": false,
+      "system.turnProgressionConfirmed": false,
+      // Every turn draws from its seeded stream from the start
+      "system.rngCursor": 0,
+      // Apply and clear the deferred supply bonus
+      ...(supplyBonus > 0 && {
+        "system.prioritySupply": currentSupply + supplyBonus,
+        "system.nextTurnSupplyBonus": 0,
+      }),
+      // turnExtraTacticalPoisNextTurn and turnExtraUnknownPoisNextTurn are
+      // intentionally NOT reset here — they carry over from endTurn so
+      // Phase 1 Step 1 knows the correct POI generation target.
+      // Free any commandeered assets from the previous turn
+      "system.commandeeredAssets": [],
+    });
+    if (supplyBonus > 0) {
+      await TrackerNotifier.emit({
+        tracker: this.tracker,
+        event: "supplyBonusApplied",
+        message: game.i18n.format("STA_TC.Notify.SupplyBonusApplied", {
+          amount: supplyBonus,
+          total: currentSupply + supplyBonus,
+        }),
+      });
+    }
+    callHook("startTurn", hookData);
+    return true;
+  }
+
+  /**
+   * Take over the running turn on behalf of another user.
+   * @param {string} [userId]
+   */
+  async claimTurn(userId = game.user.id) {
+    if (!this.tracker.system.turnPhase) return;
+    await this.tracker.update({ "system.turnUserId": userId });
+  }
+
+  /** Abandon the current turn without applying any End Turn consequences. */
+  async cancelTurn() {
+    await this.clearTurnState();
+  }
+
+  /**
+   * Soft warnings the GM should see before leaving the current step.
+   * Each entry is an i18n key; an empty array means nothing to confirm.
+   * @returns {Promise<string[]>}
+   */
+  async getAdvanceWarnings() {
+    const system = this.tracker.system;
+    const turnStep = system.turnStep || 1;
+    const warnings = [];
+    if (system.turnPhase !== "1") return warnings;
+
+    // Hidden POIs when leaving Phase 1 Step 1
+    if (turnStep === 1) {
+      for (const uuid of system.turnGeneratedPois || []) {
+        const poi = await fromUuid(uuid);
+        if (poi?.system?.hiddenByGM) {
+          warnings.push("STA_TC.Poi.HiddenPoisWarning");
+          break;
+        }
+      }
+    }
+    // No scenario selected when leaving Phase 1 Step 2
+    if (turnStep === 2 && !system.scenarioPoi)
+      warnings.push("STA_TC.Wizard.NoScenarioWarning");
+    return warnings;
+  }
+
+  /** Advance one wizard step, rolling over into the next phase. */
+  async nextStep() {
+    const system = this.tracker.system;
+    const turnPhase = system.turnPhase;
+    const turnStep = system.turnStep || 1;
+    const stepCount = getCampaignRules().stepCounts[turnPhase] || 1;
+
+    if (turnStep < stepCount) {
+      // Advance sub-step within current phase
+      const updates = { "system.turnStep": turnStep + 1 };
+      // Consume carry-over extra POI counts when leaving the generation step
+      if (turnPhase === "1" && turnStep === 1) {
+        const carryTotal =
+          (system.turnExtraTacticalPoisNextTurn || 0) +
+          (system.turnExtraUnknownPoisNextTurn || 0) +
+          (system.turnExtraPoisNextTurn || 0);
+        if (carryTotal > 0) {
+          await TrackerNotifier.emit({
+            tracker: this.tracker,
+            event: "carryOverConsumed",
+            message: game.i18n.format("STA_TC.Notify.CarryOverConsumed", {
+              count: carryTotal,
+            }),
+          });
+        }
+        updates["system.turnExtraTacticalPoisNextTurn"] = 0;
+        updates["system.turnExtraUnknownPoisNextTurn"] = 0;
+        updates["system.turnExtraPoisNextTurn"] = 0;
+      }
+      await this.tracker.update(updates);
+    } else {
+      // Advance to next phase
+      const phaseIdx = PHASES.indexOf(turnPhase);
+      if (phaseIdx >= PHASES.length - 1) return;
+      const nextPhase = PHASES[phaseIdx + 1];
+      const phaseUpdates = {
+        "system.turnPhase": nextPhase,
+        "system.turnStep": 1,
+      };
+      // On Phase 2 → Phase 3: promote pending notes to visible notes
+      if (turnPhase === "2" && nextPhase === "3") {
+        phaseUpdates["system.turnNotes"] = system.turnPendingNotes || "";
+        phaseUpdates["system.turnPendingNotes"] = "";
+      }
+      await this.tracker.update(phaseUpdates);
+    }
+    this._callPhaseChanged(turnPhase, turnStep);
+  }
+
+  /** Step back one wizard step, rolling back into the previous phase. */
+  async prevStep() {
+    const system = this.tracker.system;
+    const turnPhase = system.turnPhase;
+    const turnStep = system.turnStep || 1;
+
+    if (turnStep > 1) {
+      await this.tracker.update({ "system.turnStep": turnStep - 1 });
+    } else {
+      const phaseIdx = PHASES.indexOf(turnPhase);
+      if (phaseIdx <= 0) return;
+      const prevPhase = PHASES[phaseIdx - 1];
+      const prevStepCount = getCampaignRules().stepCounts[prevPhase] || 1;
+      await this.tracker.update({
+        "system.turnPhase": prevPhase,
+        "system.turnStep": prevStepCount,
+      });
+    }
+    this._callPhaseChanged(turnPhase, turnStep);
+  }
+
+  /**
+   * Announce a wizard step change through the staTC.phaseChanged hook.
+   * @param {string} previousPhase
+   * @param {number} previousStep
+   */
+  _callPhaseChanged(previousPhase, previousStep) {
+    callHook("phaseChanged", {
+      tracker: this.tracker,
+      phase: this.tracker.system.turnPhase,
+      step: this.tracker.system.turnStep,
+      previousPhase,
+      previousStep,
+    });
+  }
+
+  /**
+   * Number of unresolved POIs whose Phase 3 outcome has been neither
+   * confirmed nor ignored. End Turn will apply the default outcome to these.
+   * @returns {number}
+   */
+  countUnconfirmedOutcomes() {
+    return this.getAllEntries().filter(
+      (e) => !this.isResolved(e) && !e.outcomeConfirmed && !e.outcomeIgnored,
+    ).length;
+  }
+
+  /**
+   * POI actors that End Turn will remove from the tracker.
+   * @returns {Promise<Actor[]>}
+   */
+  async getResolvedPoiActors() {
+    const uuids = this.getAllEntries()
+      .filter((e) => this.isResolved(e) && e.actorUuid)
+      .map((e) => e.actorUuid);
+    return (await Promise.all(uuids.map((u) => fromUuid(u)))).filter(Boolean);
+  }
+
+  /**
+   * Work out everything End Turn will do without writing anything. endTurn()
+   * applies exactly this plan, so it doubles as the End Turn preview.
+   * @returns {Promise<object>} The end-of-turn plan:
+   *   - chatLines / summaryLines: HTML lines for the turn summary card
+   *   - notifications: TrackerNotifier.emit() payloads, in order
+   *   - unavailableEffects: [{actorUuid, actorName, label, expireAfterTurn}]
+   *   - resolvedPoiUuids: POI actors whose entries leave the tracker
+   *   - poiUpdates: [{uuid, name, updates}] for intensified/missed POIs
+   *   - followUps: [{poiUuid, poiName, sector, trigger, uuid}] follow-up
+   *     links to spawn (see poi-chains.mjs)
+   *   - listUpdates / assetUpdates / finalUpdates: tracker update objects
+   *   - expiringEffects: [{actorName, effectName}] expiring this turn
+   *   - history: the turn's Campaign History record (see turnHistory)
+   *   - progressionGain, paceDelta, extraTacticalPois, extraUnknownPois,
+   *     extraPoisFromConsequences, extraPoisTotal
+   */
+  async planEndTurn() {
+    // Original snapshot — used for momentum total, roleplay bonus, and
+    // resolvedExploration count (before we remove them from the list).
+    const system = this.tracker.system;
+    const rules = getCampaignRules();
+    const chatLines = [];
+    const notifications = [];
+
+    // Capture within-turn extra-PoI consequences (flawed success → extra PoI) before
+    // clearTurnState() resets turnExtraPoisNextTurn.
+    const extraPoisFromConsequences = system.turnExtraPoisNextTurn || 0;
+    const isResolved = (e) => this.isResolved(e);
+    // Entries confirmed resolved in Phase 3 have already left their lists
+    const resolvedEntries = system.turnResolvedEntries || [];
+
+    // Count resolved explorations BEFORE removal so we can award progression
+    // for each.
+    const resolvedExplorationCount = (system.poiListExploration || []).filter(
+      isResolved,
+    ).length;
+
+    // ---- A0: Event-driven asset unavailability AEs -------------------------
+    // Scan ALL POI entries (resolved + unresolved) before they are removed.
+    // If the POI had an event rolled, check for asset_unavailable effects and
+    // plan the corresponding Active Effects on assigned asset actors.
+    const currentTurnNum = system.campaignTurnNumber || 0;
+    const unavailableEffects = [];
+    for (const listKey of POI_LIST_KEYS) {
+      for (const entry of system[listKey] || []) {
+        if (!entry.eventResult) continue; // no event was rolled this turn
+        const poi = await fromUuid(entry.actorUuid);
+        if (!poi) continue;
+        const assets = await this.getEntryAssets(entry);
+        if (!assets.length) continue;
+        const { unavailableAssets } = EventEffectResolver.resolve(poi, assets);
+        for (const { actor, turns, label } of unavailableAssets) {
+          unavailableEffects.push({
+            actorUuid: actor.uuid,
+            actorName: actor.name,
+            label,
+            expireAfterTurn: currentTurnNum + turns,
+          });
+          chatLines.push(
+            `<p>⏸ <strong>${actor.name}</strong>: ${game.i18n.format("STA_TC.Wizard.OutcomeAssetUnavailableEvent", { turns })} (${poi.name})</p>`,
+          );
+        }
+      }
+    }
+
+    // ---- A: Remove successfully resolved POIs from all lists ----------------
+    const lists = {};
+    const resolvedPoiUuids = [];
+    let resolvedCount = 0;
+    for (const listKey of POI_LIST_KEYS) {
+      const entries = foundry.utils.deepClone(system[listKey] || []);
+      lists[listKey] = entries.filter((e) => {
+        if (isResolved(e)) {
+          resolvedCount++;
+          if (e.actorUuid) resolvedPoiUuids.push(e.actorUuid);
+          return false;
+        }
+        return true;
+      });
+    }
+    if (resolvedCount)
+      chatLines.push(
+        `<p>&#x2705; ${game.i18n.format("STA_TC.Wizard.OutcomeResolved", { count: resolvedCount })}</p>`,
+      );
+
+    // ---- B: Unresolved Tactical Threats ------------------------------------
+    const poiUpdates = [];
+    let paceDelta = 0;
+    let extraTacticalPois = 0;
+    const finalThreatEntries = [];
+    const catastrophes = new Set(system.turnCatastrophePois || []);
+    for (const entry of lists.poiListThreat) {
+      // Already handled by an outcome button — keep the entry as-is
+      if (entry.outcomeConfirmed || entry.outcomeIgnored) {
+        finalThreatEntries.push(entry);
+        if (entry.outcomeConfirmed) {
+          const confirmedPoi = await fromUuid(entry.actorUuid);
+          chatLines.push(
+            `<p>&#x1F53A; <strong>${confirmedPoi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeIntensify1Short")}</p>`,
+          );
+        }
+        continue;
+      }
+      const poi = await fromUuid(entry.actorUuid);
+      const urgency = poi?.system?.urgency || 1;
+      if (urgency >= rules.catastropheUrgency) {
+        // Catastrophe: remove from play, increase pace, extra tactical POI next turn.
+        catastrophes.add(entry.actorUuid);
+        paceDelta += rules.catastrophePaceIncrease;
+        extraTacticalPois += rules.catastropheExtraPois;
+        chatLines.push(
+          `<p>&#x1F4A5; <strong>${poi?.name || "?"}</strong>: ${game.i18n.format("STA_TC.Wizard.OutcomeCatastrophe", { amount: rules.catastrophePaceIncrease })}</p>`,
+        );
+      } else {
+        // Intensify: urgency++ and difficulty++ on the POI actor.
+        const oldDiff = poi?.system?.difficulty || 1;
+        const newUrgency = Math.min(rules.urgencyCap, urgency + 1);
+        const newDiff = Math.min(rules.difficultyCap, oldDiff + 1);
+        if (poi) {
+          const updates = {
+            "system.urgency": newUrgency,
+            "system.difficulty": newDiff,
+          };
+          if (poi.system?.difficulty2 != null)
+            updates["system.difficulty2"] = Math.min(
+              rules.difficultyCap,
+              poi.system.difficulty2 + 1,
+            );
+          poiUpdates.push({ uuid: poi.uuid, name: poi.name, updates });
+        }
+        finalThreatEntries.push(entry);
+        const intensifyDelta = ` <span style="opacity:0.75;font-size:0.9em;">(${game.i18n.localize("STA_TC.Poi.Urgency")} ${urgency}\u2192${newUrgency}, ${game.i18n.localize("STA_TC.Poi.Difficulty")} ${oldDiff}\u2192${newDiff})</span>`;
+        chatLines.push(
+          `<p>&#x1F53A; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize(urgency === 1 ? "STA_TC.Wizard.OutcomeIntensify1" : "STA_TC.Wizard.OutcomeIntensify2")}${intensifyDelta}</p>`,
+        );
+        notifications.push({
+          event: "turnEndThreatIntensify",
+          message: `${poi?.name || "?"}: ${game.i18n.localize(urgency === 1 ? "STA_TC.Wizard.OutcomeIntensify1" : "STA_TC.Wizard.OutcomeIntensify2")} (${game.i18n.localize("STA_TC.Poi.Urgency")} ${urgency}\u2192${newUrgency})`,
+          entityUuid: entry.actorUuid,
+        });
+      }
+    }
+    lists.poiListThreat = finalThreatEntries;
+
+    // ---- B2: Catastrophes spread to the threats of bordering sectors --------
+    // Each bordering threat gains urgency once, however many catastrophes
+    // border it.
+    const spreadSectors = new Set();
+    if (rules.catastropheAdjacentUrgency) {
+      for (const uuid of catastrophes) {
+        const poi = await fromUuid(uuid);
+        for (const sector of getAdjacentSectors(poi?.system?.sector))
+          spreadSectors.add(sector);
+      }
+    }
+    for (const entry of spreadSectors.size ? lists.poiListThreat : []) {
+      const poi = await fromUuid(entry.actorUuid);
+      if (!poi || !spreadSectors.has(poi.system?.sector)) continue;
+      let planned = poiUpdates.find((p) => p.uuid === poi.uuid);
+      const urgency =
+        planned?.updates["system.urgency"] ?? (poi.system?.urgency || 1);
+      const newUrgency = Math.min(
+        rules.urgencyCap,
+        urgency + rules.catastropheAdjacentUrgency,
+      );
+      if (newUrgency === urgency) continue;
+      if (!planned) {
+        planned = { uuid: poi.uuid, name: poi.name, updates: {} };
+        poiUpdates.push(planned);
+      }
+      planned.updates["system.urgency"] = newUrgency;
+      const message = game.i18n.format("STA_TC.Sectors.CatastropheSpread", {
+        sector: poi.system.sector,
+        oldUrgency: urgency,
+        newUrgency,
+      });
+      chatLines.push(
+        `<p>&#x1F525; <strong>${poi.name}</strong>: ${message}</p>`,
+      );
+      notifications.push({
+        event: "turnEndThreatIntensify",
+        message: `${poi.name}: ${message}`,
+        entityUuid: entry.actorUuid,
+      });
+    }
+
+    // ---- C: Unresolved Routine POIs ----------------------------------------
+    const newCommandeered = [...(system.commandeeredAssets || [])];
+    let resourceAssets = [...(system.resourceAssets || [])];
+    let assetListChanged = false;
+    const serviceRecords = [];
+    for (const entry of lists.poiListRoutine) {
+      // Ignored outcomes — this entry stays in the tracker, no commandeer applies
+      if (entry.outcomeIgnored) continue;
+      const uuid = entry.commandeeredAssetUuid;
+      if (!uuid) continue;
+      const asset = await fromUuid(uuid);
+      if (asset) {
+        const poi = await fromUuid(entry.actorUuid);
+        serviceRecords.push({
+          uuid,
+          record: {
+            turn: currentTurnNum,
+            kind: "status",
+            poiUuid: entry.actorUuid,
+            poiName: poi?.name || "?",
+            result:
+              asset.system?.assetType === "resource"
+                ? "discarded"
+                : "commandeered",
+          },
+        });
+      }
+      if (asset?.system?.assetType === "resource") {
+        // Resources are discarded immediately.
+        resourceAssets = resourceAssets.filter((u) => u !== uuid);
+        assetListChanged = true;
+        chatLines.push(
+          `<p>&#x1F4E6; <strong>${asset.name}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeResourceDiscarded")}</p>`,
+        );
+      } else if (asset) {
+        // Character / Ship assets are commandeered until next turn.
+        if (!newCommandeered.includes(uuid)) newCommandeered.push(uuid);
+        assetListChanged = true;
+        chatLines.push(
+          `<p>&#x1F512; <strong>${asset.name}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeAssetCommandeered")}</p>`,
+        );
+        // Mark the actor with an unavailability AE so the status is visible
+        // on the actor sheet and auto-expires at the next turn start.
+        unavailableEffects.push({
+          actorUuid: uuid,
+          actorName: asset.name,
+          label: game.i18n.localize("STA_TC.Wizard.OutcomeAssetCommandeered"),
+          expireAfterTurn: currentTurnNum + 1,
+        });
+      }
+    }
+    const assetUpdates = assetListChanged
+      ? {
+          "system.commandeeredAssets": newCommandeered,
+          "system.resourceAssets": resourceAssets,
+        }
+      : {};
+
+    // ---- D: Unresolved Exploration POIs ------------------------------------
+    const finalExplorationEntries = [];
+    for (const entry of lists.poiListExploration) {
+      // Already handled by an outcome button — keep the entry as-is
+      if (entry.outcomeConfirmed || entry.outcomeIgnored) {
+        finalExplorationEntries.push(entry);
+        if (entry.outcomeConfirmed) {
+          const confirmedPoi = await fromUuid(entry.actorUuid);
+          chatLines.push(
+            `<p>&#x1F4CD; <strong>${confirmedPoi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationDiffShort")}</p>`,
+          );
+        }
+        continue;
+      }
+      const poi = await fromUuid(entry.actorUuid);
+      const missedCount = poi?.system?.missedCount || 0;
+      if (missedCount + 1 >= rules.explorationMissesToRemove) {
+        // Final miss: remove from play.
+        chatLines.push(
+          `<p>&#x1F570;&#xFE0F; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationRemoved")}</p>`,
+        );
+      } else {
+        // Earlier miss: difficulty++ and missedCount++ on the POI actor.
+        const explorationOldDiff = poi?.system?.difficulty || 1;
+        const explorationNewDiff = Math.min(
+          rules.difficultyCap,
+          explorationOldDiff + 1,
+        );
+        if (poi) {
+          const updates = {
+            "system.missedCount": missedCount + 1,
+            "system.difficulty": explorationNewDiff,
+          };
+          if (poi.system?.difficulty2 != null)
+            updates["system.difficulty2"] = Math.min(
+              rules.difficultyCap,
+              poi.system.difficulty2 + 1,
+            );
+          poiUpdates.push({ uuid: poi.uuid, name: poi.name, updates });
+        }
+        finalExplorationEntries.push(entry);
+        const explorationDelta = ` <span style="opacity:0.75;font-size:0.9em;">(${game.i18n.localize("STA_TC.Poi.Difficulty")} ${explorationOldDiff}\u2192${explorationNewDiff})</span>`;
+        chatLines.push(
+          `<p>&#x1F4CD; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationDifficultyIncrease")}${explorationDelta}</p>`,
+        );
+        notifications.push({
+          event: "turnEndExplorationDiff",
+          message: `${poi?.name || "?"}: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationDifficultyIncrease")} (${game.i18n.localize("STA_TC.Poi.Difficulty")} ${explorationOldDiff}\u2192${explorationNewDiff})`,
+          entityUuid: entry.actorUuid,
+        });
+      }
+    }
+    lists.poiListExploration = finalExplorationEntries;
+
+    // ---- E: Unresolved Unknown POIs ----------------------------------------
+    let extraUnknownPois = 0;
+    const finalUnknownEntries = [];
+    for (const entry of lists.poiListUnknown) {
+      if (entry.outcomeIgnored) {
+        // Ignored — keep in list; counts as an extra PoI next turn since the
+        // threat is still unresolved.
+        finalUnknownEntries.push(entry);
+        extraUnknownPois++;
+        continue;
+      }
+      if (entry.outcomeConfirmed) {
+        // Already applied via button — remove from list without counting again
+        continue;
+      }
+      const poi = await fromUuid(entry.actorUuid);
+      extraUnknownPois++;
+      chatLines.push(
+        `<p>&#x2753; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeUnknownRemoved")}</p>`,
+      );
+    }
+    lists.poiListUnknown = finalUnknownEntries;
+
+    // ---- F: Progression (exploration gains + momentum spend + GM roleplay bonus) ---
+    const momentumSpent = system.turnMomentumSpent || 0;
+    const progressionGain =
+      resolvedExplorationCount * rules.explorationProgression +
+      momentumSpent +
+      (system.turnRoleplayBonus || 0);
+
+    // ---- G: Progression gain, expiring AEs and the turn counter ------------
+    const finalUpdates = {};
+    // Skip if progression was already confirmed and applied in Phase 3 Step 2
+    const progressionAlreadyConfirmed =
+      system.turnProgressionConfirmed || false;
+    if (progressionGain > 0 && !progressionAlreadyConfirmed)
+      finalUpdates["system.progression"] =
+        (system.progression || 0) + progressionGain;
+    if (momentumSpent > 0 && !progressionAlreadyConfirmed)
+      finalUpdates["system.campaignMomentum"] = Math.max(
+        0,
+        (system.campaignMomentum || 0) - momentumSpent,
+      );
+    if (paceDelta) finalUpdates["system.pace"] = (system.pace || 0) + paceDelta;
+    // Effects expiring at the end of this turn. An unavailability AE planned
+    // above replaces the asset's current one, so that one never gets to
+    // expire; the new ones always last at least one more turn.
+    const replacedOn = new Set(unavailableEffects.map((e) => e.actorUuid));
+    const expiringEffects = (await getExpiringCampaignTurnEffects(this.tracker))
+      .filter(
+        ({ actor, effect }) =>
+          !(
+            effect.flags?.[MODULE_ID]?.unavailable && replacedOn.has(actor.uuid)
+          ),
+      )
+      .map(({ actor, effect }) => ({
+        actorName: actor.name,
+        effectName: effect.name,
+      }));
+    // Increment the campaign turn counter (used for AE expiry checks)
+    finalUpdates["system.campaignTurnNumber"] = currentTurnNum + 1;
+
+    // ---- H: Veterancy — every asset of a successful conflict gains a mission
+    const missionsGained = new Map();
+    for (const entry of [
+      ...POI_LIST_KEYS.flatMap((listKey) => system[listKey] || []),
+      ...resolvedEntries,
+    ]) {
+      if (!MISSION_RESULTS.includes(entry.conflictResult)) continue;
+      for (const uuid of new Set(getEntryAssetUuids(entry)))
+        missionsGained.set(uuid, (missionsGained.get(uuid) || 0) + 1);
+    }
+    const veterancy = [];
+    for (const [uuid, gained] of missionsGained) {
+      const asset = await fromUuid(uuid);
+      if (!asset) continue;
+      const missions = (asset.system?.missions || 0) + gained;
+      const rank = getVeterancyRank(missions, rules);
+      const promotions =
+        rank - getVeterancyRank(asset.system?.missions || 0, rules);
+      veterancy.push({
+        uuid,
+        missions,
+        promotionsPending:
+          (asset.system?.promotionsPending || 0) + Math.max(0, promotions),
+      });
+      if (promotions <= 0) continue;
+      const rankLabel = game.i18n.localize(VETERANCY_RANKS[rank]);
+      chatLines.push(
+        `<p>&#x1F396; <strong>${asset.name}</strong>: ${game.i18n.format("STA_TC.Veterancy.Promoted", { name: asset.name, rank: rankLabel })}</p>`,
+      );
+      notifications.push({
+        event: "assetPromoted",
+        message: game.i18n.format("STA_TC.Veterancy.PromotedNotify", {
+          name: asset.name,
+          rank: rankLabel,
+        }),
+        entityUuid: uuid,
+      });
+    }
+
+    // ---- I: POI chains — follow-ups of how the turn ended for each POI ------
+    // POIs confirmed resolved or catastrophic in Phase 3 are no longer listed.
+    const chainEntries = [
+      ...POI_LIST_KEYS.flatMap((listKey) => system[listKey] || []),
+      ...resolvedEntries,
+    ];
+    for (const uuid of system.turnCatastrophePois || [])
+      if (!chainEntries.some((entry) => entry.actorUuid === uuid))
+        chainEntries.push({ actorUuid: uuid });
+    const followUps = [];
+    for (const entry of chainEntries) {
+      const poi = (await fromUuid(entry.actorUuid)) ?? entry.poi ?? null;
+      const trigger = getFollowUpTrigger(entry, {
+        catastrophe: catastrophes.has(entry.actorUuid),
+        scenario:
+          !!system.scenarioPoi && entry.actorUuid === system.scenarioPoi,
+      });
+      for (const { uuid } of getFollowUps(poi, trigger)) {
+        followUps.push({
+          poiUuid: poi.uuid,
+          poiName: poi.name,
+          sector: poi.system?.sector || "",
+          trigger,
+          uuid,
+        });
+        chatLines.push(
+          `<p>&#x1F517; <strong>${poi.name}</strong>: ${game.i18n.format("STA_TC.Chains.Planned", { trigger: game.i18n.localize(FOLLOW_UP_TRIGGERS[trigger]), target: describeFollowUp(uuid).name })}</p>`,
+        );
+      }
+    }
+
+    // ---- Summary -----------------------------------------------------------
+    const totalMomentum = system.turnMomentumGained || 0;
+    const extraPoisTotal =
+      extraPoisFromConsequences + extraTacticalPois + extraUnknownPois;
+    const summaryLines = [];
+    if (totalMomentum > 0)
+      summaryLines.push(
+        `<p>${game.i18n.localize("STA_TC.Wizard.MomentumGained")}: <strong>+${totalMomentum}</strong></p>`,
+      );
+    if (system.turnThreatIncrease > 0)
+      summaryLines.push(
+        `<p>${game.i18n.localize("STA_TC.Wizard.ThreatIncrease")}: <strong>+${system.turnThreatIncrease}</strong></p>`,
+      );
+    if (progressionGain > 0)
+      summaryLines.push(
+        `<p>${game.i18n.localize("STA_TC.Wizard.ProgressionGained")}: <strong>+${progressionGain}</strong></p>`,
+      );
+    if (extraPoisTotal > 0)
+      summaryLines.push(
+        `<p>${game.i18n.localize("STA_TC.Wizard.ExtraPoisNextTurn")}: <strong>+${extraPoisTotal}</strong>${extraTacticalPois > 0 ? ` (${extraTacticalPois} tactical)` : ""}${extraUnknownPois > 0 ? ` (${extraUnknownPois} +difficulty)` : ""}</p>`,
+      );
+    if (paceDelta > 0)
+      summaryLines.push(
+        `<p>${game.i18n.localize("STA_TC.Wizard.PaceIncreased")}: <strong>+${paceDelta}</strong></p>`,
+      );
+
+    // ---- Turn history record -----------------------------------------------
+    // Per-entry conflict data is wiped by clearTurnState(), so archive it here.
+    const historyPois = [];
+    const historyEntries = [
+      ...POI_LIST_KEYS.flatMap((listKey) =>
+        (system[listKey] || []).map((entry) => ({ listKey, entry })),
+      ),
+      ...resolvedEntries.map((entry) => ({ listKey: entry.listKey, entry })),
+    ];
+    for (const { listKey, entry } of historyEntries) {
+      const poi = (await fromUuid(entry.actorUuid)) ?? entry.poi ?? null;
+      const assets = [];
+      for (const uuid of getEntryAssetUuids(entry)) {
+        const asset = await fromUuid(uuid);
+        assets.push({ uuid, name: asset?.name || "?" });
+      }
+      historyPois.push({
+        actorUuid: entry.actorUuid,
+        name: poi?.name || "?",
+        listKey,
+        urgency: poi?.system?.urgency || 0,
+        difficulty: poi?.system?.difficulty || 0,
+        assets,
+        eventResult: entry.eventResult || "",
+        conflictResult: entry.conflictResult || "",
+        conflictSuccesses: entry.conflictSuccesses || 0,
+        conflictMomentum: entry.conflictMomentum || 0,
+        consequenceChosen: entry.consequenceChosen || "",
+        failureChoice: entry.failureChoice || "",
+        lossResult: entry.lossResult || "",
+        outcome:
+          resolvedEntries.includes(entry) || isResolved(entry)
+            ? "resolved"
+            : entry.outcomeConfirmed
+              ? "confirmed"
+              : entry.outcomeIgnored
+                ? "ignored"
+                : "",
+      });
+    }
+    const history = {
+      turn: currentTurnNum,
+      pois: historyPois,
+      consequences: [...chatLines],
+      // Progression confirmed in Phase 3 already holds this turn's gain
+      progressionBefore: progressionAlreadyConfirmed
+        ? Math.max(0, (system.progression || 0) - progressionGain)
+        : system.progression || 0,
+      progressionGain,
+      progressionAfter:
+        finalUpdates["system.progression"] ?? (system.progression || 0),
+      paceBefore: system.pace || 0,
+      paceDelta,
+      momentumGained: totalMomentum,
+      momentumSpent,
+      threatIncrease: system.turnThreatIncrease || 0,
+      extraPoisNextTurn: extraPoisTotal,
+      notes: [system.turnNotes, system.turnPendingNotes]
+        .filter(Boolean)
+        .join("\n"),
+      seed: system.campaignSeed || "",
+      rngCursor: system.rngCursor || 0,
+    };
+
+    return {
+      history,
+      chatLines,
+      summaryLines,
+      notifications,
+      unavailableEffects,
+      veterancy,
+      serviceRecords,
+      followUps,
+      resolvedPoiUuids,
+      poiUpdates,
+      listUpdates: Object.fromEntries(
+        POI_LIST_KEYS.map((key) => [`system.${key}`, lists[key]]),
+      ),
+      assetUpdates,
+      finalUpdates,
+      expiringEffects,
+      progressionGain,
+      paceDelta,
+      extraTacticalPois,
+      extraUnknownPois,
+      extraPoisFromConsequences,
+      extraPoisTotal,
+    };
+  }
+
+  /**
+   * Apply every end-of-turn consequence and close the turn.
+   *
+   * End Turn runs as a journaled transaction: the plan is stored on the
+   * tracker before anything else is written and each stage is marked as it
+   * completes, so an interrupted End Turn can be resumed (resumeEndTurn) or
+   * rolled back (rollBackEndTurn). Every stage is safe to run twice.
+   * @param {object} [options]
+   * @param {boolean} [options.deleteResolvedPois=false] - Also delete the
+   *   resolved POI actors (and their tokens on the active scene).
+   * @returns {Promise<boolean>} False if an interrupted End Turn is pending
+   *   or a staTC.preEndTurn handler vetoed it.
+   */
+  async endTurn({ deleteResolvedPois = false } = {}) {
+    if (this.getEndTurnJournal()) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Wizard.EndTurnInterrupted"),
+      );
+      return false;
+    }
+    const plan = await this.planEndTurn();
+    const turn = this.tracker.system.campaignTurnNumber || 0;
+    if (!callPreHook("preEndTurn", { tracker: this.tracker, turn, plan }))
+      return false;
+    // Snapshot everything End Turn can touch so undoLastTurn() can roll it back
+    await captureTurnSnapshot(this.tracker);
+    await this.tracker.setFlag(MODULE_ID, END_TURN_JOURNAL_FLAG, {
+      id: foundry.utils.randomID(),
+      userId: game.user.id,
+      startedAt: Date.now(),
+      turn,
+      deleteResolvedPois,
+      plan,
+      completed: [],
+      expired: [],
+      spawned: [],
+    });
+    await this._runEndTurnJournal();
+    return true;
+  }
+
+  /**
+   * The journal of an End Turn that has started but not finished, if any.
+   * @returns {object|null}
+   */
+  getEndTurnJournal() {
+    return this.tracker.getFlag(MODULE_ID, END_TURN_JOURNAL_FLAG) ?? null;
+  }
+
+  /**
+   * Finish an interrupted End Turn from the first stage not yet completed.
+   * @returns {Promise<boolean>} False if there is no End Turn to resume.
+   */
+  async resumeEndTurn() {
+    if (!this.getEndTurnJournal()) return false;
+    await this._runEndTurnJournal();
+    return true;
+  }
+
+  /**
+   * Abandon an interrupted End Turn and restore the tracker, POIs and asset
+   * effects to how they were before it started. The turn stays open.
+   * @returns {Promise<boolean>} False if there is no End Turn to roll back.
+   */
+  async rollBackEndTurn() {
+    if (!this.getEndTurnJournal()) return false;
+    await restoreTurnSnapshot(this.tracker);
+    await this.tracker.unsetFlag(MODULE_ID, END_TURN_JOURNAL_FLAG);
+    return true;
+  }
+
+  /**
+   * Run the stored End Turn plan, skipping stages the journal marks as done.
+   * Stages that write the tracker anyway carry the stage marker in the same
+   * update; the rest are followed by a marker-only update.
+   */
+  async _runEndTurnJournal() {
+    const journal = this.getEndTurnJournal();
+    const { plan } = journal;
+    const flatten = foundry.utils.flattenObject;
+    const journalKey = `flags.${MODULE_ID}.${END_TURN_JOURNAL_FLAG}`;
+
+    const stages = {
+      // ---- A0 / C: Unavailability AEs (event effects, commandeered assets) -
+      unavailableEffects: async () => {
+        for (const e of plan.unavailableEffects)
+          await this.applyUnavailableEffect(
+            e.actorUuid,
+            e.label,
+            e.expireAfterTurn,
+          );
+      },
+
+      // ---- A–E: POI lists, commandeered and discarded assets ---------------
+      lists: async (marker) => {
+        await this.tracker.update({
+          ...flatten(plan.listUpdates),
+          ...flatten(plan.assetUpdates),
+          ...marker,
+        });
+        return true;
+      },
+
+      // ---- A2: Optionally delete the resolved POI actors --------------------
+      deleteResolvedPois: async () => {
+        if (!journal.deleteResolvedPois) return;
+        const actorIdSet = new Set(
+          plan.resolvedPoiUuids
+            .map((uuid) => foundry.utils.parseUuid(uuid)?.id)
+            .filter((id) => game.actors.has(id)),
+        );
+        if (!actorIdSet.size) return;
+        const tokensToDelete = (
+          canvas.scene?.tokens?.filter((t) => actorIdSet.has(t.actorId)) ?? []
+        ).map((t) => t.id);
+        if (tokensToDelete.length)
+          await TokenDocument.deleteDocuments(tokensToDelete, {
+            parent: canvas.scene,
+          });
+        await Actor.deleteDocuments([...actorIdSet]);
+      },
+
+      // ---- B / D: Intensified threats and missed explorations --------------
+      poiUpdates: async () => {
+        for (const { uuid, updates } of plan.poiUpdates) {
+          const poi = await fromUuid(uuid);
+          if (poi) await poi.update(updates);
+        }
+      },
+
+      // ---- I: Follow-up POIs, before the turn counter moves on so table rolls
+      // draw from this turn's stream. Each follow-up is marked spawned in the
+      // same update that lists it, so a resumed End Turn never spawns it twice.
+      followUps: async () => {
+        journal.spawned ??= [];
+        for (const [index, link] of (plan.followUps ?? []).entries()) {
+          if (journal.spawned.some((spawned) => spawned.index === index))
+            continue;
+          const actor = await this._spawnFollowUp(link.uuid, {
+            sector: link.sector,
+          });
+          journal.spawned.push({
+            index,
+            poiUuid: link.poiUuid,
+            poiName: link.poiName,
+            uuid: actor?.uuid ?? "",
+            name: actor?.name ?? "",
+          });
+          const updates = { [`${journalKey}.spawned`]: journal.spawned };
+          if (actor) {
+            const listKey = CampaignTurnEngine.poiTypeToListKey(
+              actor,
+              "poiListUnknown",
+            );
+            const entries = foundry.utils.deepClone(
+              this.tracker.system[listKey] || [],
+            );
+            if (!entries.some((e) => e.actorUuid === actor.uuid))
+              entries.push({ actorUuid: actor.uuid, assets: [] });
+            updates[`system.${listKey}`] = entries;
+            const next = this.tracker.system.nextTurnGeneratedPois || [];
+            if (!next.includes(actor.uuid))
+              updates["system.nextTurnGeneratedPois"] = [...next, actor.uuid];
+          }
+          await this.tracker.update(updates);
+        }
+      },
+
+      // ---- G: Expire AEs BEFORE incrementing the turn counter ---------------
+      // Effects set to expire at turn N are removed at the end of turn N
+      // (i.e. they lasted the full turn).
+      // The effects are journaled before they are deleted, so a resumed run
+      // still announces those an interrupted run already removed.
+      expireEffects: async (marker) => {
+        const journaled = new Set(journal.expired.map((e) => e.effectUuid));
+        const expiring = await getExpiringCampaignTurnEffects(this.tracker);
+        for (const { actor, effect } of expiring) {
+          if (journaled.has(effect.uuid)) continue;
+          journal.expired.push({
+            uuid: actor.uuid,
+            name: actor.name,
+            effectUuid: effect.uuid,
+            recovered: !!effect.flags?.[MODULE_ID]?.recovery,
+          });
+        }
+        await this.tracker.update({
+          [`${journalKey}.expired`]: journal.expired,
+        });
+        await expireCampaignTurnEffects(this.tracker);
+        await this.tracker.update(marker);
+        return true;
+      },
+
+      // ---- H: Veterancy (absolute values, safe to run twice) ----------------
+      veterancy: async () => {
+        for (const gain of plan.veterancy ?? []) {
+          const asset = await fromUuid(gain.uuid);
+          if (asset)
+            await asset.update({
+              "system.missions": gain.missions,
+              "system.promotionsPending": gain.promotionsPending,
+            });
+        }
+      },
+
+      // ---- C: Service records of commandeered and discarded assets ---------
+      // Records replace their own earlier copy, so the stage is safe to rerun.
+      serviceRecords: async () => {
+        for (const { uuid, record } of plan.serviceRecords ?? []) {
+          const asset = await fromUuid(uuid);
+          if (asset) await recordService(asset, record);
+        }
+      },
+
+      // ---- G: Progression gain and the turn counter ------------------------
+      finalUpdates: async (marker) => {
+        await this.tracker.update({ ...flatten(plan.finalUpdates), ...marker });
+        return true;
+      },
+
+      // ---- Campaign History ------------------------------------------------
+      history: async (marker) => {
+        const turnHistory = foundry.utils
+          .deepClone(this.tracker.system.turnHistory || [])
+          .filter((record) => record.id !== journal.id);
+        turnHistory.push({
+          ...plan.history,
+          id: journal.id,
+          endedAt: journal.startedAt,
+        });
+        await this.tracker.update({
+          "system.turnHistory": turnHistory,
+          ...marker,
+        });
+        return true;
+      },
+
+      // ---- Chat summary ----------------------------------------------------
+      chat: async () => {
+        const posted = game.messages.some(
+          (m) => m.getFlag(MODULE_ID, "endTurnJournalId") === journal.id,
+        );
+        if (posted) return;
+        await ChatMessage.create({
+          content: `<div style="background:#333;border-radius:8px;padding:10px;color:#eee;">
+        <h3 style="margin:0 0 8px;color:#ffd700;">&#x1F3C1; ${game.i18n.localize("STA_TC.Wizard.TurnComplete")}</h3>
+        ${plan.chatLines.join("")}
+        ${plan.summaryLines.join("")}
+      </div>`,
+          speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
+          whisper: [game.user.id],
+          flags: { [MODULE_ID]: { endTurnJournalId: journal.id } },
+        });
+      },
+
+      clearTurnState: () => this.clearTurnState(),
+
+      // Persist carry-over extra PoI counts for the next turn's Phase 1 Step 1.
+      // These survive until nextStep() consumes them when leaving that step.
+      carryOver: async (marker) => {
+        await this.tracker.update({
+          "system.turnExtraTacticalPoisNextTurn": plan.extraTacticalPois,
+          "system.turnExtraUnknownPoisNextTurn": plan.extraUnknownPois,
+          "system.turnExtraPoisNextTurn": plan.extraPoisFromConsequences,
+          ...marker,
+        });
+        return true;
+      },
+
+      // Notification log entries are written last, in one batch together with
+      // the stage marker, so a resumed End Turn never logs them twice.
+      notifications: async (marker) => {
+        TrackerNotifier.beginBatch(this.tracker, { turn: journal.turn });
+        for (const notification of plan.notifications)
+          await TrackerNotifier.emit({
+            tracker: this.tracker,
+            ...notification,
+          });
+        for (const spawned of journal.spawned ?? []) {
+          await TrackerNotifier.emit({
+            tracker: this.tracker,
+            event: spawned.uuid ? "turnEndFollowUp" : "turnEndFollowUpFailed",
+            message: game.i18n.format(
+              spawned.uuid
+                ? "STA_TC.Chains.Spawned"
+                : "STA_TC.Chains.SpawnFailed",
+              { name: spawned.name, poi: spawned.poiName },
+            ),
+            entityUuid: spawned.uuid || spawned.poiUuid,
+          });
+        }
+        for (const { uuid, name, recovered } of journal.expired) {
+          await TrackerNotifier.emit({
+            tracker: this.tracker,
+            event: recovered ? "turnEndRecovered" : "turnEndAeExpired",
+            message: game.i18n.format(
+              recovered
+                ? "STA_TC.Recovery.Recovered"
+                : "STA_TC.Notify.AeExpired",
+              { name },
+            ),
+            entityUuid: uuid,
+          });
+        }
+        await TrackerNotifier.flushBatch(marker);
+        return true;
+      },
+    };
+
+    for (const stage of END_TURN_STAGES) {
+      if (journal.completed.includes(stage)) continue;
+      const completed = [...journal.completed, stage];
+      const marker = { [`${journalKey}.completed`]: completed };
+      const marked = await stages[stage](marker);
+      if (!marked) await this.tracker.update(marker);
+      journal.completed = completed;
+    }
+    await this.tracker.unsetFlag(MODULE_ID, END_TURN_JOURNAL_FLAG);
+    this._callEndTurnHooks(journal);
+  }
+
+  /**
+   * Announce what a finished End Turn did: the POIs it resolved, the threats
+   * it intensified and the archived turn.
+   * @param {object} journal
+   */
+  _callEndTurnHooks({ turn, plan }) {
+    const records = new Map(
+      (plan.history?.pois ?? []).map((p) => [p.actorUuid, p]),
+    );
+    for (const poiUuid of plan.resolvedPoiUuids) {
+      callHook("poiResolved", {
+        tracker: this.tracker,
+        entry: records.get(poiUuid) ?? null,
+        poi: fromUuidSync(poiUuid) ?? null,
+        poiUuid,
+      });
+    }
+    for (const { uuid, updates: stored } of plan.poiUpdates) {
+      // The journal flag round-trip expands the dotted update keys
+      const updates = foundry.utils.flattenObject(stored);
+      if (!("system.urgency" in updates)) continue;
+      callHook("threatIntensified", {
+        tracker: this.tracker,
+        entry: records.get(uuid) ?? null,
+        poi: fromUuidSync(uuid) ?? null,
+        poiUuid: uuid,
+        urgency: updates["system.urgency"],
+        difficulty: updates["system.difficulty"],
+      });
+    }
+    callHook("endTurn", { tracker: this.tracker, turn, history: plan.history });
+  }
+
+  /**
+   * Archived campaign turns, oldest first.
+   * @param {object} [query]
+   * @param {number} [query.turn] - Only this campaign turn.
+   * @param {string} [query.poiUuid] - Only turns this POI took part in.
+   * @param {string} [query.assetUuid] - Only turns this asset was assigned in.
+   * @returns {object[]}
+   */
+  getTurnHistory({ turn, poiUuid, assetUuid } = {}) {
+    return (this.tracker.system.turnHistory || []).filter(
+      (record) =>
+        (turn == null || record.turn === turn) &&
+        (!poiUuid || record.pois.some((p) => p.actorUuid === poiUuid)) &&
+        (!assetUuid ||
+          record.pois.some((p) => p.assets.some((a) => a.uuid === assetUuid))),
+    );
+  }
+
+  /**
+   * Whether the most recent End Turn can still be rolled back.
+   * @returns {boolean}
+   */
+  canUndoLastTurn() {
+    return (
+      !this.tracker.system.turnPhase &&
+      !this.getEndTurnJournal() &&
+      hasTurnSnapshot(this.tracker)
+    );
+  }
+
+  /**
+   * Roll back the most recent End Turn: restore the tracker, recreate deleted
+   * POI actors and tokens and put asset Active Effects back as they were.
+   * Only available between turns, before the next turn starts.
+   * @returns {Promise<boolean>} False if there is nothing to undo.
+   */
+  async undoLastTurn() {
+    if (!this.canUndoLastTurn()) {
+      ui.notifications.warn(game.i18n.localize("STA_TC.Wizard.NothingToUndo"));
+      return false;
+    }
+    const snapshot = await restoreTurnSnapshot(this.tracker);
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "turnUndone",
+      message: game.i18n.format("STA_TC.Notify.TurnUndone", {
+        turn: snapshot.turn,
+        count: snapshot.recreatedPoiCount,
+      }),
+    });
+    return true;
+  }
+
+  /** Reset all turn fields and per-entry turn state on the tracker. */
+  async clearTurnState() {
+    const system = this.tracker.system;
+    const updates = {
+      "system.turnPhase": "",
+      "system.turnUserId": "",
+      "system.scenarioPoi": "",
+      "system.turnGeneratedPois": [],
+      // nextTurnGeneratedPois intentionally NOT cleared here — End Turn fills
+      // it for the next turn.
+      "system.turnCatastrophePois": [],
+      "system.turnResolvedEntries": [],
+      "system.turnThreatIncrease": 0,
+      "system.turnExtraPoisNextTurn": 0,
+      "system.paceTempBonus": 0,
+      "system.turnMomentumGained": 0,
+      "system.turnRoleplayBonus": 0,
+      "system.turnMomentumSpent": 0,
+      "system.turnReinforcementsReceived": 0,
+      "system.turnExtraTacticalPoisNextTurn": 0,
+      "system.turnExtraUnknownPoisNextTurn": 0,
+      "system.turnStep": 1,
+      "system.turnFlexibleDeployments": false,
+      "system.nextTurnSupplyBonus": 0,
+      "system.turnProgressionConfirmed": false,
+      // commandeeredAssets intentionally NOT cleared here — they persist until
+      // the next turn starts so the badge remains visible between turns.
+      "system.turnPendingNotes": "",
+    };
+    for (const listKey of POI_LIST_KEYS) {
+      const entries = foundry.utils.deepClone(system[listKey] || []);
+      for (const entry of entries) {
+        entry.eventResult = "";
+        entry.conflictResult = "";
+        entry.conflictSuccesses = 0;
+        entry.conflictMomentum = 0;
+        entry.conflictHadNat20 = false;
+        entry.conflictPower = "";
+        entry.conflictWork = 0;
+        entry.conflictRounds = 0;
+        entry.consequenceChosen = "";
+        entry.failureChoice = "";
+        entry.lossResult = "";
+        entry.escalationRolled = false;
+        entry.commandeeredAssetUuid = "";
+        entry.outcomeConfirmed = false;
+        entry.outcomeIgnored = false;
+        entry.assets = [];
+      }
+      updates[`system.${listKey}`] = entries;
+    }
+    await this.tracker.update(updates);
+  }
+
+  // ==========================================================================
+  // Phase 1 — Generation, Assignment & Events
+  // ==========================================================================
+
+  /**
+   * Add a POI actor to its list and to this turn's generated POIs.
+   * @param {Actor} actor
+   */
+  async addGeneratedPoi(actor) {
+    const uuid = actor.uuid;
+    const listKey = CampaignTurnEngine.poiTypeToListKey(
+      actor,
+      "poiListUnknown",
+    );
+    // Re-read system each call to get the latest state
+    const entries = foundry.utils.deepClone(this.tracker.system[listKey] || []);
+    if (!entries.some((e) => e.actorUuid === uuid))
+      entries.push({ actorUuid: uuid, assets: [] });
+    const generated = [...(this.tracker.system.turnGeneratedPois || []), uuid];
+    await this.tracker.update({
+      [`system.${listKey}`]: entries,
+      "system.turnGeneratedPois": generated,
+    });
+  }
+
+  /**
+   * Roll one POI from the configured tables and add it to the tracker.
+   * @param {object} [options]
+   * @param {boolean} [options.postChat=true] - Post the generator chat card.
+   * @returns {Promise<{actor: Actor|null, subTableKey: string|null, status: string}>}
+   */
+  async generatePoi({ postChat = true } = {}) {
+    await RollTableManagerService.ensureTrackerQueues(this.tracker);
+    const result = await PoiGenerator.generate({
+      postChat,
+      tracker: this.tracker,
+    });
+    if (!result?.actor)
+      return {
+        actor: null,
+        subTableKey: result?.subTableKey ?? null,
+        status: result?.status ?? "failed",
+      };
+    const actor = await this.importActorIfNeeded(result.actor);
+    if (!actor)
+      return {
+        actor: null,
+        subTableKey: result.subTableKey,
+        status: "importFailed",
+      };
+    const folder = await this.getOrCreatePoiFolder(
+      actor.system?.poiType || "unknown",
+    );
+    // Start hidden so the GM can prep before revealing to players, placed in
+    // a sector of the campaign map unless the POI already has one
+    await actor.update({
+      folder: folder?.id ?? null,
+      "system.hiddenByGM": true,
+      "system.sector": actor.system?.sector || (await pickSector(this.tracker)),
+    });
+    await this.addGeneratedPoi(actor);
+
+    const sourceActorUuid = result?.subResult?.documentUuid || "";
+    if (sourceActorUuid && result?.subTableKey) {
+      try {
+        await RollTableManagerService.drawTimeMoveResultToUsed({
+          tracker: this.tracker,
+          subKey: result.subTableKey,
+          sourceActorUuid,
+        });
+      } catch (error) {
+        console.warn(
+          `${MODULE_ID} | Could not move generated POI result to used queue`,
+          error,
+        );
+      }
+    }
+    return { actor, subTableKey: result.subTableKey, status: "ok" };
+  }
+
+  /**
+   * Spawn the POI a follow-up link points to, imported if needed and filed in
+   * its POI folder, hidden like a generated POI. The caller lists it.
+   * @param {string} uuid - A POI actor or RollTable uuid.
+   * @param {object} [options]
+   * @param {string} [options.sector] - Sector of the POI that spawned it,
+   *   unless the spawned POI has its own.
+   * @returns {Promise<Actor|null>}
+   */
+  async _spawnFollowUp(uuid, { sector = "" } = {}) {
+    const target = await resolveFollowUp(uuid, { tracker: this.tracker });
+    const actor = await this.importActorIfNeeded(target);
+    if (!actor) return null;
+    // Undo deletes an imported POI and restores a world one
+    await addSpawnedPoiToSnapshot(this.tracker, actor, {
+      created: actor !== target,
+    });
+    const folder = await this.getOrCreatePoiFolder(
+      actor.system?.poiType || "unknown",
+    );
+    await actor.update({
+      folder: folder?.id ?? null,
+      "system.hiddenByGM": true,
+      "system.sector": actor.system?.sector || sector,
+    });
+    return actor;
+  }
+
+  /** Number of POIs Phase 1 Step 1 should generate this turn. */
+  getPoiGenerationTarget() {
+    const system = this.tracker.system;
+    return (
+      (system.pace || 0) +
+      (system.paceTempBonus || 0) +
+      (system.turnExtraTacticalPoisNextTurn || 0) +
+      (system.turnExtraUnknownPoisNextTurn || 0) +
+      (system.turnExtraPoisNextTurn || 0)
+    );
+  }
+
+  /**
+   * Generate the full Phase 1 batch (pace + carry-over extras) and post one
+   * consolidated chat card.
+   * @returns {Promise<object[]|null>} Batch rows, or null if pace is zero.
+   */
+  async generateAllPois() {
+    const pace = this.getPoiGenerationTarget();
+    if (pace <= 0) {
+      ui.notifications.warn(game.i18n.localize("STA_TC.Wizard.PaceIsZero"));
+      return null;
+    }
+    const batchRows = [];
+    for (let i = 0; i < pace; i++)
+      batchRows.push(await this.generatePoi({ postChat: false }));
+    // Post one consolidated chat card for all generated POIs
+    if (batchRows.length) {
+      await ChatMessage.create({
+        content: PoiGenerator.buildBatchChatHtml(batchRows),
+        speaker: {
+          alias: game.i18n.localize("STA_TC.Poi.Generator.SpeakerAlias"),
+        },
+        whisper: [game.user.id],
+      });
+    }
+    return batchRows;
+  }
+
+  /**
+   * Toggle the scenario POI (the one the players will play out this turn).
+   * @param {string} poiUuid
+   */
+  async selectScenario(poiUuid) {
+    await this.tracker.update({
+      "system.scenarioPoi":
+        this.tracker.system.scenarioPoi === poiUuid ? "" : poiUuid,
+    });
+  }
+
+  /**
+   * Check whether an asset may be placed in a POI slot.
+   * @param {Actor} actor - The asset actor.
+   * @param {number} slot - 0 = primary, any other = assisting.
+   * @param {object} [options]
+   * @param {boolean} [options.moving=false] - The asset is being moved from
+   *   another slot, so its existing assignment does not count.
+   * @param {string} [options.poiUuid] - The POI whose slot it is, to check
+   *   the slot exists and accepts the asset's type.
+   * @returns {string|null} A localized warning, or null if allowed.
+   */
+  getAssignmentError(actor, slot, { moving = false, poiUuid = null } = {}) {
+    if (poiUuid) {
+      const slotData = getPoiSlots(fromUuidSync(poiUuid))[slot];
+      if (!slotData)
+        return game.i18n.localize("STA_TC.CampaignTracker.NoSuchSlot");
+      const assetType = actor.system?.assetType || "character";
+      if (slotData.type && slotData.type !== assetType)
+        return game.i18n.format("STA_TC.CampaignTracker.SlotTypeMismatch", {
+          name: actor.name,
+          type: game.i18n.localize(ASSET_TYPE_LABELS[slotData.type]),
+        });
+      const entry = this.findEntry(poiUuid)?.entry;
+      if (
+        !moving &&
+        getEntryAssetUuids(entry).includes(actor.uuid) &&
+        entry.assets[slot] !== actor.uuid
+      )
+        return game.i18n.localize("STA_TC.CampaignTracker.AssetAlreadyOnPoi");
+    }
+    const busyOn = getBusyAssets(this.tracker).get(actor.uuid);
+    if (busyOn)
+      return game.i18n.format("STA_TC.Theatre.AssetBusy", {
+        name: actor.name,
+        theatre: busyOn.name,
+      });
+    if (!moving && this.isAssetAssignedToAnyPoi(actor.uuid)) {
+      if (actor.system?.assetType !== "resource")
+        return game.i18n.localize(
+          "STA_TC.CampaignTracker.AssetAlreadyAssigned",
+        );
+      const limit = this.tracker.system.turnFlexibleDeployments ? 2 : 1;
+      if (this.countResourceAssignments(actor.uuid) >= limit)
+        return game.i18n.format(
+          "STA_TC.Progression.AssetResourceLimitReached",
+          { name: actor.name },
+        );
+    }
+    if (
+      actor.effects?.some(
+        (effect) => effect.active && effect.flags?.[MODULE_ID]?.unavailable,
+      )
+    )
+      return game.i18n.format("STA_TC.CampaignTracker.AssetUnavailableAssign", {
+        name: actor.name,
+      });
+    if (
+      actor.effects?.some(
+        (effect) => effect.active && effect.flags?.[MODULE_ID]?.lost,
+      )
+    )
+      return game.i18n.format("STA_TC.CampaignTracker.AssetLostAssign", {
+        name: actor.name,
+      });
+    if (slot === 0 && actor.system?.assetType === "resource")
+      return game.i18n.localize("STA_TC.Wizard.ResourceCannotBePrimary");
+    return null;
+  }
+
+  /**
+   * Every tracker asset that could currently be placed in the given slot.
+   * @param {number} slot
+   * @param {string} [poiUuid] - The POI whose slot it is.
+   * @returns {Promise<Actor[]>}
+   */
+  async getAssignableAssets(slot, poiUuid = null) {
+    const system = this.tracker.system;
+    const available = [];
+    for (const uuid of [
+      ...(system.characterAssets || []),
+      ...(system.shipAssets || []),
+      ...(system.resourceAssets || []),
+    ]) {
+      const actor = await fromUuid(uuid);
+      if (actor && !this.getAssignmentError(actor, slot, { poiUuid }))
+        available.push(actor);
+    }
+    return available;
+  }
+
+  /**
+   * Propose assets for every open POI slot, maximizing the urgency-weighted
+   * expected successes (see assignment-optimizer.mjs). The scenario POI and
+   * existing assignments are left alone; busy, unavailable, lost and
+   * commandeered assets are not proposed, and resources only take assisting
+   * slots, up to the Flexible Deployments limit. Slots restricted to an asset
+   * type only take assets of that type. Nothing is written.
+   * @returns {Promise<{rows: object[], assets: Actor[]}>} One row per POI:
+   *   { poiUuid, poi, slots: [{slot, type, uuid, fixed}], expected, power }
+   *   and the assets that may fill open slots.
+   */
+  async planAutoAssign() {
+    const system = this.tracker.system;
+    const limit = system.turnFlexibleDeployments ? 2 : 1;
+    const commandeered = new Set(system.commandeeredAssets || []);
+    const toAsset = (actor, uses) => ({
+      uuid: actor.uuid,
+      type: actor.system?.assetType || "character",
+      isResource: actor.system?.assetType === "resource",
+      uses,
+      powers: actor.system?.powers ?? {},
+    });
+
+    const assets = [];
+    const free = [];
+    for (const uuid of [
+      ...(system.characterAssets || []),
+      ...(system.shipAssets || []),
+      ...(system.resourceAssets || []),
+    ]) {
+      const actor = await fromUuid(uuid);
+      if (!actor) continue;
+      const usable =
+        !commandeered.has(uuid) && !this.getAssignmentError(actor, 1);
+      const uses = !usable
+        ? 0
+        : actor.system?.assetType === "resource"
+          ? limit - this.countResourceAssignments(uuid)
+          : 1;
+      assets.push(toAsset(actor, uses));
+      if (uses > 0) free.push(actor);
+    }
+
+    const entries = [];
+    const pois = new Map();
+    for (const entry of this.getAllEntries()) {
+      if (entry.actorUuid === system.scenarioPoi) continue;
+      const poi = await fromUuid(entry.actorUuid);
+      if (!poi) continue;
+      pois.set(entry.actorUuid, poi);
+      const powers = [
+        {
+          power: poi.system?.power || "military",
+          difficulty: poi.system?.difficulty || 1,
+        },
+      ];
+      if (poi.system?.power2)
+        powers.push({
+          power: poi.system.power2,
+          difficulty: poi.system?.difficulty2 ?? 1,
+        });
+      entries.push({
+        id: entry.actorUuid,
+        weight:
+          poi.system?.poiType === "tacticalThreat"
+            ? poi.system?.urgency || 1
+            : 1,
+        powers,
+        slots: getPoiSlots(poi).map(({ slot, type }) => ({
+          uuid: entry.assets?.[slot] || null,
+          type,
+        })),
+      });
+    }
+
+    const proposal = optimizeAssignments({ entries, assets });
+    return {
+      rows: proposal.map((row, index) => ({
+        poiUuid: row.id,
+        poi: pois.get(row.id),
+        slots: row.slots.map((uuid, slot) => ({
+          slot,
+          type: entries[index].slots[slot].type,
+          uuid: uuid || "",
+          fixed: !!entries[index].slots[slot].uuid,
+        })),
+        expected: row.expected,
+        power: row.power,
+      })),
+      assets: free,
+    };
+  }
+
+  /**
+   * Write several POI slot assignments in one update, after checking the
+   * result against the assignment rules. Nothing is written if any
+   * assignment is invalid.
+   * @param {{poiUuid: string, assets: string[]}[]} assignments - The asset
+   *   of each slot, blank to leave the slot as it is.
+   * @returns {Promise<boolean>}
+   */
+  async applyAssignments(assignments) {
+    const system = this.tracker.system;
+    const lists = Object.fromEntries(
+      POI_LIST_KEYS.map((key) => [
+        key,
+        foundry.utils.deepClone(system[key] || []),
+      ]),
+    );
+    const placed = [];
+    for (const { poiUuid, assets } of assignments) {
+      const found = this.findEntry(poiUuid);
+      if (!found) continue;
+      const entry = lists[found.listKey][found.index];
+      for (const [slot, uuid] of assets.entries()) {
+        if (!uuid || entry.assets?.[slot] === uuid) continue;
+        setEntrySlot(entry, slot, uuid);
+        placed.push({ poiUuid, entry, slot, uuid });
+      }
+    }
+    if (!placed.length) return false;
+
+    // Count every slot each asset fills once the assignments are applied
+    const counts = new Map();
+    for (const entry of Object.values(lists).flat()) {
+      for (const uuid of getEntryAssetUuids(entry))
+        counts.set(uuid, (counts.get(uuid) || 0) + 1);
+    }
+    const limit = system.turnFlexibleDeployments ? 2 : 1;
+    const commandeered = new Set(system.commandeeredAssets || []);
+    for (const { poiUuid, entry, slot, uuid } of placed) {
+      const actor = await fromUuid(uuid);
+      let error = actor
+        ? this.getAssignmentError(actor, slot, { moving: true, poiUuid })
+        : game.i18n.localize("STA_TC.CampaignTracker.NotAnAsset");
+      if (
+        !error &&
+        getEntryAssetUuids(entry).filter((other) => other === uuid).length > 1
+      )
+        error = game.i18n.localize("STA_TC.CampaignTracker.AssetAlreadyOnPoi");
+      if (!error && commandeered.has(uuid))
+        error = game.i18n.format(
+          "STA_TC.CampaignTracker.AssetUnavailableAssign",
+          {
+            name: actor.name,
+          },
+        );
+      if (
+        !error &&
+        actor.system?.assetType !== "resource" &&
+        counts.get(uuid) > 1
+      )
+        error = game.i18n.localize(
+          "STA_TC.CampaignTracker.AssetAlreadyAssigned",
+        );
+      if (
+        !error &&
+        actor.system?.assetType === "resource" &&
+        counts.get(uuid) > limit
+      )
+        error = game.i18n.format(
+          "STA_TC.Progression.AssetResourceLimitReached",
+          {
+            name: actor.name,
+          },
+        );
+      if (error) {
+        ui.notifications.warn(error);
+        return false;
+      }
+    }
+
+    await this.tracker.update(
+      Object.fromEntries(
+        POI_LIST_KEYS.map((key) => [`system.${key}`, lists[key]]),
+      ),
+    );
+    return true;
+  }
+
+  /**
+   * Assign an asset to a POI slot after validating it.
+   * @param {string} poiUuid
+   * @param {number} slot - 0 = primary, any other = assisting.
+   * @param {string} assetUuid
+   * @returns {Promise<boolean>}
+   */
+  async assignAsset(poiUuid, slot, assetUuid) {
+    const actor = await fromUuid(assetUuid);
+    if (!actor || actor.type !== `${MODULE_ID}.asset`) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.CampaignTracker.NotAnAsset"),
+      );
+      return false;
+    }
+    const error = this.getAssignmentError(actor, slot, { poiUuid });
+    if (error) {
+      ui.notifications.warn(error);
+      return false;
+    }
+    return this.updateEntry(poiUuid, (entry) => {
+      setEntrySlot(entry, slot, assetUuid);
+    });
+  }
+
+  /**
+   * Clear a POI slot.
+   * @param {string} poiUuid
+   * @param {number} slot
+   */
+  async unassignAsset(poiUuid, slot) {
+    return this.updateEntry(poiUuid, (entry) => {
+      setEntrySlot(entry, slot, "");
+    });
+  }
+
+  /**
+   * Roll the configured Events table for one POI, embed the event item on the
+   * POI actor (replacing any previous event) and record it on the entry.
+   * @param {string} poiUuid
+   * @returns {Promise<string|null>} The event name, or null on failure.
+   */
+  async rollEvent(poiUuid) {
+    const tableUuid = game.settings.get(MODULE_ID, "tableEvents");
+    if (!tableUuid) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Wizard.EventTableNotConfigured"),
+      );
+      return null;
+    }
+    const table = await fromUuid(tableUuid);
+    if (!table) {
+      ui.notifications.error(
+        game.i18n.format("STA_TC.Poi.Generator.TableNotFound", {
+          name: "Events",
+        }),
+      );
+      return null;
+    }
+
+    const roll = await rollTable(this.tracker, table);
+    const result = roll.results?.[0];
+
+    // Prefer a directly-referenced Event item document in the table result.
+    let itemData = null;
+    const docUuid = result?.documentUuid?.trim();
+    if (docUuid) {
+      const doc = await fromUuid(docUuid);
+      if (doc?.documentName === "Item" && doc.type === `${MODULE_ID}.event`) {
+        itemData = doc.toObject();
+        for (const effect of itemData.effects ?? []) effect.transfer = true;
+      }
+    }
+
+    // Fallback: build a minimal event from the roll result text.
+    const resultText = result?.text || result?.name || "No result";
+    const resultName =
+      result?.name && result.name !== resultText
+        ? result.name
+        : resultText
+            .split(/[.:!?]/)[0]
+            .trim()
+            .slice(0, 60);
+    if (!itemData) {
+      itemData = {
+        name: resultName || game.i18n.localize("STA_TC.EventName"),
+        type: `${MODULE_ID}.event`,
+        system: { description: resultText },
+      };
+    }
+
+    // Embed the event item on the PoI actor, enforcing the 1-event limit.
+    const poi = await fromUuid(poiUuid);
+    if (poi) {
+      const existingIds = poi.items
+        .filter((i) => i.type === `${MODULE_ID}.event`)
+        .map((i) => i.id);
+      if (existingIds.length)
+        await poi.deleteEmbeddedDocuments("Item", existingIds);
+      await poi.createEmbeddedDocuments("Item", [itemData]);
+    }
+
+    // Update the tracker entry's eventResult (drives the Roll/Reroll button label).
+    const displayName = itemData.name;
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.eventResult = displayName;
+    });
+    return displayName;
+  }
+
+  /**
+   * Roll an event for a random non-scenario POI on the tracker.
+   * @returns {Promise<string|null>} UUID of the POI that received the event.
+   */
+  async rollRandomEvent() {
+    if (!game.settings.get(MODULE_ID, "tableEvents")) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Wizard.EventTableNotConfigured"),
+      );
+      return null;
+    }
+    const scenarioPoi = this.tracker.system.scenarioPoi || "";
+    const allUuids = this.getAllEntries()
+      .map((e) => e.actorUuid)
+      .filter((uuid) => uuid && uuid !== scenarioPoi);
+    if (!allUuids.length) {
+      ui.notifications.warn(game.i18n.localize("STA_TC.Wizard.NoPoisForEvent"));
+      return null;
+    }
+    const randomUuid = await randomPick(this.tracker, allUuids);
+    await this.rollEvent(randomUuid);
+    return randomUuid;
+  }
+
+  /**
+   * Remove the embedded event from a POI and clear the entry's event result.
+   * @param {string} poiUuid
+   */
+  async resetEvent(poiUuid) {
+    const poi = await fromUuid(poiUuid);
+    if (poi) {
+      const eventIds = poi.items
+        .filter((i) => i.type === `${MODULE_ID}.event`)
+        .map((i) => i.id);
+      if (eventIds.length) await poi.deleteEmbeddedDocuments("Item", eventIds);
+    }
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.eventResult = "";
+    });
+  }
+
+  // ==========================================================================
+  // Phase 2 — Conflicts
+  // ==========================================================================
+
+  /**
+   * Resolve everything needed to roll a POI's conflict. The difficulties
+   * already include the reduction earned by the assets' traits; `traits`
+   * holds every trait bonus, see getTraitBonuses().
+   * @param {string} poiUuid
+   * @returns {Promise<object|null>} null when the POI or its primary asset is missing.
+   */
+  async getConflictParticipants(poiUuid) {
+    const poi = await fromUuid(poiUuid);
+    const found = this.findEntry(poiUuid);
+    if (!poi || !found) return null;
+    const [primaryUuid, ...assistUuids] = found.entry.assets || [];
+    const primaryActor = primaryUuid ? await fromUuid(primaryUuid) : null;
+    if (!primaryActor) return null;
+    const assistActors = [];
+    for (const uuid of assistUuids) {
+      const actor = uuid ? await fromUuid(uuid) : null;
+      if (actor) assistActors.push(actor);
+    }
+    const traits = getTraitBonuses([primaryActor, ...assistActors], poi);
+    return {
+      poi,
+      entry: found.entry,
+      primaryActor,
+      assistActors,
+      power: poi.system?.power || "military",
+      difficulty: Math.max(
+        0,
+        (poi.system?.difficulty || 1) - traits.difficulty,
+      ),
+      power2: poi.system?.power2 || null,
+      difficulty2: Math.max(
+        0,
+        (poi.system?.difficulty2 ?? 1) - traits.difficulty,
+      ),
+      traits,
+    };
+  }
+
+  /**
+   * Roll a POI's conflict with its assigned assets, post the STA-style chat
+   * card and store the advisory successes on the entry. The conflict itself
+   * stays unresolved until setConflictResult() is called.
+   *
+   * For an extended task the roll is one round instead, see
+   * _recordConflictRound().
+   *
+   * @param {string} poiUuid
+   * @param {object} [options]
+   * @param {number}  [options.diceCount=2]
+   * @param {boolean} [options.usingFocus=true]
+   * @param {boolean} [options.usingDedicatedFocus=false]
+   * @param {boolean} [options.usingDetermination=false]
+   * @param {number}  [options.complicationRange=1]
+   * @param {boolean} [options.assistFocus=true]
+   * @param {string|null} [options.selectedPower] - power or power2 of the POI.
+   * @returns {Promise<{totalSuccesses: number, hadNat20: boolean}|null>}
+   *   Extended tasks also return the round's work, rounds and result.
+   */
+  async rollConflict(
+    poiUuid,
+    {
+      diceCount = 2,
+      usingFocus = true,
+      usingDedicatedFocus = false,
+      usingDetermination = false,
+      complicationRange = 1,
+      assistFocus = true,
+      selectedPower = null,
+    } = {},
+  ) {
+    const participants = await this.getConflictParticipants(poiUuid);
+    if (!participants) return null;
+    const { poi, primaryActor, assistActors, traits } = participants;
+    const {
+      chosenPower,
+      primaryResult,
+      assistResults,
+      totalSuccesses,
+      hadNat20,
+    } = await this._rollConflictDice(participants, {
+      diceCount,
+      usingFocus,
+      usingDedicatedFocus,
+      usingDetermination,
+      complicationRange,
+      assistFocus,
+      selectedPower,
+    });
+    await this.postConflictRollSummaryChat({
+      poi,
+      primaryActor,
+      assistActors,
+      chosenPower,
+      primaryResult,
+      assistResults,
+      totalSuccesses,
+      traits,
+    });
+    if (CampaignTurnEngine.getExtendedTask(poi))
+      return this._recordConflictRound(participants, {
+        chosenPower,
+        totalSuccesses,
+        hadNat20,
+      });
+    // Store advisory data only — the GM must still click Pass or Fail to resolve.
+    await this.recordConflictAdvisory(
+      poiUuid,
+      totalSuccesses,
+      hadNat20,
+      chosenPower,
+    );
+    return { totalSuccesses, hadNat20 };
+  }
+
+  /**
+   * Store a round of an extended task. When the successes reach the rolled
+   * power's difficulty, the successes less the POI's resistance fill the work
+   * track. Every round after the first costs the POI's round cost: +1 Threat,
+   * or a complication on the conflict. The conflict succeeds as soon as the
+   * track is full, with the overflow as Momentum, and fails once its
+   * magnitude of rounds is spent.
+   * @param {object} participants - See getConflictParticipants().
+   * @param {object} roll
+   * @param {string} roll.chosenPower
+   * @param {number} roll.totalSuccesses
+   * @param {boolean} roll.hadNat20
+   * @returns {Promise<{totalSuccesses: number, hadNat20: boolean,
+   *   work: number, rounds: number, result: string}|null>}
+   */
+  async _recordConflictRound(
+    { poi, power, difficulty, difficulty2 },
+    { chosenPower, totalSuccesses, hadNat20 },
+  ) {
+    const task = CampaignTurnEngine.getExtendedTask(poi);
+    const found = this.findEntry(poi.uuid);
+    if (!task || !found) return null;
+    const target = chosenPower === power ? difficulty : difficulty2;
+    const impact =
+      totalSuccesses >= target
+        ? Math.max(0, totalSuccesses - task.resistance)
+        : 0;
+    const work = (found.entry.conflictWork || 0) + impact;
+    const rounds = (found.entry.conflictRounds || 0) + 1;
+    const paysCost = rounds > 1;
+    const complication =
+      found.entry.conflictHadNat20 ||
+      hadNat20 ||
+      (paysCost && task.roundCost === "complication");
+    let resolution = null;
+    if (work >= task.work)
+      resolution = _deriveConflictResult(
+        "success",
+        work,
+        task.work,
+        complication,
+      );
+    else if (rounds >= task.magnitude)
+      resolution = _deriveConflictResult("failure", 0, 0, complication);
+
+    await this.updateEntry(poi.uuid, (entry) => {
+      entry.conflictSuccesses = totalSuccesses;
+      entry.conflictHadNat20 = complication;
+      entry.conflictPower = chosenPower;
+      entry.conflictWork = work;
+      entry.conflictRounds = rounds;
+      if (resolution) {
+        entry.conflictResult = resolution.result;
+        entry.conflictMomentum = resolution.momentum;
+      }
+      if (paysCost && task.roundCost === "threat")
+        return {
+          "system.turnThreatIncrease":
+            (this.tracker.system.turnThreatIncrease || 0) + 1,
+        };
+    });
+
+    const costKeys = {
+      threat: "STA_TC.Extended.CostThreatPaid",
+      complication: "STA_TC.Extended.CostComplicationPaid",
+    };
+    const message = game.i18n.format("STA_TC.Extended.RoundRolled", {
+      name: poi.name,
+      round: rounds,
+      magnitude: task.magnitude,
+      impact,
+      work: Math.min(work, task.work),
+      track: task.work,
+    });
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "conflictRound",
+      message: paysCost
+        ? `${message} ${game.i18n.localize(costKeys[task.roundCost])}`
+        : message,
+      entityUuid: poi.uuid,
+      data: { round: rounds, work, impact },
+    });
+    if (resolution)
+      await this._announceConflictResult(
+        poi.uuid,
+        poi,
+        resolution.result,
+        resolution.momentum,
+      );
+    return {
+      totalSuccesses,
+      hadNat20,
+      work,
+      rounds,
+      result: resolution?.result ?? "",
+    };
+  }
+
+  /**
+   * Roll the primary and assisting assets' dice for a conflict, without
+   * posting or storing anything. Every assisting asset rolls one die. Trait
+   * bonuses add dice to the primary asset's pool and ignore complications.
+   * @param {object} participants - See getConflictParticipants().
+   * @param {object} options - See rollConflict(); every option is required.
+   * @returns {Promise<{chosenPower: string, primaryResult: object,
+   *   assistResults: object[], totalSuccesses: number, hadNat20: boolean}>}
+   */
+  async _rollConflictDice(
+    { poi, primaryActor, assistActors, power, power2, traits },
+    {
+      diceCount,
+      usingFocus,
+      usingDedicatedFocus,
+      usingDetermination,
+      complicationRange,
+      assistFocus,
+      selectedPower,
+    },
+  ) {
+    const chosenPower =
+      selectedPower && selectedPower !== power && power2 ? power2 : power;
+    const zero = { value: 0, focus: 0 };
+    const primaryPowers = primaryActor.system?.powers?.[chosenPower] || zero;
+
+    const primaryResult = await this.performRoll(
+      diceCount + (traits?.extraDice || 0),
+      primaryPowers.value,
+      primaryPowers.focus,
+      usingFocus,
+      usingDedicatedFocus,
+      usingDetermination,
+      complicationRange,
+      primaryActor.name,
+      poi.name,
+      chosenPower,
+    );
+    const assistResults = [];
+    for (const assistActor of assistActors) {
+      const assistPowers = assistActor.system?.powers?.[chosenPower] || zero;
+      assistResults.push(
+        await this.performRoll(
+          1,
+          assistPowers.value,
+          assistPowers.focus,
+          assistFocus,
+          false,
+          false,
+          complicationRange,
+          assistActor.name,
+          poi.name,
+          chosenPower,
+        ),
+      );
+    }
+    const totalSuccesses = assistResults.reduce(
+      (sum, result) => sum + result.successes,
+      primaryResult.successes,
+    );
+    const complications = [primaryResult, ...assistResults].reduce(
+      (sum, result) => sum + _countComplications(result),
+      0,
+    );
+    const hadNat20 = complications > (traits?.complications || 0);
+    return {
+      chosenPower,
+      primaryResult,
+      assistResults,
+      totalSuccesses,
+      hadNat20,
+    };
+  }
+
+  /**
+   * Unresolved conflicts a batch roll covers: every POI with a primary asset
+   * except the scenario POI, in list order. Extended tasks are left out, as
+   * they are rolled round by round.
+   * @returns {Promise<object[]>} Participants, see getConflictParticipants().
+   */
+  async getBatchConflicts() {
+    const conflicts = [];
+    for (const entry of this.getAllEntries()) {
+      if (!entry.assets?.[0] || entry.conflictResult) continue;
+      if (entry.actorUuid === this.tracker.system.scenarioPoi) continue;
+      const participants = await this.getConflictParticipants(entry.actorUuid);
+      if (participants && !CampaignTurnEngine.getExtendedTask(participants.poi))
+        conflicts.push(participants);
+    }
+    return conflicts;
+  }
+
+  /**
+   * Roll every unresolved conflict of the turn in one go. Each POI passes when
+   * its successes reach the difficulty of the rolled power; the results,
+   * advisory successes and complications are written in one tracker update
+   * and one chat card lists every roll. An entry can still be rerolled with
+   * resetConflictRoll().
+   *
+   * @param {object} [options]
+   * @param {object} [options.defaults] - Roll options for every POI, see
+   *   rollConflict().
+   * @param {Object<string, object>} [options.overrides] - Roll options for
+   *   single POIs, keyed by POI uuid and merged over the defaults.
+   * @returns {Promise<{poiUuid: string, totalSuccesses: number,
+   *   hadNat20: boolean, result: string, momentum: number}[]>}
+   */
+  async rollAllConflicts({ defaults = {}, overrides = {} } = {}) {
+    const conflicts = await this.getBatchConflicts();
+    if (!conflicts.length) return [];
+
+    const rolls = [];
+    for (const participants of conflicts) {
+      const poiUuid = participants.poi.uuid;
+      const roll = await this._rollConflictDice(participants, {
+        diceCount: 2,
+        usingFocus: true,
+        usingDedicatedFocus: false,
+        usingDetermination: false,
+        complicationRange: 1,
+        assistFocus: true,
+        selectedPower: null,
+        ...defaults,
+        ...overrides[poiUuid],
+      });
+      const difficulty =
+        roll.chosenPower === participants.power
+          ? participants.difficulty
+          : participants.difficulty2;
+      const intent = roll.totalSuccesses >= difficulty ? "success" : "failure";
+      rolls.push({
+        ...participants,
+        ...roll,
+        poiUuid,
+        difficulty,
+        ..._deriveConflictResult(
+          intent,
+          roll.totalSuccesses,
+          difficulty,
+          roll.hadNat20,
+        ),
+      });
+    }
+
+    // Every entry and the notification log are written in one update
+    const byPoi = new Map(rolls.map((roll) => [roll.poiUuid, roll]));
+    const updates = {};
+    for (const listKey of POI_LIST_KEYS) {
+      const entries = foundry.utils.deepClone(
+        this.tracker.system[listKey] || [],
+      );
+      let changed = false;
+      for (const entry of entries) {
+        const roll = byPoi.get(entry.actorUuid);
+        if (!roll) continue;
+        entry.conflictSuccesses = roll.totalSuccesses;
+        entry.conflictHadNat20 = roll.hadNat20;
+        entry.conflictPower = roll.chosenPower;
+        entry.conflictResult = roll.result;
+        entry.conflictMomentum = roll.momentum;
+        changed = true;
+      }
+      if (changed) updates[`system.${listKey}`] = entries;
+    }
+    TrackerNotifier.beginBatch(this.tracker);
+    for (const roll of rolls) {
+      await TrackerNotifier.emit({
+        tracker: this.tracker,
+        event: "conflictFinalized",
+        message: _conflictResultMessage(roll.poi, roll.result, roll.momentum),
+        entityUuid: roll.poiUuid,
+        data: { result: roll.result, momentum: roll.momentum },
+      });
+    }
+    await TrackerNotifier.flushBatch(updates);
+
+    await this.postBatchConflictChat(rolls);
+    for (const roll of rolls) {
+      const entry = this.findEntry(roll.poiUuid)?.entry ?? null;
+      await recordConflict(entry, roll.poi, {
+        turn: this.tracker.system.campaignTurnNumber || 0,
+        result: roll.result,
+        momentum: roll.momentum,
+        power: roll.chosenPower,
+      });
+      callHook("conflictFinalized", {
+        tracker: this.tracker,
+        entry,
+        poi: roll.poi,
+        assets: await this.getEntryAssets(entry),
+        result: roll.result,
+        momentum: roll.momentum,
+      });
+    }
+    return rolls.map(
+      ({ poiUuid, totalSuccesses, hadNat20, result, momentum }) => ({
+        poiUuid,
+        totalSuccesses,
+        hadNat20,
+        result,
+        momentum,
+      }),
+    );
+  }
+
+  /**
+   * Store advisory roll data on an entry. conflictResult is intentionally
+   * left blank so the conflict stays unresolved.
+   * @param {string} poiUuid
+   * @param {number} totalSuccesses
+   * @param {boolean} hadNat20
+   * @param {string|null} [power] - The power rolled; kept as is when null.
+   */
+  async recordConflictAdvisory(
+    poiUuid,
+    totalSuccesses,
+    hadNat20,
+    power = null,
+  ) {
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.conflictSuccesses = totalSuccesses;
+      entry.conflictHadNat20 = hadNat20;
+      if (power) entry.conflictPower = power;
+    });
+  }
+
+  /**
+   * Whether setConflictResult() needs a GM decision on complications, i.e.
+   * no advisory roll already recorded one.
+   * @param {string} poiUuid
+   */
+  needsComplicationDecision(poiUuid) {
+    const found = this.findEntry(poiUuid);
+    return !!found && !found.entry.conflictHadNat20;
+  }
+
+  /**
+   * Finalise a conflict.
+   * @param {string} poiUuid
+   * @param {"success"|"failure"} intent - The GM's pass/fail call.
+   * @param {object} [options]
+   * @param {boolean} [options.complication=false] - A complication was rolled,
+   *   turning success into flawed success and failure into serious setback.
+   *   Forced to true when the advisory roll recorded a complication.
+   * @returns {Promise<string|null>} The final result key.
+   */
+  async setConflictResult(poiUuid, intent, { complication = false } = {}) {
+    const found = this.findEntry(poiUuid);
+    if (!found) return null;
+    // Load the POI to get difficulty for momentum calculation, less what the
+    // assets' traits take off
+    const poi = await fromUuid(poiUuid);
+    const traits = getTraitBonuses(await this.getEntryAssets(found.entry), poi);
+    const difficulty = Math.max(
+      0,
+      (poi?.system?.difficulty || 1) - traits.difficulty,
+    );
+    // Derive result flavour from the GM's pass/fail intent + any advisory roll data
+    const { result: finalResult, momentum: finalMomentum } =
+      _deriveConflictResult(
+        intent,
+        found.entry.conflictSuccesses || 0,
+        difficulty,
+        found.entry.conflictHadNat20 || complication,
+      );
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.conflictResult = finalResult;
+      entry.conflictMomentum = finalMomentum;
+    });
+    await this._announceConflictResult(
+      poiUuid,
+      poi,
+      finalResult,
+      finalMomentum,
+    );
+    return finalResult;
+  }
+
+  /**
+   * Notify and fire the conflictFinalized hook for a stored conflict result.
+   * @param {string} poiUuid
+   * @param {Actor|null} poi
+   * @param {string} result
+   * @param {number} momentum
+   */
+  async _announceConflictResult(poiUuid, poi, result, momentum) {
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "conflictFinalized",
+      message: _conflictResultMessage(poi, result, momentum),
+      entityUuid: poiUuid,
+      data: { result, momentum },
+    });
+    const entry = this.findEntry(poiUuid)?.entry ?? null;
+    await recordConflict(entry, poi, {
+      turn: this.tracker.system.campaignTurnNumber || 0,
+      result,
+      momentum,
+      power: entry?.conflictPower || poi?.system?.power || "",
+    });
+    callHook("conflictFinalized", {
+      tracker: this.tracker,
+      entry,
+      poi,
+      assets: await this.getEntryAssets(entry),
+      result,
+      momentum,
+    });
+  }
+
+  /** @param {string} poiUuid */
+  async resetConflictRoll(poiUuid) {
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.conflictResult = "";
+      entry.conflictSuccesses = 0;
+      entry.conflictMomentum = 0;
+      entry.conflictHadNat20 = false;
+      entry.conflictPower = "";
+      entry.conflictWork = 0;
+      entry.conflictRounds = 0;
+      entry.consequenceChosen = "";
+      entry.failureChoice = "";
+      entry.lossResult = "";
+    });
+  }
+
+  /**
+   * Apply the consequence chosen for a flawed success.
+   * @param {string} poiUuid
+   * @param {"extraPoi"|"rollLoss"|"increaseThreat"} consequence
+   * @returns {Promise<{threatIncrease?: number}|null>}
+   */
+  async chooseConsequence(poiUuid, consequence) {
+    if (!this.findEntry(poiUuid)) return null;
+    const poi = await fromUuid(poiUuid);
+    const outcome = {};
+    const updates = {};
+    if (consequence === "extraPoi") {
+      updates["system.turnExtraPoisNextTurn"] =
+        (this.tracker.system.turnExtraPoisNextTurn || 0) + 1;
+      await this.appendPendingNote(
+        game.i18n.format("STA_TC.Wizard.NoteExtraPoi", {
+          name: poi?.name || "?",
+        }),
+      );
+    } else if (consequence === "rollLoss") {
+      await this.rollForLoss(poiUuid);
+    } else if (consequence === "increaseThreat") {
+      const amt =
+        (poi?.system?.difficulty || 1) * getCampaignRules().threatPerDifficulty;
+      updates["system.turnThreatIncrease"] =
+        (this.tracker.system.turnThreatIncrease || 0) + amt;
+      outcome.threatIncrease = amt;
+      await this.appendPendingNote(
+        game.i18n.format("STA_TC.Wizard.NoteIncreaseThreat", {
+          amount: amt,
+          name: poi?.name || "?",
+        }),
+      );
+    } else {
+      return null;
+    }
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.consequenceChosen = consequence;
+      return updates;
+    });
+    return outcome;
+  }
+
+  /**
+   * Record the players' choice after a failed conflict.
+   * @param {string} poiUuid
+   * @param {"withdraw"|"succeedAtCost"} option
+   */
+  async chooseFailureOption(poiUuid, option) {
+    await this.updateEntry(poiUuid, (entry) => {
+      if (option === "withdraw") entry.failureChoice = "withdraw";
+      if (option === "succeedAtCost") {
+        entry.conflictResult = "flawedSuccess";
+        entry.failureChoice = "succeedAtCost";
+      }
+    });
+  }
+
+  /**
+   * Roll on the loss table for a POI's primary asset, record the result on
+   * the entry, post a chat card and apply the row's outcome. A loss with all
+   * hands takes the other Character assets on the POI and the crew with it.
+   * @param {string} poiUuid
+   */
+  async rollForLoss(poiUuid) {
+    const entryAssets = getEntryAssetUuids(this.findEntry(poiUuid)?.entry);
+    const primaryUuid = this.findEntry(poiUuid)?.entry.assets?.[0] || null;
+    const primaryActor = primaryUuid ? await fromUuid(primaryUuid) : null;
+
+    const loss = await LossResolver.roll(primaryActor, {
+      tracker: this.tracker,
+    });
+    const markLost = loss.outcome === "lost";
+
+    if (primaryActor) {
+      await LossResolver.apply(
+        primaryActor,
+        loss,
+        this.tracker.system.campaignTurnNumber || 0,
+      );
+      await recordLoss(primaryActor, loss, {
+        turn: this.tracker.system.campaignTurnNumber || 0,
+        poi: await fromUuid(poiUuid),
+      });
+    }
+
+    const resultText = loss.name;
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.lossResult = resultText;
+    });
+    let casualties = [];
+    if (markLost && primaryActor) {
+      const entry = this.findEntry(poiUuid)?.entry ?? null;
+      const poi = await fromUuid(poiUuid);
+      callHook("assetLost", {
+        tracker: this.tracker,
+        entry,
+        poi,
+        asset: primaryActor,
+        roll: loss.rollValue,
+        result: resultText,
+      });
+      casualties = await LossResolver.cascadeAllHands(primaryActor, loss, {
+        tracker: this.tracker,
+        shipmateUuids: entryAssets,
+        entry,
+        poi,
+      });
+    }
+    await ChatMessage.create({
+      content: LossResolver.buildChatHtml(primaryActor, loss, casualties),
+      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
+      whisper: [game.user.id],
+    });
+  }
+
+  // ==========================================================================
+  // Phase 3 — Outcomes
+  // ==========================================================================
+
+  /**
+   * Roll the Escalation table for a POI and post the result card.
+   * @param {string} poiUuid
+   * @returns {Promise<TableResult|null>}
+   */
+  async rollEscalation(poiUuid) {
+    const tableUuid = game.settings.get(MODULE_ID, "tableEscalation");
+    if (!tableUuid) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Wizard.EscalationTableNotConfigured"),
+      );
+      return null;
+    }
+    const table = await fromUuid(tableUuid);
+    if (!table) {
+      ui.notifications.error(
+        game.i18n.format("STA_TC.Poi.Generator.TableNotFound", {
+          name: "Escalation",
+        }),
+      );
+      return null;
+    }
+    if (!this.findEntry(poiUuid)) return null;
+    const roll = await rollTable(this.tracker, table);
+    const result = roll.results?.[0];
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.escalationRolled = true;
+    });
+    const poi = await fromUuid(poiUuid);
+    const headerLabel = poi?.name
+      ? `${game.i18n.localize("STA_TC.Wizard.EscalationResult")} — ${poi.name}`
+      : game.i18n.localize("STA_TC.Wizard.EscalationResult");
+    const content = await CampaignTurnEngine.buildResultCard({
+      result,
+      headerLabel,
+      accent: "#e67e22",
+    });
+    await ChatMessage.create({
+      content,
+      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
+      whisper: [game.user.id],
+    });
+    return result ?? null;
+  }
+
+  /**
+   * Pick a random asset to be commandeered by an unresolved routine POI.
+   * @param {string} poiUuid
+   * @returns {Promise<string|null>} UUID of the commandeered asset.
+   */
+  async rollCommandeer(poiUuid) {
+    const found = this.findEntry(poiUuid);
+    if (!found) return null;
+    // Don't overwrite a previously commandeered asset
+    if (found.entry.commandeeredAssetUuid) return null;
+    const system = this.tracker.system;
+    // Exclude assets commandeered in prior turns AND assets already picked by
+    // other routine POI rolls earlier this same turn.
+    const excludedUuids = new Set([
+      ...(system.commandeeredAssets || []),
+      ...(system.poiListRoutine || [])
+        .map((e) => e.commandeeredAssetUuid)
+        .filter(Boolean),
+    ]);
+    const pool = [
+      ...(system.characterAssets || []),
+      ...(system.shipAssets || []),
+      ...(system.resourceAssets || []),
+    ].filter((uuid) => !excludedUuids.has(uuid));
+    if (!pool.length) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Wizard.NoAssetsToCommandeer"),
+      );
+      return null;
+    }
+    const chosenUuid = await randomPick(this.tracker, pool);
+    const asset = await fromUuid(chosenUuid);
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.commandeeredAssetUuid = chosenUuid;
+      entry.outcomeConfirmed = true;
+    });
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "phase3Commandeer",
+      message: game.i18n.format("STA_TC.Wizard.AssetCommandeered", {
+        name: asset?.name || chosenUuid,
+      }),
+      entityUuid: chosenUuid,
+    });
+    return chosenUuid;
+  }
+
+  /**
+   * Remove a resolved POI from the tracker now rather than at End Turn.
+   * @param {string} poiUuid
+   * @param {object} [options]
+   * @param {boolean} [options.deleteActor=false] - Also delete the POI actor.
+   */
+  async confirmOutcomeResolved(poiUuid, { deleteActor = false } = {}) {
+    const found = this.findEntry(poiUuid);
+    if (!found) return;
+    const poiActor = await fromUuid(poiUuid);
+    const entries = foundry.utils.deepClone(
+      this.tracker.system[found.listKey] || [],
+    );
+    entries.splice(found.index, 1);
+    await this.tracker.update({
+      [`system.${found.listKey}`]: entries,
+      // Kept for End Turn, which no longer finds the entry in its list
+      "system.turnResolvedEntries": [
+        ...(this.tracker.system.turnResolvedEntries || []),
+        {
+          ...foundry.utils.deepClone(found.entry),
+          listKey: found.listKey,
+          // Stand-in for the POI actor, should it be deleted below
+          poi: {
+            uuid: poiUuid,
+            name: poiActor?.name || "?",
+            system: {
+              urgency: poiActor?.system?.urgency || 0,
+              difficulty: poiActor?.system?.difficulty || 0,
+              sector: poiActor?.system?.sector || "",
+              followUps: foundry.utils.deepClone(
+                poiActor?.system?.followUps ?? [],
+              ),
+            },
+          },
+        },
+      ],
+    });
+    callHook("poiResolved", {
+      tracker: this.tracker,
+      entry: found.entry,
+      poi: poiActor,
+      poiUuid,
+    });
+    if (deleteActor && poiActor) await poiActor.delete();
+  }
+
+  /**
+   * Raise a POI's urgency and difficulty by one (capped by the campaign
+   * rules).
+   * @param {string} poiUuid
+   */
+  async confirmOutcomeIntensify(poiUuid) {
+    if (!this.findEntry(poiUuid)) return;
+    const poi = await fromUuid(poiUuid);
+    const rules = getCampaignRules();
+    let notifyMsg = game.i18n.localize("STA_TC.Wizard.OutcomeIntensify1Short");
+    if (poi) {
+      const urgency = poi.system?.urgency || 1;
+      const oldDiff = poi.system?.difficulty || 1;
+      const newUrgency = Math.min(rules.urgencyCap, urgency + 1);
+      const newDiff = Math.min(rules.difficultyCap, oldDiff + 1);
+      const poiUpdates = {
+        "system.urgency": newUrgency,
+        "system.difficulty": newDiff,
+      };
+      if (poi.system?.difficulty2 != null)
+        poiUpdates["system.difficulty2"] = Math.min(
+          rules.difficultyCap,
+          poi.system.difficulty2 + 1,
+        );
+      await poi.update(poiUpdates);
+      notifyMsg = game.i18n.format("STA_TC.Notify.Phase3Intensify", {
+        name: poi.name,
+        oldUrgency: urgency,
+        newUrgency,
+        oldDiff,
+        newDiff,
+      });
+    }
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.outcomeConfirmed = true;
+    });
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "phase3Intensify",
+      message: notifyMsg,
+      entityUuid: poiUuid,
+    });
+    callHook("threatIntensified", {
+      tracker: this.tracker,
+      entry: this.findEntry(poiUuid)?.entry ?? null,
+      poi,
+      poiUuid,
+      urgency: poi?.system?.urgency ?? null,
+      difficulty: poi?.system?.difficulty ?? null,
+    });
+  }
+
+  /**
+   * Remove a threat that went catastrophic and increase pace by the
+   * campaign rules' catastrophe pace increase.
+   * @param {string} poiUuid
+   */
+  async confirmOutcomeCatastrophe(poiUuid) {
+    const found = this.findEntry(poiUuid);
+    if (!found) return;
+    const system = this.tracker.system;
+    const entries = foundry.utils.deepClone(system[found.listKey] || []);
+    const catastrophePoi = await fromUuid(poiUuid);
+    const newPace =
+      (system.pace || 0) + getCampaignRules().catastrophePaceIncrease;
+    entries.splice(found.index, 1);
+    await this.tracker.update({
+      [`system.${found.listKey}`]: entries,
+      "system.pace": newPace,
+      // Kept for End Turn, which spawns the threat's catastrophe follow-ups
+      "system.turnCatastrophePois": [
+        ...(system.turnCatastrophePois || []),
+        poiUuid,
+      ],
+    });
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "phase3Catastrophe",
+      message: `${catastrophePoi?.name || "?"}: ${game.i18n.localize("STA_TC.Wizard.OutcomeCatastropheShort")} (${game.i18n.localize("STA_TC.CampaignTracker.Pace")} ${system.pace || 0}\u2192${newPace})`,
+    });
+  }
+
+  /**
+   * Missed exploration that stays in play: difficulty +1 and count the miss.
+   * @param {string} poiUuid
+   */
+  async confirmOutcomeDiffIncrease(poiUuid) {
+    if (!this.findEntry(poiUuid)) return;
+    const poi = await fromUuid(poiUuid);
+    const rules = getCampaignRules();
+    let diffNotifyMsg = game.i18n.localize(
+      "STA_TC.Wizard.OutcomeExplorationDiffShort",
+    );
+    if (poi) {
+      const oldDiff = poi.system?.difficulty || 1;
+      const newDiff = Math.min(rules.difficultyCap, oldDiff + 1);
+      const poiUpdates = {
+        "system.missedCount": (poi.system?.missedCount || 0) + 1,
+        "system.difficulty": newDiff,
+      };
+      if (poi.system?.difficulty2 != null)
+        poiUpdates["system.difficulty2"] = Math.min(
+          rules.difficultyCap,
+          poi.system.difficulty2 + 1,
+        );
+      await poi.update(poiUpdates);
+      diffNotifyMsg = game.i18n.format("STA_TC.Notify.Phase3DiffIncrease", {
+        name: poi.name,
+        oldDiff,
+        newDiff,
+      });
+    }
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.outcomeConfirmed = true;
+    });
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "phase3DiffIncrease",
+      message: diffNotifyMsg,
+      entityUuid: poiUuid,
+    });
+  }
+
+  /**
+   * Second missed exploration: remove it from play.
+   * @param {string} poiUuid
+   */
+  async confirmOutcomeExplorationRemove(poiUuid) {
+    const found = this.findEntry(poiUuid);
+    if (!found) return;
+    const removePoi = await fromUuid(poiUuid);
+    const entries = foundry.utils.deepClone(
+      this.tracker.system[found.listKey] || [],
+    );
+    entries.splice(found.index, 1);
+    await this.tracker.update({ [`system.${found.listKey}`]: entries });
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "phase3ExplorationRemove",
+      message: `${removePoi?.name || "?"}: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationRemovedShort")}`,
+    });
+  }
+
+  /**
+   * Unresolved unknown POI: add one extra POI to next turn's generation.
+   * @param {string} poiUuid
+   */
+  async confirmOutcomeExtraPoi(poiUuid) {
+    if (!this.findEntry(poiUuid)) return;
+    const poi = await fromUuid(poiUuid);
+    await this.appendPendingNote(
+      game.i18n.format("STA_TC.Wizard.NoteExtraPoi", {
+        name: poi?.name || "?",
+      }),
+    );
+    await this.updateEntry(poiUuid, (entry) => {
+      entry.outcomeConfirmed = true;
+      return {
+        "system.turnExtraPoisNextTurn":
+          (this.tracker.system.turnExtraPoisNextTurn || 0) + 1,
+      };
+    });
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "phase3ExtraPoi",
+      message: `${poi?.name || "?"}: ${game.i18n.localize("STA_TC.Wizard.OutcomeUnknownShort")}`,
+      entityUuid: poiUuid,
+    });
+  }
+
+  /**
+   * Keep a POI on the tracker untouched: clear its turn results and skip its
+   * End Turn outcome.
+   * @param {string} poiUuid
+   */
+  async ignoreOutcome(poiUuid) {
+    const updated = await this.updateEntry(poiUuid, (entry) => {
+      entry.conflictResult = "";
+      entry.conflictSuccesses = 0;
+      entry.conflictMomentum = 0;
+      entry.conflictHadNat20 = false;
+      entry.conflictPower = "";
+      entry.consequenceChosen = "";
+      entry.failureChoice = "";
+      entry.lossResult = "";
+      entry.escalationRolled = false;
+      entry.commandeeredAssetUuid = "";
+      entry.outcomeConfirmed = false;
+      entry.outcomeIgnored = true;
+    });
+    if (!updated) return;
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "phase3Ignore",
+      message: game.i18n.localize("STA_TC.Wizard.OutcomeIgnored"),
+      entityUuid: poiUuid,
+    });
+  }
+
+  // ==========================================================================
+  // Phase 3 — Progression
+  // ==========================================================================
+
+  /**
+   * Apply this turn's progression gain (resolved explorations, momentum
+   * spent, roleplay bonus) ahead of End Turn.
+   * @returns {Promise<number|null>} The gain, or null if already confirmed.
+   */
+  async confirmProgression() {
+    const system = this.tracker.system;
+    if (system.turnProgressionConfirmed) return null;
+
+    const resolvedExplorationCount = (system.poiListExploration || []).filter(
+      (e) =>
+        e.conflictResult === "success" || e.conflictResult === "flawedSuccess",
+    ).length;
+    const fromExploration =
+      resolvedExplorationCount * getCampaignRules().explorationProgression;
+    const fromMomentum = system.turnMomentumSpent || 0;
+    const roleplayBonus = system.turnRoleplayBonus || 0;
+    const progressionGain = fromExploration + fromMomentum + roleplayBonus;
+    const newTotal = (system.progression || 0) + progressionGain;
+
+    const updates = {
+      "system.progression": newTotal,
+      "system.turnProgressionConfirmed": true,
+    };
+    if (fromMomentum > 0) {
+      updates["system.campaignMomentum"] = Math.max(
+        0,
+        (system.campaignMomentum || 0) - fromMomentum,
+      );
+    }
+    await this.tracker.update(updates);
+    await TrackerNotifier.emit({
+      tracker: this.tracker,
+      event: "progressionConfirmed",
+      message: game.i18n.format("STA_TC.Wizard.ProgressionConfirmed", {
+        gain: progressionGain,
+        total: newTotal,
+      }),
+    });
+    return progressionGain;
+  }
+
+  /**
+   * Resolve the configured Progression table, warning when the tracker can't
+   * afford a roll or the table is missing.
+   * @returns {Promise<RollTable|null>}
+   */
+  async getProgressionTable() {
+    const cost = getCampaignRules().progressionRollCost;
+    if ((this.tracker.system.progression || 0) < cost) {
+      ui.notifications.warn(
+        game.i18n.format("STA_TC.Wizard.NotEnoughProgression", { cost }),
+      );
+      return null;
+    }
+    const tableUuid = game.settings.get(MODULE_ID, "tableProgression");
+    if (!tableUuid) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Wizard.ProgressionTableNotConfigured"),
+      );
+      return null;
+    }
+    const table = await fromUuid(tableUuid);
+    if (!table) {
+      ui.notifications.error(
+        game.i18n.format("STA_TC.Poi.Generator.TableNotFound", {
+          name: "Progression",
+        }),
+      );
+      return null;
+    }
+    return table;
+  }
+
+  /**
+   * Spend the progression roll cost and roll on the Progression table.
+   * @returns {Promise<TableResult|null>}
+   */
+  async rollProgression() {
+    const table = await this.getProgressionTable();
+    if (!table) return null;
+    const roll = await rollTable(this.tracker, table);
+    const result = roll.results?.[0];
+    if (!result) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Wizard.NoProgressionResults"),
+      );
+      return null;
+    }
+    await this.applyProgressionResult(result);
+    return result;
+  }
+
+  /**
+   * Spend the progression roll cost on a specific Progression table result.
+   * @param {number} index - Index into the table's results.
+   * @returns {Promise<TableResult|null>}
+   */
+  async chooseProgression(index) {
+    const table = await this.getProgressionTable();
+    if (!table) return null;
+    const results = Array.from(table.results?.contents ?? table.results ?? []);
+    const result = results[index];
+    if (!result) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Wizard.NoProgressionResults"),
+      );
+      return null;
+    }
+    await this.applyProgressionResult(result);
+    return result;
+  }
+
+  /**
+   * Deduct the progression cost and post a rich chat card for the result.
+   * No automation is applied; the effect text comes from the linked
+   * progression item.
+   * @param {TableResult} result
+   */
+  async applyProgressionResult(result) {
+    await this.tracker.update({
+      "system.progression":
+        (this.tracker.system.progression || 0) -
+        getCampaignRules().progressionRollCost,
+    });
+    const content = await CampaignTurnEngine.buildResultCard({
+      result,
+      headerLabel: game.i18n.localize("STA_TC.Wizard.RollProgression"),
+      accent: "#3498db",
+    });
+    await ChatMessage.create({
+      content,
+      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
+      whisper: [game.user.id],
+    });
+  }
+
+  /**
+   * Build a rich chat-card body for a rolled/selected roll table result.
+   * Resolves the linked item (if any) to show its name, effect text, image,
+   * and a draggable Foundry content link.
+   *
+   * @param {object} opts
+   * @param {TableResult} opts.result - The roll table result.
+   * @param {string} opts.headerLabel - Card header text.
+   * @param {string} opts.accent - Accent colour (CSS).
+   * @returns {Promise<string>} HTML string.
+   */
+  static async buildResultCard({ result, headerLabel, accent }) {
+    let name = result?.text || result?.name || "";
+    let effect = "";
+    let img = result?.img || result?.icon || "";
+    let uuid = result?.documentUuid || "";
+
+    if (uuid) {
+      const doc = await fromUuid(uuid);
+      if (doc) {
+        name = doc.name || name;
+        effect = doc.system?.effect || "";
+        img = doc.img || img;
+        uuid = doc.uuid;
+      }
+    }
+    if (!name) name = game.i18n.localize("STA_TC.Types.Progression");
+
+    const safeName = foundry.utils.escapeHTML(name);
+    const safeHeader = foundry.utils.escapeHTML(headerLabel);
+    const imgHtml = img
+      ? `<img src="${img}" alt="" style="width:44px;height:44px;object-fit:cover;border:none;border-radius:4px;flex:0 0 auto;" />`
+      : "";
+    const effectHtml = effect
+      ? `<div style="margin-top:6px;line-height:1.4;">${effect}</div>`
+      : "";
+    // @UUID[...] is auto-enriched into a draggable content link in chat.
+    const linkHtml = uuid
+      ? `<div style="margin-top:8px;font-size:0.9em;opacity:0.9;">@UUID[${uuid}]{${safeName}}</div>`
+      : "";
+
+    return `<div style="border-left:4px solid ${accent};background:rgba(0,0,0,0.25);border-radius:6px;padding:10px;">
+      <div style="font-weight:bold;color:${accent};text-transform:uppercase;font-size:0.8em;letter-spacing:0.5px;margin-bottom:6px;">${safeHeader}</div>
+      <div style="display:flex;gap:8px;align-items:flex-start;">
+        ${imgHtml}
+        <div style="flex:1;">
+          <div style="font-weight:bold;font-size:1.05em;">${safeName}</div>
+          ${effectHtml}
+          ${linkHtml}
+        </div>
+      </div>
+    </div>`;
+  }
+
+  // ==========================================================================
+  // Notes & Effects
+  // ==========================================================================
+
+  /**
+   * Append a line to the pending notes promoted to turn notes in Phase 3.
+   * @param {string} text
+   */
+  async appendPendingNote(text) {
+    const current = this.tracker.system.turnPendingNotes || "";
+    const updated = current ? `${current}\n${text}` : text;
+    await this.tracker.update({ "system.turnPendingNotes": updated });
+  }
+
+  /**
+   * Apply (or replace) an "unavailable" Active Effect on an asset actor.
+   * The AE stores the campaign turn at which it should auto-expire so that
+   * End Turn can clean it up without relying on world-time.
+   *
+   * @param {string} actorUuid       - UUID of the asset actor
+   * @param {string} label           - Human-readable reason (shown as AE name)
+   * @param {number} expireAfterTurn - Campaign turn number at which the AE should be removed
+   */
+  async applyUnavailableEffect(actorUuid, label, expireAfterTurn) {
+    const actor = await fromUuid(actorUuid);
+    if (!actor) return;
+    await replaceAssetStatusEffect(actor, "unavailable", {
+      name: label || game.i18n.localize("STA_TC.Wizard.UnavailableStatus"),
+      expireAfterTurn,
+    });
+  }
+
+  // =========================================================================
+  // Dice & Roll Methods
+  // =========================================================================
+
+  async performRoll(
+    diceCount,
+    powerValue,
+    focusValue,
+    usingFocus,
+    usingDedicatedFocus,
+    usingDetermination,
+    complicationRange,
+    speakerName,
+    poiName,
+    power,
+  ) {
+    let focusRange = usingFocus ? focusValue : 0;
+    if (usingDedicatedFocus) focusRange *= 2;
+    let actualDice = diceCount,
+      successes = 0,
+      hadNat20 = false;
+    if (usingDetermination && actualDice > 0) {
+      successes += 2;
+      actualDice -= 1;
+    }
+    const rolls = [];
+    let roll = null;
+    if (actualDice > 0) {
+      roll = await rollDice(this.tracker, `${actualDice}d20`);
+      for (const die of roll.dice[0].results) {
+        const val = die.result;
+        rolls.push(val);
+        if (val >= 21 - complicationRange) hadNat20 = true;
+        if (val <= powerValue) {
+          successes += 1;
+          if (val <= focusRange) successes += 1;
+        }
+      }
+    }
+    const powerLabel = game.i18n.localize(
+      `STA_TC.Powers.${_capitalize(power)}`,
+    );
+    return {
+      successes,
+      hadNat20,
+      rolls,
+      roll,
+      targetNumber: powerValue,
+      focusRange,
+      complicationRange,
+      usedDetermination: usingDetermination,
+      powerLabel,
+      speakerName,
+      poiName,
+    };
+  }
+
+  async postConflictRollSummaryChat({
+    poi,
+    primaryActor,
+    assistActors = [],
+    chosenPower,
+    primaryResult,
+    assistResults = [],
+    totalSuccesses,
+    traits = null,
+  }) {
+    const powerLabel = game.i18n.localize(
+      `STA_TC.Powers.${_capitalize(chosenPower)}`,
+    );
+
+    const buildRollDetails = (r) => {
+      const parts = [];
+      if (r?.usedDetermination)
+        parts.push(game.i18n.localize("STA_TC.Dialog.UsingDetermination"));
+      if (r?.focusRange > 0)
+        parts.push(game.i18n.localize("STA_TC.Dialog.UsingFocus"));
+      return parts.join(", ");
+    };
+
+    // Trait bonuses are listed with the primary asset's roll options
+    const primaryDetails = [
+      buildRollDetails(primaryResult),
+      ...(traits?.matches ?? []).map((match) => match.label),
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    // Complications ignored by trait bonuses are left out of the summary
+    const totalComplications = Math.max(
+      0,
+      assistResults.reduce(
+        (sum, result) => sum + _countComplications(result),
+        _countComplications(primaryResult),
+      ) - (traits?.complications || 0),
+    );
+
+    // Use STA's own i18n keys for the success/complication summary lines
+    const successText =
+      totalSuccesses === 1
+        ? `1 ${game.i18n.localize("sta.roll.success")}`
+        : `${totalSuccesses} ${game.i18n.localize("sta.roll.successPlural")}`;
+    const complicationText =
+      totalComplications === 1
+        ? `1 ${game.i18n.localize("sta.roll.complication")}`
+        : totalComplications > 1
+          ? `${totalComplications} ${game.i18n.localize("sta.roll.complicationPlural")}`
+          : "";
+
+    const dicePool =
+      (primaryResult.rolls?.length ?? 0) +
+      (primaryResult.usedDetermination ? 1 : 0);
+
+    // Use the NPC template (crew + ship layout) when there are assisting
+    // assets, which share the ship half of the card; otherwise fall back to the
+    // standard single-actor task template.
+    const useNpcTemplate = assistActors.length > 0;
+    const assistNames = assistActors.map((actor) => actor.name).join(" + ");
+    const assistTarget = assistResults[0]?.targetNumber ?? 0;
+    const templatePath = useNpcTemplate
+      ? "systems/sta/templates/chat/attribute-test-npc.hbs"
+      : "systems/sta/templates/chat/attribute-test.hbs";
+
+    const templateData = useNpcTemplate
+      ? {
+          speakerName: primaryActor?.name ?? "-",
+          flavor: powerLabel,
+          dicePool,
+          checkTarget: primaryResult.targetNumber,
+          complicationMinimumValue: 20,
+          rollDetails: primaryDetails,
+          diceString: _buildDiceString(primaryResult),
+          starshipName: assistNames,
+          flavorship: powerLabel,
+          checkTargetship: assistTarget,
+          diceStringship: assistResults.map(_buildDiceString).join(""),
+          successText,
+          complicationText,
+        }
+      : {
+          speakerName: primaryActor?.name ?? "-",
+          flavor: powerLabel,
+          dicePool,
+          checkTarget: primaryResult.targetNumber,
+          complicationMinimumValue: 20,
+          rollDetails: primaryDetails,
+          diceString: _buildDiceString(primaryResult),
+          successText,
+          complicationText,
+        };
+
+    const rollHTML = await foundry.applications.handlebars.renderTemplate(
+      templatePath,
+      templateData,
+    );
+
+    const rolls = [];
+    if (primaryResult?.roll) rolls.push(primaryResult.roll);
+    for (const result of assistResults)
+      if (result.roll) rolls.push(result.roll);
+
+    await ChatMessage.create({
+      rolls,
+      content: rollHTML,
+      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
+      whisper: game.users.contents.filter((u) => u.isGM).map((u) => u.id),
+      flags: {
+        sta: {
+          rollType: useNpcTemplate ? "npc" : "task",
+          speakerName: primaryActor?.name ?? "-",
+          starshipName: useNpcTemplate ? assistNames : undefined,
+          flavor: powerLabel,
+          flavorship: useNpcTemplate ? powerLabel : undefined,
+          dicePool,
+          checkTarget: primaryResult.targetNumber,
+          checkTargetship: assistTarget,
+          complicationMinimumValue: 20,
+          disDepTarget: primaryResult.focusRange,
+          shipdisDepTarget: assistResults[0]?.focusRange ?? 0,
+          usingFocus: primaryResult.focusRange > 0,
+          usingDedicatedFocus: false,
+          diceOutcome: [...(primaryResult.rolls ?? [])],
+          shipdiceOutcome: useNpcTemplate
+            ? assistResults.flatMap((result) => result.rolls ?? [])
+            : undefined,
+        },
+        "sta-tactical-campaign": {
+          poiUuid: poi.uuid,
+          trackerActorId: this.tracker.id,
+          primaryTargetNumber: primaryResult.targetNumber,
+          primaryFocusRange: primaryResult.focusRange,
+          primaryUsedDetermination: primaryResult.usedDetermination ?? false,
+          assistTargetNumber: assistTarget,
+          assistFocusRange: assistResults[0]?.focusRange ?? 0,
+          assistUsedDetermination: assistResults.some(
+            (result) => result.usedDetermination,
+          ),
+          // Target and focus of every assisting die, in shipdiceOutcome order
+          assistDice: assistResults.flatMap((result) =>
+            (result.rolls ?? []).map(() => ({
+              targetNumber: result.targetNumber,
+              focusRange: result.focusRange,
+            })),
+          ),
+          hasAssist: useNpcTemplate,
+          // Complications the assets' traits ignore, taken off rerolls too
+          traitComplications: traits?.complications || 0,
+        },
+      },
+    });
+  }
+
+  /**
+   * Post one chat card listing every conflict of a batch roll. The card is
+   * not an STA task card, so the chat reroll button does not apply: a batch
+   * conflict is rerolled by resetting it on the tracker (resetConflictRoll)
+   * and rolling it again on its own.
+   * @param {object[]} rolls - See rollAllConflicts().
+   */
+  async postBatchConflictChat(rolls) {
+    const colors = {
+      success: "#4caf50",
+      flawedSuccess: "#ffc107",
+      failure: "#f44336",
+      seriousSetback: "#b71c1c",
+    };
+    const rows = rolls.map((roll) => {
+      const powerLabel = game.i18n.localize(
+        `STA_TC.Powers.${_capitalize(roll.chosenPower)}`,
+      );
+      const assets = [roll.primaryActor, ...roll.assistActors]
+        .map((actor) => foundry.utils.escapeHTML(actor.name))
+        .join(" + ");
+      const dice = [roll.primaryResult, ...roll.assistResults]
+        .map(
+          (r) =>
+            `<ol class="dice-rolls" style="display:inline-flex;margin:0 4px 0 0;padding:0;">${_buildDiceString(r)}</ol>`,
+        )
+        .join("");
+      const momentum =
+        roll.momentum > 0
+          ? ` (+${roll.momentum} ${game.i18n.localize("STA_TC.Wizard.MomentumGained")})`
+          : "";
+      return `<div style="border-top:1px solid #555;padding:6px 0;">
+        <div style="display:flex;justify-content:space-between;gap:6px;">
+          <strong>${foundry.utils.escapeHTML(roll.poi.name)}</strong>
+          <span>${powerLabel} D${roll.difficulty}</span>
+        </div>
+        <div style="font-size:0.9em;opacity:0.85;">${assets}</div>
+        <div style="margin:4px 0;">${dice}</div>
+        <div>${game.i18n.format("STA_TC.RollAll.Successes", { successes: roll.totalSuccesses, difficulty: roll.difficulty })} &mdash; <strong style="color:${colors[roll.result]};">${game.i18n.localize(CONFLICT_RESULT_LABELS[roll.result])}</strong>${momentum}</div>
+      </div>`;
+    });
+
+    await ChatMessage.create({
+      rolls: rolls.flatMap((roll) =>
+        [roll.primaryResult, ...roll.assistResults]
+          .map((result) => result.roll)
+          .filter(Boolean),
+      ),
+      content: `<div style="background:#333;border-radius:8px;padding:10px;color:#eee;">
+        <h3 style="margin:0 0 8px;color:#ffd700;">${game.i18n.localize("STA_TC.RollAll.ChatTitle")}</h3>
+        ${rows.join("")}
+      </div>`,
+      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
+      whisper: game.users.contents.filter((u) => u.isGM).map((u) => u.id),
+    });
+  }
+}
+
+/**
+ * Build STA-style dice HTML for a performRoll() result: max (gold) =
+ * focus/crit, min (red) = complication.
+ * @param {object|null} r
+ * @returns {string}
+ */
+function _buildDiceString(r) {
+  if (!r) return "";
+  let html = "";
+  if (r.usedDetermination) {
+    html += `<li class="roll die d20 max">1</li>`;
+  }
+  for (const val of r.rolls ?? []) {
+    if ((r.focusRange > 0 && val <= r.focusRange) || val === 1) {
+      html += `<li class="roll die d20 max">${val}</li>`;
+    } else if (val <= r.targetNumber) {
+      html += `<li class="roll die d20">${val}</li>`;
+    } else if (val >= 21 - (r.complicationRange ?? 1)) {
+      html += `<li class="roll die d20 min">${val}</li>`;
+    } else {
+      html += `<li class="roll die d20">${val}</li>`;
+    }
+  }
+  return html;
+}
+
+/**
+ * Number of complications among a performRoll() result's dice.
+ * @param {object|null} r
+ * @returns {number}
+ */
+function _countComplications(r) {
+  return (r?.rolls ?? []).filter((v) => v >= 21 - (r?.complicationRange ?? 1))
+    .length;
+}
+
+/**
+ * Turn a pass/fail call into the final conflict result and Momentum.
+ * @param {"success"|"failure"} intent
+ * @param {number} successes
+ * @param {number} difficulty
+ * @param {boolean} hadComplication
+ * @returns {{result: string, momentum: number}}
+ */
+function _deriveConflictResult(intent, successes, difficulty, hadComplication) {
+  if (intent === "success")
+    return {
+      result: hadComplication ? "flawedSuccess" : "success",
+      momentum: Math.max(0, successes - difficulty),
+    };
+  return {
+    result: hadComplication ? "seriousSetback" : "failure",
+    momentum: 0,
+  };
+}
+
+/**
+ * Notification line for a finalised conflict.
+ * @param {Actor|null} poi
+ * @param {string} result
+ * @param {number} momentum
+ * @returns {string}
+ */
+function _conflictResultMessage(poi, result, momentum) {
+  const momentumStr =
+    momentum > 0
+      ? ` (+${momentum} ${game.i18n.localize("STA_TC.Wizard.MomentumGained")})`
+      : "";
+  return `${poi?.name || "?"}: ${game.i18n.localize(CONFLICT_RESULT_LABELS[result] || result)}${momentumStr}`;
+}
+
+function _capitalize(str) {
+  if (!str) return "";
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
@@ -0,0 +1,199 @@
+/**
+ * Conflict odds — exact success probabilities for campaign conflict rolls.
+ *
+ * Pure functions mirroring CampaignTurnEngine#performRoll: every d20 at or
+ * under the power value scores a success, and a second one at or under the
+ * focus range (doubled by dedicated focus); determination turns one die into
+ * two automatic successes; a die at or above 21 - complication range is a
+ * complication. Every assisting asset rolls one die with its own power and
+ * focus.
+ *
+ * Distributions are arrays where index k holds the probability of exactly
+ * k successes.
+ */
+
+/**
+ * Chance of 0, 1 and 2 successes on a single d20.
+ * @param {number} value - Power value (the target number).
+ * @param {number} focusRange - Rolls at or under this score double.
+ * @returns {number[]}
+ */
+export function dieDistribution(value, focusRange) {
+  const target = Math.clamp(value || 0, 0, 20);
+  const doubles = Math.clamp(focusRange || 0, 0, target);
+  return [(20 - target) / 20, (target - doubles) / 20, doubles / 20];
+}
+
+/**
+ * Combine two independent success distributions.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+function _convolve(a, b) {
+  const result = new Array(a.length + b.length - 1).fill(0);
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) result[i + j] += a[i] * b[j];
+  }
+  return result;
+}
+
+/**
+ * Distribution of total successes for a conflict roll.
+ * @param {object} options
+ * @param {number} [options.diceCount=2]
+ * @param {number} options.value - Primary asset's power value.
+ * @param {number} options.focus - Primary asset's focus.
+ * @param {boolean} [options.usingFocus=true]
+ * @param {boolean} [options.usingDedicatedFocus=false]
+ * @param {boolean} [options.usingDetermination=false]
+ * @param {{value: number, focus: number, usingFocus?: boolean}[]} [options.assists]
+ * @returns {number[]}
+ */
+export function successDistribution({
+  diceCount = 2,
+  value,
+  focus,
+  usingFocus = true,
+  usingDedicatedFocus = false,
+  usingDetermination = false,
+  assists = [],
+}) {
+  let focusRange = usingFocus ? focus || 0 : 0;
+  if (usingDedicatedFocus) focusRange *= 2;
+  let dice = diceCount;
+  let distribution = [1];
+  if (usingDetermination && dice > 0) {
+    distribution = [0, 0, 1];
+    dice -= 1;
+  }
+  const die = dieDistribution(value, focusRange);
+  for (let i = 0; i < dice; i++) distribution = _convolve(distribution, die);
+  for (const assist of assists) {
+    const assistRange = assist.usingFocus === false ? 0 : assist.focus || 0;
+    distribution = _convolve(
+      distribution,
+      dieDistribution(assist.value, assistRange),
+    );
+  }
+  return distribution;
+}
+
+/**
+ * Chance of rolling at least the given number of successes.
+ * @param {number[]} distribution
+ * @param {number} difficulty
+ * @returns {number}
+ */
+export function chanceOfAtLeast(distribution, difficulty) {
+  return distribution
+    .slice(Math.max(0, difficulty))
+    .reduce((sum, p) => sum + p, 0);
+}
+
+/**
+ * Mean number of successes.
+ * @param {number[]} distribution
+ * @returns {number}
+ */
+export function expectedSuccesses(distribution) {
+  return distribution.reduce((sum, p, k) => sum + p * k, 0);
+}
+
+/**
+ * Chance that at least one of the rolled dice is a complication that counts,
+ * i.e. more complications are rolled than are ignored.
+ * @param {number} dice - Dice actually rolled (determination's die excluded).
+ * @param {number} [complicationRange=1]
+ * @param {number} [ignored=0] - Complications that do not count.
+ * @returns {number}
+ */
+export function complicationChance(dice, complicationRange = 1, ignored = 0) {
+  const p = Math.clamp(complicationRange, 0, 20) / 20;
+  const n = Math.max(0, dice);
+  // 1 - P(at most `ignored` complications), binomial over the rolled dice
+  let atMost = 0;
+  let ways = 1;
+  for (let k = 0; k <= Math.min(ignored, n); k++) {
+    atMost += ways * p ** k * (1 - p) ** (n - k);
+    ways = (ways * (n - k)) / (k + 1);
+  }
+  return 1 - atMost;
+}
+
+/**
+ * Full odds of a conflict roll against a difficulty.
+ * @param {object} options - See successDistribution(), plus:
+ * @param {number} options.difficulty
+ * @param {number} [options.complicationRange=1]
+ * @param {number} [options.ignoredComplications=0] - Complications ignored
+ *   by trait bonuses.
+ * @returns {{distribution: number[], chance: number, expected: number,
+ *   complication: number}}
+ */
+export function conflictOdds(options) {
+  const {
+    difficulty,
+    complicationRange = 1,
+    ignoredComplications = 0,
+    diceCount = 2,
+  } = options;
+  const distribution = successDistribution(options);
+  const rolled =
+    diceCount -
+    (options.usingDetermination && diceCount > 0 ? 1 : 0) +
+    (options.assists?.length ?? 0);
+  return {
+    distribution,
+    chance: chanceOfAtLeast(distribution, difficulty),
+    expected: expectedSuccesses(distribution),
+    complication: complicationChance(
+      rolled,
+      complicationRange,
+      ignoredComplications,
+    ),
+  };
+}
+
+/**
+ * Odds for a POI and its assets with whichever of the POI's powers gives the
+ * better chance, as the roll dialog lets the players choose.
+ * @param {{power: string, difficulty: number}[]} powers
+ * @param {object} primaryPowers - The primary asset's system.powers.
+ * @param {object[]} assistPowers - The assisting assets' system.powers.
+ * @param {object} [options] - Roll options, see successDistribution().
+ * @returns {{power: string, difficulty: number, chance: number,
+ *   expected: number, complication: number, distribution: number[]}}
+ */
+export function bestConflictOdds(
+  powers,
+  primaryPowers,
+  assistPowers = [],
+  options = {},
+) {
+  let best = null;
+  for (const { power, difficulty } of powers) {
+    const odds = conflictOdds({
+      ...options,
+      difficulty,
+      value: primaryPowers?.[power]?.value,
+      focus: primaryPowers?.[power]?.focus,
+      assists: assistPowers.map((powers) => ({
+        value: powers?.[power]?.value,
+        focus: powers?.[power]?.focus,
+      })),
+    });
+    if (!best || odds.chance > best.chance)
+      best = { power, difficulty, ...odds };
+  }
+  return best;
+}
+
+/**
+ * Format a probability for display.
+ * @param {number} probability
+ * @returns {string}
+ */
+export function formatChance(probability) {
+  return `${Math.round(probability * 100)}%`;
+}
@@ -81,6 +81,37 @@ export class AssetData extends foundry.abstract.TypeDataModel {
         blank: true,
         initial: "",
       }),
+      // Ships: UUIDs of the Character assets serving as crew, lost with the
+      // ship on an "all hands" loss
+      crew: new ArrayField(new StringField({ blank: false }), {
+        required: false,
+        initial: [],
+      }),
+      // Qualitative traits that earn bonuses against POIs with a matching
+      // tag (see trait-rules.mjs)
+      traits: new ArrayField(new StringField({ blank: false }), {
+        required: false,
+        initial: [],
+      }),
+      // What the asset has done, newest last (see service-record.mjs)
+      serviceRecord: new ArrayField(serviceRecordField(), {
+        required: false,
+        initial: [],
+      }),
+      // Veterancy: successful conflicts taken part in, and rank-ups whose
+      // power or focus increase the GM has not granted yet
+      missions: new NumberField({
+        required: false,
+        integer: true,
+        initial: 0,
+        min: 0,
+      }),
+      promotionsPending: new NumberField({
+        required: false,
+        integer: true,
+        initial: 0,
+        min: 0,
+      }),
       powers: new SchemaField({
         medical: powerField(),
         military: powerField(),
@@ -156,6 +187,78 @@ export class PoiData extends foundry.abstract.TypeDataModel {
         min: 1,
         max: 5,
       }),
+      // Asset slots: slot 0 is the primary asset, the others assist
+      assetSlots: new NumberField({
+        required: false,
+        integer: true,
+        initial: 2,
+        min: 1,
+        max: 4,
+      }),
+      // Asset type each slot accepts, by slot; blank for any
+      slotTypes: new ArrayField(
+        new StringField({
+          required: false,
+          blank: true,
+          initial: "",
+          choices: ["", "character", "ship", "resource"],
+        }),
+        { required: false, initial: [] },
+      ),
+      // Sector of the campaign map this POI lies in (see sector-map.mjs)
+      sector: new StringField({ required: false, blank: true, initial: "" }),
+      // Tags matched by the trait rules of the assets sent here
+      tags: new ArrayField(new StringField({ blank: false }), {
+        required: false,
+        initial: [],
+      }),
+      // Follow-up POIs spawned at End Turn, by how the turn ended for this
+      // POI; uuid is a POI actor or a RollTable (see poi-chains.mjs)
+      followUps: new ArrayField(
+        new SchemaField({
+          trigger: new StringField({
+            required: true,
+            initial: "success",
+            choices: ["success", "flawedSuccess", "failure", "catastrophe"],
+          }),
+          uuid: new StringField({ required: false, blank: true, initial: "" }),
+        }),
+        { required: false, initial: [] },
+      ),
+      // Extended task: the conflict is rolled in rounds that fill a work track
+      extendedTask: new BooleanField({
+        required: false,
+        initial: false,
+      }),
+      work: new NumberField({
+        required: false,
+        integer: true,
+        initial: 10,
+        min: 1,
+        max: 30,
+      }),
+      // Rounds available before the conflict fails
+      magnitude: new NumberField({
+        required: false,
+        integer: true,
+        initial: 3,
+        min: 1,
+        max: 5,
+      }),
+      // Subtracted from the successes of every round
+      resistance: new NumberField({
+        required: false,
+        integer: true,
+        initial: 0,
+        min: 0,
+        max: 5,
+      }),
+      // Paid for every round after the first
+      roundCost: new StringField({
+        required: false,
+        initial: "threat",
+        choices: ["threat", "complication"],
+      }),
       eventName: new StringField({
         required: false,
         blank: true,
@@ -263,17 +366,53 @@ export class ProgressionData extends foundry.abstract.TypeDataModel {
   }
 }
 
+/**
+ * Schema for one entry of an asset's service record: a conflict it took part
+ * in, a roll for loss or a status change.
+ */
+function serviceRecordField() {
+  return new SchemaField({
+    turn: new NumberField({
+      required: false,
+      integer: true,
+      initial: 0,
+      min: 0,
+    }),
+    ts: new NumberField({ required: false, integer: true, initial: 0 }),
+    kind: new StringField({
+      required: false,
+      blank: false,
+      initial: "conflict",
+      choices: ["conflict", "loss", "status"],
+    }),
+    poiUuid: new StringField({ required: false, blank: true, initial: "" }),
+    poiName: new StringField({ required: false, blank: true, initial: "" }),
+    // Conflicts: "primary" or "assist"
+    slot: new StringField({ required: false, blank: true, initial: "" }),
+    power: new StringField({ required: false, blank: true, initial: "" }),
+    // Conflict result key, loss outcome or status ("commandeered", "discarded")
+    result: new StringField({ required: false, blank: true, initial: "" }),
+    momentum: new NumberField({ required: false, integer: true, initial: 0 }),
+    roll: new NumberField({ required: false, integer: true, initial: 0 }),
+    // Losses: the table row's name
+    detail: new StringField({ required: false, blank: true, initial: "" }),
+  });
+}
+
 /**
  * Schema for a single POI entry in the Campaign Tracker.
- * Each entry references a POI actor (with 2 asset slots) and stores
- * all per-POI campaign-turn resolution data so that wizard state lives
- * in the data model rather than in actor flags.
+ * Each entry references a POI actor and the assets in its slots (slot 0 is
+ * the primary asset, blank for an empty slot) and stores all per-POI
+ * campaign-turn resolution data so that wizard state lives in the data model
+ * rather than in actor flags.
  */
 function poiEntryField() {
   return new SchemaField({
     actorUuid: new StringField({ required: true, initial: "" }),
-    asset1Uuid: new StringField({ required: false, blank: true, initial: "" }),
-    asset2Uuid: new StringField({ required: false, blank: true, initial: "" }),
+    assets: new ArrayField(
+      new StringField({ required: false, blank: true, initial: "" }),
+      { required: false, initial: [] },
+    ),
     // Per-turn event result
     eventResult: new StringField({ required: false, blank: true, initial: "" }),
     // Per-turn conflict resolution
@@ -300,6 +439,23 @@ function poiEntryField() {
       required: false,
       initial: false,
     }),
+    // Power of the last conflict roll, recorded in the assets' service records
+    conflictPower: new StringField({
+      required: false,
+      blank: true,
+      initial: "",
+    }),
+    // Extended task progress: work track filled and rounds rolled
+    conflictWork: new NumberField({
+      required: false,
+      integer: true,
+      initial: 0,
+    }),
+    conflictRounds: new NumberField({
+      required: false,
+      integer: true,
+      initial: 0,
+    }),
     // Consequence / failure choice made after resolution
     consequenceChosen: new StringField({
       required: false,
@@ -360,11 +516,81 @@ function usedResultField() {
   });
 }
 
+/**
+ * Schema for one archived campaign turn, written by End Turn before the
+ * per-entry turn state is cleared.
+ */
+function turnHistoryField() {
+  const count = () =>
+    new NumberField({ required: false, integer: true, initial: 0 });
+  const text = () =>
+    new StringField({ required: false, blank: true, initial: "" });
+  return new SchemaField({
+    id: text(),
+    turn: count(),
+    endedAt: count(),
+    pois: new ArrayField(
+      new SchemaField({
+        actorUuid: text(),
+        name: text(),
+        listKey: text(),
+        urgency: count(),
+        difficulty: count(),
+        assets: new ArrayField(new SchemaField({ uuid: text(), name: text() })),
+        eventResult: text(),
+        conflictResult: text(),
+        conflictSuccesses: count(),
+        conflictMomentum: count(),
+        consequenceChosen: text(),
+        failureChoice: text(),
+        lossResult: text(),
+        // "resolved", "confirmed" or "ignored"; blank when auto-applied
+        outcome: text(),
+      }),
+    ),
+    // End-of-turn consequences, as shown on the turn summary card (HTML)
+    consequences: new ArrayField(new StringField()),
+    progressionBefore: count(),
+    progressionGain: count(),
+    progressionAfter: count(),
+    paceBefore: count(),
+    paceDelta: count(),
+    momentumGained: count(),
+    momentumSpent: count(),
+    threatIncrease: count(),
+    extraPoisNextTurn: count(),
+    notes: text(),
+    // Campaign seed and the draws made on it this turn (see campaign-rng.mjs)
+    seed: text(),
+    rngCursor: count(),
+  });
+}
+
 /**
  * Data model for Campaign Tracker actors
  * Tracks campaign-level stats, assets, and points of interest assignments
  */
 export class CampaignTrackerData extends foundry.abstract.TypeDataModel {
+  /** @override */
+  static migrateData(source) {
+    // POI entries used to hold exactly two slots, asset1Uuid and asset2Uuid
+    for (const key of [
+      "poiListThreat",
+      "poiListExploration",
+      "poiListRoutine",
+      "poiListUnknown",
+    ]) {
+      for (const entry of source[key] || []) {
+        if (!("asset1Uuid" in entry) && !("asset2Uuid" in entry)) continue;
+        if (!entry.assets?.length)
+          entry.assets = [entry.asset1Uuid || "", entry.asset2Uuid || ""];
+        delete entry.asset1Uuid;
+        delete entry.asset2Uuid;
+      }
+    }
+    return super.migrateData(source);
+  }
+
   static defineSchema() {
     return {
       campaignMomentum: new NumberField({
@@ -411,6 +637,16 @@ export class CampaignTrackerData extends foundry.abstract.TypeDataModel {
         initial: "",
       }),
       turnGeneratedPois: new ArrayField(new StringField()),
+      // Follow-up POIs spawned by the last End Turn; they become the next
+      // turn's generated POIs when it starts
+      nextTurnGeneratedPois: new ArrayField(new StringField()),
+      // Threats removed as catastrophes during Phase 3, for their follow-ups
+      turnCatastrophePois: new ArrayField(new StringField()),
+      // Entries removed by "Confirm resolved" during Phase 3, with their
+      // listKey and a stand-in for the POI actor (poi: {uuid, name, system}),
+      // so End Turn still archives them, counts their conflicts and fires
+      // their follow-ups
+      turnResolvedEntries: new ArrayField(new ObjectField()),
       turnThreatIncrease: new foundry.data.fields.NumberField({
         required: false,
         integer: true,
@@ -467,6 +703,12 @@ export class CampaignTrackerData extends foundry.abstract.TypeDataModel {
       }),
       // Asset UUIDs commandeered this turn — unavailable until next turn start
       commandeeredAssets: new ArrayField(new StringField()),
+      // UUID of the parent roster tracker when this tracker is a theatre of it
+      parentTracker: new StringField({
+        required: false,
+        blank: true,
+        initial: "",
+      }),
       // Monotonically-increasing campaign turn counter used for AE expiry
       campaignTurnNumber: new foundry.data.fields.NumberField({
         required: false,
@@ -474,6 +716,19 @@ export class CampaignTrackerData extends foundry.abstract.TypeDataModel {
         initial: 0,
         min: 0,
       }),
+      // Seed of the campaign's random draws; blank rolls unseeded dice
+      campaignSeed: new StringField({
+        required: false,
+        blank: true,
+        initial: "",
+      }),
+      // Draws made on the seeded stream this turn (see campaign-rng.mjs)
+      rngCursor: new NumberField({
+        required: false,
+        integer: true,
+        initial: 0,
+        min: 0,
+      }),
       // Campaign turn notes (visible during Phase 3 and after)
       turnNotes: new StringField({ required: false, blank: true, initial: "" }),
       // Pending notes buffer (accumulates during Phase 2, promoted at Phase 3)
@@ -564,9 +819,16 @@ export class CampaignTrackerData extends foundry.abstract.TypeDataModel {
             blank: true,
             initial: "",
           }),
+          // Set when the logged change was undone from the Turn Log
+          reverted: new BooleanField({ required: false, initial: false }),
         }),
         { required: false, initial: [] },
       ),
+      // Archive of completed campaign turns (Campaign History)
+      turnHistory: new ArrayField(turnHistoryField(), {
+        required: false,
+        initial: [],
+      }),
     };
   }
 }
@@ -0,0 +1,382 @@
+/**
+ * Loss resolver — rolls for loss on an asset and applies the outcome.
+ *
+ * Every asset type has its own loss table. A world RollTable can be linked
+ * per type (settings tableLossCharacter, tableLossShip, tableLossResource);
+ * each of its results declares a mechanical outcome in its module flags
+ * (flags["sta-tactical-campaign"].loss), edited in the Loss Tables form:
+ *
+ *   { outcome: "lost" | "unavailable" | "penalty" | "none",
+ *     turns,      // unavailable and penalty: campaign turns it lasts (0 = permanent penalty)
+ *     power,      // penalty: power key, blank for the asset's primary power
+ *     target,     // penalty: "value" or "focus"
+ *     amount,     // penalty: points taken off
+ *     allHands }  // lost: the crew on the same mission is lost too
+ *
+ * A result without flags does nothing. Types without a linked table roll 1d20
+ * on the built-in DEFAULT_LOSS_TABLES, which are also the rows of a table
+ * created from the form.
+ *
+ * An "all hands" loss cascades to the Character assets on the same POI and to
+ * the ship's configured crew (system.crew). After the GM confirms, each
+ * casualty is marked Lost and logged in the Turn Log, where it can be
+ * reverted one by one.
+ *
+ * An Unavailable outcome on a character or ship puts it in the recovery
+ * queue for the row's number of turns (see recovery-service.mjs).
+ */
+
+import { rollDice, rollTable } from "./campaign-rng.mjs";
+import { replaceAssetStatusEffect } from "./active-effect-service.mjs";
+import { callHook } from "./campaign-hooks.mjs";
+import { getRecoveryKind } from "./recovery-service.mjs";
+import { TrackerNotifier } from "./apps/tracker-notifier.mjs";
+import { buildAeChange } from "./utils.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+
+/** Mechanical outcomes a loss table row may declare, with their labels. */
+export const LOSS_OUTCOMES = {
+  lost: "STA_TC.LossTables.Outcomes.Lost",
+  unavailable: "STA_TC.LossTables.Outcomes.Unavailable",
+  penalty: "STA_TC.LossTables.Outcomes.Penalty",
+  none: "STA_TC.LossTables.Outcomes.None",
+};
+
+/** World setting holding the loss table UUID of each asset type. */
+export const LOSS_TABLE_SETTINGS = {
+  character: "tableLossCharacter",
+  ship: "tableLossShip",
+  resource: "tableLossResource",
+};
+
+/** The official loss bands, rolled on 1d20 by types without a linked table. */
+export const DEFAULT_LOSS_TABLES = {
+  character: [
+    {
+      range: [1, 2],
+      name: "STA_TC.Wizard.LossOutcome.CharMIA",
+      description: "STA_TC.Wizard.LossOutcome.CharMIADesc",
+      outcome: "lost",
+    },
+    {
+      range: [3, 10],
+      name: "STA_TC.Wizard.LossOutcome.CharInjured",
+      description: "STA_TC.Wizard.LossOutcome.CharInjuredDesc",
+      outcome: "unavailable",
+      turns: 1,
+    },
+    {
+      range: [11, 20],
+      name: "STA_TC.Wizard.LossOutcome.CharNone",
+      description: "STA_TC.Wizard.LossOutcome.CharNoneDesc",
+      outcome: "none",
+    },
+  ],
+  ship: [
+    {
+      range: [1, 1],
+      name: "STA_TC.Wizard.LossOutcome.ShipLostAllHands",
+      description: "STA_TC.Wizard.LossOutcome.ShipLostAllHandsDesc",
+      outcome: "lost",
+      allHands: true,
+    },
+    {
+      range: [2, 4],
+      name: "STA_TC.Wizard.LossOutcome.ShipBeyondRecovery",
+      description: "STA_TC.Wizard.LossOutcome.ShipBeyondRecoveryDesc",
+      outcome: "lost",
+    },
+    {
+      range: [5, 12],
+      name: "STA_TC.Wizard.LossOutcome.ShipDamaged",
+      description: "STA_TC.Wizard.LossOutcome.ShipDamagedDesc",
+      outcome: "unavailable",
+      turns: 1,
+    },
+    {
+      range: [13, 20],
+      name: "STA_TC.Wizard.LossOutcome.ShipMinor",
+      description: "STA_TC.Wizard.LossOutcome.ShipMinorDesc",
+      outcome: "none",
+    },
+  ],
+  resource: [
+    {
+      range: [1, 2],
+      name: "STA_TC.Wizard.LossOutcome.ResourceDestroyed",
+      description: "STA_TC.Wizard.LossOutcome.ResourceDestroyedDesc",
+      outcome: "lost",
+    },
+    {
+      range: [3, 8],
+      name: "STA_TC.Wizard.LossOutcome.ResourceDepleted",
+      description: "STA_TC.Wizard.LossOutcome.ResourceDepletedDesc",
+      outcome: "unavailable",
+      turns: 1,
+    },
+    {
+      range: [9, 20],
+      name: "STA_TC.Wizard.LossOutcome.ResourceIntact",
+      description: "STA_TC.Wizard.LossOutcome.ResourceIntactDesc",
+      outcome: "none",
+    },
+  ],
+};
+
+export class LossResolver {
+  /**
+   * The loss table type of an asset; unknown types use the character table.
+   * @param {Actor|null} asset
+   * @returns {"character"|"ship"|"resource"}
+   */
+  static getLossType(asset) {
+    const type = asset?.system?.assetType;
+    return LOSS_TABLE_SETTINGS[type] ? type : "character";
+  }
+
+  /**
+   * The RollTable linked as the loss table of an asset type, or null when the
+   * type uses the built-in table.
+   * @param {"character"|"ship"|"resource"} type
+   * @returns {Promise<RollTable|null>}
+   */
+  static async getTable(type) {
+    const uuid = game.settings.get(MODULE_ID, LOSS_TABLE_SETTINGS[type]);
+    if (!uuid) return null;
+    const table = await fromUuid(uuid);
+    if (table instanceof RollTable) return table;
+    console.warn(`${MODULE_ID} | Loss table not found: ${type} (${uuid})`);
+    return null;
+  }
+
+  /**
+   * Normalize a row's mechanical outcome.
+   * @param {object} [data]
+   * @returns {{outcome: string, turns: number, power: string,
+   *   target: string, amount: number, allHands: boolean}}
+   */
+  static normalizeOutcome(data = {}) {
+    return {
+      outcome: LOSS_OUTCOMES[data.outcome] ? data.outcome : "none",
+      turns: Math.max(0, Math.round(Number(data.turns) || 0)),
+      power: data.power || "",
+      target: data.target === "focus" ? "focus" : "value",
+      amount: Math.max(0, Math.round(Number(data.amount) || 0)),
+      allHands: !!data.allHands,
+    };
+  }
+
+  /**
+   * Roll on the asset's loss table. Nothing is applied yet.
+   * @param {Actor|null} asset
+   * @param {object} [options]
+   * @param {Actor|null} [options.tracker] - Campaign tracker whose seed drives the roll.
+   * @returns {Promise<{roll: Roll, rollValue: number, formula: string,
+   *   name: string, description: string, outcome: string, turns: number,
+   *   power: string, target: string, amount: number, allHands: boolean}>}
+   */
+  static async roll(asset, { tracker = null } = {}) {
+    const type = this.getLossType(asset);
+    const table = await this.getTable(type);
+    if (table) {
+      const { roll, results } = await rollTable(tracker, table);
+      const result = results[0];
+      return {
+        roll,
+        rollValue: roll.total,
+        formula: table.formula,
+        name: result?.name || table.name,
+        description: result?.description || "",
+        ...this.normalizeOutcome(result?.flags?.[MODULE_ID]?.loss),
+      };
+    }
+
+    const roll = await rollDice(tracker, "1d20");
+    const row =
+      DEFAULT_LOSS_TABLES[type].find(
+        ({ range }) => roll.total >= range[0] && roll.total <= range[1],
+      ) ?? {};
+    return {
+      roll,
+      rollValue: roll.total,
+      formula: "1d20",
+      name: row.name ? game.i18n.localize(row.name) : "",
+      description: row.description ? game.i18n.localize(row.description) : "",
+      ...this.normalizeOutcome(row),
+    };
+  }
+
+  /**
+   * Apply a rolled loss outcome to the asset: a Lost or Unavailable status
+   * effect, or a power penalty effect.
+   * @param {Actor} asset
+   * @param {object} loss - A result of roll().
+   * @param {number} currentTurn - Campaign turn the loss happens in; timed
+   *   effects expire that many turns after it.
+   */
+  static async apply(asset, loss, currentTurn) {
+    if (loss.outcome === "lost") {
+      await replaceAssetStatusEffect(asset, "lost", { name: loss.name });
+    } else if (loss.outcome === "unavailable") {
+      await replaceAssetStatusEffect(asset, "unavailable", {
+        name:
+          loss.name || game.i18n.localize("STA_TC.Wizard.UnavailableStatus"),
+        expireAfterTurn: currentTurn + Math.max(1, loss.turns),
+        recovery: getRecoveryKind(asset),
+      });
+    } else if (loss.outcome === "penalty" && loss.amount > 0) {
+      const power = loss.power || asset.system?.primaryPower;
+      if (!asset.system?.powers?.[power]) return;
+      const moduleFlags = { lossPenalty: true };
+      if (loss.turns > 0)
+        moduleFlags.expireAfterTurn = currentTurn + loss.turns;
+      await asset.createEmbeddedDocuments("ActiveEffect", [
+        {
+          name: loss.name,
+          img: "icons/svg/downgrade.svg",
+          disabled: false,
+          transfer: false,
+          system: {
+            changes: [
+              buildAeChange(
+                `system.powers.${power}.${loss.target}`,
+                "add",
+                -loss.amount,
+              ),
+            ],
+          },
+          flags: { [MODULE_ID]: moduleFlags },
+        },
+      ]);
+    }
+  }
+
+  /**
+   * Chat card content for a rolled loss.
+   * @param {Actor|null} asset
+   * @param {object} loss - A result of roll().
+   * @param {Actor[]} [casualties] - Crew lost with the asset, see cascadeAllHands().
+   * @returns {string}
+   */
+  static buildChatHtml(asset, loss, casualties = []) {
+    const total =
+      loss.formula === "1d20" ? `${loss.rollValue}/20` : loss.rollValue;
+    const allHandsNote = casualties.length
+      ? `<p style="font-size:0.85em;color:#ffaaa0;margin-top:6px;"><i class="fas fa-exclamation-triangle"></i> ${game.i18n.format(
+          "STA_TC.AllHands.ChatNote",
+          { names: casualties.map((actor) => actor.name).join(", ") },
+        )}</p>`
+      : "";
+    return `<div style="background:#333;border-radius:8px;padding:10px;color:#eee;border-left:4px solid #e74c3c;">
+        <h3 style="margin:0 0 6px;color:#e74c3c;">&#x1F480; ${game.i18n.localize("STA_TC.RollForLoss")} \u2014 ${total}</h3>
+        <p><strong>${asset?.name || "Asset"}:</strong> <em>${loss.name}</em></p>
+        <p style="font-size:0.9em;opacity:0.8;margin-top:4px;">${loss.description}</p>${allHandsNote}
+      </div>`;
+  }
+
+  /**
+   * The Character assets lost with an asset on an "all hands" result: those
+   * sharing its POI plus its configured crew, minus any already lost.
+   * @param {Actor} asset
+   * @param {string[]} [shipmateUuids] - Assets on the same POI entry.
+   * @returns {Promise<Actor[]>}
+   */
+  static async getAllHandsCasualties(asset, shipmateUuids = []) {
+    const uuids = new Set([...shipmateUuids, ...(asset.system?.crew ?? [])]);
+    uuids.delete(asset.uuid);
+    const casualties = [];
+    for (const uuid of uuids) {
+      const actor = await fromUuid(uuid);
+      if (actor?.system?.assetType !== "character" || actor.system.lost)
+        continue;
+      casualties.push(actor);
+    }
+    return casualties;
+  }
+
+  /**
+   * After an "all hands" loss, ask the GM to confirm the casualties, then mark
+   * them Lost and log each one in the Turn Log.
+   * @param {Actor} asset - The asset that was lost.
+   * @param {object} loss - A result of roll().
+   * @param {object} [options]
+   * @param {Actor|null} [options.tracker] - Tracker whose Turn Log records the casualties.
+   * @param {string[]} [options.shipmateUuids] - Assets on the same POI entry.
+   * @param {object|null} [options.entry] - The POI entry, for the assetLost hook.
+   * @param {Actor|null} [options.poi]
+   * @returns {Promise<Actor[]>} The casualties marked Lost.
+   */
+  static async cascadeAllHands(
+    asset,
+    loss,
+    { tracker = null, shipmateUuids = [], entry = null, poi = null } = {},
+  ) {
+    if (loss.outcome !== "lost" || !loss.allHands) return [];
+    const casualties = await this.getAllHandsCasualties(asset, shipmateUuids);
+    if (!casualties.length) return [];
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STA_TC.AllHands.Title") },
+      content: `<p>${game.i18n.format("STA_TC.AllHands.Confirm", {
+        name: asset.name,
+      })}</p><ul>${casualties
+        .map((actor) => `<li>${actor.name}</li>`)
+        .join("")}</ul>`,
+      yes: { label: game.i18n.localize("STA_TC.AllHands.MarkLost") },
+      no: { label: game.i18n.localize("STA_TC.Cancel") },
+    });
+    if (!confirmed) return [];
+
+    const name = game.i18n.format("STA_TC.AllHands.EffectName", {
+      name: asset.name,
+    });
+    for (const actor of casualties) {
+      await replaceAssetStatusEffect(actor, "lost", { name });
+      await TrackerNotifier.emit({
+        tracker,
+        event: "allHandsCasualty",
+        message: game.i18n.format("STA_TC.AllHands.Casualty", {
+          name: actor.name,
+          ship: asset.name,
+        }),
+        entityUuid: actor.uuid,
+      });
+      callHook("assetLost", {
+        tracker,
+        entry,
+        poi,
+        asset: actor,
+        roll: loss.rollValue,
+        result: name,
+      });
+    }
+    return casualties;
+  }
+
+  /**
+   * Create a world RollTable holding the built-in loss rows of an asset type,
+   * outcomes included, and link it as that type's loss table.
+   * @param {"character"|"ship"|"resource"} type
+   * @returns {Promise<RollTable>}
+   */
+  static async createTable(type) {
+    const table = await RollTable.create({
+      name: game.i18n.format("STA_TC.LossTables.TableName", {
+        type: game.i18n.localize(`STA_TC.AssetTypes.${type.capitalize()}`),
+      }),
+      formula: "1d20",
+      replacement: true,
+      results: DEFAULT_LOSS_TABLES[type].map((row) => ({
+        type: CONST.TABLE_RESULT_TYPES?.TEXT ?? 0,
+        name: game.i18n.localize(row.name),
+        description: game.i18n.localize(row.description),
+        range: row.range,
+        weight: row.range[1] - row.range[0] + 1,
+        flags: { [MODULE_ID]: { loss: this.normalizeOutcome(row) } },
+      })),
+    });
+    await game.settings.set(MODULE_ID, LOSS_TABLE_SETTINGS[type], table.uuid);
+    return table;
+  }
+}
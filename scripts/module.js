@@ -25,7 +25,25 @@ import { RollTableManager } from "./apps/roll-table-manager.mjs";
 import { RollTableManagerService } from "./apps/roll-table-manager-service.mjs";
 import { DefaultFoldersForm } from "./apps/default-folders-form.mjs";
 import { TurnLog } from "./apps/turn-log.mjs";
+import { CampaignHistory } from "./apps/campaign-history.mjs";
+import { CampaignBoard } from "./apps/campaign-board.mjs";
 import { ActiveEffectMigration } from "./active-effect-migration.mjs";
+import { CampaignTurnEngine } from "./campaign-turn-engine.mjs";
+import { getCampaignTracker } from "./active-effect-service.mjs";
+import { registerCampaignSocket } from "./campaign-socket.mjs";
+import {
+  acquireTurnLock,
+  lockTurnEngine,
+  registerTurnLock,
+} from "./turn-lock.mjs";
+import { CAMPAIGN_HOOKS } from "./campaign-hooks.mjs";
+import {
+  getRosterAssetUuids,
+  getTheatres,
+  transferAsset,
+} from "./theatre-service.mjs";
+import { getEntryAssetUuids } from "./utils.mjs";
+import { rollDice } from "./campaign-rng.mjs";
 
 const MODULE_ID = "sta-tactical-campaign";
 
@@ -101,6 +119,18 @@ function _getTrackers() {
   return game.actors.filter((a) => a.type === `${MODULE_ID}.campaignTracker`);
 }
 
+/**
+ * Resolve an API tracker argument: an Actor, an actor id or UUID, or nothing
+ * for the world campaign tracker.
+ * @param {Actor|string} [tracker]
+ * @returns {Promise<Actor|null>}
+ */
+async function _resolveTracker(tracker) {
+  if (typeof tracker === "string")
+    return game.actors.get(tracker) ?? (await fromUuid(tracker));
+  return tracker ?? (await getCampaignTracker());
+}
+
 /**
  * Initialize the module
  */
@@ -197,6 +227,9 @@ function registerSheets() {
  * When ready, expose the public API and log module status
  */
 Hooks.once("ready", () => {
+  registerCampaignSocket();
+  registerTurnLock();
+
   const moduleInstance = game.modules.get(MODULE_ID);
   if (!moduleInstance) {
     console.error(
@@ -360,6 +393,95 @@ Hooks.once("ready", () => {
 
     /** Audit or repair module-owned Active Effects for Foundry V14. */
     auditActiveEffects: (options) => ActiveEffectMigration.run(options),
+
+    /**
+     * Get a turn engine for a campaign tracker, so a macro can run a turn
+     * without opening the tracker sheet. Defaults to the world tracker.
+     * Calls that write to the tracker take the turn lock first, and throw
+     * when another GM is running the turn.
+     *
+     * Example:
+     *   const engine = await game.modules.get("sta-tactical-campaign").api
+     *     .getTurnEngine();
+     *   await engine.startTurn();
+     *   await engine.generateAllPois();
+     *
+     * @param {Actor|string} [tracker]  Tracker actor, UUID or id.
+     * @returns {Promise<CampaignTurnEngine|null>}
+     */
+    getTurnEngine: async (tracker) => {
+      const actor = await _resolveTracker(tracker);
+      return actor ? lockTurnEngine(new CampaignTurnEngine(actor)) : null;
+    },
+
+    /** Direct access to CampaignTurnEngine for advanced automation. */
+    CampaignTurnEngine,
+
+    /** Names of the public staTC.* turn hooks (see campaign-hooks.mjs). */
+    hooks: CAMPAIGN_HOOKS,
+
+    /**
+     * Query the archive of completed campaign turns, oldest first.
+     *
+     * Example:
+     *   const turns = await game.modules.get("sta-tactical-campaign").api
+     *     .getTurnHistory(undefined, { assetUuid: actor.uuid });
+     *
+     * @param {Actor|string} [tracker]  Tracker actor, UUID or id.
+     * @param {object} [query]
+     * @param {number} [query.turn]       Only this campaign turn.
+     * @param {string} [query.poiUuid]    Only turns this POI took part in.
+     * @param {string} [query.assetUuid]  Only turns this asset was assigned in.
+     * @returns {Promise<object[]>}
+     */
+    getTurnHistory: async (tracker, query) => {
+      const actor = await _resolveTracker(tracker);
+      return actor ? new CampaignTurnEngine(actor).getTurnHistory(query) : [];
+    },
+
+    /** Open the Campaign History window for a tracker (or world tracker). */
+    openCampaignHistory: async (tracker) => {
+      const actor = await _resolveTracker(tracker);
+      return actor ? CampaignHistory.open(actor) : null;
+    },
+
+    /**
+     * Open the read-only Campaign Board for a tracker (or world tracker,
+     * falling back to the first tracker in the world).
+     * @param {Actor|string} [tracker]  Tracker actor, UUID or id.
+     * @returns {Promise<CampaignBoard|null>}
+     */
+    openCampaignBoard: async (tracker) => {
+      const actor = (await _resolveTracker(tracker)) ?? _getTrackers()[0];
+      return actor ? CampaignBoard.open(actor) : null;
+    },
+
+    /**
+     * Every theatre (tracker) sharing a roster with the given tracker, parent
+     * roster first.
+     * @param {Actor|string} [tracker]  Tracker actor, UUID or id.
+     * @returns {Promise<Actor[]>}
+     */
+    getTheatres: async (tracker) => {
+      const actor = await _resolveTracker(tracker);
+      return actor ? getTheatres(actor) : [];
+    },
+
+    /**
+     * Station an asset on another theatre of its group.
+     *
+     * Example:
+     *   await game.modules.get("sta-tactical-campaign").api
+     *     .transferAsset(asset.uuid, "Actor.secondFront");
+     *
+     * @param {string} assetUuid
+     * @param {Actor|string} toTracker  Tracker actor, UUID or id.
+     * @returns {Promise<boolean>}
+     */
+    transferAsset: async (assetUuid, toTracker) => {
+      const actor = await _resolveTracker(toTracker);
+      return actor ? transferAsset(assetUuid, actor) : false;
+    },
   };
 
   moduleInstance.api = api;
@@ -385,9 +507,34 @@ Hooks.once("ready", () => {
     for (const tracker of _getTrackers()) {
       await RollTableManagerService.ensureTrackerQueues(tracker);
     }
+    // An End Turn interrupted by a closed browser is left journaled on the
+    // tracker — let the active GM resume it or roll it back.
+    if (!game.users.activeGM?.isSelf) return;
+    for (const tracker of _getTrackers()) {
+      await CampaignTrackerSheet.promptEndTurnRecovery(tracker);
+    }
   });
 });
 
+/**
+ * Give everyone a Campaign Board button in the Actors directory header, so
+ * players can follow the campaign without the GM-oriented tracker sheet.
+ */
+Hooks.on("renderActorDirectory", (_app, html) => {
+  const root = html instanceof HTMLElement ? html : html[0];
+  const actions = root?.querySelector(".header-actions");
+  if (!actions || actions.querySelector(".sta-tc-campaign-board")) return;
+  if (!_getTrackers().length) return;
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "sta-tc-campaign-board";
+  button.innerHTML = `<i class="fas fa-chess-board"></i> ${game.i18n.localize("STA_TC.Board.Title")}`;
+  button.addEventListener("click", () =>
+    game.modules.get(MODULE_ID)?.api?.openCampaignBoard(),
+  );
+  actions.append(button);
+});
+
 /**
  * When any actor is deleted, scrub its UUID from every open campaign tracker
  * so the sheet never gets stuck with stale references.
@@ -416,12 +563,8 @@ Hooks.on("deleteActor", async (deletedActor) => {
       let changed = false;
       const cleaned = entries.filter((entry) => {
         if (entry.actorUuid === uuid) return false; // remove whole POI entry
-        if (entry.asset1Uuid === uuid) {
-          entry.asset1Uuid = "";
-          changed = true;
-        }
-        if (entry.asset2Uuid === uuid) {
-          entry.asset2Uuid = "";
+        if (entry.assets?.includes(uuid)) {
+          entry.assets = entry.assets.map((u) => (u === uuid ? "" : u));
           changed = true;
         }
         return true;
@@ -431,10 +574,16 @@ Hooks.on("deleteActor", async (deletedActor) => {
       }
     }
 
-    // Also remove from generated POIs list
-    const generated = tracker.system.turnGeneratedPois || [];
-    if (generated.includes(uuid)) {
-      updates["system.turnGeneratedPois"] = generated.filter((u) => u !== uuid);
+    // Also remove from the generated POI lists, this turn's and the next's
+    for (const key of [
+      "turnGeneratedPois",
+      "nextTurnGeneratedPois",
+      "turnCatastrophePois",
+    ]) {
+      const listed = tracker.system[key] || [];
+      if (listed.includes(uuid)) {
+        updates[`system.${key}`] = listed.filter((u) => u !== uuid);
+      }
     }
 
     // Clear scenario POI if it was the deleted actor
@@ -442,8 +591,22 @@ Hooks.on("deleteActor", async (deletedActor) => {
       updates["system.scenarioPoi"] = "";
     }
 
+    // Theatres of a deleted parent roster become standalone trackers
+    if (tracker.system.parentTracker === uuid) {
+      updates["system.parentTracker"] = "";
+    }
+
     if (Object.keys(updates).length) await tracker.update(updates);
   }
+
+  // Drop a deleted character from the crew of every ship
+  for (const ship of game.actors.filter((actor) =>
+    actor.system?.crew?.includes(uuid),
+  )) {
+    await ship.update({
+      "system.crew": ship.system.crew.filter((u) => u !== uuid),
+    });
+  }
 });
 
 /**
@@ -518,19 +681,13 @@ Hooks.on("updateActor", (updatedActor, changed) => {
     trackersScanned += 1;
     const sys = tracker.system;
 
-    // Check asset strip lists
-    const inAssets =
-      (sys.characterAssets || []).includes(uuid) ||
-      (sys.shipAssets || []).includes(uuid) ||
-      (sys.resourceAssets || []).includes(uuid);
+    // Check asset strip lists (the whole roster, shared with other theatres)
+    const inAssets = getRosterAssetUuids(tracker).includes(uuid);
 
     // Check POI lists (as POI actor or as assigned asset)
     const inPois = poiLists.some((key) =>
       (sys[key] || []).some(
-        (e) =>
-          e.actorUuid === uuid ||
-          e.asset1Uuid === uuid ||
-          e.asset2Uuid === uuid,
+        (e) => e.actorUuid === uuid || getEntryAssetUuids(e).includes(uuid),
       ),
     );
 
@@ -549,6 +706,17 @@ Hooks.on("updateActor", (updatedActor, changed) => {
   _gpuDebugTime("hook.updateActor.handlerMs", performance.now() - t0);
 });
 
+/**
+ * When a campaign tracker changes, re-render the other theatres of its group
+ * so stationed and busy assets stay in step across fronts.
+ */
+Hooks.on("updateActor", (updatedActor) => {
+  if (updatedActor.type !== `${MODULE_ID}.campaignTracker`) return;
+  for (const theatre of getTheatres(updatedActor)) {
+    if (theatre !== updatedActor) theatre.sheet?.render();
+  }
+});
+
 /**
  * Helper: re-render any open campaign tracker sheets that reference the given asset UUID.
  */
@@ -556,12 +724,7 @@ function _rerenderTrackersForAsset(actor) {
   if (actor.type !== `${MODULE_ID}.asset`) return;
   const uuid = actor.uuid;
   for (const tracker of _getTrackers()) {
-    const sys = tracker.system;
-    const inAssets =
-      (sys.characterAssets || []).includes(uuid) ||
-      (sys.shipAssets || []).includes(uuid) ||
-      (sys.resourceAssets || []).includes(uuid);
-    if (inAssets) tracker.sheet?.render();
+    if (getRosterAssetUuids(tracker).includes(uuid)) tracker.sheet?.render();
   }
 }
 
@@ -754,7 +917,15 @@ async function _handleConflictReroll(message, tcFlag, staFlag) {
     assistFocusRange,
     assistUsedDetermination,
     hasAssist,
+    traitComplications = 0,
   } = tcFlag;
+  // Cards from before multi-asset assists have one target for every die
+  const assistDice =
+    tcFlag.assistDice ??
+    (staFlag.shipdiceOutcome ?? []).map(() => ({
+      targetNumber: assistTargetNumber,
+      focusRange: assistFocusRange,
+    }));
   const { diceOutcome, shipdiceOutcome, rollType } = staFlag;
 
   // Build the dice-picker dialog (same format as STA's handleReroll)
@@ -804,34 +975,41 @@ async function _handleConflictReroll(message, tcFlag, staFlag) {
   );
 
   // Roll the new dice
+  const tracker = game.actors.get(trackerActorId) ?? null;
   let newCrewDice = [],
     newCrewRoll = null;
   if (crewRerolledIdx.length > 0) {
-    newCrewRoll = await new Roll(`${crewRerolledIdx.length}d20`).evaluate();
+    newCrewRoll = await rollDice(tracker, `${crewRerolledIdx.length}d20`);
     newCrewDice = newCrewRoll.dice[0].results.map((r) => r.result);
   }
   let newShipDice = [],
     newShipRoll = null;
   if (hasAssist && shipRerolledIdx.length > 0) {
-    newShipRoll = await new Roll(`${shipRerolledIdx.length}d20`).evaluate();
+    newShipRoll = await rollDice(tracker, `${shipRerolledIdx.length}d20`);
     newShipDice = newShipRoll.dice[0].results.map((r) => r.result);
   }
 
   const allCrewDice = [...crewKept, ...newCrewDice];
-  const allShipDice = hasAssist ? [...shipKept, ...newShipDice] : [];
+  // Rerolled assisting dice keep their position, as each has its own target
+  let nextShipDie = 0;
+  const allShipDice = hasAssist
+    ? (shipdiceOutcome ?? []).map((num, i) =>
+        shipRerolledIdx.includes(i) ? newShipDice[nextShipDie++] : num,
+      )
+    : [];
 
   // Score dice with our own formula (mirrors _performRoll)
   const _scoreDice = (dice, targetNumber, focusRange) => {
     let successes = 0,
-      nat20 = false;
+      complications = 0;
     for (const val of dice) {
-      if (val === 20) nat20 = true;
+      if (val === 20) complications += 1;
       if (val <= targetNumber) {
         successes += 1;
         if (focusRange > 0 && val <= focusRange) successes += 1;
       }
     }
-    return { successes, nat20 };
+    return { successes, complications };
   };
 
   const crewScore = _scoreDice(
@@ -839,13 +1017,28 @@ async function _handleConflictReroll(message, tcFlag, staFlag) {
     primaryTargetNumber,
     primaryFocusRange,
   );
-  const shipScore = hasAssist
-    ? _scoreDice(allShipDice, assistTargetNumber, assistFocusRange)
-    : { successes: 0, nat20: false };
+  const shipScore = allShipDice
+    .map((val, i) =>
+      _scoreDice(
+        [val],
+        assistDice[i]?.targetNumber ?? 0,
+        assistDice[i]?.focusRange ?? 0,
+      ),
+    )
+    .reduce(
+      (sum, score) => ({
+        successes: sum.successes + score.successes,
+        complications: sum.complications + score.complications,
+      }),
+      { successes: 0, complications: 0 },
+    );
   const detBonus =
     (primaryUsedDetermination ? 2 : 0) + (assistUsedDetermination ? 2 : 0);
   const totalSuccesses = detBonus + crewScore.successes + shipScore.successes;
-  const hadNat20 = crewScore.nat20 || shipScore.nat20;
+  // Complications ignored by the assets' traits do not count, as on the
+  // original roll
+  const hadNat20 =
+    crewScore.complications + shipScore.complications > traitComplications;
 
   // Build the STA reroll chat card using STARoll's own helpers
   const staRoll = new STARoll();
@@ -877,11 +1070,14 @@ async function _handleConflictReroll(message, tcFlag, staFlag) {
     ? await staRoll._taskResult({ ...shipParams, customResults: newShipDice })
     : { diceString: "", complication: 0 };
 
-  const totalComplications =
+  const totalComplications = Math.max(
+    0,
     (crewRetained.complication ?? 0) +
-    (crewRerolledRes.complication ?? 0) +
-    (shipRetained.complication ?? 0) +
-    (shipRerolledRes.complication ?? 0);
+      (crewRerolledRes.complication ?? 0) +
+      (shipRetained.complication ?? 0) +
+      (shipRerolledRes.complication ?? 0) -
+      traitComplications,
+  );
   const resultText = await staRoll._taskResultText({
     success: totalSuccesses,
     complication: totalComplications,
@@ -924,20 +1120,10 @@ async function _updateConflictAdvisory(
   hadNat20,
 ) {
   const tracker = game.actors.get(trackerActorId);
-  if (!tracker) return;
-  for (const listKey of [
-    "poiListThreat",
-    "poiListExploration",
-    "poiListRoutine",
-    "poiListUnknown",
-  ]) {
-    const entries = foundry.utils.deepClone(tracker.system[listKey] || []);
-    const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-    if (idx !== -1) {
-      entries[idx].conflictSuccesses = totalSuccesses;
-      entries[idx].conflictHadNat20 = hadNat20;
-      await tracker.update({ [`system.${listKey}`]: entries });
-      break;
-    }
-  }
+  if (!tracker?.isOwner || !(await acquireTurnLock(tracker))) return;
+  await new CampaignTurnEngine(tracker).recordConflictAdvisory(
+    poiUuid,
+    totalSuccesses,
+    hadNat20,
+  );
 }
@@ -0,0 +1,104 @@
+/**
+ * POI chains — follow-up POIs that a POI spawns when its turn ends a certain
+ * way, so story arcs can unfold across turns.
+ *
+ * A POI lists its follow-up links (system.followUps). Each link names a
+ * trigger and either a POI actor, spawned as is, or a RollTable, rolled for
+ * the POI actor to spawn:
+ *
+ *   success        the conflict succeeded (or the POI was the scenario)
+ *   flawedSuccess  the conflict succeeded with a complication
+ *   failure        the conflict failed, with or without a serious setback
+ *   catastrophe    the tactical threat went catastrophic
+ *
+ * End Turn spawns the follow-ups of every POI into its matching list and
+ * into the next turn's generated POIs, hidden like any generated POI.
+ */
+
+import { rollTable } from "./campaign-rng.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+
+/** Follow-up triggers with their labels. */
+export const FOLLOW_UP_TRIGGERS = {
+  success: "STA_TC.Chains.Triggers.Success",
+  flawedSuccess: "STA_TC.Chains.Triggers.FlawedSuccess",
+  failure: "STA_TC.Chains.Triggers.Failure",
+  catastrophe: "STA_TC.Chains.Triggers.Catastrophe",
+};
+
+/** Conflict results and the trigger they fire. */
+const TRIGGER_BY_RESULT = {
+  success: "success",
+  flawedSuccess: "flawedSuccess",
+  failure: "failure",
+  seriousSetback: "failure",
+};
+
+/**
+ * The trigger a POI entry fires at the end of the turn.
+ * @param {object} entry - The POI entry.
+ * @param {object} [options]
+ * @param {boolean} [options.catastrophe=false] - The threat went catastrophic.
+ * @param {boolean} [options.scenario=false] - The POI was the turn's scenario.
+ * @returns {string|null} null when the POI fires no trigger.
+ */
+export function getFollowUpTrigger(
+  entry,
+  { catastrophe = false, scenario = false } = {},
+) {
+  if (catastrophe) return "catastrophe";
+  return (
+    TRIGGER_BY_RESULT[entry?.conflictResult] ?? (scenario ? "success" : null)
+  );
+}
+
+/**
+ * A POI's follow-up links for a trigger.
+ * @param {Actor|null} poi
+ * @param {string|null} trigger
+ * @returns {{trigger: string, uuid: string}[]}
+ */
+export function getFollowUps(poi, trigger) {
+  if (!trigger) return [];
+  return (poi?.system?.followUps ?? []).filter(
+    (link) => link.trigger === trigger && link.uuid,
+  );
+}
+
+/**
+ * Display data for a follow-up link's target, without loading compendiums.
+ * @param {string} uuid
+ * @returns {{name: string, isTable: boolean, missing: boolean}}
+ */
+export function describeFollowUp(uuid) {
+  const target = uuid ? fromUuidSync(uuid) : null;
+  if (!target)
+    return {
+      name: game.i18n.localize("STA_TC.Chains.Missing"),
+      isTable: false,
+      missing: true,
+    };
+  const type = target.documentName ?? foundry.utils.parseUuid(uuid)?.type;
+  return { name: target.name, isTable: type === "RollTable", missing: false };
+}
+
+/**
+ * The POI actor a follow-up link spawns: the linked actor, or the actor the
+ * linked table rolls.
+ * @param {string} uuid - A POI actor or RollTable uuid.
+ * @param {object} [options]
+ * @param {Actor|null} [options.tracker] - Campaign tracker whose seed drives
+ *   table rolls.
+ * @returns {Promise<Actor|null>} null when the link or the rolled result is
+ *   not a POI actor.
+ */
+export async function resolveFollowUp(uuid, { tracker = null } = {}) {
+  let target = uuid ? await fromUuid(uuid) : null;
+  if (target instanceof RollTable) {
+    const { results } = await rollTable(tracker, target);
+    const documentUuid = results[0]?.documentUuid;
+    target = documentUuid ? await fromUuid(documentUuid) : null;
+  }
+  return target?.type === `${MODULE_ID}.poi` ? target : null;
+}
@@ -7,6 +7,9 @@
  * The resolved actor is posted to chat with a drag-to-canvas token.
  */
 
+import { rollTable } from "./campaign-rng.mjs";
+import { getSectorAt } from "./sector-map.mjs";
+
 const MODULE_ID = "sta-tactical-campaign";
 
 /**
@@ -77,9 +80,10 @@ export class PoiGenerator {
    * Roll on a RollTable identified by UUID.
    * @param {string} uuid  - The table UUID
    * @param {string} label - Human-readable name for notifications
+   * @param {Actor|null} [tracker] - Campaign tracker whose seed drives the roll
    * @returns {Promise<{roll: number, name: string, documentUuid: string, description: string}|null>}
    */
-  static async rollOnTable(uuid, label) {
+  static async rollOnTable(uuid, label, tracker = null) {
     if (!uuid) {
       ui.notifications.warn(
         game.i18n.format("STA_TC.Poi.Generator.TableNotConfigured", {
@@ -100,7 +104,7 @@ export class PoiGenerator {
       return null;
     }
 
-    const roll = await table.roll();
+    const roll = await rollTable(tracker, table);
     const result = roll.results[0];
     return {
       roll: roll.roll.total,
@@ -138,16 +142,20 @@ export class PoiGenerator {
    * The sub-table result text is expected to contain the UUID of a POI actor.
    * Posts the resolved actor to chat with a drag-to-canvas token.
    *
+   * @param {object} [options]
+   * @param {boolean} [options.postChat=true] - Post the generator chat card.
+   * @param {Actor|null} [options.tracker] - Campaign tracker whose seed drives the rolls.
    * @returns {Promise<{typeResult: object, subResult: object, subTableKey: string, actor: Actor|null}|null>}
    */
   static async generate(options = {}) {
-    const { postChat = true } = options;
+    const { postChat = true, tracker = null } = options;
     const tables = this.getTableSettings();
 
     // Step 1 – Roll on the main Point of Interest Type table
     const typeResult = await this.rollOnTable(
       tables.pointOfInterestType,
       game.i18n.localize("STA_TC.Poi.Generator.TypeTableName"),
+      tracker,
     );
     if (!typeResult) {
       ui.notifications.error(
@@ -189,7 +197,11 @@ export class PoiGenerator {
     // Step 2 – Roll on the appropriate sub-table (returns a UUID in the text field)
     const config = TYPE_CONFIG[subTableKey];
     const configName = game.i18n.localize(config.nameKey);
-    const subResult = await this.rollOnTable(tables[subTableKey], configName);
+    const subResult = await this.rollOnTable(
+      tables[subTableKey],
+      configName,
+      tracker,
+    );
 
     if (!subResult) {
       if (postChat) {
@@ -484,6 +496,32 @@ export class PoiGenerator {
       if (data.type !== "POIToken") return;
       return PoiGenerator._handleCanvasDrop(canvas, data);
     });
+
+    // A POI token moved on the campaign map takes the sector it lands in
+    Hooks.on("updateToken", (token, changes, _options, userId) => {
+      if (userId !== game.user.id) return;
+      if (!("x" in changes) && !("y" in changes)) return;
+      PoiGenerator._updatePoiSector(token);
+    });
+  }
+
+  /**
+   * Set the sector of a POI token's actor from where the token stands on the
+   * campaign map. Tokens on other scenes or outside every sector leave it
+   * unchanged.
+   * @param {TokenDocument} token
+   * @returns {Promise<void>}
+   */
+  static async _updatePoiSector(token) {
+    const actor = game.actors.get(token.actorId);
+    if (actor?.type !== `${MODULE_ID}.poi` || !actor.isOwner) return;
+    const gridSize = token.parent?.grid?.size ?? 0;
+    const sector = getSectorAt(token.parent, {
+      x: token.x + (token.width * gridSize) / 2,
+      y: token.y + (token.height * gridSize) / 2,
+    });
+    if (sector && sector !== actor.system.sector)
+      await actor.update({ "system.sector": sector });
   }
 
   // --------------------------------------------------------------------------
@@ -562,6 +600,7 @@ export class PoiGenerator {
             name: actor.name,
           }),
         );
+        await PoiGenerator._updatePoiSector(token);
       }
     } catch (error) {
       console.error(`${MODULE_ID} | Failed to create POI token:`, error);
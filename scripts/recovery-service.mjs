@@ -0,0 +1,141 @@
+/**
+ * Recovery — the repair queue of injured characters and damaged ships.
+ *
+ * An Unavailable result on a character's or ship's loss table puts the asset
+ * in recovery: its Unavailable effect carries flags["sta-tactical-campaign"]
+ * .recovery ("injured" or "damaged") and the loss row's turn cost as its
+ * expiry. End Turn removes a finished recovery like any other timed effect and
+ * announces that the asset is back on the roster.
+ *
+ * The GM can speed a recovery up by one turn for every point of Priority
+ * Supply spent on it or every resource asset committed to it. A committed
+ * resource is unavailable until the end of the current turn. A recovery that
+ * is already due at the end of this turn finishes at once.
+ */
+
+import { TrackerNotifier } from "./apps/tracker-notifier.mjs";
+import { replaceAssetStatusEffect } from "./active-effect-service.mjs";
+import {
+  getCampaignTurnNumber,
+  getRosterAssetUuids,
+} from "./theatre-service.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+
+/** Recovery kinds with their labels. */
+export const RECOVERY_KINDS = {
+  injured: "STA_TC.Recovery.Injured",
+  damaged: "STA_TC.Recovery.Damaged",
+};
+
+const RECOVERY_BY_ASSET_TYPE = {
+  character: "injured",
+  ship: "damaged",
+};
+
+/**
+ * The recovery kind an asset enters when it is made unavailable by a loss.
+ * @param {Actor} asset
+ * @returns {string|null} null for assets that do not recover (resources).
+ */
+export function getRecoveryKind(asset) {
+  return RECOVERY_BY_ASSET_TYPE[asset?.system?.assetType] ?? null;
+}
+
+/**
+ * Assets of the tracker's roster in recovery, soonest back first.
+ * @param {Actor} tracker
+ * @returns {Promise<{actor: Actor, effect: ActiveEffect, kind: string,
+ *   turnsLeft: number}[]>} turnsLeft counts the turns still to end after the
+ *   current one; 0 means the asset is back when this turn ends.
+ */
+export async function getRecoveryQueue(tracker) {
+  const currentTurn = getCampaignTurnNumber(tracker);
+  const queue = [];
+  for (const uuid of getRosterAssetUuids(tracker)) {
+    const actor = await fromUuid(uuid);
+    const effect = actor?.effects.find(
+      (effect) => effect.flags?.[MODULE_ID]?.recovery,
+    );
+    if (!effect) continue;
+    const expiry = effect.flags[MODULE_ID].expireAfterTurn ?? currentTurn;
+    queue.push({
+      actor,
+      effect,
+      kind: effect.flags[MODULE_ID].recovery,
+      turnsLeft: Math.max(0, expiry - currentTurn),
+    });
+  }
+  return queue.sort((a, b) => a.turnsLeft - b.turnsLeft);
+}
+
+/**
+ * Speed up an asset's recovery by one turn, paid with a point of the
+ * tracker's Priority Supply or with a resource asset.
+ * @param {Actor} tracker
+ * @param {string} assetUuid - The asset in recovery.
+ * @param {object} [options]
+ * @param {string} [options.resourceUuid] - Resource asset to commit instead
+ *   of spending Priority Supply.
+ * @returns {Promise<boolean>} Whether the recovery was sped up.
+ */
+export async function expediteRecovery(
+  tracker,
+  assetUuid,
+  { resourceUuid = null } = {},
+) {
+  const entry = (await getRecoveryQueue(tracker)).find(
+    ({ actor }) => actor.uuid === assetUuid,
+  );
+  if (!entry) return false;
+  const { actor, effect, turnsLeft } = entry;
+
+  let cost;
+  if (resourceUuid) {
+    const resource = await fromUuid(resourceUuid);
+    if (!resource) return false;
+    await replaceAssetStatusEffect(resource, "unavailable", {
+      name: game.i18n.format("STA_TC.Recovery.CommittedEffect", {
+        name: actor.name,
+      }),
+      expireAfterTurn: getCampaignTurnNumber(tracker),
+    });
+    cost = resource.name;
+  } else {
+    const supply = tracker.system.prioritySupply || 0;
+    if (supply < 1) {
+      ui.notifications.warn(game.i18n.localize("STA_TC.Recovery.NoSupply"));
+      return false;
+    }
+    await tracker.update({ "system.prioritySupply": supply - 1 });
+    cost = game.i18n.localize("STA_TC.CampaignTracker.PrioritySupply");
+  }
+
+  if (turnsLeft > 0) {
+    await effect.update({
+      [`flags.${MODULE_ID}.expireAfterTurn`]:
+        effect.flags[MODULE_ID].expireAfterTurn - 1,
+    });
+    await TrackerNotifier.emit({
+      tracker,
+      event: "recoveryExpedited",
+      message: game.i18n.format("STA_TC.Recovery.Expedited", {
+        name: actor.name,
+        cost,
+        turns: turnsLeft - 1,
+      }),
+      entityUuid: actor.uuid,
+    });
+  } else {
+    await effect.delete();
+    await TrackerNotifier.emit({
+      tracker,
+      event: "recoveryComplete",
+      message: game.i18n.format("STA_TC.Recovery.Recovered", {
+        name: actor.name,
+      }),
+      entityUuid: actor.uuid,
+    });
+  }
+  return true;
+}
@@ -0,0 +1,121 @@
+/**
+ * Sector map — where the POIs of the campaign are.
+ *
+ * The "sectorMap" world setting, edited in the Sector Map menu, names the
+ * Scene used as the campaign map and which of its sectors border each other.
+ * Every named Region of that Scene is a sector. A POI records its sector by
+ * name (system.sector):
+ *
+ *   - a POI generated in Phase 1 is placed in a random sector, a follow-up
+ *     POI in the sector of the POI that spawned it
+ *   - a POI token dropped or moved on the map takes the sector it lands in
+ *
+ * The tracker groups and filters its POI lists by sector, and End Turn raises
+ * the urgency of the POIs bordering a catastrophe (the
+ * catastropheAdjacentUrgency campaign rule).
+ */
+
+import { randomPick } from "./campaign-rng.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+
+/**
+ * Fill in the sector map setting; adjacency pairs are trimmed, sorted and
+ * deduplicated, and pairs of a sector with itself dropped.
+ * @param {object} [map]
+ * @returns {{sceneId: string, adjacency: string[][]}}
+ */
+export function normalizeSectorMap(map = {}) {
+  const pairs = new Map();
+  for (const pair of Array.isArray(map.adjacency) ? map.adjacency : []) {
+    const [a, b] = (Array.isArray(pair) ? pair : [])
+      .map((name) => String(name ?? "").trim())
+      .sort((x, y) => x.localeCompare(y));
+    if (a && b && a !== b) pairs.set(`${a}\u0000${b}`, [a, b]);
+  }
+  return {
+    sceneId: String(map.sceneId ?? ""),
+    adjacency: [...pairs.values()],
+  };
+}
+
+/**
+ * The sector map of this world.
+ * @returns {{sceneId: string, adjacency: string[][]}}
+ */
+export function getSectorMap() {
+  let stored = {};
+  try {
+    stored = game.settings.get(MODULE_ID, "sectorMap") ?? {};
+  } catch {
+    stored = {};
+  }
+  return normalizeSectorMap(stored);
+}
+
+/**
+ * The Scene used as the campaign map, if one is set and still exists.
+ * @returns {Scene|null}
+ */
+export function getSectorScene() {
+  const { sceneId } = getSectorMap();
+  return (sceneId && game.scenes?.get(sceneId)) || null;
+}
+
+/**
+ * The sectors of a Scene: the names of its named Regions, sorted.
+ * @param {Scene|null} [scene] - Defaults to the campaign map.
+ * @returns {string[]}
+ */
+export function getSectorNames(scene = getSectorScene()) {
+  const names = new Set();
+  for (const region of scene?.regions ?? []) {
+    const name = region.name?.trim();
+    if (name) names.add(name);
+  }
+  return [...names].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * The sectors bordering a sector.
+ * @param {string} sector
+ * @returns {string[]}
+ */
+export function getAdjacentSectors(sector) {
+  if (!sector) return [];
+  return getSectorMap()
+    .adjacency.filter((pair) => pair.includes(sector))
+    .map(([a, b]) => (a === sector ? b : a));
+}
+
+/**
+ * The sector a point of the campaign map lies in.
+ * @param {Scene} scene
+ * @param {{x: number, y: number}} point
+ * @returns {string} Blank when the scene is not the campaign map or the point
+ *   is outside every sector.
+ */
+export function getSectorAt(scene, { x, y }) {
+  if (!scene || scene !== getSectorScene()) return "";
+  const region = scene.regions.find(
+    (region) =>
+      region.name?.trim() &&
+      region.testPoint({
+        x,
+        y,
+        elevation: Number.isFinite(region.elevation?.bottom)
+          ? region.elevation.bottom
+          : 0,
+      }),
+  );
+  return region?.name.trim() ?? "";
+}
+
+/**
+ * A random sector of the campaign map for a newly generated POI.
+ * @param {Actor|null} tracker - Campaign tracker whose seed drives the pick.
+ * @returns {Promise<string>} Blank when no campaign map is set.
+ */
+export async function pickSector(tracker) {
+  return (await randomPick(tracker, getSectorNames())) ?? "";
+}
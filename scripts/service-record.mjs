@@ -0,0 +1,184 @@
+/**
+ * Service record — what an asset has done over the campaign, kept on the
+ * asset (system.serviceRecord) and shown on the Service Record tab of its
+ * sheet:
+ *
+ *   conflict  every finalised conflict it took part in: POI, slot (primary or
+ *             assist), power rolled, result and Momentum earned
+ *   loss      every roll for loss: the roll, table row and outcome
+ *   status    status changes at End Turn (commandeered, discarded)
+ *
+ * A record tied to a POI replaces an earlier record of the same kind, turn and
+ * POI, so a conflict finalised again after a reroll, or a resumed End Turn,
+ * never counts twice.
+ */
+
+import { LOSS_OUTCOMES } from "./loss-resolver.mjs";
+import { MISSION_RESULTS } from "./veterancy.mjs";
+import { CONFLICT_RESULT_LABELS } from "./utils.mjs";
+
+const POWERS = ["medical", "military", "personal", "science", "social"];
+
+/** Record kinds with their labels. */
+export const SERVICE_RECORD_KINDS = {
+  conflict: "STA_TC.ServiceRecord.Kinds.Conflict",
+  loss: "STA_TC.ServiceRecord.Kinds.Loss",
+  status: "STA_TC.ServiceRecord.Kinds.Status",
+};
+
+/**
+ * Add a record to an asset's service record.
+ * @param {Actor} asset
+ * @param {object} record - Fields of the serviceRecord schema; kind and turn
+ *   are required.
+ * @returns {Promise<void>}
+ */
+export async function recordService(asset, record) {
+  if (!asset?.system || !("serviceRecord" in asset.system)) return;
+  const entry = {
+    poiUuid: "",
+    poiName: "",
+    slot: "",
+    power: "",
+    result: "",
+    momentum: 0,
+    roll: 0,
+    detail: "",
+    ...record,
+    ts: Date.now(),
+  };
+  const records = (asset.system.serviceRecord ?? []).filter(
+    (other) =>
+      !(
+        entry.poiUuid &&
+        other.poiUuid === entry.poiUuid &&
+        other.kind === entry.kind &&
+        other.turn === entry.turn
+      ),
+  );
+  records.push(entry);
+  await asset.update({ "system.serviceRecord": records });
+}
+
+/**
+ * Record a finalised conflict on every asset of the POI entry.
+ * @param {object} entry - The POI entry.
+ * @param {Actor|null} poi
+ * @param {object} conflict
+ * @param {number} conflict.turn
+ * @param {string} conflict.result
+ * @param {number} conflict.momentum
+ * @param {string} conflict.power - The power rolled.
+ * @returns {Promise<void>}
+ */
+export async function recordConflict(
+  entry,
+  poi,
+  { turn, result, momentum, power },
+) {
+  const assets = entry?.assets || [];
+  for (let slot = 0; slot < assets.length; slot++) {
+    if (!assets[slot] || assets.indexOf(assets[slot]) !== slot) continue;
+    const asset = await fromUuid(assets[slot]);
+    await recordService(asset, {
+      turn,
+      kind: "conflict",
+      poiUuid: entry.actorUuid,
+      poiName: poi?.name || "?",
+      slot: slot === 0 ? "primary" : "assist",
+      power,
+      result,
+      momentum,
+    });
+  }
+}
+
+/**
+ * Record a roll for loss on the asset that rolled it.
+ * @param {Actor} asset
+ * @param {object} loss - A result of LossResolver.roll().
+ * @param {object} options
+ * @param {number} options.turn
+ * @param {Actor|null} [options.poi] - The POI the loss happened on, if any.
+ * @returns {Promise<void>}
+ */
+export async function recordLoss(asset, loss, { turn, poi = null }) {
+  await recordService(asset, {
+    turn,
+    kind: "loss",
+    poiUuid: poi?.uuid ?? "",
+    poiName: poi?.name ?? "",
+    result: loss.outcome,
+    roll: loss.rollValue || 0,
+    detail: loss.name,
+  });
+}
+
+/**
+ * Display rows and totals for an asset's service record, newest first.
+ * @param {object[]} records - system.serviceRecord
+ * @returns {{rows: object[], conflicts: number, successes: number,
+ *   successRate: string, momentum: number, losses: number,
+ *   byPower: object[]}}
+ */
+export function summarizeServiceRecord(records = []) {
+  const rate = (successes, total) =>
+    total ? `${Math.round((successes / total) * 100)}%` : "—";
+  const conflicts = records.filter((record) => record.kind === "conflict");
+  const successes = conflicts.filter((record) =>
+    MISSION_RESULTS.includes(record.result),
+  );
+
+  const byPower = POWERS.map((power) => {
+    const rolled = conflicts.filter((record) => record.power === power);
+    const won = rolled.filter((record) =>
+      MISSION_RESULTS.includes(record.result),
+    ).length;
+    return {
+      power,
+      label: game.i18n.localize(`STA_TC.Powers.${power.capitalize()}`),
+      conflicts: rolled.length,
+      successes: won,
+      successRate: rate(won, rolled.length),
+    };
+  }).filter((row) => row.conflicts);
+
+  const rows = [...records]
+    .sort((a, b) => b.turn - a.turn || b.ts - a.ts)
+    .map((record) => ({
+      ...record,
+      kindLabel: game.i18n.localize(SERVICE_RECORD_KINDS[record.kind] ?? ""),
+      slotLabel: record.slot
+        ? game.i18n.localize(
+            `STA_TC.ServiceRecord.Slots.${record.slot.capitalize()}`,
+          )
+        : "",
+      powerLabel: record.power
+        ? game.i18n.localize(`STA_TC.Powers.${record.power.capitalize()}`)
+        : "",
+      resultLabel:
+        record.kind === "conflict"
+          ? game.i18n.localize(
+              CONFLICT_RESULT_LABELS[record.result] ?? record.result,
+            )
+          : record.kind === "loss"
+            ? game.i18n.localize(LOSS_OUTCOMES[record.result] ?? record.result)
+            : game.i18n.localize(
+                `STA_TC.ServiceRecord.Status.${record.result.capitalize()}`,
+              ),
+      isSuccess: MISSION_RESULTS.includes(record.result),
+    }));
+
+  return {
+    rows,
+    conflicts: conflicts.length,
+    successes: successes.length,
+    successRate: rate(successes.length, conflicts.length),
+    momentum: conflicts.reduce(
+      (sum, record) => sum + (record.momentum || 0),
+      0,
+    ),
+    losses: records.filter((record) => record.kind === "loss").length,
+    byPower,
+  };
+}
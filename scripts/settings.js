@@ -12,6 +12,11 @@ export async function registerSettings() {
   // Import the DefaultFoldersForm for the menu
   const { DefaultFoldersForm } =
     await import("./apps/default-folders-form.mjs");
+  const { CampaignRulesForm } = await import("./apps/campaign-rules-form.mjs");
+  const { LossTablesForm } = await import("./apps/loss-tables-form.mjs");
+  const { TraitRulesForm } = await import("./apps/trait-rules-form.mjs");
+  const { SectorMapForm } = await import("./apps/sector-map-form.mjs");
+  const { DEFAULT_RULES } = await import("./campaign-rules.mjs");
 
   // -------------------------------------------------------------------------
   // Settings Menu
@@ -26,6 +31,66 @@ export async function registerSettings() {
     restricted: true,
   });
 
+  game.settings.registerMenu(MODULE_ID, "campaignRulesMenu", {
+    name: "STA_TC.Rules.Title",
+    label: "STA_TC.Rules.Title",
+    hint: "STA_TC.Rules.MenuHint",
+    icon: "fas fa-scale-balanced",
+    type: CampaignRulesForm,
+    restricted: true,
+  });
+
+  game.settings.registerMenu(MODULE_ID, "lossTablesMenu", {
+    name: "STA_TC.LossTables.Title",
+    label: "STA_TC.LossTables.Title",
+    hint: "STA_TC.LossTables.MenuHint",
+    icon: "fas fa-skull",
+    type: LossTablesForm,
+    restricted: true,
+  });
+
+  game.settings.registerMenu(MODULE_ID, "traitRulesMenu", {
+    name: "STA_TC.Traits.Title",
+    label: "STA_TC.Traits.Title",
+    hint: "STA_TC.Traits.MenuHint",
+    icon: "fas fa-tags",
+    type: TraitRulesForm,
+    restricted: true,
+  });
+
+  game.settings.registerMenu(MODULE_ID, "sectorMapMenu", {
+    name: "STA_TC.Sectors.Title",
+    label: "STA_TC.Sectors.Title",
+    hint: "STA_TC.Sectors.MenuHint",
+    icon: "fas fa-map",
+    type: SectorMapForm,
+    restricted: true,
+  });
+
+  // House-rule thresholds for the campaign turn — managed via the rules editor.
+  game.settings.register(MODULE_ID, "campaignRules", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: { preset: "official", rules: DEFAULT_RULES },
+  });
+
+  // Trait/tag bonuses for conflicts — managed via the trait rules editor.
+  game.settings.register(MODULE_ID, "traitRules", {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+  });
+
+  // Campaign map scene and sector adjacency — managed via the sector map editor.
+  game.settings.register(MODULE_ID, "sectorMap", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: { sceneId: "", adjacency: [] },
+  });
+
   // -------------------------------------------------------------------------
   // Rollable Table Settings
   // -------------------------------------------------------------------------
@@ -252,6 +317,29 @@ export async function registerSettings() {
     default: "",
   });
 
+  // Loss tables per asset type — blank rolls the built-in bands. Managed via
+  // the Loss Tables form, which also holds each row's outcome.
+  game.settings.register(MODULE_ID, "tableLossCharacter", {
+    scope: "world",
+    config: false,
+    type: String,
+    default: "",
+  });
+
+  game.settings.register(MODULE_ID, "tableLossShip", {
+    scope: "world",
+    config: false,
+    type: String,
+    default: "",
+  });
+
+  game.settings.register(MODULE_ID, "tableLossResource", {
+    scope: "world",
+    config: false,
+    type: String,
+    default: "",
+  });
+
   game.settings.register(MODULE_ID, "automationNotifications", {
     name: "STA_TC.Settings.AutomationNotifications",
     hint: "STA_TC.Settings.AutomationNotificationsHint",
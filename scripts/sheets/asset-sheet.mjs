@@ -6,9 +6,16 @@
 import { AssetEffectEditor } from "../apps/asset-effect-editor.mjs";
 import {
   getCampaignExpiry,
+  getCampaignTracker,
   getCurrentCampaignTurn,
-  replaceAssetStatusEffect,
 } from "../active-effect-service.mjs";
+import { getPendingConflicts } from "../campaign-socket.mjs";
+import { callHook } from "../campaign-hooks.mjs";
+import { LossResolver } from "../loss-resolver.mjs";
+import { recordLoss, summarizeServiceRecord } from "../service-record.mjs";
+import { addTraitName, getKnownTraitNames } from "../trait-rules.mjs";
+import { getVeterancy, promptPromotion } from "../veterancy.mjs";
+import { CampaignTrackerSheet } from "./campaign-tracker-sheet.mjs";
 
 const { HandlebarsApplicationMixin } = foundry.applications.api;
 const { ActorSheetV2 } = foundry.applications.sheets;
@@ -21,12 +28,19 @@ export class AssetSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     classes: ["sta-tactical-campaign", "asset-sheet"],
     actions: {
       performTest: AssetSheet._onPerformTest,
+      rollConflict: AssetSheet._onRollConflict,
       editImage: AssetSheet._onEditImage,
       rollForLoss: AssetSheet._onRollForLoss,
       undoLossResult: AssetSheet._onUndoLossResult,
       addTimedEffect: AssetSheet._onAddTimedEffect,
       editEffect: AssetSheet._onEditEffect,
       deleteEffect: AssetSheet._onDeleteEffect,
+      openCrew: AssetSheet._onOpenCrew,
+      removeCrew: AssetSheet._onRemoveCrew,
+      addTrait: AssetSheet._onAddTrait,
+      removeTrait: AssetSheet._onRemoveTrait,
+      promoteAsset: AssetSheet._onPromoteAsset,
+      switchTab: AssetSheet._onSwitchTab,
     },
     form: {
       submitOnChange: true,
@@ -49,6 +63,9 @@ export class AssetSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     },
   };
 
+  /** Tab shown in the sheet body: "details" or "service". */
+  _activeTab = "details";
+
   /** @override */
   get title() {
     return `${this.actor.name} - ${game.i18n.localize("STA_TC.Types.Asset")}`;
@@ -108,14 +125,42 @@ export class AssetSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
       };
     });
 
+    // Crew of a ship, lost with it on an "all hands" loss
+    const crew = [];
+    if (system.assetType === "ship") {
+      for (const uuid of system.crew ?? []) {
+        const member = await fromUuid(uuid);
+        crew.push({
+          uuid,
+          name: member?.name ?? game.i18n.localize("STA_TC.Asset.Crew.Missing"),
+          img: member?.img || "icons/svg/mystery-man.svg",
+          isLost: !!member?.system?.lost,
+        });
+      }
+    }
+
     return {
       actor,
       system,
+      isShip: system.assetType === "ship",
+      crew,
+      knownTraits: getKnownTraitNames().traits,
+      veterancy: getVeterancy(actor),
+      isGM: game.user.isGM,
+      activeTab: this._activeTab,
+      serviceRecord: summarizeServiceRecord(system.serviceRecord ?? []),
       powers,
       powersCol1,
       powersCol2,
       hasPrimaryPower,
       effects,
+      pendingConflicts: this.actor.isOwner
+        ? getPendingConflicts(actor).map(({ tracker, poiUuid, poiName }) => ({
+            trackerUuid: tracker.uuid,
+            poiUuid,
+            poiName,
+          }))
+        : [],
       hasLossEffect: actor.effects.some(
         (effect) => effect.active && effect.flags?.[MODULE_ID]?.lost,
       ),
@@ -132,103 +177,35 @@ export class AssetSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 
   /**
    * Handle the Roll for Loss button click.
-   * Rolls 1d20 against hardcoded character/ship loss tables and applies the outcome.
+   * Rolls on the asset type's loss table and applies the outcome.
    * @param {Event} event - The triggering event
    * @param {HTMLElement} target - The button element
    */
   static async _onRollForLoss(event, target) {
     const actor = this.actor;
-    const assetType = actor.system.assetType;
-
-    // Roll 1d20
-    const roll = await new Roll("1d20").evaluate();
-    const rollValue = roll.total;
-
-    // Determine outcome
-    let resultTitle;
-    let resultDesc;
-    let markLost = false;
-    let markUnavailable = false;
-
-    if (assetType === "ship") {
-      if (rollValue === 1) {
-        resultTitle = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipLostAllHands",
-        );
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipLostAllHandsDesc",
-        );
-        markLost = true;
-      } else if (rollValue <= 4) {
-        resultTitle = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipBeyondRecovery",
-        );
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipBeyondRecoveryDesc",
-        );
-        markLost = true;
-      } else if (rollValue <= 12) {
-        resultTitle = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipDamaged",
-        );
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipDamagedDesc",
-        );
-        markUnavailable = true;
-      } else {
-        resultTitle = game.i18n.localize("STA_TC.Wizard.LossOutcome.ShipMinor");
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipMinorDesc",
-        );
-      }
-    } else {
-      if (rollValue <= 2) {
-        resultTitle = game.i18n.localize("STA_TC.Wizard.LossOutcome.CharMIA");
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.CharMIADesc",
-        );
-        markLost = true;
-      } else if (rollValue <= 10) {
-        resultTitle = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.CharInjured",
-        );
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.CharInjuredDesc",
-        );
-        markUnavailable = true;
-      } else {
-        resultTitle = game.i18n.localize("STA_TC.Wizard.LossOutcome.CharNone");
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.CharNoneDesc",
-        );
-      }
-    }
+    const tracker = await getCampaignTracker();
 
-    // Apply outcomes
-    if (markLost) {
-      await replaceAssetStatusEffect(actor, "lost", { name: resultTitle });
-    }
-    if (markUnavailable) {
-      const currentTurn = await getCurrentCampaignTurn();
-      const expireAfterTurn = currentTurn + 1;
-      await replaceAssetStatusEffect(actor, "unavailable", {
-        name: resultTitle,
-        expireAfterTurn,
+    const loss = await LossResolver.roll(actor, { tracker });
+    const currentTurn = await getCurrentCampaignTurn();
+    await LossResolver.apply(actor, loss, currentTurn);
+    await recordLoss(actor, loss, { turn: currentTurn });
+    let casualties = [];
+    if (loss.outcome === "lost") {
+      callHook("assetLost", {
+        tracker,
+        entry: null,
+        poi: null,
+        asset: actor,
+        roll: loss.rollValue,
+        result: loss.name,
+      });
+      casualties = await LossResolver.cascadeAllHands(actor, loss, {
+        tracker,
       });
     }
 
-    // For "lost with all hands" ship result, remind the GM about assigned characters
-    const allHandsNote =
-      markLost && assetType === "ship" && rollValue === 1
-        ? `<p style="font-size:0.85em;color:#ffaaa0;margin-top:6px;"><i class="fas fa-exclamation-triangle"></i> Any Character assets assigned to this ship's mission should also be marked Lost.</p>`
-        : "";
-
     await ChatMessage.create({
-      content: `<div style="background:#333;border-radius:8px;padding:10px;color:#eee;border-left:4px solid #e74c3c;">
-        <h3 style="margin:0 0 6px;color:#e74c3c;">&#x1F480; ${game.i18n.localize("STA_TC.RollForLoss")} \u2014 ${rollValue}/20</h3>
-        <p><strong>${actor.name}:</strong> <em>${resultTitle}</em></p>
-        <p style="font-size:0.9em;opacity:0.8;margin-top:4px;">${resultDesc}</p>${allHandsNote}
-      </div>`,
+      content: LossResolver.buildChatHtml(actor, loss, casualties),
       speaker: { alias: actor.name },
     });
   }
@@ -351,9 +328,101 @@ export class AssetSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     await roller.rollTask(taskData);
   }
 
+  /**
+   * Add a dropped Character asset to a ship's crew.
+   * @override
+   */
+  async _onDropActor(event, data) {
+    if (this.actor.system.assetType !== "ship") return;
+    const member = await fromUuid(data.uuid);
+    if (
+      member?.type !== `${MODULE_ID}.asset` ||
+      member.system.assetType !== "character"
+    ) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.Asset.Crew.CharactersOnly"),
+      );
+      return;
+    }
+    const crew = this.actor.system.crew ?? [];
+    if (crew.includes(member.uuid)) return;
+    await this.actor.update({ "system.crew": [...crew, member.uuid] });
+  }
+
+  /** Open a crew member's sheet */
+  static async _onOpenCrew(event, target) {
+    const member = await fromUuid(target.closest("[data-uuid]").dataset.uuid);
+    member?.sheet.render(true);
+  }
+
+  /** Remove a crew member from this ship */
+  static async _onRemoveCrew(event, target) {
+    const uuid = target.closest("[data-uuid]").dataset.uuid;
+    await this.actor.update({
+      "system.crew": (this.actor.system.crew ?? []).filter((u) => u !== uuid),
+    });
+  }
+
+  /**
+   * Add the trait typed in the trait field.
+   * @this {AssetSheet}
+   */
+  static async _onAddTrait(event, target) {
+    const input = target
+      .closest(".trait-tag-add")
+      ?.querySelector(".trait-tag-input");
+    const traits = addTraitName(this.actor.system.traits ?? [], input?.value);
+    if (input) input.value = "";
+    if (traits) await this.actor.update({ "system.traits": traits });
+  }
+
+  /**
+   * Remove a trait.
+   * @this {AssetSheet}
+   */
+  static async _onRemoveTrait(event, target) {
+    const trait = target.closest("[data-trait]").dataset.trait;
+    await this.actor.update({
+      "system.traits": (this.actor.system.traits ?? []).filter(
+        (t) => t !== trait,
+      ),
+    });
+  }
+
+  /**
+   * Switch between the details and the service record.
+   * @this {AssetSheet}
+   */
+  static async _onSwitchTab(event, target) {
+    const tab = target.dataset.tab;
+    if (!tab || tab === this._activeTab) return;
+    this._activeTab = tab;
+    await this.render();
+  }
+
+  /**
+   * GM action: grant a pending veterancy promotion.
+   * @this {AssetSheet}
+   */
+  static async _onPromoteAsset(event, target) {
+    if (!game.user.isGM) return;
+    await promptPromotion(this.actor);
+  }
+
   /** @override */
   _onRender(context, options) {
     super._onRender(context, options);
+    // Enter in the trait field adds the trait instead of submitting the sheet
+    this.element
+      .querySelector(".trait-tag-input")
+      ?.addEventListener("keydown", (keyEvent) => {
+        if (keyEvent.key !== "Enter") return;
+        keyEvent.preventDefault();
+        keyEvent.target
+          .closest(".trait-tag-add")
+          .querySelector("[data-action=addTrait]")
+          .click();
+      });
     // Make Active Effect rows draggable so they can be copied onto other
     // actors/items (including compendium entries) via native drop handling.
     for (const row of this.element.querySelectorAll(
@@ -370,6 +439,19 @@ export class AssetSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     }
   }
 
+  /**
+   * Roll the conflict of a POI this asset is assigned to. Players who do not
+   * own the tracker have the roll carried out by the active GM.
+   * @param {Event} event - The triggering event
+   * @param {HTMLElement} target - The button element
+   */
+  static async _onRollConflict(event, target) {
+    const { trackerUuid, poiUuid } = target.dataset;
+    const tracker = fromUuidSync(trackerUuid);
+    if (!tracker || !poiUuid) return;
+    await CampaignTrackerSheet.promptConflictRoll(tracker, poiUuid);
+  }
+
   static async _onAddTimedEffect(event, target) {
     AssetEffectEditor.open(this.actor);
   }
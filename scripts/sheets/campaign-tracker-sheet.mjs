@@ -8,36 +8,64 @@
 const { HandlebarsApplicationMixin } = foundry.applications.api;
 const { ActorSheetV2 } = foundry.applications.sheets;
 
-import { PoiGenerator } from "../poi-generator.mjs";
 import { AssetGenerator } from "../asset-generator.mjs";
+import { rollDice } from "../campaign-rng.mjs";
 import { EventEffectResolver } from "../apps/event-effect-resolver.mjs";
 import { ProgressionLog } from "../apps/progression-log.mjs";
 import { RollTableManager } from "../apps/roll-table-manager.mjs";
-import { RollTableManagerService } from "../apps/roll-table-manager-service.mjs";
-import {
-  expireCampaignTurnEffects,
-  replaceAssetStatusEffect,
-} from "../active-effect-service.mjs";
-import { TrackerNotifier } from "../apps/tracker-notifier.mjs";
 import { TurnLog } from "../apps/turn-log.mjs";
+import { CampaignHistory } from "../apps/campaign-history.mjs";
+import { CampaignBoard } from "../apps/campaign-board.mjs";
+import {
+  CampaignTurnEngine,
+  END_TURN_STAGES,
+  PHASES,
+} from "../campaign-turn-engine.mjs";
+import { getCampaignRules } from "../campaign-rules.mjs";
+import { requestConflictRoll } from "../campaign-socket.mjs";
+import {
+  RECOVERY_KINDS,
+  expediteRecovery,
+  getRecoveryQueue,
+} from "../recovery-service.mjs";
+import { getVeterancy, promptPromotion } from "../veterancy.mjs";
+import { getSectorNames } from "../sector-map.mjs";
+import {
+  bestConflictOdds,
+  conflictOdds,
+  formatChance,
+} from "../conflict-odds.mjs";
+import {
+  acquireTurnLock,
+  getTurnLockHolder,
+  requestTurnHandoff,
+  withTurnLock,
+} from "../turn-lock.mjs";
+import {
+  ASSET_LIST_KEYS,
+  getBusyAssets,
+  getParentTrackerChoices,
+  getTheatres,
+  transferAsset,
+} from "../theatre-service.mjs";
+import {
+  ASSET_TYPE_LABELS,
+  getEntryAssetUuids,
+  getPoiSlots,
+  setEntrySlot,
+} from "../utils.mjs";
 
 const MODULE_ID = "sta-tactical-campaign";
 
-/** Ordered list of top-level wizard phases. */
-const PHASES = ["1", "2", "3"];
-
-/** Number of sub-steps in each phase. */
-const STEP_COUNTS = { 1: 3, 2: 3, 3: 4 };
-
 /** Top-level phase metadata for the phases progress bar. */
-const PHASE_META = {
+export const PHASE_META = {
   1: { label: "STA_TC.Wizard.Phase1" },
   2: { label: "STA_TC.Wizard.Phase2" },
   3: { label: "STA_TC.Wizard.Phase3" },
 };
 
 /** Sub-step metadata (label + hint) for the steps progress bar. */
-const STEP_META = {
+export const STEP_META = {
   1: [
     {
       label: "STA_TC.Wizard.Phase1Step1",
@@ -93,56 +121,100 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
   static DEFAULT_OPTIONS = {
     classes: ["sta-tactical-campaign", "campaign-tracker-sheet"],
     actions: {
-      startTurn: CampaignTrackerSheet._onStartTurn,
-      cancelTurn: CampaignTrackerSheet._onCancelTurn,
-      endTurn: CampaignTrackerSheet._onEndTurn,
-      nextPhase: CampaignTrackerSheet._onNextPhase,
-      prevPhase: CampaignTrackerSheet._onPrevPhase,
-      removeAsset: CampaignTrackerSheet._onRemoveAsset,
+      startTurn: withTurnLock(CampaignTrackerSheet._onStartTurn),
+      cancelTurn: withTurnLock(CampaignTrackerSheet._onCancelTurn),
+      endTurn: withTurnLock(CampaignTrackerSheet._onEndTurn),
+      undoLastTurn: withTurnLock(CampaignTrackerSheet._onUndoLastTurn),
+      nextPhase: withTurnLock(CampaignTrackerSheet._onNextPhase),
+      prevPhase: withTurnLock(CampaignTrackerSheet._onPrevPhase),
+      removeAsset: withTurnLock(CampaignTrackerSheet._onRemoveAsset),
       openActor: CampaignTrackerSheet._onOpenActor,
-      createRandomAsset: CampaignTrackerSheet._onCreateRandomAsset,
-      createCustomAsset: CampaignTrackerSheet._onCreateCustomAsset,
-      createAssetForType: CampaignTrackerSheet._onCreateAssetForType,
-      removePoi: CampaignTrackerSheet._onRemovePoi,
-      removePoiAsset: CampaignTrackerSheet._onRemovePoiAsset,
-      assignAsset: CampaignTrackerSheet._onAssignAsset,
-      generatePoi: CampaignTrackerSheet._onGeneratePoi,
-      generateAllPois: CampaignTrackerSheet._onGenerateAllPois,
-      createCustomPoi: CampaignTrackerSheet._onCreateCustomPoi,
-      removeGeneratedPoi: CampaignTrackerSheet._onRemoveGeneratedPoi,
-      recallAsset: CampaignTrackerSheet._onRecallAsset,
-      selectScenario: CampaignTrackerSheet._onSelectScenario,
-      rollEvent: CampaignTrackerSheet._onRollEvent,
-      resetEvent: CampaignTrackerSheet._onResetEvent,
-      rollRandomEvent: CampaignTrackerSheet._onRollRandomEvent,
-      rollConflict: CampaignTrackerSheet._onRollConflict,
-      resetConflictRoll: CampaignTrackerSheet._onResetConflictRoll,
-      setConflictResult: CampaignTrackerSheet._onSetConflictResult,
-      chooseConsequence: CampaignTrackerSheet._onChooseConsequence,
-      chooseFailureOption: CampaignTrackerSheet._onChooseFailureOption,
-      rollEscalation: CampaignTrackerSheet._onRollEscalation,
-      rollCommandeer: CampaignTrackerSheet._onRollCommandeer,
-      rollProgression: CampaignTrackerSheet._onRollProgression,
-      chooseProgression: CampaignTrackerSheet._onChooseProgression,
-      confirmProgression: CampaignTrackerSheet._onConfirmProgression,
-      confirmOutcomeResolved: CampaignTrackerSheet._onConfirmOutcomeResolved,
-      confirmOutcomeIntensify: CampaignTrackerSheet._onConfirmOutcomeIntensify,
-      confirmOutcomeCatastrophe:
+      createRandomAsset: withTurnLock(
+        CampaignTrackerSheet._onCreateRandomAsset,
+      ),
+      createCustomAsset: withTurnLock(
+        CampaignTrackerSheet._onCreateCustomAsset,
+      ),
+      createAssetForType: withTurnLock(
+        CampaignTrackerSheet._onCreateAssetForType,
+      ),
+      removePoi: withTurnLock(CampaignTrackerSheet._onRemovePoi),
+      removePoiAsset: withTurnLock(CampaignTrackerSheet._onRemovePoiAsset),
+      assignAsset: withTurnLock(CampaignTrackerSheet._onAssignAsset),
+      autoAssign: withTurnLock(CampaignTrackerSheet._onAutoAssign),
+      generatePoi: withTurnLock(CampaignTrackerSheet._onGeneratePoi),
+      generateAllPois: withTurnLock(CampaignTrackerSheet._onGenerateAllPois),
+      createCustomPoi: withTurnLock(CampaignTrackerSheet._onCreateCustomPoi),
+      removeGeneratedPoi: withTurnLock(
+        CampaignTrackerSheet._onRemoveGeneratedPoi,
+      ),
+      recallAsset: withTurnLock(CampaignTrackerSheet._onRecallAsset),
+      transferAsset: withTurnLock(CampaignTrackerSheet._onTransferAsset),
+      selectScenario: withTurnLock(CampaignTrackerSheet._onSelectScenario),
+      rollEvent: withTurnLock(CampaignTrackerSheet._onRollEvent),
+      resetEvent: withTurnLock(CampaignTrackerSheet._onResetEvent),
+      rollRandomEvent: withTurnLock(CampaignTrackerSheet._onRollRandomEvent),
+      rollConflict: withTurnLock(CampaignTrackerSheet._onRollConflict),
+      rollAllConflicts: withTurnLock(CampaignTrackerSheet._onRollAllConflicts),
+      resetConflictRoll: withTurnLock(
+        CampaignTrackerSheet._onResetConflictRoll,
+      ),
+      setConflictResult: withTurnLock(
+        CampaignTrackerSheet._onSetConflictResult,
+      ),
+      chooseConsequence: withTurnLock(
+        CampaignTrackerSheet._onChooseConsequence,
+      ),
+      chooseFailureOption: withTurnLock(
+        CampaignTrackerSheet._onChooseFailureOption,
+      ),
+      rollEscalation: withTurnLock(CampaignTrackerSheet._onRollEscalation),
+      rollCommandeer: withTurnLock(CampaignTrackerSheet._onRollCommandeer),
+      rollProgression: withTurnLock(CampaignTrackerSheet._onRollProgression),
+      chooseProgression: withTurnLock(
+        CampaignTrackerSheet._onChooseProgression,
+      ),
+      confirmProgression: withTurnLock(
+        CampaignTrackerSheet._onConfirmProgression,
+      ),
+      confirmOutcomeResolved: withTurnLock(
+        CampaignTrackerSheet._onConfirmOutcomeResolved,
+      ),
+      confirmOutcomeIntensify: withTurnLock(
+        CampaignTrackerSheet._onConfirmOutcomeIntensify,
+      ),
+      confirmOutcomeCatastrophe: withTurnLock(
         CampaignTrackerSheet._onConfirmOutcomeCatastrophe,
-      confirmOutcomeDiffIncrease:
+      ),
+      confirmOutcomeDiffIncrease: withTurnLock(
         CampaignTrackerSheet._onConfirmOutcomeDiffIncrease,
-      confirmOutcomeExplorationRemove:
+      ),
+      confirmOutcomeExplorationRemove: withTurnLock(
         CampaignTrackerSheet._onConfirmOutcomeExplorationRemove,
-      confirmOutcomeExtraPoi: CampaignTrackerSheet._onConfirmOutcomeExtraPoi,
-      ignoreOutcome: CampaignTrackerSheet._onIgnoreOutcome,
-
-      clearUnavailable: CampaignTrackerSheet._onClearUnavailable,
+      ),
+      confirmOutcomeExtraPoi: withTurnLock(
+        CampaignTrackerSheet._onConfirmOutcomeExtraPoi,
+      ),
+      ignoreOutcome: withTurnLock(CampaignTrackerSheet._onIgnoreOutcome),
+
+      clearUnavailable: withTurnLock(CampaignTrackerSheet._onClearUnavailable),
+      expediteRecovery: withTurnLock(CampaignTrackerSheet._onExpediteRecovery),
+      promoteAsset: withTurnLock(CampaignTrackerSheet._onPromoteAsset),
+      commitRecoveryResource: withTurnLock(
+        CampaignTrackerSheet._onCommitRecoveryResource,
+      ),
       openProgressionLog: CampaignTrackerSheet._onOpenProgressionLog,
       openTurnLog: CampaignTrackerSheet._onOpenTurnLog,
+      openCampaignHistory: CampaignTrackerSheet._onOpenCampaignHistory,
+      openCampaignBoard: CampaignTrackerSheet._onOpenCampaignBoard,
       openRollTableManager: CampaignTrackerSheet._onOpenRollTableManager,
       openPoiTable: CampaignTrackerSheet._onOpenPoiTable,
-      setPoiVisibility: CampaignTrackerSheet._onSetPoiVisibility,
-      setAllPoiVisibility: CampaignTrackerSheet._onSetAllPoiVisibility,
+      toggleSectorGroups: CampaignTrackerSheet._onToggleSectorGroups,
+      setPoiVisibility: withTurnLock(CampaignTrackerSheet._onSetPoiVisibility),
+      setAllPoiVisibility: withTurnLock(
+        CampaignTrackerSheet._onSetAllPoiVisibility,
+      ),
+      requestTurnHandoff: CampaignTrackerSheet._onRequestTurnHandoff,
     },
     form: {
       submitOnChange: true,
@@ -172,6 +244,25 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     return `${this.actor.name} - ${game.i18n.localize("STA_TC.Types.CampaignTracker")}`;
   }
 
+  /**
+   * Turn engine bound to this sheet's tracker. All turn state changes go
+   * through it; the action handlers only collect the GM's decisions.
+   * @type {CampaignTurnEngine}
+   */
+  get engine() {
+    return new CampaignTurnEngine(this.actor);
+  }
+
+  /**
+   * Inline edits write to the tracker like the sheet actions do, so they too
+   * need the turn lock. A refused edit is dropped and the sheet redrawn.
+   * @override
+   */
+  async _processSubmitData(event, form, submitData, options) {
+    if (!(await acquireTurnLock(this.actor))) return this.render();
+    return super._processSubmitData(event, form, submitData, options);
+  }
+
   // ==========================================================================
   // Context Preparation
   // ==========================================================================
@@ -221,6 +312,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     let phaseHint = "";
     let isFirstPhase = true;
     let isLastPhase = false;
+    const rules = getCampaignRules();
 
     if (turnActive) {
       phaseSteps = PHASES.map((p, i) => ({
@@ -230,16 +322,22 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
         completed: PHASES.indexOf(p) < PHASES.indexOf(turnPhase),
         index: i + 1,
       }));
-      subSteps = (STEP_META[turnPhase] || []).map((s, i) => ({
-        label: game.i18n.localize(s.label),
-        active: i + 1 === turnStep,
-        completed: i + 1 < turnStep,
-        index: i + 1,
-      }));
+      // Steps beyond the configured step count are skipped by the engine.
+      const stepCount = rules.stepCounts[turnPhase];
+      subSteps = (STEP_META[turnPhase] || [])
+        .slice(0, stepCount)
+        .map((s, i) => ({
+          label: game.i18n.localize(s.label),
+          active: i + 1 === turnStep,
+          completed: i + 1 < turnStep,
+          index: i + 1,
+        }));
       const stepMeta = STEP_META[turnPhase]?.[turnStep - 1];
-      phaseHint = stepMeta ? game.i18n.localize(stepMeta.hint) : "";
+      phaseHint = stepMeta
+        ? game.i18n.format(stepMeta.hint, { cost: rules.progressionRollCost })
+        : "";
       isFirstPhase = turnPhase === "1" && turnStep === 1;
-      isLastPhase = turnPhase === "3" && turnStep === 4;
+      isLastPhase = turnPhase === "3" && turnStep === rules.stepCounts[3];
     }
 
     const phase2stats = canRollConflicts
@@ -301,10 +399,27 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       };
     };
     for (const asset of allAssets) asset.badges = _badge(asset.uuid);
+
+    const recoveryQueue = (await getRecoveryQueue(actor)).map(
+      ({ actor: asset, kind, turnsLeft }) => ({
+        uuid: asset.uuid,
+        name: asset.name,
+        img: asset.img,
+        kindLabel: game.i18n.localize(RECOVERY_KINDS[kind] ?? ""),
+        turnsLeft,
+        turnsLabel: turnsLeft
+          ? game.i18n.format("STA_TC.Recovery.TurnsLeft", { turns: turnsLeft })
+          : game.i18n.localize("STA_TC.Recovery.DueThisTurn"),
+        badges: _badge(asset.uuid),
+      }),
+    );
+
+    const theatre = await this._prepareTheatreContext(isGM);
     for (const col of poiColumns) {
       for (const poiEntry of col.entries)
         poiEntry.poi.badges = _badge(poiEntry.poi.uuid);
     }
+    const sectorMap = this._applySectorView(poiColumns);
 
     return {
       actor,
@@ -312,9 +427,14 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       characterAssets,
       shipAssets,
       resourceAssets,
+      recoveryQueue,
       poiColumns,
+      sectorMap,
       turnActive,
       turnPhase,
+      canUndoTurn: isGM && this.engine.canUndoLastTurn(),
+      turnLock: this._prepareTurnLockContext(isGM),
+      theatre,
       canGeneratePoi,
       canSelectScenario,
       canAssignAssets,
@@ -360,84 +480,6 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
   // Helpers
   // ==========================================================================
 
-  /**
-   * Find or create a world Actor folder whose name matches this tracker.
-   * @returns {Promise<Folder>}
-   */
-  async _getOrCreateTrackerFolder() {
-    const name = this.actor.name;
-    const existing = game.folders.find(
-      (f) => f.type === "Actor" && f.name === name,
-    );
-    if (existing) return existing;
-    return Folder.create({ name, type: "Actor", color: "#003399" });
-  }
-
-  /**
-   * If the actor originates from a compendium, import a world copy and place
-   * it in this tracker's folder.  Returns the actor unchanged when it is
-   * already a world document.
-   * @param {Actor} actor
-   * @returns {Promise<Actor|null>}
-   */
-  async _importActorIfNeeded(actor) {
-    if (!actor?.pack) return actor;
-    const folder = await this._getOrCreateTrackerFolder();
-    const data = actor.toObject();
-    if (folder) data.folder = folder.id;
-    return Actor.create(data);
-  }
-
-  async _getOrCreateSubfolder(parentFolder, subfolderName) {
-    const existing = game.folders.find(
-      (f) =>
-        f.type === "Actor" &&
-        f.name === subfolderName &&
-        f.folder?.id === parentFolder.id,
-    );
-    if (existing) return existing;
-    return Folder.create({
-      name: subfolderName,
-      type: "Actor",
-      folder: parentFolder.id,
-    });
-  }
-
-  async _getOrCreateAssetFolder(assetType) {
-    const tracker = await this._getOrCreateTrackerFolder();
-    const typeNameMap = {
-      character: game.i18n.localize("STA_TC.Folders.Characters"),
-      ship: game.i18n.localize("STA_TC.Folders.Ships"),
-      resource: game.i18n.localize("STA_TC.Folders.Resources"),
-    };
-    const assetsFolder = await this._getOrCreateSubfolder(
-      tracker,
-      game.i18n.localize("STA_TC.Folders.Assets"),
-    );
-    return this._getOrCreateSubfolder(
-      assetsFolder,
-      typeNameMap[assetType] || typeNameMap.resource,
-    );
-  }
-
-  async _getOrCreatePoiFolder(poiType) {
-    const tracker = await this._getOrCreateTrackerFolder();
-    const typeNameMap = {
-      tacticalThreat: game.i18n.localize("STA_TC.Folders.TacticalThreats"),
-      exploration: game.i18n.localize("STA_TC.Folders.Exploration"),
-      routine: game.i18n.localize("STA_TC.Folders.Routine"),
-      unknown: game.i18n.localize("STA_TC.Folders.Unknown"),
-    };
-    const poisFolder = await this._getOrCreateSubfolder(
-      tracker,
-      game.i18n.localize("STA_TC.Folders.PointsOfInterest"),
-    );
-    return this._getOrCreateSubfolder(
-      poisFolder,
-      typeNameMap[poiType] || typeNameMap.unknown,
-    );
-  }
-
   async _purgeStaleUuids() {
     // fromUuid can THROW (not just return null) when an actor was just deleted.
     const safeResolve = async (uuid) => {
@@ -476,12 +518,9 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
           changed = true;
           continue;
         }
-        if (entry.asset1Uuid && !(await safeResolve(entry.asset1Uuid))) {
-          entry.asset1Uuid = "";
-          changed = true;
-        }
-        if (entry.asset2Uuid && !(await safeResolve(entry.asset2Uuid))) {
-          entry.asset2Uuid = "";
+        for (const [slot, uuid] of (entry.assets || []).entries()) {
+          if (!uuid || (await safeResolve(uuid))) continue;
+          entry.assets[slot] = "";
           changed = true;
         }
         cleaned.push(entry);
@@ -513,7 +552,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       system.poiListUnknown,
     ]) {
       for (const entry of list || []) {
-        if (entry.asset1Uuid || entry.asset2Uuid) entries.push(entry);
+        if (getEntryAssetUuids(entry).length) entries.push(entry);
       }
     }
     const pois = await Promise.all(entries.map((e) => fromUuid(e.actorUuid)));
@@ -521,8 +560,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     for (let i = 0; i < entries.length; i++) {
       const entry = entries[i];
       const poiName = pois[i]?.name || "???";
-      if (entry.asset1Uuid) map[entry.asset1Uuid] = poiName;
-      if (entry.asset2Uuid) map[entry.asset2Uuid] = poiName;
+      for (const uuid of getEntryAssetUuids(entry)) map[uuid] = poiName;
     }
     return map;
   }
@@ -569,6 +607,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
             assetType: actor.system?.assetType || "resource",
             powerSummary,
             assignedTo: assetPoiMap[uuid] || null,
+            veterancy: getVeterancy(actor),
           };
         }),
       )
@@ -585,6 +624,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       scenarioPoi,
     },
   ) {
+    const rules = getCampaignRules();
     const cols = [
       {
         key: "poiListThreat",
@@ -618,7 +658,9 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
           entry.canSelectScenario = canSelectScenario;
           entry.canRollEvent = canRollEvent;
           entry.canRollConflicts =
-            canRollConflicts && !isScenario && !!(entry.asset1 || entry.asset2);
+            canRollConflicts &&
+            !isScenario &&
+            entry.slots.some((slot) => slot.asset);
           entry.showConflictResult =
             entry.canRollConflicts ||
             (isPhase3 && !!entry.entryData.conflictResult);
@@ -663,7 +705,8 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
                 ? game.i18n.format(
                     "STA_TC.Wizard.ConsequenceIncreaseThreatChosen",
                     {
-                      amount: (entry.poi.difficulty || 1) * 2,
+                      amount:
+                        (entry.poi.difficulty || 1) * rules.threatPerDifficulty,
                     },
                   )
                 : game.i18n.localize(
@@ -677,7 +720,9 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
             entry.lossResult = entry.entryData.lossResult || "";
             entry.threatConsequenceLabel = game.i18n.format(
               "STA_TC.Wizard.ConsequenceIncreaseThreat",
-              { amount: (entry.poi.difficulty || 1) * 2 },
+              {
+                amount: (entry.poi.difficulty || 1) * rules.threatPerDifficulty,
+              },
             );
           }
           // Phase 3: per-entry outcome descriptor for the POI card Phase 3 slot
@@ -694,15 +739,15 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
               const { poiType, urgency = 1 } = entry.poi;
               if (poiType === "tacticalThreat") {
                 const consequence =
-                  urgency >= 3
+                  urgency >= rules.catastropheUrgency
                     ? "catastrophe"
-                    : urgency === 2
+                    : urgency === rules.catastropheUrgency - 1
                       ? "escalate"
                       : "intensify";
                 entry.phase3outcome = {
                   type: "unresolvedThreat",
                   consequence,
-                  showEscalationRoll: urgency >= 2,
+                  showEscalationRoll: urgency >= rules.catastropheUrgency - 1,
                   escalationRolled: entry.entryData.escalationRolled || false,
                 };
               } else if (poiType === "routine") {
@@ -722,7 +767,8 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
                 entry.phase3outcome = {
                   type: "unresolvedExploration",
                   consequence:
-                    entry.poi.missedCount >= 1
+                    (entry.poi.missedCount || 0) + 1 >=
+                    rules.explorationMissesToRemove
                       ? "remove"
                       : "difficultyIncrease",
                 };
@@ -738,6 +784,139 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     return cols;
   }
 
+  /**
+   * Filter the POI columns to the chosen sector and, when grouping, order
+   * each column by sector; the first entry of each group carries its
+   * heading.
+   * @param {object[]} columns - See _resolveAllPoiColumns().
+   * @returns {{sectors: object, sector: string, group: boolean}|null} null
+   *   when no campaign map is set.
+   */
+  _applySectorView(columns) {
+    const names = getSectorNames();
+    if (!names.length) return null;
+    const { sector, group } = this._getSectorView();
+    const unplaced = game.i18n.localize("STA_TC.Sectors.Unplaced");
+    for (const col of columns) {
+      let entries = sector
+        ? col.entries.filter((entry) => entry.poi.sector === sector)
+        : col.entries;
+      if (group) {
+        // Sectors in map order, POIs without one last
+        const rank = (entry) => {
+          const i = names.indexOf(entry.poi.sector);
+          return i === -1 ? names.length : i;
+        };
+        entries = [...entries].sort((a, b) => rank(a) - rank(b));
+        entries.forEach((entry, i) => {
+          if (i === 0 || rank(entries[i - 1]) !== rank(entry))
+            entry.sectorHeading = entry.poi.sector || unplaced;
+        });
+      }
+      col.entries = entries;
+    }
+    return {
+      sectors: {
+        "": game.i18n.localize("STA_TC.Sectors.AllSectors"),
+        ...Object.fromEntries(names.map((name) => [name, name])),
+      },
+      sector,
+      group,
+    };
+  }
+
+  /**
+   * The sector filter and grouping of this tracker's POI lists, kept in
+   * localStorage like the collapsed columns.
+   * @returns {{sector: string, group: boolean}}
+   */
+  _getSectorView() {
+    let view;
+    try {
+      view = JSON.parse(
+        localStorage.getItem(`sta-tc.poi-sector-view.${this.actor.id}`) ?? "{}",
+      );
+    } catch {
+      view = {};
+    }
+    return { sector: view.sector || "", group: !!view.group };
+  }
+
+  /**
+   * Store the sector view and re-render.
+   * @param {{sector?: string, group?: boolean}} changes
+   */
+  _setSectorView(changes) {
+    localStorage.setItem(
+      `sta-tc.poi-sector-view.${this.actor.id}`,
+      JSON.stringify({ ...this._getSectorView(), ...changes }),
+    );
+    this.render();
+  }
+
+  /**
+   * Work track of an extended conflict, or null for a single-roll conflict.
+   * @param {object} entry
+   * @param {Actor} poi
+   * @returns {{work: number, track: number, percent: number, rounds: number,
+   *   nextRound: number, magnitude: number, details: string}|null}
+   */
+  _prepareExtendedTask(entry, poi) {
+    const task = CampaignTurnEngine.getExtendedTask(poi);
+    if (!task) return null;
+    const work = Math.min(entry.conflictWork || 0, task.work);
+    const costLabels = {
+      threat: "STA_TC.Extended.CostThreat",
+      complication: "STA_TC.Extended.CostComplication",
+    };
+    return {
+      work,
+      track: task.work,
+      percent: Math.round((work / task.work) * 100),
+      rounds: entry.conflictRounds || 0,
+      nextRound: (entry.conflictRounds || 0) + 1,
+      magnitude: task.magnitude,
+      details: game.i18n.format("STA_TC.Extended.Details", {
+        resistance: task.resistance,
+        cost: game.i18n.localize(costLabels[task.roundCost]),
+      }),
+    };
+  }
+
+  /**
+   * Odds of an unresolved conflict with the assets assigned to it, using the
+   * dice pool dialog's defaults. Players only see them for revealed POIs.
+   * @param {object} entry
+   * @param {Actor} poi
+   * @param {Actor|null} primary
+   * @param {Actor[]} assists
+   * @param {object} stats - The POI's powers and difficulties after effects.
+   * @returns {{chance: string, tooltip: string}|null}
+   */
+  _prepareEntryOdds(entry, poi, primary, assists, stats) {
+    if (!primary || entry.conflictResult) return null;
+    if (!game.user.isGM && !poi.system?.revealed) return null;
+    const powers = [{ power: stats.power, difficulty: stats.difficulty }];
+    if (stats.power2)
+      powers.push({ power: stats.power2, difficulty: stats.difficulty2 });
+    const odds = bestConflictOdds(
+      powers,
+      primary.system?.powers,
+      assists.map((asset) => asset.system?.powers),
+    );
+    return {
+      chance: formatChance(odds.chance),
+      tooltip: game.i18n.format("STA_TC.Odds.Tooltip", {
+        power: game.i18n.localize(
+          `STA_TC.Powers.${this._capitalize(odds.power)}`,
+        ),
+        difficulty: odds.difficulty,
+        expected: odds.expected.toFixed(1),
+        complication: formatChance(odds.complication),
+      }),
+    };
+  }
+
   async _resolvePoiList(entries, listKey) {
     return (
       await Promise.all(
@@ -746,12 +925,20 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
           if (!poi) return null;
           // Completely skip hidden POIs for non-GM users
           if (!game.user.isGM && poi.system?.hiddenByGM) return null;
-          const asset1 = entry.asset1Uuid
-            ? await fromUuid(entry.asset1Uuid)
-            : null;
-          const asset2 = entry.asset2Uuid
-            ? await fromUuid(entry.asset2Uuid)
-            : null;
+          // Every slot the POI declares, plus any filled slot beyond them
+          // (left over from a POI whose slot count was lowered)
+          const slots = getPoiSlots(poi);
+          (entry.assets || []).forEach((uuid, slot) => {
+            if (uuid && slot >= slots.length)
+              slots.push({ slot, primary: false, type: "" });
+          });
+          const slotAssets = await Promise.all(
+            slots.map(({ slot }) =>
+              entry.assets?.[slot] ? fromUuid(entry.assets[slot]) : null,
+            ),
+          );
+          const primary = slotAssets[0] ?? null;
+          const assists = slotAssets.slice(1).filter(Boolean);
 
           // Run complex-effect resolver with assigned assets for this PoI.
           const {
@@ -759,22 +946,27 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
             assetMods,
             descriptions,
             assetEffectDescriptions,
-          } = EventEffectResolver.resolve(
-            poi,
-            [asset1, asset2].filter(Boolean),
-          );
+          } = EventEffectResolver.resolve(poi, slotAssets.filter(Boolean));
           // Helper: prefer overridden value, fall back to raw system field.
           const _ov = (key, fallback) =>
             poiOverrides[`system.${key}`] ?? fallback;
 
           const resolvedPower = _ov("power", poi.system?.power || "military");
           const resolvedPower2 = _ov("power2", poi.system?.power2 || "");
+          const odds = this._prepareEntryOdds(entry, poi, primary, assists, {
+            power: resolvedPower,
+            difficulty: _ov("difficulty", poi.system?.difficulty) || 1,
+            power2: resolvedPower2,
+            difficulty2: _ov("difficulty2", poi.system?.difficulty2) ?? 1,
+          });
 
           return {
             listKey,
             index,
             entryData: entry,
             assetMods,
+            odds,
+            extended: this._prepareExtendedTask(entry, poi),
             poi: {
               uuid: entry.actorUuid,
               name: poi.name,
@@ -804,6 +996,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
               urgency: _ov("urgency", poi.system?.urgency),
               isTacticalThreat: poi.system?.poiType === "tacticalThreat",
               poiType: poi.system?.poiType || "unknown",
+              sector: poi.system?.sector || "",
               missedCount: poi.system?.missedCount || 0,
               power: resolvedPower,
               powerLabel: game.i18n.localize(
@@ -850,22 +1043,29 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
                 [...descriptions, ...assetEffectDescriptions].join("\n") ||
                 null,
             },
-            asset1: asset1
-              ? {
-                  uuid: entry.asset1Uuid,
-                  name: asset1.name,
-                  img: asset1.img,
-                  note: asset1.system?.note || "",
-                }
-              : null,
-            asset2: asset2
-              ? {
-                  uuid: entry.asset2Uuid,
-                  name: asset2.name,
-                  img: asset2.img,
-                  note: asset2.system?.note || "",
-                }
-              : null,
+            hasPrimary: !!primary,
+            slots: slots.map(({ slot, primary: isPrimary, type }, i) => {
+              const asset = slotAssets[i];
+              return {
+                slot,
+                label: isPrimary
+                  ? "STA_TC.CampaignTracker.Primary"
+                  : "STA_TC.CampaignTracker.Assisting",
+                typeLabel: type
+                  ? game.i18n.format("STA_TC.Poi.SlotTakesOnly", {
+                      type: game.i18n.localize(ASSET_TYPE_LABELS[type]),
+                    })
+                  : "",
+                asset: asset
+                  ? {
+                      uuid: asset.uuid,
+                      name: asset.name,
+                      img: asset.img,
+                      note: asset.system?.note || "",
+                    }
+                  : null,
+              };
+            }),
           };
         }),
       )
@@ -942,7 +1142,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       "poiListUnknown",
     ]) {
       for (const entry of system[listKey] || []) {
-        if (!entry.asset1Uuid && !entry.asset2Uuid) continue;
+        if (!getEntryAssetUuids(entry).length) continue;
         if (entry.actorUuid === system.scenarioPoi) continue;
         relevant.push(entry);
       }
@@ -977,7 +1177,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       resolved = 0;
     for (const key of poiLists) {
       for (const entry of system[key] || []) {
-        if (!entry.asset1Uuid && !entry.asset2Uuid) continue;
+        if (!getEntryAssetUuids(entry).length) continue;
         if (entry.actorUuid === system.scenarioPoi) continue;
         total++;
         if (entry.conflictResult) resolved++;
@@ -994,13 +1194,73 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     };
   }
 
+  /**
+   * Who holds the turn lock, when it is another GM's live lock.
+   * @param {boolean} isGM
+   * @returns {{holderName: string}|null}
+   */
+  _prepareTurnLockContext(isGM) {
+    const holder = getTurnLockHolder(this.actor);
+    if (!isGM || !holder || holder.isSelf) return null;
+    return { holderName: holder.name };
+  }
+
+  /**
+   * Theatre context: the parent roster choices and the assets stationed on
+   * the other fronts of this tracker's group, flagged when they are busy there.
+   * @param {boolean} isGM
+   */
+  async _prepareTheatreContext(isGM) {
+    const parentTracker = this.actor.system.parentTracker || "";
+    const parentChoices = isGM
+      ? getParentTrackerChoices(this.actor).map((tracker) => ({
+          value: tracker.uuid,
+          label: tracker.name,
+          selected: tracker.uuid === parentTracker,
+        }))
+      : [];
+
+    const theatres = getTheatres(this.actor);
+    const busy = getBusyAssets(this.actor);
+    const ownUuids = new Set(
+      ASSET_LIST_KEYS.flatMap((key) => this.actor.system[key] || []),
+    );
+    const otherAssets = [];
+    for (const theatre of theatres) {
+      if (theatre === this.actor) continue;
+      for (const key of ASSET_LIST_KEYS) {
+        for (const uuid of theatre.system[key] || []) {
+          if (ownUuids.has(uuid)) continue;
+          const asset = await fromUuid(uuid);
+          if (!asset) continue;
+          otherAssets.push({
+            uuid,
+            name: asset.name,
+            img: asset.img,
+            theatreName: theatre.name,
+            busy: busy.has(uuid),
+          });
+        }
+      }
+    }
+
+    return {
+      showParentSelect: parentChoices.length > 0 || !!parentTracker,
+      parentChoices,
+      theatreCount: theatres.length,
+      otherAssets,
+    };
+  }
+
   _computePhase3Data(system) {
+    const rules = getCampaignRules();
     const totalMomentum = system.turnMomentumGained || 0;
     const resolvedExplorationCount = (system.poiListExploration || []).filter(
       (e) =>
         e.conflictResult === "success" || e.conflictResult === "flawedSuccess",
     ).length;
-    const fromExploration = resolvedExplorationCount * 3;
+    const fromExploration =
+      resolvedExplorationCount * rules.explorationProgression;
     const fromMomentum = system.turnMomentumSpent || 0;
     const roleplayBonus = system.turnRoleplayBonus || 0;
     const progressionGain = fromExploration + fromMomentum + roleplayBonus;
@@ -1017,12 +1277,18 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       progressionConfirmed: turnProgressionConfirmed,
       progressionBreakdown: {
         fromExploration,
+        explorationHint: game.i18n.format(
+          "STA_TC.Wizard.ProgressionFromExplorationHint",
+          { amount: rules.explorationProgression },
+        ),
         fromMomentum,
         roleplayBonus,
         total: progressionGain,
         currentProgression: system.progression || 0,
         newTotal: newProgressionTotal,
-        rollsAvailable: Math.floor(newProgressionTotal / 5),
+        rollsAvailable: Math.floor(
+          newProgressionTotal / rules.progressionRollCost,
+        ),
       },
       reinforcements: {
         needed: system.prioritySupply || 0,
@@ -1186,6 +1452,14 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     // Attach POI column collapse/expand listeners (helper for re-attach after render)
     this._attachPoiColumnCollapseListeners();
 
+    // Sector filter: a view setting, kept out of the sheet's form submission
+    this.element
+      .querySelector(".poi-sector-filter")
+      ?.addEventListener("change", (event) => {
+        event.stopPropagation();
+        this._setSectorView({ sector: event.currentTarget.value });
+      });
+
     // Sidebar overflow indicator
     const sidebar = this.element.querySelector(".tracker-sidebar");
     const sidebarWrap = this.element.querySelector(".tracker-sidebar-wrap");
@@ -1258,6 +1532,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     }
 
     if (data.type !== "Actor") return;
+    if (!(await acquireTurnLock(this.actor))) return;
     let uuid = data.uuid;
     const target = event.target;
 
@@ -1269,7 +1544,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     // If the actor lives in a compendium, import it into the world first and
     // place it in this tracker's folder before adding it to the tracker.
     if (actor.pack) {
-      actor = await this._importActorIfNeeded(actor);
+      actor = await this.engine.importActorIfNeeded(actor);
       if (!actor) return;
       uuid = actor.uuid;
     }
@@ -1336,17 +1611,6 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     return null;
   }
 
-  static _poiTypeToListKey(actor, fallback) {
-    return (
-      {
-        tacticalThreat: "poiListThreat",
-        exploration: "poiListExploration",
-        routine: "poiListRoutine",
-        unknown: "poiListUnknown",
-      }[actor.system?.poiType] || fallback
-    );
-  }
-
   async _handleDropPoi(uuid, dropTarget, poiListEl, data) {
     const actor = await fromUuid(uuid);
     if (!actor || actor.type !== `${MODULE_ID}.poi`) {
@@ -1355,7 +1619,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       );
       return;
     }
-    const targetListKey = CampaignTrackerSheet._poiTypeToListKey(
+    const targetListKey = CampaignTurnEngine.poiTypeToListKey(
       actor,
       poiListEl?.dataset?.poiList || "poiListUnknown",
     );
@@ -1408,7 +1672,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       );
       return;
     }
-    entries.push({ actorUuid: uuid, asset1Uuid: "", asset2Uuid: "" });
+    entries.push({ actorUuid: uuid, assets: [] });
     await this.actor.update({ [`system.${targetListKey}`]: entries });
   }
 
@@ -1423,7 +1687,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     const listKey = slotEl.dataset.poiList;
     const poiIndex = parseInt(slotEl.dataset.poiIndex);
     const slot = parseInt(slotEl.dataset.slot);
-    const field = slot === 0 ? "asset1Uuid" : "asset2Uuid";
+    const poiUuid = this.actor.system[listKey]?.[poiIndex]?.actorUuid;
     const fromPoiSlot = data.sourceContext === "poi-asset";
     if (
       fromPoiSlot &&
@@ -1432,53 +1696,12 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       data.sourceSlot === slot
     )
       return;
-    if (!fromPoiSlot && this._isAssetAssignedToAnyPoi(uuid)) {
-      const assetType = actor.system?.assetType;
-      if (assetType === "resource") {
-        const limit = this.actor.system.turnFlexibleDeployments ? 2 : 1;
-        if (this._countResourceAssignments(uuid) >= limit) {
-          ui.notifications.warn(
-            game.i18n.format("STA_TC.Progression.AssetResourceLimitReached", {
-              name: actor.name,
-            }),
-          );
-          return;
-        }
-      } else {
-        ui.notifications.warn(
-          game.i18n.localize("STA_TC.CampaignTracker.AssetAlreadyAssigned"),
-        );
-        return;
-      }
-    }
-    if (
-      actor.effects?.some(
-        (effect) => effect.active && effect.flags?.[MODULE_ID]?.unavailable,
-      )
-    ) {
-      ui.notifications.warn(
-        game.i18n.format("STA_TC.CampaignTracker.AssetUnavailableAssign", {
-          name: actor.name,
-        }),
-      );
-      return;
-    }
-    if (
-      actor.effects?.some(
-        (effect) => effect.active && effect.flags?.[MODULE_ID]?.lost,
-      )
-    ) {
-      ui.notifications.warn(
-        game.i18n.format("STA_TC.CampaignTracker.AssetLostAssign", {
-          name: actor.name,
-        }),
-      );
-      return;
-    }
-    if (slot === 0 && actor.system?.assetType === "resource") {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.ResourceCannotBePrimary"),
-      );
+    const assignmentError = this.engine.getAssignmentError(actor, slot, {
+      moving: fromPoiSlot,
+      poiUuid,
+    });
+    if (assignmentError) {
+      ui.notifications.warn(assignmentError);
       return;
     }
     const updates = {};
@@ -1486,9 +1709,8 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       const srcEntries = foundry.utils.deepClone(
         this.actor.system[data.sourceKey] || [],
       );
-      const srcField = data.sourceSlot === 0 ? "asset1Uuid" : "asset2Uuid";
       if (srcEntries[data.sourceIndex]) {
-        srcEntries[data.sourceIndex][srcField] = "";
+        setEntrySlot(srcEntries[data.sourceIndex], data.sourceSlot, "");
         updates[`system.${data.sourceKey}`] = srcEntries;
       }
     }
@@ -1498,99 +1720,29 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
         : this.actor.system[listKey] || [],
     );
     if (!targetEntries[poiIndex]) return;
-    targetEntries[poiIndex][field] = uuid;
+    if (getEntryAssetUuids(targetEntries[poiIndex]).includes(uuid)) {
+      ui.notifications.warn(
+        game.i18n.localize("STA_TC.CampaignTracker.AssetAlreadyOnPoi"),
+      );
+      return;
+    }
+    setEntrySlot(targetEntries[poiIndex], slot, uuid);
     updates[`system.${listKey}`] = targetEntries;
     await this.actor.update(updates);
   }
 
-  _isAssetAssignedToAnyPoi(uuid) {
-    for (const list of [
-      this.actor.system.poiListThreat,
-      this.actor.system.poiListExploration,
-      this.actor.system.poiListRoutine,
-      this.actor.system.poiListUnknown,
-    ]) {
-      for (const entry of list || []) {
-        if (entry.asset1Uuid === uuid || entry.asset2Uuid === uuid) return true;
-      }
-    }
-    return false;
-  }
-
-  /** Count how many times a resource UUID appears in any assisting (slot 2) POI slot. */
-  _countResourceAssignments(uuid) {
-    let count = 0;
-    for (const list of [
-      this.actor.system.poiListThreat,
-      this.actor.system.poiListExploration,
-      this.actor.system.poiListRoutine,
-      this.actor.system.poiListUnknown,
-    ]) {
-      for (const entry of list || []) {
-        if (entry.asset1Uuid === uuid || entry.asset2Uuid === uuid) count++;
-      }
-    }
-    return count;
-  }
-
   // ==========================================================================
   // Action Handlers — Turn Lifecycle
   // ==========================================================================
 
   static async _onStartTurn(event, target) {
-    const existing = this.actor.system.turnPhase;
-    if (existing) {
-      const userId = this.actor.system.turnUserId;
-      if (userId && userId !== game.user.id) {
-        const otherUser = game.users.get(userId);
-        const override = await foundry.applications.api.DialogV2.confirm({
-          window: { title: game.i18n.localize("STA_TC.Wizard.Title") },
-          content: `<p>${game.i18n.format("STA_TC.Wizard.LockedBy", { user: otherUser?.name || "Unknown" })}</p>`,
-          yes: { label: game.i18n.localize("STA_TC.Wizard.Override") },
-          no: { label: game.i18n.localize("STA_TC.Cancel") },
-        });
-        if (!override) return;
-        await this.actor.update({ "system.turnUserId": game.user.id });
-      }
-      return;
-    }
-    // Apply any supply bonus from the previous turn's progression results
-    const supplyBonus = this.actor.system.nextTurnSupplyBonus || 0;
-    const currentSupply = this.actor.system.prioritySupply || 0;
-
-    await this.actor.update({
-      "system.turnPhase": "1",
-      "system.turnUserId": game.user.id,
-      "system.scenarioPoi": "",
-      "system.turnGeneratedPois": [],
-      "system.turnThreatIncrease": 0,
-      "system.turnRoleplayBonus": 0,
-      "system.turnMomentumSpent": 0,
-      "system.turnReinforcementsReceived": 0,
-      "system.turnStep": 1,
-      "system.turnFlexibleDeployments": false,
-      "system.turnProgressionConfirmed": false,
-      // Apply and clear the deferred supply bonus
-      ...(supplyBonus > 0 && {
-        "system.prioritySupply": currentSupply + supplyBonus,
-        "system.nextTurnSupplyBonus": 0,
-      }),
-      // turnExtraTacticalPoisNextTurn and turnExtraUnknownPoisNextTurn are
-      // intentionally NOT reset here — they carry over from _onEndTurn so
-      // Phase 1 Step 1 knows the correct POI generation target.
-      // Free any commandeered assets from the previous turn
-      "system.commandeeredAssets": [],
-    });
-    if (supplyBonus > 0) {
-      await TrackerNotifier.emit({
-        tracker: this.actor,
-        event: "supplyBonusApplied",
-        message: game.i18n.format("STA_TC.Notify.SupplyBonusApplied", {
-          amount: supplyBonus,
-          total: currentSupply + supplyBonus,
-        }),
-      });
-    }
+    // A running turn is only (re)joined — withTurnLock has taken the lock
+    if (this.actor.system.turnPhase) return;
+    await this.engine.startTurn();
+  }
+
+  static async _onRequestTurnHandoff(event, target) {
+    requestTurnHandoff(this.actor);
   }
 
   static async _onCancelTurn(event, target) {
@@ -1599,132 +1751,41 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       content: `<p>${game.i18n.localize("STA_TC.Wizard.CancelConfirm")}</p>`,
     });
     if (!proceed) return;
-    await this._clearTurnState();
+    await this.engine.cancelTurn();
   }
 
-  static async _onNextPhase(event, target) {
-    const system = this.actor.system;
-    const turnPhase = system.turnPhase;
-    const turnStep = system.turnStep || 1;
-    const stepCount = STEP_COUNTS[turnPhase] || 1;
-
-    // Validation: warn if hidden POIs exist when leaving Phase 1 Step 1
-    if (turnPhase === "1" && turnStep === 1) {
-      const generatedUuids = system.turnGeneratedPois || [];
-      let hasHidden = false;
-      for (const uuid of generatedUuids) {
-        const poi = await fromUuid(uuid);
-        if (poi?.system?.hiddenByGM) {
-          hasHidden = true;
-          break;
-        }
-      }
-      if (hasHidden) {
-        const proceed = await foundry.applications.api.DialogV2.confirm({
-          window: { title: game.i18n.localize("STA_TC.Wizard.Title") },
-          content: `<p>${game.i18n.localize("STA_TC.Poi.HiddenPoisWarning")}</p>`,
-        });
-        if (!proceed) return;
-      }
-    }
+  static async _onUndoLastTurn(event, target) {
+    const proceed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STA_TC.Wizard.UndoLastTurn") },
+      content: `<p>${game.i18n.localize("STA_TC.Wizard.UndoLastTurnConfirm")}</p>`,
+    });
+    if (!proceed) return;
+    await this.engine.undoLastTurn();
+  }
 
-    // Validation: warn if no scenario selected when leaving Phase 1 Step 2
-    if (turnPhase === "1" && turnStep === 2 && !system.scenarioPoi) {
+  static async _onNextPhase(event, target) {
+    // Hidden POIs / no scenario selected — let the GM back out before advancing
+    for (const warning of await this.engine.getAdvanceWarnings()) {
       const proceed = await foundry.applications.api.DialogV2.confirm({
         window: { title: game.i18n.localize("STA_TC.Wizard.Title") },
-        content: `<p>${game.i18n.localize("STA_TC.Wizard.NoScenarioWarning")}</p>`,
+        content: `<p>${game.i18n.localize(warning)}</p>`,
       });
       if (!proceed) return;
     }
-
-    if (turnStep < stepCount) {
-      // Advance sub-step within current phase
-      const updates = { "system.turnStep": turnStep + 1 };
-      // Consume carry-over extra POI counts when leaving the generation step
-      if (turnPhase === "1" && turnStep === 1) {
-        const carryTotal =
-          (system.turnExtraTacticalPoisNextTurn || 0) +
-          (system.turnExtraUnknownPoisNextTurn || 0) +
-          (system.turnExtraPoisNextTurn || 0);
-        if (carryTotal > 0) {
-          await TrackerNotifier.emit({
-            tracker: this.actor,
-            event: "carryOverConsumed",
-            message: game.i18n.format("STA_TC.Notify.CarryOverConsumed", {
-              count: carryTotal,
-            }),
-          });
-        }
-        updates["system.turnExtraTacticalPoisNextTurn"] = 0;
-        updates["system.turnExtraUnknownPoisNextTurn"] = 0;
-        updates["system.turnExtraPoisNextTurn"] = 0;
-      }
-      await this.actor.update(updates);
-    } else {
-      // Advance to next phase
-      const phaseIdx = PHASES.indexOf(turnPhase);
-      if (phaseIdx >= PHASES.length - 1) return;
-      const nextPhase = PHASES[phaseIdx + 1];
-      const phaseUpdates = {
-        "system.turnPhase": nextPhase,
-        "system.turnStep": 1,
-      };
-      // On Phase 2 → Phase 3: promote pending notes to visible notes
-      if (turnPhase === "2" && nextPhase === "3") {
-        phaseUpdates["system.turnNotes"] = system.turnPendingNotes || "";
-        phaseUpdates["system.turnPendingNotes"] = "";
-      }
-      await this.actor.update(phaseUpdates);
-    }
+    await this.engine.nextStep();
   }
 
   static async _onPrevPhase(event, target) {
-    const system = this.actor.system;
-    const turnPhase = system.turnPhase;
-    const turnStep = system.turnStep || 1;
-
-    if (turnStep > 1) {
-      await this.actor.update({ "system.turnStep": turnStep - 1 });
-    } else {
-      const phaseIdx = PHASES.indexOf(turnPhase);
-      if (phaseIdx <= 0) return;
-      const prevPhase = PHASES[phaseIdx - 1];
-      const prevStepCount = STEP_COUNTS[prevPhase] || 1;
-      await this.actor.update({
-        "system.turnPhase": prevPhase,
-        "system.turnStep": prevStepCount,
-      });
-    }
+    await this.engine.prevStep();
   }
 
   static async _onEndTurn(event, target) {
-    // Begin batch notification window — all log writes are deferred until flushBatch()
-    TrackerNotifier.beginBatch(this.actor);
-    // Original snapshot — used for momentum total, roleplay bonus, and
-    // resolvedExploration count (before we remove them from the list).
-    const system = this.actor.system;
-    const chatLines = [];
-
-    // Capture within-turn extra-PoI consequences (flawed success → extra PoI) before
-    // _clearTurnState() resets turnExtraPoisNextTurn.
-    const extraPoisFromConsequences = system.turnExtraPoisNextTurn || 0;
+    const engine = this.engine;
+    if (engine.getEndTurnJournal())
+      return CampaignTrackerSheet.promptEndTurnRecovery(this.actor);
 
-    const scenarioPoi = system.scenarioPoi || "";
-    const isResolved = (e) =>
-      e.conflictResult === "success" ||
-      e.conflictResult === "flawedSuccess" ||
-      (!!scenarioPoi && e.actorUuid === scenarioPoi);
-
-    // ---- VALIDATION: warn if any Phase 3 outcomes have not been confirmed ---
-    const allEntries = [
-      ...(system.poiListThreat || []),
-      ...(system.poiListExploration || []),
-      ...(system.poiListRoutine || []),
-      ...(system.poiListUnknown || []),
-    ];
-    const unconfirmedCount = allEntries.filter(
-      (e) => !isResolved(e) && !e.outcomeConfirmed && !e.outcomeIgnored,
-    ).length;
+    // Warn if any Phase 3 outcomes have not been confirmed
+    const unconfirmedCount = engine.countUnconfirmedOutcomes();
     if (unconfirmedCount > 0) {
       const proceed = await foundry.applications.api.DialogV2.confirm({
         window: { title: game.i18n.localize("STA_TC.Wizard.Title") },
@@ -1733,425 +1794,113 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       if (!proceed) return;
     }
 
-    // Count resolved explorations BEFORE removal so we can award +3 each.
-    const resolvedExplorationCount = (system.poiListExploration || []).filter(
-      isResolved,
-    ).length;
-
-    // ---- A0: Apply event-driven asset unavailability AEs -------------------
-    // Scan ALL POI entries (resolved + unresolved) before they are removed.
-    // If the POI had an event rolled, check for asset_unavailable effects and
-    // apply the corresponding Active Effects to assigned asset actors.
-    const currentTurnNum = system.campaignTurnNumber || 0;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      for (const entry of system[listKey] || []) {
-        if (!entry.eventResult) continue; // no event was rolled this turn
-        const poi = await fromUuid(entry.actorUuid);
-        if (!poi) continue;
-        const a1 = entry.asset1Uuid ? await fromUuid(entry.asset1Uuid) : null;
-        const a2 = entry.asset2Uuid ? await fromUuid(entry.asset2Uuid) : null;
-        const assets = [a1, a2].filter(Boolean);
-        if (!assets.length) continue;
-        const { unavailableAssets } = EventEffectResolver.resolve(poi, assets);
-        for (const { actor, turns, label } of unavailableAssets) {
-          const expireAfterTurn = currentTurnNum + turns;
-          await this._applyUnavailableEffect(
-            actor.uuid,
-            label,
-            expireAfterTurn,
-          );
-          chatLines.push(
-            `<p>⏸ <strong>${actor.name}</strong>: ${game.i18n.format("STA_TC.Wizard.OutcomeAssetUnavailableEvent", { turns })} (${poi.name})</p>`,
-          );
-        }
-      }
+    // Offer to delete the resolved POI actors along with their tracker entries
+    let deleteResolvedPois = false;
+    const resolvedPoiActors = await engine.getResolvedPoiActors();
+    if (resolvedPoiActors.length) {
+      const nameList = resolvedPoiActors
+        .map((a) => `<li>${a.name}</li>`)
+        .join("");
+      deleteResolvedPois = !!(await foundry.applications.api.DialogV2.confirm({
+        window: { title: game.i18n.localize("STA_TC.Wizard.Title") },
+        content: `<p>${game.i18n.localize("STA_TC.Wizard.DeleteResolvedPoiConfirm")}</p><ul style="margin:6px 0 0 16px">${nameList}</ul>`,
+        yes: {
+          label: game.i18n.localize("STA_TC.Wizard.DeleteResolvedPoiYes"),
+          icon: "fas fa-trash",
+        },
+        no: { label: game.i18n.localize("STA_TC.Wizard.DeleteResolvedPoiNo") },
+      }));
     }
 
-    // ---- A: Remove successfully resolved POIs from all lists ----------------
-    // Pre-collect actor documents for the optional deletion prompt.
-    const resolvedActorUuids = [];
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      for (const entry of system[listKey] || []) {
-        if (isResolved(entry) && entry.actorUuid)
-          resolvedActorUuids.push(entry.actorUuid);
-      }
-    }
-    const resolvedPoiActors = (
-      await Promise.all(resolvedActorUuids.map((u) => fromUuid(u)))
-    ).filter(Boolean);
-
-    const removalUpdates = {};
-    let resolvedCount = 0;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(system[listKey] || []);
-      const filtered = entries.filter((e) => {
-        if (isResolved(e)) {
-          resolvedCount++;
-          return false;
-        }
-        return true;
-      });
-      removalUpdates[`system.${listKey}`] = filtered;
-    }
-    await this.actor.update(removalUpdates);
-    if (resolvedCount)
-      chatLines.push(
-        `<p>&#x2705; ${game.i18n.format("STA_TC.Wizard.OutcomeResolved", { count: resolvedCount })}</p>`,
-      );
-
-    // ---- A2: Optionally delete the resolved POI actors ----------------------
-    if (resolvedPoiActors.length) {
-      const nameList = resolvedPoiActors
-        .map((a) => `<li>${a.name}</li>`)
-        .join("");
-      const doDelete = await foundry.applications.api.DialogV2.confirm({
-        window: { title: game.i18n.localize("STA_TC.Wizard.Title") },
-        content: `<p>${game.i18n.localize("STA_TC.Wizard.DeleteResolvedPoiConfirm")}</p><ul style="margin:6px 0 0 16px">${nameList}</ul>`,
-        yes: {
-          label: game.i18n.localize("STA_TC.Wizard.DeleteResolvedPoiYes"),
-          icon: "fas fa-trash",
-        },
-        no: { label: game.i18n.localize("STA_TC.Wizard.DeleteResolvedPoiNo") },
-      });
-      if (doDelete) {
-        const actorIdSet = new Set(resolvedPoiActors.map((a) => a.id));
-        const tokensToDelete = (
-          canvas.scene?.tokens?.filter((t) => actorIdSet.has(t.actorId)) ?? []
-        ).map((t) => t.id);
-        if (tokensToDelete.length)
-          await TokenDocument.deleteDocuments(tokensToDelete, {
-            parent: canvas.scene,
-          });
-        await Actor.deleteDocuments(resolvedPoiActors.map((a) => a.id));
-      }
-    }
-
-    // ---- B: Unresolved Tactical Threats ------------------------------------
-    // Work from fresh system now that resolved POIs are removed.
-    const sys2 = this.actor.system;
-    let paceDelta = 0;
-    let extraTacticalPois = 0;
-    const finalThreatEntries = [];
-    for (const entry of sys2.poiListThreat || []) {
-      // Already handled by an outcome button — keep the entry as-is
-      if (entry.outcomeConfirmed || entry.outcomeIgnored) {
-        finalThreatEntries.push(entry);
-        if (entry.outcomeConfirmed) {
-          const confirmedPoi = await fromUuid(entry.actorUuid);
-          chatLines.push(
-            `<p>&#x1F53A; <strong>${confirmedPoi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeIntensify1Short")}</p>`,
-          );
-        }
-        continue;
-      }
-      const poi = await fromUuid(entry.actorUuid);
-      const urgency = poi?.system?.urgency || 1;
-      if (urgency >= 3) {
-        // Catastrophe: remove from play, increase pace, extra tactical POI next turn.
-        paceDelta++;
-        extraTacticalPois++;
-        chatLines.push(
-          `<p>&#x1F4A5; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeCatastrophe")}</p>`,
-        );
-      } else {
-        // Intensify: urgency++ and difficulty++ on the POI actor.
-        const oldDiff = poi?.system?.difficulty || 1;
-        if (poi) {
-          const poiUpdates = {
-            "system.urgency": Math.min(5, urgency + 1),
-            "system.difficulty": Math.min(5, oldDiff + 1),
-          };
-          if (poi.system?.difficulty2 != null)
-            poiUpdates["system.difficulty2"] = Math.min(
-              5,
-              poi.system.difficulty2 + 1,
-            );
-          await poi.update(poiUpdates);
-        }
-        finalThreatEntries.push(entry);
-        const newUrgency = Math.min(5, urgency + 1);
-        const newDiff = Math.min(5, oldDiff + 1);
-        const intensifyDelta = ` <span style="opacity:0.75;font-size:0.9em;">(${game.i18n.localize("STA_TC.Poi.Urgency")} ${urgency}\u2192${newUrgency}, ${game.i18n.localize("STA_TC.Poi.Difficulty")} ${oldDiff}\u2192${newDiff})</span>`;
-        chatLines.push(
-          `<p>&#x1F53A; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize(urgency === 1 ? "STA_TC.Wizard.OutcomeIntensify1" : "STA_TC.Wizard.OutcomeIntensify2")}${intensifyDelta}</p>`,
-        );
-        await TrackerNotifier.emit({
-          tracker: this.actor,
-          event: "turnEndThreatIntensify",
-          message: `${poi?.name || "?"}: ${game.i18n.localize(urgency === 1 ? "STA_TC.Wizard.OutcomeIntensify1" : "STA_TC.Wizard.OutcomeIntensify2")} (${game.i18n.localize("STA_TC.Poi.Urgency")} ${urgency}\u2192${newUrgency})`,
-          entityUuid: entry.actorUuid,
-        });
-      }
-    }
-    const threatTrackerUpdates = { "system.poiListThreat": finalThreatEntries };
-    if (paceDelta)
-      threatTrackerUpdates["system.pace"] = (sys2.pace || 0) + paceDelta;
-    await this.actor.update(threatTrackerUpdates);
-
-    // ---- C: Unresolved Routine POIs ----------------------------------------
-    const sys3 = this.actor.system;
-    const newCommandeered = [...(sys3.commandeeredAssets || [])];
-    let resourceAssets = [...(sys3.resourceAssets || [])];
-    let assetListChanged = false;
-    for (const entry of sys3.poiListRoutine || []) {
-      // Ignored outcomes — this entry stays in the tracker, no commandeer applies
-      if (entry.outcomeIgnored) continue;
-      const uuid = entry.commandeeredAssetUuid;
-      if (!uuid) continue;
-      const asset = await fromUuid(uuid);
-      if (asset?.system?.assetType === "resource") {
-        // Resources are discarded immediately.
-        resourceAssets = resourceAssets.filter((u) => u !== uuid);
-        assetListChanged = true;
-        chatLines.push(
-          `<p>&#x1F4E6; <strong>${asset.name}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeResourceDiscarded")}</p>`,
-        );
-      } else if (asset) {
-        // Character / Ship assets are commandeered until next turn.
-        if (!newCommandeered.includes(uuid)) newCommandeered.push(uuid);
-        assetListChanged = true;
-        chatLines.push(
-          `<p>&#x1F512; <strong>${asset.name}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeAssetCommandeered")}</p>`,
-        );
-        // Mark the actor with an unavailability AE so the status is visible
-        // on the actor sheet and auto-expires at the next turn start.
-        const expireAfterTurn = (sys3.campaignTurnNumber || 0) + 1;
-        await this._applyUnavailableEffect(
-          uuid,
-          game.i18n.localize("STA_TC.Wizard.OutcomeAssetCommandeered"),
-          expireAfterTurn,
-        );
-      }
-    }
-    if (assetListChanged)
-      await this.actor.update({
-        "system.commandeeredAssets": newCommandeered,
-        "system.resourceAssets": resourceAssets,
-      });
-
-    // ---- D: Unresolved Exploration POIs ------------------------------------
-    const sys4 = this.actor.system;
-    const finalExplorationEntries = [];
-    for (const entry of sys4.poiListExploration || []) {
-      // Already handled by an outcome button — keep the entry as-is
-      if (entry.outcomeConfirmed || entry.outcomeIgnored) {
-        finalExplorationEntries.push(entry);
-        if (entry.outcomeConfirmed) {
-          const confirmedPoi = await fromUuid(entry.actorUuid);
-          chatLines.push(
-            `<p>&#x1F4CD; <strong>${confirmedPoi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationDiffShort")}</p>`,
-          );
-        }
-        continue;
-      }
-      const poi = await fromUuid(entry.actorUuid);
-      const missedCount = poi?.system?.missedCount || 0;
-      if (missedCount >= 1) {
-        // Second miss: remove from play.
-        chatLines.push(
-          `<p>&#x1F570;&#xFE0F; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationRemoved")}</p>`,
-        );
-      } else {
-        // First miss: difficulty++ and missedCount = 1 on the POI actor.
-        const explorationOldDiff = poi?.system?.difficulty || 1;
-        if (poi) {
-          const poiUpdates = {
-            "system.missedCount": 1,
-            "system.difficulty": Math.min(5, explorationOldDiff + 1),
-          };
-          if (poi.system?.difficulty2 != null)
-            poiUpdates["system.difficulty2"] = Math.min(
-              5,
-              poi.system.difficulty2 + 1,
-            );
-          await poi.update(poiUpdates);
-        }
-        finalExplorationEntries.push(entry);
-        const explorationNewDiff = Math.min(5, explorationOldDiff + 1);
-        const explorationDelta = ` <span style="opacity:0.75;font-size:0.9em;">(${game.i18n.localize("STA_TC.Poi.Difficulty")} ${explorationOldDiff}\u2192${explorationNewDiff})</span>`;
-        chatLines.push(
-          `<p>&#x1F4CD; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationDifficultyIncrease")}${explorationDelta}</p>`,
-        );
-        await TrackerNotifier.emit({
-          tracker: this.actor,
-          event: "turnEndExplorationDiff",
-          message: `${poi?.name || "?"}: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationDifficultyIncrease")} (${game.i18n.localize("STA_TC.Poi.Difficulty")} ${explorationOldDiff}\u2192${explorationNewDiff})`,
-          entityUuid: entry.actorUuid,
-        });
-      }
-    }
-    await this.actor.update({
-      "system.poiListExploration": finalExplorationEntries,
+    // Dry run — show what End Turn will do before anything is written
+    const plan = await engine.planEndTurn();
+    const proceed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("STA_TC.Wizard.EndTurnPreview") },
+      position: { width: 480 },
+      content: CampaignTrackerSheet._renderEndTurnPreview(plan, {
+        resolvedPoiNames: resolvedPoiActors.map((a) => a.name),
+        deleteResolvedPois,
+      }),
+      yes: {
+        label: game.i18n.localize("STA_TC.Wizard.FinishTurn"),
+        icon: "fas fa-flag-checkered",
+      },
     });
+    if (!proceed) return;
 
-    // ---- E: Unresolved Unknown POIs ----------------------------------------
-    const sys5 = this.actor.system;
-    let extraUnknownPois = 0;
-    const finalUnknownEntries = [];
-    for (const entry of sys5.poiListUnknown || []) {
-      if (entry.outcomeIgnored) {
-        // Ignored — keep in list; counts as an extra PoI next turn since the
-        // threat is still unresolved.
-        finalUnknownEntries.push(entry);
-        extraUnknownPois++;
-        continue;
-      }
-      if (entry.outcomeConfirmed) {
-        // Already applied via button — remove from list without counting again
-        continue;
-      }
-      const poi = await fromUuid(entry.actorUuid);
-      extraUnknownPois++;
-      chatLines.push(
-        `<p>&#x2753; <strong>${poi?.name || "?"}</strong>: ${game.i18n.localize("STA_TC.Wizard.OutcomeUnknownRemoved")}</p>`,
-      );
-    }
-    if (
-      extraUnknownPois ||
-      finalUnknownEntries.length !== (sys5.poiListUnknown || []).length
-    )
-      await this.actor.update({ "system.poiListUnknown": finalUnknownEntries });
-
-    // ---- F: Progression (exploration gains + momentum spend + GM roleplay bonus) ---
-    const momentumSpent = system.turnMomentumSpent || 0;
-    const progressionGain =
-      resolvedExplorationCount * 3 +
-      momentumSpent +
-      (system.turnRoleplayBonus || 0);
-
-    // ---- G: Apply progression gain -----------------------------------------
-    const sys6 = this.actor.system;
-    const finalUpdates = {};
-    // Skip if progression was already confirmed and applied in Phase 3 Step 2
-    const progressionAlreadyConfirmed =
-      system.turnProgressionConfirmed || false;
-    if (progressionGain > 0 && !progressionAlreadyConfirmed)
-      finalUpdates["system.progression"] =
-        (sys6.progression || 0) + progressionGain;
-    if (momentumSpent > 0 && !progressionAlreadyConfirmed)
-      finalUpdates["system.campaignMomentum"] = Math.max(
-        0,
-        (sys6.campaignMomentum || 0) - momentumSpent,
-      );
-    // Expire unavailability Active Effects whose expireAfterTurn has been reached.
-    // Run BEFORE incrementing the turn counter so effects set to expire at turn N
-    // are removed at the end of turn N (i.e. they lasted the full turn).
-    const expiredEffects = await expireCampaignTurnEffects(this.actor);
-    for (const { actor } of expiredEffects) {
-      await TrackerNotifier.emit({
-        tracker: this.actor,
-        event: "turnEndAeExpired",
-        message: game.i18n.format("STA_TC.Notify.AeExpired", {
-          name: actor.name,
-        }),
-        entityUuid: actor.uuid,
-      });
-    }
-
-    // Increment the campaign turn counter (used for AE expiry checks)
-    finalUpdates["system.campaignTurnNumber"] =
-      (sys6.campaignTurnNumber || 0) + 1;
-    await this.actor.update(finalUpdates);
+    await engine.endTurn({ deleteResolvedPois });
+  }
 
-    // ---- Chat summary ------------------------------------------------------
-    const totalMomentum = system.turnMomentumGained || 0;
-    const extraPoisTotal =
-      (system.turnExtraPoisNextTurn || 0) +
-      extraTacticalPois +
-      extraUnknownPois;
-    await ChatMessage.create({
-      content: `<div style="background:#333;border-radius:8px;padding:10px;color:#eee;">
-        <h3 style="margin:0 0 8px;color:#ffd700;">&#x1F3C1; ${game.i18n.localize("STA_TC.Wizard.TurnComplete")}</h3>
-        ${chatLines.join("")}
-        ${totalMomentum > 0 ? `<p>${game.i18n.localize("STA_TC.Wizard.MomentumGained")}: <strong>+${totalMomentum}</strong></p>` : ""}
-        ${sys6.turnThreatIncrease > 0 ? `<p>${game.i18n.localize("STA_TC.Wizard.ThreatIncrease")}: <strong>+${sys6.turnThreatIncrease}</strong></p>` : ""}
-        ${progressionGain > 0 ? `<p>${game.i18n.localize("STA_TC.Wizard.ProgressionGained")}: <strong>+${progressionGain}</strong></p>` : ""}
-        ${extraPoisTotal > 0 ? `<p>${game.i18n.localize("STA_TC.Wizard.ExtraPoisNextTurn")}: <strong>+${extraPoisTotal}</strong>${extraTacticalPois > 0 ? ` (${extraTacticalPois} tactical)` : ""}${extraUnknownPois > 0 ? ` (${extraUnknownPois} +difficulty)` : ""}</p>` : ""}
-        ${paceDelta > 0 ? `<p>${game.i18n.localize("STA_TC.Wizard.PaceIncreased")}: <strong>+${paceDelta}</strong></p>` : ""}
-      </div>`,
-      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
-      whisper: [game.user.id],
+  /**
+   * Ask the GM whether to resume or roll back an interrupted End Turn.
+   * Closing the dialog leaves the journal in place to decide later.
+   * @param {Actor} tracker
+   * @returns {Promise<boolean>} True if the End Turn was resumed or rolled back.
+   */
+  static async promptEndTurnRecovery(tracker) {
+    const engine = new CampaignTurnEngine(tracker);
+    const journal = engine.getEndTurnJournal();
+    if (!journal) return false;
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.localize("STA_TC.Wizard.EndTurnRecovery") },
+      content: `<p>${game.i18n.format("STA_TC.Wizard.EndTurnRecoveryPrompt", {
+        name: tracker.name,
+        turn: journal.turn,
+        done: journal.completed.length,
+        total: END_TURN_STAGES.length,
+      })}</p>`,
+      buttons: [
+        {
+          action: "resume",
+          label: game.i18n.localize("STA_TC.Wizard.EndTurnResume"),
+          icon: "fas fa-play",
+          default: true,
+        },
+        {
+          action: "rollBack",
+          label: game.i18n.localize("STA_TC.Wizard.EndTurnRollBack"),
+          icon: "fas fa-undo",
+        },
+      ],
+      rejectClose: false,
     });
-    await this._clearTurnState();
-
-    // Persist carry-over extra PoI counts for the next turn's Phase 1 Step 1.
-    // These survive until _onNextPhase consumes them when leaving that step.
-    const carryOver = {
-      "system.turnExtraTacticalPoisNextTurn": extraTacticalPois,
-      "system.turnExtraUnknownPoisNextTurn": extraUnknownPois,
-      "system.turnExtraPoisNextTurn": extraPoisFromConsequences,
-    };
-    if (extraTacticalPois || extraUnknownPois || extraPoisFromConsequences)
-      await this.actor.update(carryOver);
-    // Flush accumulated notification log entries in one batch write
-    await TrackerNotifier.flushBatch();
+    if (choice === "resume") return engine.resumeEndTurn();
+    if (choice === "rollBack") return engine.rollBackEndTurn();
+    return false;
   }
 
-  async _clearTurnState() {
-    const system = this.actor.system;
-    const updates = {
-      "system.turnPhase": "",
-      "system.turnUserId": "",
-      "system.scenarioPoi": "",
-      "system.turnGeneratedPois": [],
-      "system.turnThreatIncrease": 0,
-      "system.turnExtraPoisNextTurn": 0,
-      "system.paceTempBonus": 0,
-      "system.turnMomentumGained": 0,
-      "system.turnRoleplayBonus": 0,
-      "system.turnMomentumSpent": 0,
-      "system.turnReinforcementsReceived": 0,
-      "system.turnExtraTacticalPoisNextTurn": 0,
-      "system.turnExtraUnknownPoisNextTurn": 0,
-      "system.turnStep": 1,
-      "system.turnFlexibleDeployments": false,
-      "system.nextTurnSupplyBonus": 0,
-      "system.turnProgressionConfirmed": false,
-      // commandeeredAssets intentionally NOT cleared here — they persist until
-      // the next turn starts so the badge remains visible between turns.
-      "system.turnPendingNotes": "",
-    };
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(system[listKey] || []);
-      for (const entry of entries) {
-        entry.eventResult = "";
-        entry.conflictResult = "";
-        entry.conflictSuccesses = 0;
-        entry.conflictMomentum = 0;
-        entry.conflictHadNat20 = false;
-        entry.consequenceChosen = "";
-        entry.failureChoice = "";
-        entry.lossResult = "";
-        entry.escalationRolled = false;
-        entry.commandeeredAssetUuid = "";
-        entry.outcomeConfirmed = false;
-        entry.outcomeIgnored = false;
-        entry.asset1Uuid = "";
-        entry.asset2Uuid = "";
-      }
-      updates[`system.${listKey}`] = entries;
-    }
-    await this.actor.update(updates);
+  /**
+   * Build the End Turn preview dialog body from a CampaignTurnEngine plan.
+   * @param {object} plan - Result of CampaignTurnEngine#planEndTurn().
+   * @param {object} options
+   * @param {string[]} options.resolvedPoiNames - POIs leaving the tracker.
+   * @param {boolean} options.deleteResolvedPois - Whether they are deleted.
+   * @returns {string}
+   */
+  static _renderEndTurnPreview(plan, { resolvedPoiNames, deleteResolvedPois }) {
+    const section = (labelKey, items) =>
+      items.length
+        ? `<h4 style="margin:8px 0 2px;">${game.i18n.localize(labelKey)}</h4><ul style="margin:0 0 0 16px">${items.map((i) => `<li>${i}</li>`).join("")}</ul>`
+        : "";
+    const consequences = plan.chatLines.join("");
+    const summary = plan.summaryLines.join("");
+    const resolvedSection = section(
+      deleteResolvedPois
+        ? "STA_TC.Wizard.PreviewResolvedDeleted"
+        : "STA_TC.Wizard.PreviewResolved",
+      resolvedPoiNames,
+    );
+    const expiringSection = section(
+      "STA_TC.Wizard.PreviewExpiringEffects",
+      plan.expiringEffects.map(
+        (e) => `<strong>${e.actorName}</strong>: ${e.effectName}`,
+      ),
+    );
+    const body =
+      resolvedSection || consequences || expiringSection || summary
+        ? `${resolvedSection}${consequences ? `<h4 style="margin:8px 0 2px;">${game.i18n.localize("STA_TC.Wizard.PreviewConsequences")}</h4>${consequences}` : ""}${expiringSection}${summary ? `<hr style="margin:6px 0;">${summary}` : ""}`
+        : `<p><em>${game.i18n.localize("STA_TC.Wizard.PreviewNoChanges")}</em></p>`;
+    return `<p>${game.i18n.localize("STA_TC.Wizard.EndTurnPreviewIntro")}</p>${body}`;
   }
 
   // ==========================================================================
@@ -2216,7 +1965,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
   static async _onCreateRandomAsset(event, target) {
     // Roll 1d20 to determine asset type per the campaign rules:
     // 1–5: Resource, 6–10: Ship, 11–15: Character if ≤2 Character assets else Ship, 16–20: Character
-    const roll = await new Roll("1d20").evaluate();
+    const roll = await rollDice(this.actor, "1d20");
     let typeChoice;
     if (roll.total <= 5) {
       typeChoice = "resource";
@@ -2229,12 +1978,15 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       typeChoice = "character";
     }
 
-    const result = await AssetGenerator.generateForType(typeChoice);
+    const result = await AssetGenerator.generateForType(typeChoice, {
+      tracker: this.actor,
+    });
     if (!result?.actor) return;
     // Import the actor into the world (tracker's folder) if it came from a compendium.
-    const actor = await this._importActorIfNeeded(result.actor);
+    const actor = await this.engine.importActorIfNeeded(result.actor);
     if (!actor) return;
-    const assetTypeFolder = await this._getOrCreateAssetFolder(typeChoice);
+    const assetTypeFolder =
+      await this.engine.getOrCreateAssetFolder(typeChoice);
     if (assetTypeFolder) await actor.update({ folder: assetTypeFolder.id });
     const keyMap = {
       character: "characterAssets",
@@ -2311,11 +2063,14 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     const key = keyMap[assetType] ?? "resourceAssets";
 
     if (choice === "random") {
-      const result = await AssetGenerator.generateForType(assetType);
+      const result = await AssetGenerator.generateForType(assetType, {
+        tracker: this.actor,
+      });
       if (!result?.actor) return;
-      const actor = await this._importActorIfNeeded(result.actor);
+      const actor = await this.engine.importActorIfNeeded(result.actor);
       if (!actor) return;
-      const assetTypeFolder = await this._getOrCreateAssetFolder(assetType);
+      const assetTypeFolder =
+        await this.engine.getOrCreateAssetFolder(assetType);
       if (assetTypeFolder) await actor.update({ folder: assetTypeFolder.id });
       const list = [...(this.actor.system[key] || [])];
       if (!list.includes(actor.uuid)) {
@@ -2368,11 +2123,10 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     event.stopPropagation();
     const listKey = target.dataset.poiList;
     const poiIndex = parseInt(target.dataset.poiIndex);
-    const field =
-      parseInt(target.dataset.slot) === 0 ? "asset1Uuid" : "asset2Uuid";
+    const slot = parseInt(target.dataset.slot);
     const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
     if (!entries[poiIndex]) return;
-    entries[poiIndex][field] = "";
+    setEntrySlot(entries[poiIndex], slot, "");
     await this.actor.update({ [`system.${listKey}`]: entries });
   }
 
@@ -2390,14 +2144,9 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
       let changed = false;
       for (const entry of entries) {
-        if (entry.asset1Uuid === uuid) {
-          entry.asset1Uuid = "";
-          changed = true;
-        }
-        if (entry.asset2Uuid === uuid) {
-          entry.asset2Uuid = "";
-          changed = true;
-        }
+        if (!entry.assets?.includes(uuid)) continue;
+        entry.assets = entry.assets.map((u) => (u === uuid ? "" : u));
+        changed = true;
       }
       if (changed) updates[`system.${listKey}`] = entries;
     }
@@ -2408,78 +2157,65 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     const listKey = target.dataset.poiList;
     const poiIndex = parseInt(target.dataset.poiIndex);
     const slot = parseInt(target.dataset.slot);
-    const field = slot === 0 ? "asset1Uuid" : "asset2Uuid";
+    const poiUuid = this.actor.system[listKey]?.[poiIndex]?.actorUuid;
+    if (!poiUuid) return;
 
-    const system = this.actor.system;
-    const allUuids = [
-      ...(system.characterAssets || []),
-      ...(system.shipAssets || []),
-      ...(system.resourceAssets || []),
+    const found = this.engine.findEntry(poiUuid);
+    const poi = await fromUuid(poiUuid);
+    const powers = [
+      {
+        power: poi?.system?.power || "military",
+        difficulty: poi?.system?.difficulty || 1,
+      },
     ];
-
-    const available = [];
-    for (const uuid of allUuids) {
-      if (!this._isAssetAssignedToAnyPoi(uuid)) {
-        const actor = await fromUuid(uuid);
-        if (
-          actor &&
-          !actor.effects?.some(
-            (effect) => effect.active && effect.flags?.[MODULE_ID]?.unavailable,
-          ) &&
-          !actor.effects?.some(
-            (effect) => effect.active && effect.flags?.[MODULE_ID]?.lost,
-          ) &&
-          !(slot === 0 && actor.system?.assetType === "resource")
-        ) {
-          const powers = actor.system?.powers;
-          const stats = powers
-            ? [
-                { abbr: "Mil", val: powers.military?.value || 0 },
-                { abbr: "Med", val: powers.medical?.value || 0 },
-                { abbr: "Per", val: powers.personal?.value || 0 },
-                { abbr: "Sci", val: powers.science?.value || 0 },
-                { abbr: "Soc", val: powers.social?.value || 0 },
-              ]
-                .filter((p) => p.val > 0)
-                .map((p) => `${p.abbr} ${p.val}`)
-                .join(", ")
-            : "";
-          available.push({ uuid, name: actor.name, img: actor.img, stats });
-        }
-      } else {
-        // For resource assets with Flexible Deployments, allow a second assignment
-        const actor = await fromUuid(uuid);
-        if (
-          actor &&
-          actor.system?.assetType === "resource" &&
-          slot !== 0 &&
-          !actor.effects?.some(
-            (effect) => effect.active && effect.flags?.[MODULE_ID]?.unavailable,
-          ) &&
-          !actor.effects?.some(
-            (effect) => effect.active && effect.flags?.[MODULE_ID]?.lost,
+    if (poi?.system?.power2)
+      powers.push({
+        power: poi.system.power2,
+        difficulty: poi.system.difficulty2 ?? 1,
+      });
+    // The other slots' assets, to show the odds of the finished team
+    const others = [];
+    for (const [other, uuid] of (found?.entry.assets || []).entries()) {
+      if (other === slot || !uuid) continue;
+      others[other] = await fromUuid(uuid);
+    }
+
+    const available = (
+      await this.engine.getAssignableAssets(slot, poiUuid)
+    ).map((actor) => {
+      const team = [...others];
+      team[slot] = actor;
+      const [primary, ...assists] = team;
+      const odds = primary
+        ? formatChance(
+            bestConflictOdds(
+              powers,
+              primary.system?.powers,
+              assists.filter(Boolean).map((asset) => asset.system?.powers),
+            ).chance,
           )
-        ) {
-          const limit = this.actor.system.turnFlexibleDeployments ? 2 : 1;
-          if (this._countResourceAssignments(uuid) < limit) {
-            const powers = actor.system?.powers;
-            const stats = powers
-              ? [
-                  { abbr: "Mil", val: powers.military?.value || 0 },
-                  { abbr: "Med", val: powers.medical?.value || 0 },
-                  { abbr: "Per", val: powers.personal?.value || 0 },
-                  { abbr: "Sci", val: powers.science?.value || 0 },
-                  { abbr: "Soc", val: powers.social?.value || 0 },
-                ]
-                  .filter((p) => p.val > 0)
-                  .map((p) => `${p.abbr} ${p.val}`)
-                  .join(", ")
-              : "";
-            available.push({ uuid, name: actor.name, img: actor.img, stats });
-          }
-        }
-      }
-    }
+        : "";
+      const powers = actor.system?.powers;
+      const stats = powers
+        ? [
+            { abbr: "Mil", val: powers.military?.value || 0 },
+            { abbr: "Med", val: powers.medical?.value || 0 },
+            { abbr: "Per", val: powers.personal?.value || 0 },
+            { abbr: "Sci", val: powers.science?.value || 0 },
+            { abbr: "Soc", val: powers.social?.value || 0 },
+          ]
+            .filter((p) => p.val > 0)
+            .map((p) => `${p.abbr} ${p.val}`)
+            .join(", ")
+        : "";
+      return {
+        uuid: actor.uuid,
+        name: actor.name,
+        img: actor.img,
+        stats,
+        odds,
+      };
+    });
 
     if (!available.length) {
       ui.notifications.info(
@@ -2498,6 +2234,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
           <span class="asset-picker-name">${a.name}</span>
           ${a.stats ? `<span class="asset-picker-stats">${a.stats}</span>` : ""}
         </div>
+        ${a.odds ? `<span class="asset-picker-odds" title="${game.i18n.localize("STA_TC.Odds.PickerHint")}">${a.odds}</span>` : ""}
       </label>`,
       )
       .join("");
@@ -2515,60 +2252,96 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     });
 
     if (!uuid) return;
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries[poiIndex]) return;
-    entries[poiIndex][field] = uuid;
-    await this.actor.update({ [`system.${listKey}`]: entries });
+    await this.engine.assignAsset(poiUuid, slot, uuid);
   }
 
-  static async _onGeneratePoi(event, target) {
-    const result = await PoiGenerator.generate();
-    if (!result?.actor) return;
-
-    await RollTableManagerService.ensureTrackerQueues(this.actor);
+  /**
+   * Propose assets for every open POI slot and let the GM review and adjust
+   * the proposal before anything is assigned.
+   */
+  static async _onAutoAssign(event, target) {
+    const { rows, assets } = await this.engine.planAutoAssign();
+    const open = rows.filter((row) => row.slots.some((slot) => !slot.fixed));
+    if (!open.length || !assets.length) {
+      ui.notifications.info(
+        game.i18n.localize("STA_TC.AutoAssign.NothingToAssign"),
+      );
+      return;
+    }
 
-    const actor = result.actor;
-    const folder = await this._getOrCreatePoiFolder(
-      actor.system?.poiType || "unknown",
-    );
-    // Start hidden so the GM can prep before revealing to players
-    await actor.update({
-      folder: folder?.id ?? null,
-      "system.hiddenByGM": true,
+    const nameOf = (uuid) => (uuid ? fromUuidSync(uuid)?.name || "?" : "—");
+    const choices = ({ slot, type }) =>
+      Object.fromEntries(
+        assets
+          .filter((actor) => {
+            const assetType = actor.system?.assetType || "character";
+            if (slot === 0 && assetType === "resource") return false;
+            return !type || type === assetType;
+          })
+          .map((actor) => [actor.uuid, actor.name]),
+      );
+    const toSlot = (slot) => ({
+      ...slot,
+      name: nameOf(slot.uuid),
+      choices: slot.fixed ? null : choices(slot),
     });
-    const uuid = actor.uuid;
-    const listKey = CampaignTrackerSheet._poiTypeToListKey(
-      actor,
-      "poiListUnknown",
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "modules/sta-tactical-campaign/templates/auto-assign-dialog.hbs",
+      {
+        rows: open.map((row) => {
+          const system = row.poi?.system ?? {};
+          const meta = [
+            `${game.i18n.localize(`STA_TC.Powers.${this._capitalize(row.power)}`)} D${
+              row.power === system.power2
+                ? (system.difficulty2 ?? 1)
+                : system.difficulty || 1
+            }`,
+          ];
+          if (system.poiType === "tacticalThreat")
+            meta.push(
+              `${game.i18n.localize("STA_TC.Poi.Urgency")} ${system.urgency || 1}`,
+            );
+          return {
+            ...row,
+            name: row.poi?.name || "?",
+            meta: meta.join(" · "),
+            primary: toSlot(row.slots[0]),
+            assists: row.slots.slice(1).map(toSlot),
+            expected: row.expected.toFixed(1),
+          };
+        }),
+      },
     );
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries.some((e) => e.actorUuid === uuid))
-      entries.push({ actorUuid: uuid, asset1Uuid: "", asset2Uuid: "" });
-    const generated = [...(this.actor.system.turnGeneratedPois || []), uuid];
-    await this.actor.update({
-      [`system.${listKey}`]: entries,
-      "system.turnGeneratedPois": generated,
+
+    const assignments = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize("STA_TC.AutoAssign.Title") },
+      position: { width: 640 },
+      content,
+      ok: {
+        label: game.i18n.localize("STA_TC.CampaignTracker.Assign"),
+        callback: (_ev, button) =>
+          open.map((row, index) => ({
+            poiUuid: row.poiUuid,
+            assets: row.slots.map(({ slot, fixed }) =>
+              fixed
+                ? ""
+                : button.form.elements[`slot-${index}-${slot}`]?.value || "",
+            ),
+          })),
+      },
+      rejectClose: false,
     });
+    if (!assignments) return;
+    await this.engine.applyAssignments(assignments);
+  }
 
-    const sourceActorUuid = result?.subResult?.documentUuid || "";
-    if (sourceActorUuid && result?.subTableKey) {
-      try {
-        await RollTableManagerService.drawTimeMoveResultToUsed({
-          tracker: this.actor,
-          subKey: result.subTableKey,
-          sourceActorUuid,
-        });
-      } catch (error) {
-        console.warn(
-          `${MODULE_ID} | Could not move generated POI result to used queue`,
-          error,
-        );
-      }
-    }
+  static async _onGeneratePoi(event, target) {
+    await this.engine.generatePoi();
   }
 
   static async _onCreateCustomPoi(event, target) {
-    const folder = await this._getOrCreatePoiFolder("unknown");
+    const engine = this.engine;
+    const folder = await engine.getOrCreatePoiFolder("unknown");
     const actor = await Actor.create({
       name: game.i18n.localize("STA_TC.PoiName"),
       type: `${MODULE_ID}.poi`,
@@ -2577,105 +2350,11 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     });
     if (!actor) return;
     actor.sheet.render(true);
-    const uuid = actor.uuid;
-    const listKey = CampaignTrackerSheet._poiTypeToListKey(
-      actor,
-      "poiListUnknown",
-    );
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries.some((e) => e.actorUuid === uuid))
-      entries.push({ actorUuid: uuid, asset1Uuid: "", asset2Uuid: "" });
-    const generated = [...(this.actor.system.turnGeneratedPois || []), uuid];
-    await this.actor.update({
-      [`system.${listKey}`]: entries,
-      "system.turnGeneratedPois": generated,
-    });
+    await engine.addGeneratedPoi(actor);
   }
 
   static async _onGenerateAllPois(event, target) {
-    await RollTableManagerService.ensureTrackerQueues(this.actor);
-
-    const system = this.actor.system;
-    const pace =
-      (system.pace || 0) +
-      (system.paceTempBonus || 0) +
-      (system.turnExtraTacticalPoisNextTurn || 0) +
-      (system.turnExtraUnknownPoisNextTurn || 0) +
-      (system.turnExtraPoisNextTurn || 0);
-    if (pace <= 0) {
-      ui.notifications.warn(game.i18n.localize("STA_TC.Wizard.PaceIsZero"));
-      return;
-    }
-    const batchRows = [];
-    for (let i = 0; i < pace; i++) {
-      const result = await PoiGenerator.generate({ postChat: false });
-      if (!result?.actor) {
-        batchRows.push({
-          actor: null,
-          subTableKey: result?.subTableKey ?? null,
-          status: result?.status ?? "failed",
-        });
-        continue;
-      }
-      const actor = await this._importActorIfNeeded(result.actor);
-      if (!actor) {
-        batchRows.push({
-          actor: null,
-          subTableKey: result.subTableKey,
-          status: "importFailed",
-        });
-        continue;
-      }
-      const poiFolder = await this._getOrCreatePoiFolder(
-        actor.system?.poiType || "unknown",
-      );
-      // Start hidden so the GM can prep before revealing to players
-      await actor.update({
-        folder: poiFolder?.id ?? null,
-        "system.hiddenByGM": true,
-      });
-      batchRows.push({ actor, subTableKey: result.subTableKey, status: "ok" });
-      const uuid = actor.uuid;
-      const listKey = CampaignTrackerSheet._poiTypeToListKey(
-        actor,
-        "poiListUnknown",
-      );
-      // Re-read system each iteration to get the latest state
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      if (!entries.some((e) => e.actorUuid === uuid))
-        entries.push({ actorUuid: uuid, asset1Uuid: "", asset2Uuid: "" });
-      const generated = [...(this.actor.system.turnGeneratedPois || []), uuid];
-      await this.actor.update({
-        [`system.${listKey}`]: entries,
-        "system.turnGeneratedPois": generated,
-      });
-
-      const sourceActorUuid = result?.subResult?.documentUuid || "";
-      if (sourceActorUuid && result?.subTableKey) {
-        try {
-          await RollTableManagerService.drawTimeMoveResultToUsed({
-            tracker: this.actor,
-            subKey: result.subTableKey,
-            sourceActorUuid,
-          });
-        } catch (error) {
-          console.warn(
-            `${MODULE_ID} | Could not move generated POI result to used queue`,
-            error,
-          );
-        }
-      }
-    }
-    // Post one consolidated chat card for all generated POIs
-    if (batchRows.length) {
-      await ChatMessage.create({
-        content: PoiGenerator.buildBatchChatHtml(batchRows),
-        speaker: {
-          alias: game.i18n.localize("STA_TC.Poi.Generator.SpeakerAlias"),
-        },
-        whisper: [game.user.id],
-      });
-    }
+    await this.engine.generateAllPois();
   }
 
   static async _onOpenRollTableManager(event, target) {
@@ -2719,9 +2398,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
   static async _onSelectScenario(event, target) {
     const uuid = target.dataset.uuid;
     if (!uuid) return;
-    await this.actor.update({
-      "system.scenarioPoi": this.actor.system.scenarioPoi === uuid ? "" : uuid,
-    });
+    await this.engine.selectScenario(uuid);
   }
 
   // ==========================================================================
@@ -2732,16 +2409,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     const uuid = target.dataset.uuid;
     if (!uuid) return;
     const poi = await fromUuid(uuid);
-    await this._rollEventForPoi(uuid);
-    const listKey = [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]
-      .flatMap((k) => this.actor.system[k] || [])
-      .find((e) => e.actorUuid === uuid);
-    const resultName = listKey?.eventResult || "";
+    const resultName = await this.engine.rollEvent(uuid);
     if (resultName)
       ui.notifications.info(`${poi?.name || "POI"}: ${resultName}`);
   }
@@ -2751,132 +2419,11 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     if (!game.user?.isGM) return;
     const poiUuid = target.dataset.uuid;
     if (!poiUuid) return;
-
-    const poi = await fromUuid(poiUuid);
-    if (poi) {
-      const eventIds = poi.items
-        .filter((i) => i.type === `${MODULE_ID}.event`)
-        .map((i) => i.id);
-      if (eventIds.length) await poi.deleteEmbeddedDocuments("Item", eventIds);
-    }
-
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-      if (idx !== -1) {
-        entries[idx].eventResult = "";
-        await this.actor.update({ [`system.${listKey}`]: entries });
-        break;
-      }
-    }
+    await this.engine.resetEvent(poiUuid);
   }
 
   static async _onRollRandomEvent(event, target) {
-    if (!game.settings.get(MODULE_ID, "tableEvents")) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.EventTableNotConfigured"),
-      );
-      return;
-    }
-    const scenarioPoi = this.actor.system.scenarioPoi || "";
-    const allUuids = [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]
-      .flatMap((k) => this.actor.system[k] || [])
-      .map((e) => e.actorUuid)
-      .filter((uuid) => uuid && uuid !== scenarioPoi);
-    if (!allUuids.length) {
-      ui.notifications.warn(game.i18n.localize("STA_TC.Wizard.NoPoisForEvent"));
-      return;
-    }
-    const randomUuid = allUuids[Math.floor(Math.random() * allUuids.length)];
-    await this._rollEventForPoi(randomUuid);
-  }
-
-  async _rollEventForPoi(poiUuid) {
-    const tableUuid = game.settings.get(MODULE_ID, "tableEvents");
-    if (!tableUuid) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.EventTableNotConfigured"),
-      );
-      return;
-    }
-    const table = await fromUuid(tableUuid);
-    if (!table) {
-      ui.notifications.error(
-        game.i18n.format("STA_TC.Poi.Generator.TableNotFound", {
-          name: "Events",
-        }),
-      );
-      return;
-    }
-
-    const roll = await table.roll();
-    const result = roll.results?.[0];
-
-    // Prefer a directly-referenced Event item document in the table result.
-    let itemData = null;
-    const docUuid = result?.documentUuid?.trim();
-    if (docUuid) {
-      const doc = await fromUuid(docUuid);
-      if (doc?.documentName === "Item" && doc.type === `${MODULE_ID}.event`) {
-        itemData = doc.toObject();
-        for (const effect of itemData.effects ?? []) effect.transfer = true;
-      }
-    }
-
-    // Fallback: build a minimal event from the roll result text.
-    const resultText = result?.text || result?.name || "No result";
-    const resultName =
-      result?.name && result.name !== resultText
-        ? result.name
-        : resultText
-            .split(/[.:!?]/)[0]
-            .trim()
-            .slice(0, 60);
-    if (!itemData) {
-      itemData = {
-        name: resultName || game.i18n.localize("STA_TC.EventName"),
-        type: `${MODULE_ID}.event`,
-        system: { description: resultText },
-      };
-    }
-
-    // Embed the event item on the PoI actor, enforcing the 1-event limit.
-    const poi = await fromUuid(poiUuid);
-    if (poi) {
-      const existingIds = poi.items
-        .filter((i) => i.type === `${MODULE_ID}.event`)
-        .map((i) => i.id);
-      if (existingIds.length)
-        await poi.deleteEmbeddedDocuments("Item", existingIds);
-      await poi.createEmbeddedDocuments("Item", [itemData]);
-    }
-
-    // Update the tracker entry's eventResult (drives the Roll/Reroll button label).
-    const displayName = itemData.name;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-      if (idx !== -1) {
-        entries[idx].eventResult = displayName;
-        await this.actor.update({ [`system.${listKey}`]: entries });
-        break;
-      }
-    }
+    await this.engine.rollRandomEvent();
   }
 
   // ==========================================================================
@@ -2886,38 +2433,39 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
   static async _onRollConflict(event, target) {
     const poiUuid = target.dataset.uuid;
     if (!poiUuid) return;
-    const poi = await fromUuid(poiUuid);
-    if (!poi) return;
-    const poiPower = poi.system?.power || "military";
+    await CampaignTrackerSheet.promptConflictRoll(this.actor, poiUuid);
+  }
+
+  /**
+   * Ask for the dice pool options of a POI's conflict roll, then roll it —
+   * directly when this user owns the tracker, otherwise through the active GM
+   * (players who own one of the assigned assets).
+   * @param {Actor} tracker
+   * @param {string} poiUuid
+   */
+  static async promptConflictRoll(tracker, poiUuid) {
+    const participants = await new CampaignTurnEngine(
+      tracker,
+    ).getConflictParticipants(poiUuid);
+    if (!participants) return;
+    const {
+      poi,
+      primaryActor,
+      assistActors,
+      power: poiPower,
+      difficulty,
+      power2,
+      difficulty2,
+      traits,
+    } = participants;
     const poiPowerLabel = game.i18n.localize(
-      `STA_TC.Powers.${this._capitalize(poiPower)}`,
+      `STA_TC.Powers.${CampaignTrackerSheet._capitalizeKey(poiPower)}`,
     );
-    const difficulty = poi.system?.difficulty || 1;
-    const power2 = poi.system?.power2 || null;
-    const difficulty2 = poi.system?.difficulty2 ?? 1;
     const powerLabel2 = power2
-      ? game.i18n.localize(`STA_TC.Powers.${this._capitalize(power2)}`)
+      ? game.i18n.localize(
+          `STA_TC.Powers.${CampaignTrackerSheet._capitalizeKey(power2)}`,
+        )
       : null;
-    let primaryUuid = null,
-      assistUuid = null;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      for (const entry of this.actor.system[listKey] || []) {
-        if (entry.actorUuid === poiUuid) {
-          primaryUuid = entry.asset1Uuid;
-          assistUuid = entry.asset2Uuid;
-          break;
-        }
-      }
-      if (primaryUuid !== null) break;
-    }
-    const primaryActor = primaryUuid ? await fromUuid(primaryUuid) : null;
-    const assistActor = assistUuid ? await fromUuid(assistUuid) : null;
-    if (!primaryActor) return;
     const primaryPowers = primaryActor.system?.powers?.[poiPower] || {
       value: 0,
       focus: 0,
@@ -2925,14 +2473,6 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     const primaryPowers2 = power2
       ? primaryActor.system?.powers?.[power2] || { value: 0, focus: 0 }
       : null;
-    const assistPowers = assistActor?.system?.powers?.[poiPower] || {
-      value: 0,
-      focus: 0,
-    };
-    const assistPowers2 =
-      power2 && assistActor
-        ? assistActor.system?.powers?.[power2] || { value: 0, focus: 0 }
-        : null;
     const powerSelectSection = power2
       ? `<p style="margin:0 0 4px;"><strong>${poi.name}</strong></p>
       <p style="margin:0 0 4px;font-weight:bold;">${game.i18n.localize("STA_TC.Dialog.ChoosePower")}:</p>
@@ -2940,11 +2480,24 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       <label style="display:block;margin-bottom:4px;"><input type="radio" name="selectedPower" value="${power2}"> <strong>${powerLabel2} D${difficulty2}</strong> &mdash; ${primaryActor.name}: ${powerLabel2} ${primaryPowers2.value} / Focus ${primaryPowers2.focus}</label>`
       : `<p style="margin:0 0 2px;"><strong>${poi.name}</strong> &mdash; ${poiPowerLabel} &middot; ${game.i18n.localize("STA_TC.Wizard.Difficulty")}: ${difficulty}</p>
       <p style="margin:0 0 6px;"><em>${primaryActor.name}</em> &mdash; ${poiPowerLabel} ${primaryPowers.value} / Focus ${primaryPowers.focus}</p>`;
-    const assistSection = assistActor
+    const assistLines = assistActors.map((assistActor) => {
+      const assistPowers = assistActor.system?.powers?.[poiPower] || {
+        value: 0,
+        focus: 0,
+      };
+      return `<p style="margin:0 0 2px;"><strong>${game.i18n.localize("STA_TC.Wizard.AssistingAsset")}</strong>: ${assistActor.name}${power2 ? "" : ` &mdash; ${poiPowerLabel} ${assistPowers.value} / Focus ${assistPowers.focus}`}</p>`;
+    });
+    const assistSection = assistActors.length
       ? `<hr style="margin:6px 0;">
-      <p style="margin:0 0 2px;"><strong>${game.i18n.localize("STA_TC.Wizard.AssistingAsset")}</strong>: ${assistActor.name}${power2 ? "" : ` &mdash; ${poiPowerLabel} ${assistPowers.value} / Focus ${assistPowers.focus}`}</p>
+      ${assistLines.join("")}
       <div class="row"><div class="tracktitle">${game.i18n.localize("STA_TC.Dialog.UsingFocus")}</div><input type="checkbox" name="assistFocus" id="assistFocus" checked></div>`
       : "";
+    // Trait bonuses are applied by the engine; the difficulties above already
+    // include any reduction
+    const traitSection = traits.matches.length
+      ? `<p style="margin:4px 0 2px;font-weight:bold;">${game.i18n.localize("STA_TC.Traits.InPlay")}:</p>
+      ${traits.matches.map((match) => `<p style="margin:0 0 2px;"><i class="fas fa-tag"></i> ${match.label}</p>`).join("")}`
+      : "";
 
     // Render STA's own dice pool template for the standard roll options
     const staRoll = new STARoll();
@@ -2970,7 +2523,41 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     if (_focusBox) _focusBox.setAttribute("checked", "checked");
     const staDialogHTML = _doc.body.innerHTML;
 
-    const content = `<div style="padding:4px 8px 0;">${powerSelectSection}</div>${staDialogHTML}${assistSection ? `<div style="padding:0 8px;">${assistSection}</div>` : ""}`;
+    const content = `<div style="padding:4px 8px 0;">${powerSelectSection}${traitSection}</div>${staDialogHTML}${assistSection ? `<div style="padding:0 8px;">${assistSection}</div>` : ""}<p class="conflict-odds"></p>`;
+
+    // Live odds for the current dice pool options
+    const difficultyOf = { [poiPower]: difficulty };
+    if (power2) difficultyOf[power2] = difficulty2;
+    const updateOdds = (form) => {
+      const data = new FormData(form);
+      const chosen = data.get("selectedPower") || poiPower;
+      const primary = primaryActor.system?.powers?.[chosen] || {};
+      const odds = conflictOdds({
+        diceCount:
+          parseInt(data.get("dicePoolSlider") || "2") + traits.extraDice,
+        value: primary.value,
+        focus: primary.focus,
+        usingFocus: data.get("usingFocus") === "on",
+        usingDedicatedFocus: data.get("usingDedicatedFocus") === "on",
+        usingDetermination: data.get("usingDetermination") === "on",
+        complicationRange: parseInt(data.get("complicationRange") || "1"),
+        ignoredComplications: traits.complications,
+        difficulty: difficultyOf[chosen] ?? difficulty,
+        assists: assistActors.map((assistActor) => ({
+          value: assistActor.system?.powers?.[chosen]?.value,
+          focus: assistActor.system?.powers?.[chosen]?.focus,
+          usingFocus: data.get("assistFocus") === "on",
+        })),
+      });
+      const output = form.querySelector(".conflict-odds");
+      if (output)
+        output.textContent = game.i18n.format("STA_TC.Odds.Dialog", {
+          chance: formatChance(odds.chance),
+          difficulty: difficultyOf[chosen] ?? difficulty,
+          expected: odds.expected.toFixed(1),
+          complication: formatChance(odds.complication),
+        });
+    };
 
     const formData = await foundry.applications.api.DialogV2.wait({
       window: {
@@ -2979,6 +2566,13 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       position: { height: "auto", width: 375 },
       content,
       classes: ["dialogue"],
+      render: (_event, dialog) => {
+        const form = dialog.element.querySelector("form");
+        if (!form) return;
+        form.addEventListener("input", () => updateOdds(form));
+        form.addEventListener("change", () => updateOdds(form));
+        updateOdds(form);
+      },
       buttons: [
         {
           action: "roll",
@@ -2994,7 +2588,7 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       close: () => null,
     });
     if (!formData) return;
-    const formValues = {
+    await requestConflictRoll(tracker, poiUuid, {
       diceCount: parseInt(formData.get("dicePoolSlider") || "2"),
       usingFocus: formData.get("usingFocus") === "on",
       usingDedicatedFocus: formData.get("usingDedicatedFocus") === "on",
@@ -3002,298 +2596,248 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
       complicationRange: parseInt(formData.get("complicationRange") || "1"),
       assistFocus: formData.get("assistFocus") === "on",
       selectedPower: formData.get("selectedPower") ?? null,
-    };
-    if (!formValues) return;
-    const {
-      diceCount,
-      usingFocus,
-      usingDedicatedFocus,
-      usingDetermination,
-      complicationRange,
-      assistFocus,
-      selectedPower,
-    } = formValues;
-    const chosenPower =
-      selectedPower && selectedPower !== poiPower ? power2 : poiPower;
-    const chosenDifficulty = chosenPower === power2 ? difficulty2 : difficulty;
-    const chosenPrimaryPowers =
-      chosenPower === power2 ? primaryPowers2 : primaryPowers;
-    const chosenAssistPowers =
-      chosenPower === power2 ? assistPowers2 : assistPowers;
-    const primaryResult = await this._performRoll(
-      diceCount,
-      chosenPrimaryPowers.value,
-      chosenPrimaryPowers.focus,
-      usingFocus,
-      usingDedicatedFocus,
-      usingDetermination,
-      complicationRange,
-      primaryActor.name,
-      poi.name,
-      chosenPower,
+    });
+  }
+
+  /**
+   * Roll every unresolved conflict at once. The GM sets the default dice pool
+   * options and may override the power, dice and determination per POI.
+   */
+  static async _onRollAllConflicts(event, target) {
+    const conflicts = await this.engine.getBatchConflicts();
+    if (!conflicts.length) {
+      ui.notifications.info(game.i18n.localize("STA_TC.RollAll.NothingToRoll"));
+      return;
+    }
+
+    const powerLabel = (power, difficulty) =>
+      `${game.i18n.localize(`STA_TC.Powers.${this._capitalize(power)}`)} D${difficulty}`;
+    const rows = conflicts.map(
+      ({
+        poi,
+        primaryActor,
+        assistActors,
+        power,
+        difficulty,
+        power2,
+        difficulty2,
+        traits,
+      }) => {
+        const powers = [{ power, difficulty }];
+        if (power2) powers.push({ power: power2, difficulty: difficulty2 });
+        const best = bestConflictOdds(
+          powers,
+          primaryActor.system?.powers,
+          assistActors.map((actor) => actor.system?.powers),
+          {
+            diceCount: 2 + traits.extraDice,
+            ignoredComplications: traits.complications,
+          },
+        );
+        return {
+          name: poi.name,
+          assets: [primaryActor, ...assistActors]
+            .map((actor) => actor.name)
+            .join(" + "),
+          powerLabel: powerLabel(power, difficulty),
+          powerChoices: power2
+            ? Object.fromEntries(
+                powers.map((p) => [p.power, powerLabel(p.power, p.difficulty)]),
+              )
+            : null,
+          selectedPower: best.power,
+        };
+      },
     );
-    const assistResult = assistActor
-      ? await this._performRoll(
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "modules/sta-tactical-campaign/templates/roll-all-conflicts-dialog.hbs",
+      {
+        complicationRange: await new STARoll()._sceneComplications(),
+        rows,
+        determinationChoices: {
+          "": game.i18n.localize("STA_TC.RollAll.Default"),
+          on: game.i18n.localize("STA_TC.RollAll.Yes"),
+          off: game.i18n.localize("STA_TC.RollAll.No"),
+        },
+      },
+    );
+
+    const readOptions = (form) => {
+      const elements = form.elements;
+      const defaults = {
+        diceCount: Math.clamp(parseInt(elements.diceCount.value) || 2, 1, 5),
+        usingFocus: elements.usingFocus.checked,
+        usingDedicatedFocus: elements.usingDedicatedFocus.checked,
+        usingDetermination: elements.usingDetermination.checked,
+        complicationRange: Math.clamp(
+          parseInt(elements.complicationRange.value) || 1,
           1,
-          chosenAssistPowers.value,
-          chosenAssistPowers.focus,
-          assistFocus,
-          false,
-          false,
-          complicationRange,
-          assistActor.name,
-          poi.name,
-          chosenPower,
-        )
-      : null;
-    const totalSuccesses =
-      primaryResult.successes + (assistResult?.successes || 0);
-    const hadNat20 = primaryResult.hadNat20 || assistResult?.hadNat20 || false;
-    await this._postConflictRollSummaryChat({
-      poi,
-      primaryActor,
-      assistActor,
-      chosenPower,
-      primaryResult,
-      assistResult,
-      totalSuccesses,
+          5,
+        ),
+        assistFocus: elements.assistFocus.checked,
+      };
+      const overrides = {};
+      conflicts.forEach(({ poi }, index) => {
+        const override = {
+          selectedPower: elements[`power-${index}`]?.value || null,
+        };
+        const dice = parseInt(elements[`dice-${index}`].value);
+        if (dice) override.diceCount = Math.clamp(dice, 1, 5);
+        const determination = elements[`determination-${index}`].value;
+        if (determination) override.usingDetermination = determination === "on";
+        overrides[poi.uuid] = override;
+      });
+      return { defaults, overrides };
+    };
+
+    // Live odds of every row for the current options
+    const updateOdds = (form) => {
+      const { defaults, overrides } = readOptions(form);
+      conflicts.forEach((participants, index) => {
+        const options = { ...defaults, ...overrides[participants.poi.uuid] };
+        const chosen =
+          participants.power2 && options.selectedPower === participants.power2
+            ? participants.power2
+            : participants.power;
+        const primary =
+          participants.primaryActor.system?.powers?.[chosen] || {};
+        const odds = conflictOdds({
+          ...options,
+          diceCount: options.diceCount + participants.traits.extraDice,
+          ignoredComplications: participants.traits.complications,
+          value: primary.value,
+          focus: primary.focus,
+          difficulty:
+            chosen === participants.power
+              ? participants.difficulty
+              : participants.difficulty2,
+          assists: participants.assistActors.map((actor) => ({
+            value: actor.system?.powers?.[chosen]?.value,
+            focus: actor.system?.powers?.[chosen]?.focus,
+            usingFocus: options.assistFocus,
+          })),
+        });
+        const cell = form.querySelector(
+          `.roll-all-odds[data-index="${index}"]`,
+        );
+        if (cell) cell.textContent = formatChance(odds.chance);
+      });
+    };
+
+    const options = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize("STA_TC.RollAll.Title") },
+      position: { width: 560 },
+      content,
+      render: (_event, dialog) => {
+        const form = dialog.element.querySelector("form");
+        if (!form) return;
+        form.addEventListener("input", () => updateOdds(form));
+        form.addEventListener("change", () => updateOdds(form));
+        updateOdds(form);
+      },
+      ok: {
+        label: game.i18n.localize("STA_TC.RollAll.Roll"),
+        icon: "fas fa-dice-d20",
+        callback: (_ev, button) => readOptions(button.form),
+      },
+      rejectClose: false,
     });
-    // Store advisory data only — the GM must still click Pass or Fail to resolve.
-    // conflictResult is intentionally left blank so the conflict stays unresolved.
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-      if (idx !== -1) {
-        entries[idx].conflictSuccesses = totalSuccesses;
-        entries[idx].conflictHadNat20 = hadNat20;
-        await this.actor.update({ [`system.${listKey}`]: entries });
-        break;
-      }
-    }
+    if (!options) return;
+    await this.engine.rollAllConflicts(options);
   }
 
   static async _onSetConflictResult(event, target) {
     const poiUuid = target.dataset.uuid;
     const intent = target.dataset.result; // "success" or "failure"
     if (!poiUuid || !intent) return;
-    // Load the POI to get difficulty for momentum calculation
-    const poi = await fromUuid(poiUuid);
-    const difficulty = poi?.system?.difficulty || 1;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-      if (idx !== -1) {
-        const advisorySuccesses = entries[idx].conflictSuccesses || 0;
-        const advisoryNat20 = entries[idx].conflictHadNat20 || false;
-        // Derive result flavour from the GM's pass/fail intent + any advisory roll data
-        let finalResult;
-        let finalMomentum = 0;
-        if (intent === "success") {
-          finalMomentum = Math.max(0, advisorySuccesses - difficulty);
-          if (advisoryNat20) {
-            // Advisory roll already recorded a nat20 complication — auto flawed success.
-            finalResult = "flawedSuccess";
-          } else {
-            // Ask the GM whether a complication was rolled.
-            const isFlawed = await foundry.applications.api.DialogV2.wait({
-              window: {
-                title: game.i18n.localize("STA_TC.Wizard.RollConflict"),
-              },
-              content: `<p>${game.i18n.localize("STA_TC.Dialog.SuccessTypePrompt")}</p>`,
-              buttons: [
-                {
-                  action: "flawed",
-                  label: game.i18n.localize(
-                    "STA_TC.Wizard.ResultFlawedSuccess",
-                  ),
-                  icon: "fas fa-exclamation-triangle",
-                  default: false,
-                  callback: () => true,
-                },
-                {
-                  action: "success",
-                  label: game.i18n.localize("STA_TC.Wizard.ResultSuccess"),
-                  icon: "fas fa-check",
-                  default: true,
-                  callback: () => false,
-                },
-              ],
-              rejectClose: false,
-            });
-            if (isFlawed === null) return;
-            finalResult = isFlawed ? "flawedSuccess" : "success";
-          }
-        } else if (advisoryNat20) {
-          // Built-in roll recorded a nat20 complication — auto serious setback.
-          finalResult = "seriousSetback";
-        } else {
-          // No nat20 in advisory data; ask the GM whether a complication was rolled.
-          const isSeriousSetback = await foundry.applications.api.DialogV2.wait(
+    const engine = this.engine;
+    // Without an advisory nat20 on record, ask the GM whether a complication
+    // was rolled (flawed success / serious setback).
+    let complication = false;
+    if (engine.needsComplicationDecision(poiUuid)) {
+      complication = await CampaignTrackerSheet._promptComplication(intent);
+      if (complication === null) return;
+    }
+    await engine.setConflictResult(poiUuid, intent, { complication });
+  }
+
+  /**
+   * Ask whether a pass/fail call came with a complication.
+   * Returns true (complication), false (clean result) or null (cancelled).
+   * @param {"success"|"failure"} intent
+   */
+  static async _promptComplication(intent) {
+    const buttons =
+      intent === "success"
+        ? [
             {
-              window: {
-                title: game.i18n.localize("STA_TC.Wizard.RollConflict"),
-              },
-              content: `<p>${game.i18n.localize("STA_TC.Dialog.FailureTypePrompt")}</p>`,
-              buttons: [
-                {
-                  action: "serious",
-                  label: game.i18n.localize(
-                    "STA_TC.Wizard.ResultSeriousSetback",
-                  ),
-                  icon: "fas fa-skull",
-                  default: false,
-                  callback: () => true,
-                },
-                {
-                  action: "failure",
-                  label: game.i18n.localize("STA_TC.Wizard.ResultFailure"),
-                  icon: "fas fa-times",
-                  default: true,
-                  callback: () => false,
-                },
-              ],
-              rejectClose: false,
+              action: "flawed",
+              label: game.i18n.localize("STA_TC.Wizard.ResultFlawedSuccess"),
+              icon: "fas fa-exclamation-triangle",
+              default: false,
+              callback: () => true,
             },
-          );
-          if (isSeriousSetback === null) return;
-          finalResult = isSeriousSetback ? "seriousSetback" : "failure";
-        }
-        entries[idx].conflictResult = finalResult;
-        entries[idx].conflictMomentum = finalMomentum;
-        await this.actor.update({ [`system.${listKey}`]: entries });
-        // Notify conflict resolution
-        const _conflictResultLabels = {
-          success: "STA_TC.Wizard.ResultSuccess",
-          flawedSuccess: "STA_TC.Wizard.ResultFlawedSuccess",
-          failure: "STA_TC.Wizard.ResultFailure",
-          seriousSetback: "STA_TC.Wizard.ResultSeriousSetback",
-        };
-        const _momentumStr =
-          finalMomentum > 0
-            ? ` (+${finalMomentum} ${game.i18n.localize("STA_TC.Wizard.MomentumGained")})`
-            : "";
-        await TrackerNotifier.emit({
-          tracker: this.actor,
-          event: "conflictFinalized",
-          message: `${poi?.name || "?"}: ${game.i18n.localize(_conflictResultLabels[finalResult] || finalResult)}${_momentumStr}`,
-          entityUuid: poiUuid,
-          data: { result: finalResult, momentum: finalMomentum },
-        });
-        break;
-      }
-    }
+            {
+              action: "success",
+              label: game.i18n.localize("STA_TC.Wizard.ResultSuccess"),
+              icon: "fas fa-check",
+              default: true,
+              callback: () => false,
+            },
+          ]
+        : [
+            {
+              action: "serious",
+              label: game.i18n.localize("STA_TC.Wizard.ResultSeriousSetback"),
+              icon: "fas fa-skull",
+              default: false,
+              callback: () => true,
+            },
+            {
+              action: "failure",
+              label: game.i18n.localize("STA_TC.Wizard.ResultFailure"),
+              icon: "fas fa-times",
+              default: true,
+              callback: () => false,
+            },
+          ];
+    return foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.localize("STA_TC.Wizard.RollConflict") },
+      content: `<p>${game.i18n.localize(intent === "success" ? "STA_TC.Dialog.SuccessTypePrompt" : "STA_TC.Dialog.FailureTypePrompt")}</p>`,
+      buttons,
+      rejectClose: false,
+    });
   }
 
   static async _onResetConflictRoll(event, target) {
     const poiUuid = target.dataset.uuid;
     if (!poiUuid) return;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-      if (idx !== -1) {
-        entries[idx].conflictResult = "";
-        entries[idx].conflictSuccesses = 0;
-        entries[idx].conflictMomentum = 0;
-        entries[idx].conflictHadNat20 = false;
-        entries[idx].consequenceChosen = "";
-        entries[idx].failureChoice = "";
-        entries[idx].lossResult = "";
-        await this.actor.update({ [`system.${listKey}`]: entries });
-        break;
-      }
-    }
+    await this.engine.resetConflictRoll(poiUuid);
   }
 
   static async _onChooseConsequence(event, target) {
     const poiUuid = target.dataset.uuid;
     const consequence = target.dataset.consequence;
     if (!poiUuid || !consequence) return;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-      if (idx === -1) continue;
-      const updates = {};
-      if (consequence === "extraPoi") {
-        updates["system.turnExtraPoisNextTurn"] =
-          (this.actor.system.turnExtraPoisNextTurn || 0) + 1;
-        entries[idx].consequenceChosen = "extraPoi";
-        const poiExtra = await fromUuid(poiUuid);
-        await this._appendPendingNote(
-          game.i18n.format("STA_TC.Wizard.NoteExtraPoi", {
-            name: poiExtra?.name || "?",
-          }),
-        );
-        ui.notifications.info(
-          game.i18n.localize("STA_TC.Wizard.ConsequenceExtraPoi"),
-        );
-      } else if (consequence === "rollLoss") {
-        await this._rollForLoss(poiUuid);
-        entries[idx].consequenceChosen = "rollLoss";
-      } else if (consequence === "increaseThreat") {
-        const poi = await fromUuid(poiUuid);
-        const amt = (poi?.system?.difficulty || 1) * 2;
-        updates["system.turnThreatIncrease"] =
-          (this.actor.system.turnThreatIncrease || 0) + amt;
-        entries[idx].consequenceChosen = "increaseThreat";
-        await this._appendPendingNote(
-          game.i18n.format("STA_TC.Wizard.NoteIncreaseThreat", {
-            amount: amt,
-            name: poi?.name || "?",
-          }),
-        );
-        ui.notifications.info(
-          game.i18n.format("STA_TC.Wizard.ConsequenceIncreaseThreat", {
-            amount: amt,
-          }),
-        );
-      }
-      updates[`system.${listKey}`] = entries;
-      await this.actor.update(updates);
-      break;
-    }
+    const outcome = await this.engine.chooseConsequence(poiUuid, consequence);
+    if (!outcome) return;
+    if (consequence === "extraPoi")
+      ui.notifications.info(
+        game.i18n.localize("STA_TC.Wizard.ConsequenceExtraPoi"),
+      );
+    else if (consequence === "increaseThreat")
+      ui.notifications.info(
+        game.i18n.format("STA_TC.Wizard.ConsequenceIncreaseThreat", {
+          amount: outcome.threatIncrease,
+        }),
+      );
   }
 
   static async _onChooseFailureOption(event, target) {
     const poiUuid = target.dataset.uuid;
     const option = target.dataset.option;
     if (!poiUuid || !option) return;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-      if (idx === -1) continue;
-      if (option === "withdraw") entries[idx].failureChoice = "withdraw";
-      if (option === "succeedAtCost") {
-        entries[idx].conflictResult = "flawedSuccess";
-        entries[idx].failureChoice = "succeedAtCost";
-      }
-      await this.actor.update({ [`system.${listKey}`]: entries });
-      break;
-    }
+    await this.engine.chooseFailureOption(poiUuid, option);
   }
 
   // ==========================================================================
@@ -3312,100 +2856,29 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     await this.actor.update({ "system.turnStep": current - 1 });
   }
 
-  static async _onRollEscalation(event, target) {
+  /**
+   * Resolve the POI UUID behind a Phase 3 button, which identifies its
+   * tracker entry by list key and index.
+   * @param {HTMLElement} target
+   * @returns {string|null}
+   */
+  _entryUuidFromTarget(target) {
     const listKey = target.dataset.listKey;
     const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const tableUuid = game.settings.get(MODULE_ID, "tableEscalation");
-    if (!tableUuid) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.EscalationTableNotConfigured"),
-      );
-      return;
-    }
-    const table = await fromUuid(tableUuid);
-    if (!table) {
-      ui.notifications.error(
-        game.i18n.format("STA_TC.Poi.Generator.TableNotFound", {
-          name: "Escalation",
-        }),
-      );
-      return;
-    }
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    const roll = await table.roll();
-    const result = roll.results?.[0];
-    entries[entryIndex].escalationRolled = true;
-    await this.actor.update({ [`system.${listKey}`]: entries });
-    const poi = await fromUuid(entries[entryIndex].actorUuid);
-    const headerLabel = poi?.name
-      ? `${game.i18n.localize("STA_TC.Wizard.EscalationResult")} — ${poi.name}`
-      : game.i18n.localize("STA_TC.Wizard.EscalationResult");
-    const content = await CampaignTrackerSheet._buildResultCard({
-      result,
-      headerLabel,
-      accent: "#e67e22",
-    });
-    await ChatMessage.create({
-      content,
-      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
-      whisper: [game.user.id],
-    });
+    if (!listKey || isNaN(entryIndex)) return null;
+    return this.actor.system[listKey]?.[entryIndex]?.actorUuid || null;
   }
 
-  static async _onRollCommandeer(event, target) {
-    const listKey = target.dataset.listKey;
-    const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    // Don't overwrite a previously commandeered asset
-    if (entries[entryIndex].commandeeredAssetUuid) return;
-    const system = this.actor.system;
-    // Exclude assets commandeered in prior turns AND assets already picked by
-    // other routine POI rolls earlier this same turn.
-    const excludedUuids = new Set([
-      ...(system.commandeeredAssets || []),
-      ...(system.poiListRoutine || [])
-        .map((e) => e.commandeeredAssetUuid)
-        .filter(Boolean),
-    ]);
-    const pool = [
-      ...(system.characterAssets || []),
-      ...(system.shipAssets || []),
-      ...(system.resourceAssets || []),
-    ].filter((uuid) => !excludedUuids.has(uuid));
-    if (!pool.length) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.NoAssetsToCommandeer"),
-      );
-      return;
-    }
-    const chosenUuid = pool[Math.floor(Math.random() * pool.length)];
-    const asset = await fromUuid(chosenUuid);
-    entries[entryIndex].commandeeredAssetUuid = chosenUuid;
-    entries[entryIndex].outcomeConfirmed = true;
-    await this.actor.update({ [`system.${listKey}`]: entries });
-    const commandeerMsg = game.i18n.format("STA_TC.Wizard.AssetCommandeered", {
-      name: asset?.name || chosenUuid,
-    });
-    await TrackerNotifier.emit({
-      tracker: this.actor,
-      event: "phase3Commandeer",
-      message: commandeerMsg,
-      entityUuid: chosenUuid,
-    });
+  static async _onRollEscalation(event, target) {
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    await this.engine.rollEscalation(poiUuid);
   }
 
-  // ==========================================================================
-  // Helpers — Notes
-  // ==========================================================================
-
-  async _appendPendingNote(text) {
-    const current = this.actor.system.turnPendingNotes || "";
-    const updated = current ? `${current}\n${text}` : text;
-    await this.actor.update({ "system.turnPendingNotes": updated });
+  static async _onRollCommandeer(event, target) {
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    await this.engine.rollCommandeer(poiUuid);
   }
 
   // ==========================================================================
@@ -3413,293 +2886,65 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
   // ==========================================================================
 
   static async _onConfirmOutcomeResolved(event, target) {
-    const listKey = target.dataset.listKey;
-    const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    const actorUuid = entries[entryIndex].actorUuid;
-    const poiActor = actorUuid ? await fromUuid(actorUuid) : null;
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    const poiActor = await fromUuid(poiUuid);
     const deleteActor = await CampaignTrackerSheet._confirmRemove(
       poiActor?.name ?? "",
     );
     if (deleteActor === null) return;
-    entries.splice(entryIndex, 1);
-    await this.actor.update({ [`system.${listKey}`]: entries });
-    if (deleteActor && poiActor) await poiActor.delete();
+    await this.engine.confirmOutcomeResolved(poiUuid, { deleteActor });
     ui.notifications.info(game.i18n.localize("STA_TC.Wizard.Resolved"));
   }
 
   static async _onConfirmOutcomeIntensify(event, target) {
-    const listKey = target.dataset.listKey;
-    const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    const poiActorUuid = entries[entryIndex].actorUuid;
-    const poi = await fromUuid(poiActorUuid);
-    let notifyMsg = game.i18n.localize("STA_TC.Wizard.OutcomeIntensify1Short");
-    if (poi) {
-      const urgency = poi.system?.urgency || 1;
-      const oldDiff = poi.system?.difficulty || 1;
-      const poiUpdates = {
-        "system.urgency": Math.min(5, urgency + 1),
-        "system.difficulty": Math.min(5, oldDiff + 1),
-      };
-      if (poi.system?.difficulty2 != null)
-        poiUpdates["system.difficulty2"] = Math.min(
-          5,
-          poi.system.difficulty2 + 1,
-        );
-      await poi.update(poiUpdates);
-      notifyMsg = game.i18n.format("STA_TC.Notify.Phase3Intensify", {
-        name: poi.name,
-        oldUrgency: urgency,
-        newUrgency: Math.min(5, urgency + 1),
-        oldDiff,
-        newDiff: Math.min(5, oldDiff + 1),
-      });
-    }
-    entries[entryIndex].outcomeConfirmed = true;
-    await this.actor.update({ [`system.${listKey}`]: entries });
-    await TrackerNotifier.emit({
-      tracker: this.actor,
-      event: "phase3Intensify",
-      message: notifyMsg,
-      entityUuid: poiActorUuid,
-    });
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    await this.engine.confirmOutcomeIntensify(poiUuid);
   }
 
   static async _onConfirmOutcomeCatastrophe(event, target) {
-    const listKey = target.dataset.listKey;
-    const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const system = this.actor.system;
-    const entries = foundry.utils.deepClone(system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    const catastrophePoi = await fromUuid(entries[entryIndex].actorUuid);
-    entries.splice(entryIndex, 1);
-    await this.actor.update({
-      [`system.${listKey}`]: entries,
-      "system.pace": (system.pace || 0) + 1,
-    });
-    await TrackerNotifier.emit({
-      tracker: this.actor,
-      event: "phase3Catastrophe",
-      message: `${catastrophePoi?.name || "?"}: ${game.i18n.localize("STA_TC.Wizard.OutcomeCatastropheShort")} (${game.i18n.localize("STA_TC.CampaignTracker.Pace")} ${system.pace || 0}\u2192${(system.pace || 0) + 1})`,
-    });
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    await this.engine.confirmOutcomeCatastrophe(poiUuid);
   }
 
   static async _onConfirmOutcomeDiffIncrease(event, target) {
-    const listKey = target.dataset.listKey;
-    const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    const diffPoiUuid = entries[entryIndex].actorUuid;
-    const poi = await fromUuid(diffPoiUuid);
-    let diffNotifyMsg = game.i18n.localize(
-      "STA_TC.Wizard.OutcomeExplorationDiffShort",
-    );
-    if (poi) {
-      const oldDiff = poi.system?.difficulty || 1;
-      const poiUpdates = {
-        "system.missedCount": 1,
-        "system.difficulty": Math.min(5, oldDiff + 1),
-      };
-      if (poi.system?.difficulty2 != null)
-        poiUpdates["system.difficulty2"] = Math.min(
-          5,
-          poi.system.difficulty2 + 1,
-        );
-      await poi.update(poiUpdates);
-      diffNotifyMsg = game.i18n.format("STA_TC.Notify.Phase3DiffIncrease", {
-        name: poi.name,
-        oldDiff,
-        newDiff: Math.min(5, oldDiff + 1),
-      });
-    }
-    entries[entryIndex].outcomeConfirmed = true;
-    await this.actor.update({ [`system.${listKey}`]: entries });
-    await TrackerNotifier.emit({
-      tracker: this.actor,
-      event: "phase3DiffIncrease",
-      message: diffNotifyMsg,
-      entityUuid: diffPoiUuid,
-    });
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    await this.engine.confirmOutcomeDiffIncrease(poiUuid);
   }
 
   static async _onConfirmOutcomeExplorationRemove(event, target) {
-    const listKey = target.dataset.listKey;
-    const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    const removePoiUuid = entries[entryIndex].actorUuid;
-    const removePoi = await fromUuid(removePoiUuid);
-    entries.splice(entryIndex, 1);
-    await this.actor.update({ [`system.${listKey}`]: entries });
-    await TrackerNotifier.emit({
-      tracker: this.actor,
-      event: "phase3ExplorationRemove",
-      message: `${removePoi?.name || "?"}: ${game.i18n.localize("STA_TC.Wizard.OutcomeExplorationRemovedShort")}`,
-    });
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    await this.engine.confirmOutcomeExplorationRemove(poiUuid);
   }
 
   static async _onConfirmOutcomeExtraPoi(event, target) {
-    const listKey = target.dataset.listKey;
-    const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const system = this.actor.system;
-    const entries = foundry.utils.deepClone(system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    const poi = await fromUuid(entries[entryIndex].actorUuid);
-    await this._appendPendingNote(
-      game.i18n.format("STA_TC.Wizard.NoteExtraPoi", {
-        name: poi?.name || "?",
-      }),
-    );
-    entries[entryIndex].outcomeConfirmed = true;
-    await this.actor.update({
-      [`system.${listKey}`]: entries,
-      "system.turnExtraPoisNextTurn": (system.turnExtraPoisNextTurn || 0) + 1,
-    });
-    await TrackerNotifier.emit({
-      tracker: this.actor,
-      event: "phase3ExtraPoi",
-      message: `${poi?.name || "?"}: ${game.i18n.localize("STA_TC.Wizard.OutcomeUnknownShort")}`,
-      entityUuid: entries[entryIndex]?.actorUuid ?? "",
-    });
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    await this.engine.confirmOutcomeExtraPoi(poiUuid);
   }
 
   static async _onIgnoreOutcome(event, target) {
-    const listKey = target.dataset.listKey;
-    const entryIndex = parseInt(target.dataset.entryIndex);
-    if (!listKey || isNaN(entryIndex)) return;
-    const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-    if (!entries[entryIndex]) return;
-    const entry = entries[entryIndex];
-    const ignoredPoiUuid = entry.actorUuid;
-    entry.conflictResult = "";
-    entry.conflictSuccesses = 0;
-    entry.conflictMomentum = 0;
-    entry.conflictHadNat20 = false;
-    entry.consequenceChosen = "";
-    entry.failureChoice = "";
-    entry.lossResult = "";
-    entry.escalationRolled = false;
-    entry.commandeeredAssetUuid = "";
-    entry.outcomeConfirmed = false;
-    entry.outcomeIgnored = true;
-    await this.actor.update({ [`system.${listKey}`]: entries });
-    await TrackerNotifier.emit({
-      tracker: this.actor,
-      event: "phase3Ignore",
-      message: game.i18n.localize("STA_TC.Wizard.OutcomeIgnored"),
-      entityUuid: ignoredPoiUuid,
-    });
+    const poiUuid = this._entryUuidFromTarget(target);
+    if (!poiUuid) return;
+    await this.engine.ignoreOutcome(poiUuid);
   }
 
   static async _onConfirmProgression(event, target) {
-    const system = this.actor.system;
-    if (system.turnProgressionConfirmed) return;
-
-    const resolvedExplorationCount = (system.poiListExploration || []).filter(
-      (e) =>
-        e.conflictResult === "success" || e.conflictResult === "flawedSuccess",
-    ).length;
-    const fromExploration = resolvedExplorationCount * 3;
-    const fromMomentum = system.turnMomentumSpent || 0;
-    const roleplayBonus = system.turnRoleplayBonus || 0;
-    const progressionGain = fromExploration + fromMomentum + roleplayBonus;
-    const newTotal = (system.progression || 0) + progressionGain;
-
-    const updates = {
-      "system.progression": newTotal,
-      "system.turnProgressionConfirmed": true,
-    };
-    if (fromMomentum > 0) {
-      updates["system.campaignMomentum"] = Math.max(
-        0,
-        (system.campaignMomentum || 0) - fromMomentum,
-      );
-    }
-    await this.actor.update(updates);
-    await TrackerNotifier.emit({
-      tracker: this.actor,
-      event: "progressionConfirmed",
-      message: game.i18n.format("STA_TC.Wizard.ProgressionConfirmed", {
-        gain: progressionGain,
-        total: newTotal,
-      }),
-    });
+    await this.engine.confirmProgression();
   }
 
   static async _onRollProgression(event, target) {
-    const system = this.actor.system;
-    const currentProgression = system.progression || 0;
-    if (currentProgression < 5) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.NotEnoughProgression"),
-      );
-      return;
-    }
-    const tableUuid = game.settings.get(MODULE_ID, "tableProgression");
-    if (!tableUuid) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.ProgressionTableNotConfigured"),
-      );
-      return;
-    }
-    const table = await fromUuid(tableUuid);
-    if (!table) {
-      ui.notifications.error(
-        game.i18n.format("STA_TC.Poi.Generator.TableNotFound", {
-          name: "Progression",
-        }),
-      );
-      return;
-    }
-    const roll = await table.roll();
-    const result = roll.results?.[0];
-    if (!result) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.NoProgressionResults"),
-      );
-      return;
-    }
-    await this.actor.update({
-      "system.progression": currentProgression - 5,
-    });
-    await CampaignTrackerSheet._applyProgressionResult(result, this);
+    await this.engine.rollProgression();
   }
 
   static async _onChooseProgression(event, target) {
-    const system = this.actor.system;
-    const currentProgression = system.progression || 0;
-    if (currentProgression < 5) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.NotEnoughProgression"),
-      );
-      return;
-    }
-
-    const tableUuid = game.settings.get(MODULE_ID, "tableProgression");
-    if (!tableUuid) {
-      ui.notifications.warn(
-        game.i18n.localize("STA_TC.Wizard.ProgressionTableNotConfigured"),
-      );
-      return;
-    }
-    const table = await fromUuid(tableUuid);
-    if (!table) {
-      ui.notifications.error(
-        game.i18n.format("STA_TC.Poi.Generator.TableNotFound", {
-          name: "Progression",
-        }),
-      );
-      return;
-    }
+    const engine = this.engine;
+    const table = await engine.getProgressionTable();
+    if (!table) return;
     const results = Array.from(table.results?.contents ?? table.results ?? []);
     if (!results.length) {
       ui.notifications.warn(
@@ -3733,316 +2978,23 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     });
 
     if (idx === null || idx === undefined) return;
-    const result = results[parseInt(idx)];
-    if (!result) return;
-    await this.actor.update({
-      "system.progression": currentProgression - 5,
-    });
-    await CampaignTrackerSheet._applyProgressionResult(result, this);
-  }
-
-  /**
-   * Build a rich chat-card body for a rolled/selected roll table result.
-   * Resolves the linked item (if any) to show its name, effect text, image,
-   * and a draggable Foundry content link.
-   *
-   * @param {object} opts
-   * @param {TableResult} opts.result - The roll table result.
-   * @param {string} opts.headerLabel - Card header text.
-   * @param {string} opts.accent - Accent colour (CSS).
-   * @returns {Promise<string>} HTML string.
-   */
-  static async _buildResultCard({ result, headerLabel, accent }) {
-    let name = result?.text || result?.name || "";
-    let effect = "";
-    let img = result?.img || result?.icon || "";
-    let uuid = result?.documentUuid || "";
-
-    if (uuid) {
-      const doc = await fromUuid(uuid);
-      if (doc) {
-        name = doc.name || name;
-        effect = doc.system?.effect || "";
-        img = doc.img || img;
-        uuid = doc.uuid;
-      }
-    }
-    if (!name) name = game.i18n.localize("STA_TC.Types.Progression");
-
-    const safeName = foundry.utils.escapeHTML(name);
-    const safeHeader = foundry.utils.escapeHTML(headerLabel);
-    const imgHtml = img
-      ? `<img src="${img}" alt="" style="width:44px;height:44px;object-fit:cover;border:none;border-radius:4px;flex:0 0 auto;" />`
-      : "";
-    const effectHtml = effect
-      ? `<div style="margin-top:6px;line-height:1.4;">${effect}</div>`
-      : "";
-    // @UUID[...] is auto-enriched into a draggable content link in chat.
-    const linkHtml = uuid
-      ? `<div style="margin-top:8px;font-size:0.9em;opacity:0.9;">@UUID[${uuid}]{${safeName}}</div>`
-      : "";
-
-    return `<div style="border-left:4px solid ${accent};background:rgba(0,0,0,0.25);border-radius:6px;padding:10px;">
-      <div style="font-weight:bold;color:${accent};text-transform:uppercase;font-size:0.8em;letter-spacing:0.5px;margin-bottom:6px;">${safeHeader}</div>
-      <div style="display:flex;gap:8px;align-items:flex-start;">
-        ${imgHtml}
-        <div style="flex:1;">
-          <div style="font-weight:bold;font-size:1.05em;">${safeName}</div>
-          ${effectHtml}
-          ${linkHtml}
-        </div>
-      </div>
-    </div>`;
+    await engine.chooseProgression(parseInt(idx));
   }
 
   /**
-   * Post a rich chat card for a progression roll result. No automation is
-   * applied; the effect text comes from the linked progression item.
-   *
-   * @param {TableResult} result - The rolled/selected roll table result.
-   * @param {CampaignTrackerSheet} sheet
+   * Station an asset from another front of this theatre group on this one.
    */
-  static async _applyProgressionResult(result, sheet) {
-    const content = await CampaignTrackerSheet._buildResultCard({
-      result,
-      headerLabel: game.i18n.localize("STA_TC.Wizard.RollProgression"),
-      accent: "#3498db",
-    });
-    await ChatMessage.create({
-      content,
-      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
-      whisper: [game.user.id],
-    });
-  }
-
-  // =========================================================================
-  // Dice & Roll Methods
-  // =========================================================================
-
-  async _performRoll(
-    diceCount,
-    powerValue,
-    focusValue,
-    usingFocus,
-    usingDedicatedFocus,
-    usingDetermination,
-    complicationRange,
-    speakerName,
-    poiName,
-    power,
-  ) {
-    let focusRange = usingFocus ? focusValue : 0;
-    if (usingDedicatedFocus) focusRange *= 2;
-    let actualDice = diceCount,
-      successes = 0,
-      hadNat20 = false;
-    if (usingDetermination && actualDice > 0) {
-      successes += 2;
-      actualDice -= 1;
-    }
-    const rolls = [];
-    let roll = null;
-    if (actualDice > 0) {
-      roll = await new Roll(`${actualDice}d20`).evaluate();
-      for (const die of roll.dice[0].results) {
-        const val = die.result;
-        rolls.push(val);
-        if (val >= 21 - complicationRange) hadNat20 = true;
-        if (val <= powerValue) {
-          successes += 1;
-          if (val <= focusRange) successes += 1;
-        }
-      }
-    }
-    const powerLabel = game.i18n.localize(
-      `STA_TC.Powers.${this._capitalize(power)}`,
-    );
-    return {
-      successes,
-      hadNat20,
-      rolls,
-      roll,
-      targetNumber: powerValue,
-      focusRange,
-      complicationRange,
-      usedDetermination: usingDetermination,
-      powerLabel,
-      speakerName,
-      poiName,
-    };
-  }
-
-  async _postConflictRollSummaryChat({
-    poi,
-    primaryActor,
-    assistActor,
-    chosenPower,
-    primaryResult,
-    assistResult,
-    totalSuccesses,
-  }) {
-    const powerLabel = game.i18n.localize(
-      `STA_TC.Powers.${this._capitalize(chosenPower)}`,
-    );
-
-    // Build STA-style dice HTML: max (gold) = focus/crit, min (red) = complication
-    const buildDiceString = (r) => {
-      if (!r) return "";
-      let html = "";
-      if (r.usedDetermination) {
-        html += `<li class="roll die d20 max">1</li>`;
-      }
-      for (const val of r.rolls ?? []) {
-        if ((r.focusRange > 0 && val <= r.focusRange) || val === 1) {
-          html += `<li class="roll die d20 max">${val}</li>`;
-        } else if (val <= r.targetNumber) {
-          html += `<li class="roll die d20">${val}</li>`;
-        } else if (val >= 21 - (r.complicationRange ?? 1)) {
-          html += `<li class="roll die d20 min">${val}</li>`;
-        } else {
-          html += `<li class="roll die d20">${val}</li>`;
-        }
-      }
-      return html;
-    };
-
-    const buildRollDetails = (r) => {
-      const parts = [];
-      if (r?.usedDetermination)
-        parts.push(game.i18n.localize("STA_TC.Dialog.UsingDetermination"));
-      if (r?.focusRange > 0)
-        parts.push(game.i18n.localize("STA_TC.Dialog.UsingFocus"));
-      return parts.join(", ");
-    };
-
-    const countComplications = (r) =>
-      (r?.rolls ?? []).filter((v) => v >= 21 - (r?.complicationRange ?? 1))
-        .length;
-    const totalComplications =
-      countComplications(primaryResult) + countComplications(assistResult);
-
-    // Use STA's own i18n keys for the success/complication summary lines
-    const successText =
-      totalSuccesses === 1
-        ? `1 ${game.i18n.localize("sta.roll.success")}`
-        : `${totalSuccesses} ${game.i18n.localize("sta.roll.successPlural")}`;
-    const complicationText =
-      totalComplications === 1
-        ? `1 ${game.i18n.localize("sta.roll.complication")}`
-        : totalComplications > 1
-          ? `${totalComplications} ${game.i18n.localize("sta.roll.complicationPlural")}`
-          : "";
-
-    const dicePool =
-      (primaryResult.rolls?.length ?? 0) +
-      (primaryResult.usedDetermination ? 1 : 0);
-
-    // Use the NPC template (crew + ship layout) when there is an assisting asset,
-    // otherwise fall back to the standard single-actor task template.
-    const useNpcTemplate = !!assistActor;
-    const templatePath = useNpcTemplate
-      ? "systems/sta/templates/chat/attribute-test-npc.hbs"
-      : "systems/sta/templates/chat/attribute-test.hbs";
-
-    const templateData = useNpcTemplate
-      ? {
-          speakerName: primaryActor?.name ?? "-",
-          flavor: powerLabel,
-          dicePool,
-          checkTarget: primaryResult.targetNumber,
-          complicationMinimumValue: 20,
-          rollDetails: buildRollDetails(primaryResult),
-          diceString: buildDiceString(primaryResult),
-          starshipName: assistActor.name,
-          flavorship: powerLabel,
-          checkTargetship: assistResult?.targetNumber ?? 0,
-          diceStringship: buildDiceString(assistResult),
-          successText,
-          complicationText,
-        }
-      : {
-          speakerName: primaryActor?.name ?? "-",
-          flavor: powerLabel,
-          dicePool,
-          checkTarget: primaryResult.targetNumber,
-          complicationMinimumValue: 20,
-          rollDetails: buildRollDetails(primaryResult),
-          diceString: buildDiceString(primaryResult),
-          successText,
-          complicationText,
-        };
-
-    const rollHTML = await foundry.applications.handlebars.renderTemplate(
-      templatePath,
-      templateData,
-    );
-
-    const rolls = [];
-    if (primaryResult?.roll) rolls.push(primaryResult.roll);
-    if (assistResult?.roll) rolls.push(assistResult.roll);
-
-    await ChatMessage.create({
-      rolls,
-      content: rollHTML,
-      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
-      whisper: game.users.contents.filter((u) => u.isGM).map((u) => u.id),
-      flags: {
-        sta: {
-          rollType: useNpcTemplate ? "npc" : "task",
-          speakerName: primaryActor?.name ?? "-",
-          starshipName: assistActor?.name ?? undefined,
-          flavor: powerLabel,
-          flavorship: useNpcTemplate ? powerLabel : undefined,
-          dicePool,
-          checkTarget: primaryResult.targetNumber,
-          checkTargetship: assistResult?.targetNumber ?? 0,
-          complicationMinimumValue: 20,
-          disDepTarget: primaryResult.focusRange,
-          shipdisDepTarget: assistResult?.focusRange ?? 0,
-          usingFocus: primaryResult.focusRange > 0,
-          usingDedicatedFocus: false,
-          diceOutcome: [...(primaryResult.rolls ?? [])],
-          shipdiceOutcome: assistResult
-            ? [...(assistResult.rolls ?? [])]
-            : undefined,
-        },
-        "sta-tactical-campaign": {
-          poiUuid: poi.uuid,
-          trackerActorId: this.actor.id,
-          primaryTargetNumber: primaryResult.targetNumber,
-          primaryFocusRange: primaryResult.focusRange,
-          primaryUsedDetermination: primaryResult.usedDetermination ?? false,
-          assistTargetNumber: assistResult?.targetNumber ?? 0,
-          assistFocusRange: assistResult?.focusRange ?? 0,
-          assistUsedDetermination: assistResult?.usedDetermination ?? false,
-          hasAssist: !!assistActor,
-        },
-      },
-    });
+  static async _onTransferAsset(event, target) {
+    if (!game.user.isGM) return;
+    const uuid = target.dataset.uuid;
+    if (!uuid) return;
+    await transferAsset(uuid, this.actor);
   }
 
   // ==========================================================================
   // Active-Effect helpers for asset unavailability
   // ==========================================================================
 
-  /**
-   * Apply (or replace) an "unavailable" Active Effect on an asset actor.
-   * The AE stores the campaign turn at which it should auto-expire so that
-   * _onStartTurn can clean it up without relying on world-time.
-   *
-   * @param {string} actorUuid       - UUID of the asset actor
-   * @param {string} label           - Human-readable reason (shown as AE name)
-   * @param {number} expireAfterTurn - Campaign turn number at which the AE should be removed
-   */
-  async _applyUnavailableEffect(actorUuid, label, expireAfterTurn) {
-    const actor = await fromUuid(actorUuid);
-    if (!actor) return;
-    await replaceAssetStatusEffect(actor, "unavailable", {
-      name: label || game.i18n.localize("STA_TC.Wizard.UnavailableStatus"),
-      expireAfterTurn,
-    });
-  }
-
   /**
    * GM action: manually remove the unavailable AE from an asset actor.
    */
@@ -4061,6 +3013,86 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     this.render();
   }
 
+  /**
+   * GM action: grant a pending veterancy promotion to an asset.
+   */
+  static async _onPromoteAsset(event, target) {
+    if (!game.user.isGM) return;
+    const asset = await fromUuid(target.closest("[data-uuid]")?.dataset.uuid);
+    if (asset) await promptPromotion(asset, { tracker: this.actor });
+  }
+
+  /**
+   * GM action: spend a point of Priority Supply to speed up a recovery.
+   */
+  static async _onExpediteRecovery(event, target) {
+    if (!game.user.isGM) return;
+    const uuid = target.closest("[data-uuid]")?.dataset.uuid;
+    if (uuid) await expediteRecovery(this.actor, uuid);
+  }
+
+  /**
+   * GM action: commit a free resource asset to speed up a recovery. Resources
+   * that are assigned, commandeered, unavailable or lost cannot be committed.
+   */
+  static async _onCommitRecoveryResource(event, target) {
+    if (!game.user.isGM) return;
+    const uuid = target.closest("[data-uuid]")?.dataset.uuid;
+    if (!uuid) return;
+
+    const system = this.actor.system;
+    const assetPoiMap = await this._buildAssetPoiMap(system);
+    const busy = getBusyAssets(this.actor);
+    const commandeered = new Set(system.commandeeredAssets || []);
+    const resources = (
+      await Promise.all((system.resourceAssets || []).map((u) => fromUuid(u)))
+    ).filter(
+      (resource) =>
+        resource &&
+        !assetPoiMap[resource.uuid] &&
+        !busy.has(resource.uuid) &&
+        !commandeered.has(resource.uuid) &&
+        !resource.effects.some(
+          (effect) =>
+            effect.active &&
+            (effect.flags?.[MODULE_ID]?.unavailable ||
+              effect.flags?.[MODULE_ID]?.lost),
+        ),
+    );
+    if (!resources.length) {
+      ui.notifications.info(game.i18n.localize("STA_TC.Recovery.NoResources"));
+      return;
+    }
+
+    const rows = resources
+      .map(
+        (r, i) =>
+          `<label class="asset-picker-row">
+        <input type="radio" name="resourceUuid" value="${r.uuid}" ${i === 0 ? "checked" : ""} />
+        <img src="${r.img}" width="26" height="26" style="border-radius:3px;object-fit:cover;flex-shrink:0;" />
+        <div class="asset-picker-info">
+          <span class="asset-picker-name">${r.name}</span>
+        </div>
+      </label>`,
+      )
+      .join("");
+
+    const resourceUuid = await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.localize("STA_TC.Recovery.CommitResource"),
+      },
+      content: `<p>${game.i18n.localize("STA_TC.Recovery.CommitResourceHint")}</p><div class="asset-picker-list">${rows}</div>`,
+      ok: {
+        label: game.i18n.localize("STA_TC.Recovery.Commit"),
+        callback: (_ev, button) =>
+          button.form.elements.resourceUuid.value || null,
+      },
+      rejectClose: false,
+    });
+    if (resourceUuid)
+      await expediteRecovery(this.actor, uuid, { resourceUuid });
+  }
+
   /**
    * Open the Progression Log popup for this campaign tracker.
    */
@@ -4075,6 +3107,22 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     TurnLog.open(this.actor);
   }
 
+  static _onOpenCampaignHistory(event, target) {
+    CampaignHistory.open(this.actor);
+  }
+
+  /**
+   * Open the read-only player Campaign Board for this campaign tracker.
+   */
+  static _onOpenCampaignBoard(event, target) {
+    CampaignBoard.open(this.actor);
+  }
+
+  /** Group the POI lists by sector, or stop grouping them. */
+  static _onToggleSectorGroups(event, target) {
+    this._setSectorView({ group: !this._getSectorView().group });
+  }
+
   /**
    * Open the roll table sheet for a PoI type, using the UUID from game settings.
    */
@@ -4133,139 +3181,15 @@ export class CampaignTrackerSheet extends HandlebarsApplicationMixin(
     }
   }
 
-  async _rollForLoss(poiUuid) {
-    let primaryUuid = null;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      for (const entry of this.actor.system[listKey] || []) {
-        if (entry.actorUuid === poiUuid) {
-          primaryUuid = entry.asset1Uuid;
-          break;
-        }
-      }
-      if (primaryUuid) break;
-    }
-    const primaryActor = primaryUuid ? await fromUuid(primaryUuid) : null;
-    const assetType = primaryActor?.system?.assetType || "character";
-
-    // Roll 1d20 for loss outcome
-    const roll = await new Roll("1d20").evaluate();
-    const rollValue = roll.total;
-
-    let resultTitle;
-    let resultDesc;
-    let markLost = false;
-    let markUnavailable = false;
-
-    if (assetType === "ship") {
-      if (rollValue === 1) {
-        resultTitle = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipLostAllHands",
-        );
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipLostAllHandsDesc",
-        );
-        markLost = true;
-      } else if (rollValue <= 4) {
-        resultTitle = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipBeyondRecovery",
-        );
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipBeyondRecoveryDesc",
-        );
-        markLost = true;
-      } else if (rollValue <= 12) {
-        resultTitle = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipDamaged",
-        );
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipDamagedDesc",
-        );
-        markUnavailable = true;
-      } else {
-        resultTitle = game.i18n.localize("STA_TC.Wizard.LossOutcome.ShipMinor");
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.ShipMinorDesc",
-        );
-      }
-    } else {
-      if (rollValue <= 2) {
-        resultTitle = game.i18n.localize("STA_TC.Wizard.LossOutcome.CharMIA");
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.CharMIADesc",
-        );
-        markLost = true;
-      } else if (rollValue <= 10) {
-        resultTitle = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.CharInjured",
-        );
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.CharInjuredDesc",
-        );
-        markUnavailable = true;
-      } else {
-        resultTitle = game.i18n.localize("STA_TC.Wizard.LossOutcome.CharNone");
-        resultDesc = game.i18n.localize(
-          "STA_TC.Wizard.LossOutcome.CharNoneDesc",
-        );
-      }
-    }
-
-    if (markLost && primaryActor) {
-      await replaceAssetStatusEffect(primaryActor, "lost", {
-        name: resultTitle,
-      });
-    }
-
-    const resultText = resultTitle;
-    for (const listKey of [
-      "poiListThreat",
-      "poiListExploration",
-      "poiListRoutine",
-      "poiListUnknown",
-    ]) {
-      const entries = foundry.utils.deepClone(this.actor.system[listKey] || []);
-      const idx = entries.findIndex((e) => e.actorUuid === poiUuid);
-      if (idx !== -1) {
-        entries[idx].lossResult = resultText;
-        await this.actor.update({ [`system.${listKey}`]: entries });
-        break;
-      }
-    }
-    const allHandsNote =
-      markLost && assetType === "ship" && rollValue === 1
-        ? `<p style="font-size:0.85em;color:#ffaaa0;margin-top:6px;"><i class="fas fa-exclamation-triangle"></i> Any Character assets assigned to this ship's mission should also be marked Lost.</p>`
-        : "";
-    await ChatMessage.create({
-      content: `<div style="background:#333;border-radius:8px;padding:10px;color:#eee;border-left:4px solid #e74c3c;">
-        <h3 style="margin:0 0 6px;color:#e74c3c;">&#x1F480; ${game.i18n.localize("STA_TC.RollForLoss")} \u2014 ${rollValue}/20</h3>
-        <p><strong>${primaryActor?.name || "Asset"}:</strong> <em>${resultTitle}</em></p>
-        <p style="font-size:0.9em;opacity:0.8;margin-top:4px;">${resultDesc}</p>${allHandsNote}
-      </div>`,
-      speaker: { alias: game.i18n.localize("STA_TC.Wizard.SpeakerAlias") },
-      whisper: [game.user.id],
-    });
-    // Apply an unavailability AE to the primary asset actor when the result
-    // is "unavailable" (not lost, not minor).
-    if (primaryUuid && markUnavailable) {
-      const expireAfterTurn = (this.actor.system.campaignTurnNumber || 0) + 1;
-      await this._applyUnavailableEffect(
-        primaryUuid,
-        resultText,
-        expireAfterTurn,
-      );
-    }
-  }
-
   // ==========================================================================
   // Utility
   // ==========================================================================
 
   _capitalize(str) {
+    return CampaignTrackerSheet._capitalizeKey(str);
+  }
+
+  static _capitalizeKey(str) {
     if (!str) return "";
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
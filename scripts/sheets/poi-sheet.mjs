@@ -7,6 +7,12 @@ const { HandlebarsApplicationMixin } = foundry.applications.api;
 const { ActorSheetV2 } = foundry.applications.sheets;
 
 import { EventEffectResolver } from "../apps/event-effect-resolver.mjs";
+import { ASSET_TYPE_LABELS, getPoiSlots } from "../utils.mjs";
+import { getCampaignTracker } from "../active-effect-service.mjs";
+import { rollTable } from "../campaign-rng.mjs";
+import { addTraitName, getKnownTraitNames } from "../trait-rules.mjs";
+import { FOLLOW_UP_TRIGGERS, describeFollowUp } from "../poi-chains.mjs";
+import { getSectorNames } from "../sector-map.mjs";
 
 const MODULE_ID = "sta-tactical-campaign";
 
@@ -21,6 +27,11 @@ export class PoiSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
       toggleEffect: PoiSheet._onToggleEffect,
       rollRandomEvent: PoiSheet._onRollRandomEvent,
       addCustomEvent: PoiSheet._onAddCustomEvent,
+      addTag: PoiSheet._onAddTag,
+      removeTag: PoiSheet._onRemoveTag,
+      addFollowUp: PoiSheet._onAddFollowUp,
+      removeFollowUp: PoiSheet._onRemoveFollowUp,
+      openFollowUp: PoiSheet._onOpenFollowUp,
     },
     dragDrop: [{ dragSelector: null, dropSelector: null }],
     form: {
@@ -106,6 +117,27 @@ export class PoiSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
       complexDescriptions: descriptions,
       assetEffectDescriptions,
       hasEventTable: !!game.settings.get(MODULE_ID, "tableEvents"),
+      roundCostChoices: {
+        threat: "STA_TC.Extended.CostThreat",
+        complication: "STA_TC.Extended.CostComplication",
+      },
+      assetSlots: getPoiSlots(actor).map(({ slot, primary, type }) => ({
+        slot,
+        type,
+        label: primary
+          ? "STA_TC.CampaignTracker.Primary"
+          : "STA_TC.CampaignTracker.Assisting",
+      })),
+      slotTypeChoices: { "": "STA_TC.Poi.AnyAsset", ...ASSET_TYPE_LABELS },
+      knownTags: getKnownTraitNames().tags,
+      sectorChoices: PoiSheet._sectorChoices(system.sector),
+      isGM: game.user.isGM,
+      followUps: (system.followUps ?? []).map((link, index) => ({
+        index,
+        ...link,
+        ...describeFollowUp(link.uuid),
+      })),
+      followUpTriggers: FOLLOW_UP_TRIGGERS,
     };
   }
 
@@ -125,6 +157,22 @@ export class PoiSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     await this.actor.createEmbeddedDocuments("Item", [itemData]);
   }
 
+  /**
+   * Dropping a POI actor or a RollTable on the follow-ups section links it as
+   * a new follow-up.
+   * @override
+   */
+  async _onDrop(event) {
+    if (!event.target.closest?.(".poi-follow-ups")) return super._onDrop(event);
+    const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+    const target = data.uuid ? await fromUuid(data.uuid) : null;
+    if (!(target instanceof RollTable) && target?.type !== `${MODULE_ID}.poi`) {
+      ui.notifications.warn(game.i18n.localize("STA_TC.Chains.DropHint"));
+      return;
+    }
+    await PoiSheet._addFollowUp(this.actor, target.uuid);
+  }
+
   /** Open an owned Event item's sheet */
   static _onOpenEvent(event, target) {
     const itemId = target.closest("[data-item-id]").dataset.itemId;
@@ -195,7 +243,7 @@ export class PoiSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
       return;
     }
 
-    const roll = await table.roll();
+    const roll = await rollTable(await getCampaignTracker(), table);
     const result = roll.results?.[0];
 
     // Prefer a directly-referenced Event item document in the table result.
@@ -244,4 +292,78 @@ export class PoiSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
     ]);
     created?.sheet.render(true);
   }
+
+  /** Add the tag typed in the tag field. */
+  static async _onAddTag(event, target) {
+    const input = target.closest(".trait-tag-add")?.querySelector(".trait-tag-input");
+    const tags = addTraitName(this.actor.system.tags ?? [], input?.value);
+    if (input) input.value = "";
+    if (tags) await this.actor.update({ "system.tags": tags });
+  }
+
+  /** Remove a tag. */
+  static async _onRemoveTag(event, target) {
+    const tag = target.closest("[data-tag]").dataset.tag;
+    await this.actor.update({
+      "system.tags": (this.actor.system.tags ?? []).filter((t) => t !== tag),
+    });
+  }
+
+  /** Add a blank follow-up link; its target is dropped or pasted in. */
+  static async _onAddFollowUp(event, target) {
+    await PoiSheet._addFollowUp(this.actor, "");
+  }
+
+  /** Remove a follow-up link */
+  static async _onRemoveFollowUp(event, target) {
+    const index = Number(target.closest("[data-index]").dataset.index);
+    await this.actor.update({
+      "system.followUps": (this.actor.system.followUps ?? []).filter((_link, i) => i !== index),
+    });
+  }
+
+  /** Open the POI actor or RollTable a follow-up link points to */
+  static async _onOpenFollowUp(event, target) {
+    const index = Number(target.closest("[data-index]").dataset.index);
+    const linked = await fromUuid(this.actor.system.followUps?.[index]?.uuid ?? "");
+    linked?.sheet.render(true);
+  }
+
+  /**
+   * Sectors of the campaign map for the sector select, keeping a sector the
+   * map no longer has.
+   * @param {string} current
+   * @returns {object|null} null when there is no map and no sector to show.
+   */
+  static _sectorChoices(current) {
+    const names = getSectorNames();
+    if (current && !names.includes(current)) names.push(current);
+    if (!names.length) return null;
+    return {
+      "": game.i18n.localize("STA_TC.Sectors.Unplaced"),
+      ...Object.fromEntries(names.map((name) => [name, name])),
+    };
+  }
+
+  /**
+   * Append a follow-up link, fired on success until the GM picks a trigger.
+   * @param {Actor} actor
+   * @param {string} uuid
+   */
+  static async _addFollowUp(actor, uuid) {
+    await actor.update({
+      "system.followUps": [...(actor.system.followUps ?? []), { trigger: "success", uuid }],
+    });
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    // Enter in the tag field adds the tag instead of submitting the sheet
+    this.element.querySelector(".trait-tag-input")?.addEventListener("keydown", (keyEvent) => {
+      if (keyEvent.key !== "Enter") return;
+      keyEvent.preventDefault();
+      keyEvent.target.closest(".trait-tag-add").querySelector("[data-action=addTag]").click();
+    });
+  }
 }
@@ -0,0 +1,215 @@
+/**
+ * Theatres — several campaign trackers running side by side as fronts of one
+ * campaign.
+ *
+ * A tracker becomes a theatre by pointing `system.parentTracker` at another
+ * tracker, the parent roster. The parent and all of its theatres form one
+ * group:
+ *   - each tracker keeps the assets stationed on its own front in its asset
+ *     lists; the union of those lists is the group's shared roster
+ *   - an asset assigned to a POI on one front is busy for every other front
+ *   - assets are moved between fronts with transferAsset()
+ *   - the group's turn counter (the lowest turn reached by any front) is the
+ *     single authority for campaign-turn effect expiry
+ *
+ * Only one level of nesting is allowed: a parent roster cannot itself be a
+ * theatre of another tracker.
+ */
+
+import { TrackerNotifier } from "./apps/tracker-notifier.mjs";
+import { POI_LIST_KEYS } from "./campaign-turn-engine.mjs";
+import { getEntryAssetUuids } from "./utils.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+const TRACKER_TYPE = `${MODULE_ID}.campaignTracker`;
+
+export const ASSET_LIST_KEYS = [
+  "characterAssets",
+  "shipAssets",
+  "resourceAssets",
+];
+
+function _getTrackers() {
+  return game.actors.filter((actor) => actor.type === TRACKER_TYPE);
+}
+
+/**
+ * The parent roster a tracker is linked to, or null for a standalone tracker
+ * (or a parent roster itself).
+ * @param {Actor} tracker
+ * @returns {Actor|null}
+ */
+export function getParentTracker(tracker) {
+  const uuid = tracker?.system?.parentTracker;
+  if (!uuid || uuid === tracker.uuid) return null;
+  const parent = fromUuidSync(uuid);
+  if (parent?.type !== TRACKER_TYPE || parent.system?.parentTracker)
+    return null;
+  return parent;
+}
+
+/**
+ * The tracker holding the group together: the parent roster of a theatre, or
+ * the tracker itself.
+ * @param {Actor} tracker
+ * @returns {Actor}
+ */
+export function getRootTracker(tracker) {
+  return getParentTracker(tracker) ?? tracker;
+}
+
+/**
+ * Every tracker in the tracker's group, parent roster first.
+ * @param {Actor} tracker
+ * @returns {Actor[]}
+ */
+export function getTheatres(tracker) {
+  const root = getRootTracker(tracker);
+  return [
+    root,
+    ..._getTrackers().filter(
+      (other) => other !== root && getParentTracker(other) === root,
+    ),
+  ];
+}
+
+/**
+ * Asset UUIDs of the group's shared roster, without duplicates.
+ * @param {Actor} tracker
+ * @param {string[]} [keys] - Asset list keys to include.
+ * @returns {string[]}
+ */
+export function getRosterAssetUuids(tracker, keys = ASSET_LIST_KEYS) {
+  const uuids = new Set();
+  for (const theatre of getTheatres(tracker)) {
+    for (const key of keys) {
+      for (const uuid of theatre.system[key] || []) uuids.add(uuid);
+    }
+  }
+  return [...uuids];
+}
+
+/**
+ * The front an asset is stationed on, with the asset list holding it.
+ * @param {Actor} tracker - Any tracker of the group.
+ * @param {string} assetUuid
+ * @returns {{theatre: Actor, listKey: string}|null}
+ */
+export function getStationedTheatre(tracker, assetUuid) {
+  for (const theatre of getTheatres(tracker)) {
+    for (const listKey of ASSET_LIST_KEYS) {
+      if ((theatre.system[listKey] || []).includes(assetUuid))
+        return { theatre, listKey };
+    }
+  }
+  return null;
+}
+
+/**
+ * Assets assigned to a POI on any front other than the given tracker.
+ * @param {Actor} tracker
+ * @returns {Map<string, Actor>} Asset UUID → the theatre it is busy on.
+ */
+export function getBusyAssets(tracker) {
+  const busy = new Map();
+  for (const theatre of getTheatres(tracker)) {
+    if (theatre === tracker) continue;
+    for (const listKey of POI_LIST_KEYS) {
+      for (const entry of theatre.system[listKey] || []) {
+        for (const uuid of getEntryAssetUuids(entry)) busy.set(uuid, theatre);
+      }
+    }
+  }
+  return busy;
+}
+
+/**
+ * The group's campaign turn: the lowest turn number any front has reached.
+ * Fronts that run ahead do not move the campaign on until the others catch up.
+ * @param {Actor} tracker
+ * @returns {number}
+ */
+export function getCampaignTurnNumber(tracker) {
+  return Math.min(
+    ...getTheatres(tracker).map(
+      (theatre) => theatre.system?.campaignTurnNumber ?? 0,
+    ),
+  );
+}
+
+/**
+ * The last campaign turn the whole group has finished once the given front
+ * ends its current turn. Effects expiring after that turn are due now; the
+ * fronts still playing it keep theirs until the last one ends.
+ * @param {Actor} tracker - The front that is ending its turn.
+ * @returns {number}
+ */
+export function getExpiryTurnNumber(tracker) {
+  const own = tracker.system?.campaignTurnNumber ?? 0;
+  const others = getTheatres(tracker)
+    .filter((theatre) => theatre !== tracker)
+    .map((theatre) => (theatre.system?.campaignTurnNumber ?? 0) - 1);
+  return Math.min(own, ...others);
+}
+
+/**
+ * Trackers a tracker may be linked to as a theatre: standalone trackers other
+ * than itself. A tracker that already has theatres cannot become one.
+ * @param {Actor} tracker
+ * @returns {Actor[]}
+ */
+export function getParentTrackerChoices(tracker) {
+  if (
+    _getTrackers().some(
+      (other) => other !== tracker && getParentTracker(other) === tracker,
+    )
+  )
+    return [];
+  return _getTrackers().filter(
+    (other) => other !== tracker && !other.system?.parentTracker,
+  );
+}
+
+/**
+ * Move an asset from the front it is stationed on to another front of the
+ * same group. Busy assets stay where they are until they are recalled.
+ * @param {string} assetUuid
+ * @param {Actor} toTracker
+ * @returns {Promise<boolean>}
+ */
+export async function transferAsset(assetUuid, toTracker) {
+  const stationed = getStationedTheatre(toTracker, assetUuid);
+  if (!stationed || stationed.theatre === toTracker) return false;
+  const asset = await fromUuid(assetUuid);
+  const busyOn = getBusyAssets(toTracker).get(assetUuid);
+  if (busyOn) {
+    ui.notifications.warn(
+      game.i18n.format("STA_TC.Theatre.AssetBusy", {
+        name: asset?.name || "?",
+        theatre: busyOn.name,
+      }),
+    );
+    return false;
+  }
+
+  const { theatre: fromTracker, listKey } = stationed;
+  await fromTracker.update({
+    [`system.${listKey}`]: (fromTracker.system[listKey] || []).filter(
+      (uuid) => uuid !== assetUuid,
+    ),
+  });
+  await toTracker.update({
+    [`system.${listKey}`]: [...(toTracker.system[listKey] || []), assetUuid],
+  });
+  await TrackerNotifier.emit({
+    tracker: toTracker,
+    event: "assetTransferred",
+    message: game.i18n.format("STA_TC.Theatre.AssetTransferred", {
+      name: asset?.name || "?",
+      from: fromTracker.name,
+      to: toTracker.name,
+    }),
+    entityUuid: assetUuid,
+  });
+  return true;
+}
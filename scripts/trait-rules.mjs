@@ -0,0 +1,157 @@
+/**
+ * Trait rules — qualitative asset traits ("Cloaking", "Diplomatic Corps",
+ * "Medical Frigate") that help against POIs carrying a matching tag.
+ *
+ * Assets list their traits (system.traits) and POIs their tags
+ * (system.tags). The "traitRules" world setting, edited in the Trait Rules
+ * menu, pairs a trait with a tag and one of these effects:
+ *
+ *   extraDie            the primary asset rolls `amount` more dice
+ *   reduceDifficulty    both powers of the POI are `amount` easier (never
+ *                       below 0)
+ *   ignoreComplication  the first `amount` complications rolled do not count
+ *
+ * A rule without a tag applies against every POI. Traits and tags match
+ * regardless of case. Every asset of the conflict, primary or assisting,
+ * brings its traits, but each rule applies at most once per conflict.
+ */
+
+const MODULE_ID = "sta-tactical-campaign";
+
+/** Trait effects with their labels. */
+export const TRAIT_EFFECTS = {
+  extraDie: "STA_TC.Traits.Effects.ExtraDie",
+  reduceDifficulty: "STA_TC.Traits.Effects.ReduceDifficulty",
+  ignoreComplication: "STA_TC.Traits.Effects.IgnoreComplication",
+};
+
+/** Largest amount a single rule may grant. */
+export const MAX_TRAIT_AMOUNT = 3;
+
+/**
+ * Trim a trait or tag name and fold its case for matching.
+ * @param {string} name
+ * @returns {string}
+ */
+function _matchKey(name) {
+  return String(name ?? "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Fill in and clamp a trait rule.
+ * @param {object} [rule]
+ * @returns {{trait: string, tag: string, effect: string, amount: number}}
+ */
+export function normalizeTraitRule(rule = {}) {
+  const amount = Math.round(Number(rule.amount));
+  return {
+    trait: String(rule.trait ?? "").trim(),
+    tag: String(rule.tag ?? "").trim(),
+    effect: rule.effect in TRAIT_EFFECTS ? rule.effect : "extraDie",
+    amount: Number.isFinite(amount)
+      ? Math.min(MAX_TRAIT_AMOUNT, Math.max(1, amount))
+      : 1,
+  };
+}
+
+/**
+ * The trait rules of this world; rules without a trait are dropped.
+ * @returns {{trait: string, tag: string, effect: string, amount: number}[]}
+ */
+export function getTraitRules() {
+  let stored = [];
+  try {
+    stored = game.settings.get(MODULE_ID, "traitRules") ?? [];
+  } catch {
+    stored = [];
+  }
+  return (Array.isArray(stored) ? stored : [])
+    .map(normalizeTraitRule)
+    .filter((rule) => rule.trait);
+}
+
+/**
+ * Add a trait or tag to a list unless it is already there in any case.
+ * @param {string[]} list
+ * @param {string} name
+ * @returns {string[]|null} The new list, or null when nothing was added.
+ */
+export function addTraitName(list = [], name) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) return null;
+  const key = _matchKey(trimmed);
+  if (list.some((other) => _matchKey(other) === key)) return null;
+  return [...list, trimmed];
+}
+
+/**
+ * Every trait and tag used in this world — on asset and POI actors or in a
+ * trait rule — for the suggestion lists of the editors.
+ * @returns {{traits: string[], tags: string[]}}
+ */
+export function getKnownTraitNames() {
+  const traits = new Map();
+  const tags = new Map();
+  const add = (map, name) => {
+    const key = _matchKey(name);
+    if (key && !map.has(key)) map.set(key, String(name).trim());
+  };
+  for (const actor of game.actors ?? []) {
+    for (const trait of actor.system?.traits ?? []) add(traits, trait);
+    for (const tag of actor.system?.tags ?? []) add(tags, tag);
+  }
+  for (const rule of getTraitRules()) {
+    add(traits, rule.trait);
+    add(tags, rule.tag);
+  }
+  const sorted = (map) => [...map.values()].sort((a, b) => a.localeCompare(b));
+  return { traits: sorted(traits), tags: sorted(tags) };
+}
+
+/**
+ * The trait bonuses a conflict's assets earn against a POI.
+ * @param {Actor[]} assets - Primary asset first, then the assisting assets.
+ * @param {Actor|null} poi
+ * @param {object[]} [rules] - See getTraitRules().
+ * @returns {{extraDice: number, difficulty: number, complications: number,
+ *   matches: {asset: string, trait: string, tag: string, effect: string,
+ *   amount: number, label: string}[]}} difficulty is the reduction of the
+ *   POI's difficulties, complications the number of complications ignored.
+ */
+export function getTraitBonuses(assets, poi, rules = getTraitRules()) {
+  const bonuses = {
+    extraDice: 0,
+    difficulty: 0,
+    complications: 0,
+    matches: [],
+  };
+  const tags = new Set((poi?.system?.tags ?? []).map(_matchKey));
+  for (const rule of rules) {
+    if (rule.tag && !tags.has(_matchKey(rule.tag))) continue;
+    const asset = assets.find((actor) =>
+      (actor?.system?.traits ?? []).some(
+        (trait) => _matchKey(trait) === _matchKey(rule.trait),
+      ),
+    );
+    if (!asset) continue;
+    if (rule.effect === "extraDie") bonuses.extraDice += rule.amount;
+    else if (rule.effect === "reduceDifficulty")
+      bonuses.difficulty += rule.amount;
+    else bonuses.complications += rule.amount;
+    bonuses.matches.push({
+      ...rule,
+      asset: asset.name,
+      label: game.i18n.format("STA_TC.Traits.Applied", {
+        trait: rule.trait,
+        asset: asset.name,
+        effect: game.i18n.format(
+          `STA_TC.Traits.Summary.${rule.effect.capitalize()}`,
+          { amount: rule.amount },
+        ),
+      }),
+    });
+  }
+  return bonuses;
+}
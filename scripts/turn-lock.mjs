@@ -0,0 +1,248 @@
+/**
+ * Turn lock — only one GM at a time runs the campaign turn of a tracker.
+ *
+ * The lock is the tracker's system.turnUserId, taken when the turn starts.
+ * While a client holds any lock it broadcasts a heartbeat over the module
+ * socket, and every client remembers when it last heard from each holder.
+ * A lock goes stale when its holder disconnects or misses heartbeats for
+ * STALE_AFTER seconds:
+ *   - the active GM releases stale locks
+ *   - a GM acting on a turn whose lock is free or stale takes it over
+ *   - a GM acting on a turn locked by someone else is refused, and may ask
+ *     the holder to hand the lock over
+ *
+ * Sheet actions that write to the tracker are wrapped with withTurnLock(),
+ * and the engine handed out by the module API with lockTurnEngine().
+ */
+
+import { CampaignTurnEngine } from "./campaign-turn-engine.mjs";
+import {
+  emitSocketMessage,
+  registerSocketHandler,
+} from "./campaign-socket.mjs";
+import { TrackerNotifier } from "./apps/tracker-notifier.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+const TRACKER_TYPE = `${MODULE_ID}.campaignTracker`;
+
+/** Seconds between two heartbeats of a lock holder. */
+const HEARTBEAT_INTERVAL = 10;
+
+/** Seconds without a heartbeat after which a lock is stale. */
+const STALE_AFTER = 35;
+
+/** User id → time (ms) this client last heard a heartbeat from that user. */
+const _heartbeats = new Map();
+
+/** Time (ms) the lock service started on this client. */
+let _startedAt = Date.now();
+
+function _getTrackers() {
+  return game.actors.filter((actor) => actor.type === TRACKER_TYPE);
+}
+
+/**
+ * Start sending and watching heartbeats. Called once from the ready hook,
+ * after the campaign socket is registered.
+ */
+export function registerTurnLock() {
+  _startedAt = Date.now();
+  registerSocketHandler("turnLockHeartbeat", ({ userId }) =>
+    _heartbeats.set(userId, Date.now()),
+  );
+  registerSocketHandler("turnLockHandoff", _onHandoffRequest);
+  registerSocketHandler("turnLockHandoffDeclined", _onHandoffDeclined);
+
+  // A lock that changes hands starts with a fresh heartbeat
+  Hooks.on("updateActor", (actor, changed) => {
+    const userId = changed.system?.turnUserId;
+    if (actor.type === TRACKER_TYPE && userId)
+      _heartbeats.set(userId, Date.now());
+  });
+  Hooks.on("userConnected", (user, connected) => {
+    if (!connected && game.users.activeGM?.isSelf) _releaseStaleLocks();
+  });
+  setInterval(_onHeartbeat, HEARTBEAT_INTERVAL * 1000);
+}
+
+/**
+ * Whether the lock on a tracker's turn is held by a user who has disconnected
+ * or stopped sending heartbeats. This client's own lock is never stale.
+ * @param {Actor} tracker
+ * @returns {boolean}
+ */
+export function isTurnLockStale(tracker) {
+  const userId = tracker.system.turnUserId;
+  if (!userId || userId === game.user.id) return false;
+  if (!game.users.get(userId)?.active) return true;
+  const lastSeen = _heartbeats.get(userId) ?? _startedAt;
+  return Date.now() - lastSeen > STALE_AFTER * 1000;
+}
+
+/**
+ * The user holding a live lock on the tracker's running turn, or null when
+ * no turn is running or the lock is free or stale.
+ * @param {Actor} tracker
+ * @returns {User|null}
+ */
+export function getTurnLockHolder(tracker) {
+  const { turnPhase, turnUserId } = tracker.system;
+  if (!turnPhase || !turnUserId || isTurnLockStale(tracker)) return null;
+  return game.users.get(turnUserId) ?? null;
+}
+
+/**
+ * Make sure this user may act on the tracker's turn, taking the lock when it
+ * is free or stale. When another GM holds it, offer to request a handoff.
+ * @param {Actor} tracker
+ * @returns {Promise<boolean>} Whether the action may go ahead.
+ */
+export async function acquireTurnLock(tracker) {
+  const { turnPhase, turnUserId } = tracker.system;
+  if (!turnPhase || turnUserId === game.user.id) return true;
+
+  const holder = getTurnLockHolder(tracker);
+  if (!holder) {
+    await new CampaignTurnEngine(tracker).claimTurn(game.user.id);
+    return tracker.system.turnUserId === game.user.id;
+  }
+
+  const request = await foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("STA_TC.Wizard.Title") },
+    content: `<p>${game.i18n.format("STA_TC.TurnLock.LockedBy", { user: holder.name })}</p>`,
+    yes: { label: game.i18n.localize("STA_TC.TurnLock.RequestHandoff") },
+    no: { label: game.i18n.localize("STA_TC.Cancel") },
+  });
+  if (request) requestTurnHandoff(tracker);
+  return false;
+}
+
+/**
+ * Wrap a sheet action so it only runs while this user holds (or can take)
+ * the turn lock of the sheet's tracker.
+ * @param {function(Event, HTMLElement): Promise<*>} handler
+ * @returns {function(Event, HTMLElement): Promise<*>}
+ */
+export function withTurnLock(handler) {
+  return async function (event, target) {
+    if (!(await acquireTurnLock(this.actor))) return;
+    return handler.call(this, event, target);
+  };
+}
+
+/** Engine methods that only read the tracker and never need the lock. */
+const READ_ONLY_METHOD = /^(get|find|is|can|count|plan|needs)/;
+
+/**
+ * Wrap a turn engine so every method that writes to the tracker first takes
+ * the turn lock, as the sheet actions do. A refused call throws.
+ * @param {CampaignTurnEngine} engine
+ * @returns {CampaignTurnEngine}
+ */
+export function lockTurnEngine(engine) {
+  return new Proxy(engine, {
+    get(target, prop, receiver) {
+      const value = Reflect.get(target, prop, receiver);
+      if (
+        typeof value !== "function" ||
+        typeof prop !== "string" ||
+        prop === "constructor" ||
+        READ_ONLY_METHOD.test(prop)
+      )
+        return value;
+      return async (...args) => {
+        if (!(await acquireTurnLock(target.tracker))) {
+          const holder = getTurnLockHolder(target.tracker);
+          throw new Error(
+            game.i18n.format("STA_TC.TurnLock.HeldBy", {
+              user: holder?.name || "?",
+            }),
+          );
+        }
+        return value.apply(target, args);
+      };
+    },
+  });
+}
+
+/**
+ * Ask the holder of the tracker's turn lock to hand it over to this user.
+ * @param {Actor} tracker
+ */
+export function requestTurnHandoff(tracker) {
+  const holder = getTurnLockHolder(tracker);
+  if (!holder || holder.isSelf) return;
+  emitSocketMessage("turnLockHandoff", {
+    trackerUuid: tracker.uuid,
+    fromUserId: game.user.id,
+    toUserId: holder.id,
+  });
+  ui.notifications.info(
+    game.i18n.format("STA_TC.TurnLock.HandoffRequested", { user: holder.name }),
+  );
+}
+
+function _onHeartbeat() {
+  const holdsLock = _getTrackers().some(
+    (tracker) =>
+      tracker.system.turnPhase && tracker.system.turnUserId === game.user.id,
+  );
+  if (holdsLock)
+    emitSocketMessage("turnLockHeartbeat", { userId: game.user.id });
+  if (game.users.activeGM?.isSelf) _releaseStaleLocks();
+}
+
+async function _releaseStaleLocks() {
+  for (const tracker of _getTrackers()) {
+    if (!tracker.system.turnPhase || !isTurnLockStale(tracker)) continue;
+    const holder = game.users.get(tracker.system.turnUserId);
+    await tracker.update({ "system.turnUserId": "" });
+    await TrackerNotifier.emit({
+      tracker,
+      event: "turnLockReleased",
+      message: game.i18n.format("STA_TC.TurnLock.Released", {
+        user: holder?.name || "?",
+      }),
+    });
+  }
+}
+
+async function _onHandoffRequest({ trackerUuid, fromUserId, toUserId }) {
+  if (toUserId !== game.user.id) return;
+  const tracker = fromUuidSync(trackerUuid);
+  const requester = game.users.get(fromUserId);
+  if (!tracker || !requester || tracker.system.turnUserId !== game.user.id)
+    return;
+
+  const accept = await foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("STA_TC.Wizard.Title") },
+    content: `<p>${game.i18n.format("STA_TC.TurnLock.HandoffPrompt", { user: requester.name, tracker: tracker.name })}</p>`,
+    yes: { label: game.i18n.localize("STA_TC.TurnLock.HandOver") },
+    no: { label: game.i18n.localize("STA_TC.TurnLock.Keep") },
+  });
+  if (accept && tracker.system.turnUserId === game.user.id) {
+    await new CampaignTurnEngine(tracker).claimTurn(requester.id);
+    await TrackerNotifier.emit({
+      tracker,
+      event: "turnLockHandedOff",
+      message: game.i18n.format("STA_TC.TurnLock.HandedOff", {
+        from: game.user.name,
+        to: requester.name,
+      }),
+    });
+    return;
+  }
+  emitSocketMessage("turnLockHandoffDeclined", {
+    userId: fromUserId,
+    holderId: game.user.id,
+  });
+}
+
+function _onHandoffDeclined({ userId, holderId }) {
+  if (userId !== game.user.id) return;
+  ui.notifications.warn(
+    game.i18n.format("STA_TC.TurnLock.HandoffDeclined", {
+      user: game.users.get(holderId)?.name || "?",
+    }),
+  );
+}
@@ -0,0 +1,195 @@
+/**
+ * Turn snapshots — point-in-time copies of a campaign tracker and every actor
+ * End Turn can touch, used to roll back the most recent End Turn.
+ *
+ * A snapshot holds the tracker's system data, the full document data of every
+ * POI referenced by the tracker and every asset on its (shared) roster, with
+ * embedded Items and Active Effects, and the active scene's tokens for those
+ * POIs. POIs spawned during End Turn are added as they are spawned. Only the
+ * latest snapshot is kept, in the tracker's `lastTurnSnapshot` module flag.
+ */
+
+import { POI_LIST_KEYS } from "./campaign-turn-engine.mjs";
+import { getRosterAssetUuids } from "./theatre-service.mjs";
+
+const MODULE_ID = "sta-tactical-campaign";
+const SNAPSHOT_FLAG = "lastTurnSnapshot";
+
+export function getTurnSnapshot(tracker) {
+  return tracker.getFlag(MODULE_ID, SNAPSHOT_FLAG) ?? null;
+}
+
+export function hasTurnSnapshot(tracker) {
+  return !!getTurnSnapshot(tracker);
+}
+
+export async function captureTurnSnapshot(tracker) {
+  const system = tracker.system;
+  const poiUuids = new Set();
+  for (const listKey of POI_LIST_KEYS) {
+    for (const entry of system[listKey] || []) {
+      if (entry.actorUuid) poiUuids.add(entry.actorUuid);
+    }
+  }
+  const assetUuids = new Set([
+    ...getRosterAssetUuids(tracker),
+    ...(system.commandeeredAssets || []),
+  ]);
+
+  const pois = [];
+  for (const uuid of poiUuids) {
+    const actor = await fromUuid(uuid);
+    if (actor) pois.push(actor.toObject());
+  }
+  const assets = [];
+  for (const uuid of assetUuids) {
+    const actor = await fromUuid(uuid);
+    if (actor) assets.push(actor.toObject());
+  }
+  const poiIds = new Set(pois.map((poi) => poi._id));
+  const tokens = canvas.scene
+    ? canvas.scene.tokens
+        .filter((token) => poiIds.has(token.actorId))
+        .map((token) => token.toObject())
+    : [];
+
+  const snapshot = {
+    turn: system.campaignTurnNumber || 0,
+    createdAt: Date.now(),
+    system: tracker.toObject().system,
+    pois,
+    assets,
+    sceneId: canvas.scene?.id ?? null,
+    tokens,
+  };
+  // Unset first so the new snapshot replaces the old one instead of merging
+  await clearTurnSnapshot(tracker);
+  await tracker.setFlag(MODULE_ID, SNAPSHOT_FLAG, snapshot);
+  return snapshot;
+}
+
+/**
+ * Add a POI End Turn spawns to the snapshot before changing it: an actor that
+ * already existed is stored as it is now, so a restore brings it back; one
+ * just created is listed, so a restore deletes it again.
+ * @param {Actor} tracker
+ * @param {Actor} actor
+ * @param {object} options
+ * @param {boolean} options.created - The actor was created by this End Turn.
+ * @returns {Promise<void>}
+ */
+export async function addSpawnedPoiToSnapshot(tracker, actor, { created }) {
+  const snapshot = getTurnSnapshot(tracker);
+  if (!snapshot) return;
+  const key = `flags.${MODULE_ID}.${SNAPSHOT_FLAG}`;
+  if (created) {
+    const createdPoiIds = snapshot.createdPoiIds || [];
+    if (createdPoiIds.includes(actor.id)) return;
+    await tracker.update({
+      [`${key}.createdPoiIds`]: [...createdPoiIds, actor.id],
+    });
+    return;
+  }
+  const pois = snapshot.pois || [];
+  if (pois.some((poi) => poi._id === actor.id)) return;
+  await tracker.update({ [`${key}.pois`]: [...pois, actor.toObject()] });
+}
+
+export async function clearTurnSnapshot(tracker) {
+  if (tracker.getFlag(MODULE_ID, SNAPSHOT_FLAG) === undefined) return;
+  await tracker.unsetFlag(MODULE_ID, SNAPSHOT_FLAG);
+}
+
+/**
+ * Restore the tracker and its actors to the stored snapshot, then discard it.
+ * The notification log is left as-is so the rollback itself can be logged.
+ * @param {Actor} tracker
+ * @returns {Promise<object|null>} The restored snapshot, or null if none exists.
+ */
+export async function restoreTurnSnapshot(tracker) {
+  const snapshot = getTurnSnapshot(tracker);
+  if (!snapshot) return null;
+
+  // Actors first, so recreated POIs exist again before the tracker lists
+  // point back at them.
+  const recreatedPoiIds = new Set();
+  for (const data of snapshot.pois || []) {
+    if (await _restoreActor(data)) recreatedPoiIds.add(data._id);
+  }
+  for (const data of snapshot.assets || []) await _restoreActor(data);
+  // POIs created by the End Turn being rolled back
+  const createdPoiIds = (snapshot.createdPoiIds || []).filter((id) =>
+    game.actors.has(id),
+  );
+  if (createdPoiIds.length) await Actor.deleteDocuments(createdPoiIds);
+
+  const scene = game.scenes.get(snapshot.sceneId);
+  if (scene) {
+    const missingTokens = (snapshot.tokens || []).filter(
+      (token) => !scene.tokens.has(token._id),
+    );
+    if (missingTokens.length)
+      await scene.createEmbeddedDocuments("Token", missingTokens, {
+        keepId: true,
+      });
+  }
+
+  const system = {
+    ...snapshot.system,
+    notificationLog: tracker.toObject().system.notificationLog,
+  };
+  await tracker.update({ system });
+  await clearTurnSnapshot(tracker);
+  return { ...snapshot, recreatedPoiCount: recreatedPoiIds.size };
+}
+
+/**
+ * Bring one actor back to its snapshot data. Deleted actors are recreated
+ * with their original id so stored UUIDs resolve again.
+ * @param {object} data - Actor#toObject() output.
+ * @returns {Promise<boolean>} True if the actor had to be recreated.
+ */
+async function _restoreActor(data) {
+  const actor = game.actors.get(data._id);
+  if (!actor) {
+    const createData = foundry.utils.deepClone(data);
+    if (createData.folder && !game.folders.get(createData.folder))
+      createData.folder = null;
+    await Actor.create(createData, { keepId: true });
+    return true;
+  }
+
+  await actor.update({ system: data.system }, { diff: false });
+  await _reconcileEmbedded(actor, "ActiveEffect", data.effects || []);
+  await _reconcileEmbedded(actor, "Item", data.items || []);
+  return false;
+}
+
+/**
+ * Make an actor's embedded collection match the snapshot: drop documents
+ * created since, recreate deleted ones and reset the rest.
+ * @param {Actor} actor
+ * @param {string} embeddedName - "ActiveEffect" or "Item".
+ * @param {object[]} snapshotDocs
+ */
+async function _reconcileEmbedded(actor, embeddedName, snapshotDocs) {
+  const collection = actor.getEmbeddedCollection(embeddedName);
+  const snapshotIds = new Set(snapshotDocs.map((doc) => doc._id));
+
+  const toDelete = collection
+    .filter((doc) => !snapshotIds.has(doc.id))
+    .map((doc) => doc.id);
+  if (toDelete.length)
+    await actor.deleteEmbeddedDocuments(embeddedName, toDelete);
+
+  const toUpdate = snapshotDocs.filter((doc) => collection.has(doc._id));
+  const toCreate = snapshotDocs.filter((doc) => !collection.has(doc._id));
+  if (toCreate.length)
+    await actor.createEmbeddedDocuments(embeddedName, toCreate, {
+      keepId: true,
+    });
+  if (toUpdate.length)
+    await actor.updateEmbeddedDocuments(embeddedName, toUpdate, {
+      diff: false,
+    });
+}
@@ -36,3 +36,63 @@ export function buildAeChange(key, type, value) {
 export function aeTypeToName(type) {
   return aeType(type).toUpperCase();
 }
+
+/** Localization keys of the asset types, keyed by system.assetType. */
+export const ASSET_TYPE_LABELS = {
+  character: "STA_TC.AssetTypes.Character",
+  ship: "STA_TC.AssetTypes.Ship",
+  resource: "STA_TC.AssetTypes.Resource",
+};
+
+/** Localization keys of the conflict result keys. */
+export const CONFLICT_RESULT_LABELS = {
+  success: "STA_TC.Wizard.ResultSuccess",
+  flawedSuccess: "STA_TC.Wizard.ResultFlawedSuccess",
+  failure: "STA_TC.Wizard.ResultFailure",
+  seriousSetback: "STA_TC.Wizard.ResultSeriousSetback",
+};
+
+/** Asset slots of a POI that does not set its own: a primary and an assist. */
+export const DEFAULT_ASSET_SLOTS = 2;
+
+/**
+ * The asset slots of a POI. Slot 0 holds the primary asset, every other slot
+ * an assisting one.
+ *
+ * @param {Actor|null} poi
+ * @returns {{slot: number, primary: boolean, type: string}[]} `type` is the
+ *   asset type the slot accepts, blank for any.
+ */
+export function getPoiSlots(poi) {
+  const count = poi?.system?.assetSlots || DEFAULT_ASSET_SLOTS;
+  const types = poi?.system?.slotTypes || [];
+  return Array.from({ length: count }, (_, slot) => ({
+    slot,
+    primary: slot === 0,
+    type: types[slot] || "",
+  }));
+}
+
+/**
+ * UUIDs of the assets assigned to a POI entry, in slot order.
+ *
+ * @param {object|null} entry
+ * @returns {string[]}
+ */
+export function getEntryAssetUuids(entry) {
+  return (entry?.assets || []).filter(Boolean);
+}
+
+/**
+ * Put an asset in (or clear) one slot of a POI entry.
+ *
+ * @param {object} entry - A mutable POI entry.
+ * @param {number} slot
+ * @param {string} uuid - The asset UUID, blank to clear the slot.
+ */
+export function setEntrySlot(entry, slot, uuid) {
+  const assets = [...(entry.assets || [])];
+  while (assets.length <= slot) assets.push("");
+  assets[slot] = uuid;
+  entry.assets = assets;
+}
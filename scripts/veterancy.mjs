@@ -0,0 +1,139 @@
+/**
+ * Veterancy — assets gain experience from the missions they succeed in.
+ *
+ * End Turn counts every successful conflict (success or flawed success) of
+ * the turn for each asset that took part in it, primary or assisting
+ * (system.missions). Reaching the mission threshold of a rank (campaign rules
+ * `veterancy.N`) earns a promotion (system.promotionsPending) that the GM
+ * grants as a permanent +1 power or focus effect, built like the
+ * Progression table's improvements.
+ */
+
+import { ProgressionPowerDialog } from "./apps/progression-power-dialog.mjs";
+import { TrackerNotifier } from "./apps/tracker-notifier.mjs";
+import { getCampaignTracker } from "./active-effect-service.mjs";
+import { getCampaignRules } from "./campaign-rules.mjs";
+
+const POWERS = ["medical", "military", "personal", "science", "social"];
+
+/** Rank labels, by rank. */
+export const VETERANCY_RANKS = [
+  "STA_TC.Veterancy.Ranks.Green",
+  "STA_TC.Veterancy.Ranks.Seasoned",
+  "STA_TC.Veterancy.Ranks.Veteran",
+  "STA_TC.Veterancy.Ranks.Elite",
+];
+
+/** Conflict results that count as a successful mission. */
+export const MISSION_RESULTS = ["success", "flawedSuccess"];
+
+/**
+ * The veterancy rank a number of missions earns.
+ * @param {number} missions
+ * @param {object} [rules] - Campaign rules, see getCampaignRules().
+ * @returns {number}
+ */
+export function getVeterancyRank(missions, rules = getCampaignRules()) {
+  let rank = 0;
+  for (let r = 1; r < VETERANCY_RANKS.length; r++) {
+    if ((missions || 0) >= rules.veterancy[r]) rank = r;
+  }
+  return rank;
+}
+
+/**
+ * Display data for an asset's veterancy.
+ * @param {Actor} asset
+ * @returns {{missions: number, rank: number, label: string,
+ *   nextAt: number|null, pending: number}} nextAt is the mission count of the
+ *   next rank, null at the top rank.
+ */
+export function getVeterancy(asset) {
+  const rules = getCampaignRules();
+  const missions = asset.system?.missions || 0;
+  const rank = getVeterancyRank(missions, rules);
+  return {
+    missions,
+    rank,
+    label: game.i18n.localize(VETERANCY_RANKS[rank]),
+    nextAt:
+      rank + 1 < VETERANCY_RANKS.length ? rules.veterancy[rank + 1] : null,
+    pending: asset.system?.promotionsPending || 0,
+  };
+}
+
+/**
+ * Let the GM grant one pending promotion of an asset: a permanent +1 to a
+ * power or focus of their choice.
+ * @param {Actor} asset
+ * @param {object} [options]
+ * @param {Actor} [options.tracker] - Tracker to log the promotion on; the
+ *   world's campaign tracker by default.
+ * @returns {Promise<boolean>} Whether a promotion was granted.
+ */
+export async function promptPromotion(asset, { tracker = null } = {}) {
+  const pending = asset.system?.promotionsPending || 0;
+  if (!pending) return false;
+
+  const selected = asset.system.primaryPower || POWERS[0];
+  const powerOptions = POWERS.map(
+    (p) =>
+      `<option value="${p}" ${p === selected ? "selected" : ""}>${game.i18n.localize(`STA_TC.Powers.${p.capitalize()}`)}</option>`,
+  ).join("");
+  const content = `
+    <form class="progression-power-form" style="display:flex;flex-direction:column;gap:10px;padding:8px 0;">
+      <p style="margin:0;">${game.i18n.format("STA_TC.Veterancy.PromoteHint", {
+        name: asset.name,
+        rank: getVeterancy(asset).label,
+      })}</p>
+      <div style="display:flex;flex-direction:column;gap:4px;">
+        <label style="font-weight:bold;">${game.i18n.localize("STA_TC.Veterancy.Improvement")}</label>
+        <select name="mode" style="width:100%;">
+          <option value="power">${game.i18n.localize("STA_TC.Powers.Power")} +1</option>
+          <option value="focus">${game.i18n.localize("STA_TC.Powers.Focus")} +1</option>
+        </select>
+      </div>
+      <div style="display:flex;flex-direction:column;gap:4px;">
+        <label style="font-weight:bold;">${game.i18n.localize("STA_TC.Progression.PickPower")}</label>
+        <select name="power" style="width:100%;">${powerOptions}</select>
+      </div>
+    </form>`;
+
+  const result = await foundry.applications.api.DialogV2.prompt({
+    window: {
+      title: game.i18n.format("STA_TC.Veterancy.PromoteTitle", {
+        name: asset.name,
+      }),
+    },
+    content,
+    ok: {
+      label: game.i18n.localize("STA_TC.Veterancy.Grant"),
+      callback: (_ev, button) => ({
+        mode: button.form.elements.mode.value,
+        power: button.form.elements.power.value,
+      }),
+    },
+    rejectClose: false,
+  });
+  if (!result) return false;
+
+  await ProgressionPowerDialog.applyPowerMod(asset, {
+    ...result,
+    delta: 1,
+    source: game.i18n.localize("STA_TC.Veterancy.EffectSource"),
+    flags: { progressionEffect: true, veterancyEffect: true },
+  });
+  await asset.update({ "system.promotionsPending": pending - 1 });
+
+  tracker ??= await getCampaignTracker();
+  if (tracker)
+    await TrackerNotifier.emit({
+      tracker,
+      event: "promotionGranted",
+      message: game.i18n.format("STA_TC.Veterancy.Granted", {
+        name: asset.name,
+      }),
+      entityUuid: asset.uuid,
+    });
+  return true;
+}